@@ -1,10 +1,18 @@
 import "@shopify/shopify-api/adapters/node";
-import { createOrderInMonitor, setOrderPropertiesInMonitor, updateDeliveryAddressInMonitor } from "./utils/monitor.server.js";
 import dotenv from "dotenv";
+import { shopifyGraphQL } from "./utils/shopify-admin.js";
+import { currentSyncRun } from "./utils/sync-runs.js";
+import { exportDraftOrder, getDueOrderExports, isSentToMonitor } from "./utils/order-export.js";
+import { getOrdersToAmend, syncOrderAmendments } from "./utils/order-amendments.js";
+import { cancelExportedOrder, getFailedOrderCancellations } from "./utils/order-cancellations.js";
 dotenv.config();
 
-// Order polling job - alternative to webhooks for immediate implementation
+// Order polling job - reconciliation for the draft_orders/update and orders/updated webhooks: exports
+// completed draft orders the webhook missed (app not reachable, webhook not registered...), retries failed
+// exports, sends edits of exported orders to Monitor (app/utils/order-amendments.js) and retries failed
+// cancellations of Monitor orders (app/utils/order-cancellations.js)
 async function pollForNewOrders() {
+  const syncRun = currentSyncRun();
   let shop, accessToken;
 
   // Use Advanced store configuration
@@ -13,422 +21,126 @@ async function pollForNewOrders() {
 
   if (!shop || !accessToken) {
     console.log("Advanced store configuration missing for order polling!");
+    syncRun.error("Advanced store configuration missing for order polling!");
     return;
   }
 
   console.log(`Polling for new orders from: ${shop}`);
 
   try {
-    const fetch = (await import('node-fetch')).default;
+    const draftOrders = await fetchCompletedDraftOrders(shop, accessToken);
     
-    // Get draft orders from last 12 hours to catch any we might have missed
-    const twelveHoursAgo = new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString();
-    
-    // Only query completed draft orders that haven't been sent to Monitor yet
-    const draftOrderQuery = `query {
-      draftOrders(first: 50, query: "created_at:>='${twelveHoursAgo}' AND status:completed") {
-        edges {
-          node {
-            id
-            name
-            email
-            createdAt
-            totalPrice
-            status
-            shippingAddress {
-              firstName
-              lastName
-              company
-              address1
-              address2
-              city
-              province
-              country
-              zip
-              phone
-            }
-            billingAddress {
-              firstName
-              lastName
-              company
-              address1
-              address2
-              city
-              province
-              country
-              zip
-              phone
-            }
-            shippingLine {
-              title
-            }
-            metafields(first: 10, namespace: "custom") {
-              edges {
-                node {
-                  key
-                  value
-                }
-              }
-            }
-            customer {
-              id
-              firstName
-              lastName
-              email
-            }
-            order {
-              id
-              shippingAddress {
-                firstName
-                lastName
-                company
-                address1
-                address2
-                city
-                province
-                country
-                zip
-                phone
-              }
-              billingAddress {
-                firstName
-                lastName
-                company
-                address1
-                address2
-                city
-                province
-                country
-                zip
-                phone
-              }
-              shippingLine {
-                title
-              }
-            }
-            lineItems(first: 50) {
-              edges {
-                node {
-                  id
-                  title
-                  quantity
-                  originalUnitPrice
-                  discountedUnitPrice
-                  variant {
-                    id
-                    sku
-                    price
-                    product {
-                      id
-                      title
-                    }
-                  }
-                  customAttributes {
-                    key
-                    value
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    }`;
+    // Filter out orders that have already been sent to Monitor (sent_to_monitor metafield set)
+    const unsentOrders = draftOrders.filter(orderEdge => !isSentToMonitor(orderEdge.node));
 
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': accessToken,
-      },
-      body: JSON.stringify({ query: draftOrderQuery }),
-    });
-
-    const result = await response.json();
-
-    if (result.errors) {
-      console.error("GraphQL errors polling draft orders:", JSON.stringify(result.errors, null, 2));
-      return;
-    }
-
-    const draftOrders = result.data?.draftOrders?.edges || [];
-    
     if (draftOrders.length === 0) {
       console.log("✅ No new completed draft orders found");
-      return;
+    } else if (unsentOrders.length === 0) {
+      console.log("✅ All completed draft orders have already been sent to Monitor");
+    } else {
+      console.log(`Found ${draftOrders.length} completed draft orders, ${unsentOrders.length} not yet sent to Monitor`);
     }
 
-    // Filter out orders that have already been sent to Monitor
-    const unsentOrders = draftOrders.filter(orderEdge => {
-      const order = orderEdge.node;
-      const metafields = order.metafields?.edges || [];
-      const sentToMonitorMetafield = metafields.find(mf => mf.node.key === "sent_to_monitor");
-      
-      // Only process if sent_to_monitor is false or doesn't exist
-      return !sentToMonitorMetafield || sentToMonitorMetafield.node.value === "false";
-    });
-
-    console.log(`Found ${draftOrders.length} completed draft orders, ${unsentOrders.length} not yet sent to Monitor`);
-
-    if (unsentOrders.length === 0) {
-      console.log("✅ All completed draft orders have already been sent to Monitor");
-      return;
+    // Failed exports are retried on their schedule even after they fall out of the 12 hour window
+    const dueExports = await getDueOrderExports();
+    const toExport = new Map(unsentOrders.map(orderEdge => [orderEdge.node.id.split('/').pop(), orderEdge.node.name]));
+    for (const dueExport of dueExports) {
+      toExport.set(dueExport.draftOrderId, dueExport.draftOrderName);
+    }
+    if (dueExports.length > 0) {
+      console.log(`Retrying ${dueExports.length} failed order exports`);
     }
 
     // Process each unsent completed draft order
-    for (const orderEdge of unsentOrders) {
-      const order = orderEdge.node;
-      console.log(`Processing completed draft order: ${order.name} (${order.totalPrice}) - Status: ${order.status}`);
-      console.log(`Draft order line items count: ${order.lineItems?.edges?.length || 0}`);
-      
+    for (const [draftOrderId, name] of toExport) {
       try {
-        // Check if customer exists and has monitor_id
-        const customer = order.customer;
-        if (!customer) {
-          console.log(`⚠️ Draft order ${order.name} has no customer, skipping Monitor sync`);
-          continue;
-        }
-
-        // Get customer monitor_id metafield and reference ID from note
-        const customerData = await getCustomerMonitorId(shop, accessToken, customer.id.split('/').pop());
-
-        if (!customerData || !customerData.monitorId) {
-          console.log(`⚠️ Customer ${customer.id} for draft order ${order.name} has no monitor_id metafield, skipping Monitor sync`);
-          continue;
-        }
-
-        const monitorCustomerId = customerData.monitorId;
-        const referenceId = customerData.referenceId;
-
-        console.log(`Found monitor customer ID: ${monitorCustomerId} for Shopify customer ${customer.id}`);
-        if (referenceId) {
-          console.log(`Found reference ID: ${referenceId} from customer note`);
-        }
-
-        // Build Monitor order rows from line items
-        const lineItems = order.lineItems?.edges?.map(edge => edge.node) || [];
-        console.log(`Processing ${lineItems.length} line items for draft order ${order.name}`);
-        
-        // Debug: Log first line item structure
-        if (lineItems.length > 0) {
-          console.log(`First draft order line item structure:`, JSON.stringify(lineItems[0], null, 2));
-        }
-        
-        // Extract goods label, order mark, and beam data from draft order metafields
-        const metafields = order.metafields?.edges || [];
-        const goodsLabelMetafield = metafields.find(mf => mf.node.key === "goods_label");
-        const goodsLabel = goodsLabelMetafield ? goodsLabelMetafield.node.value : '';
-        const orderMarkMetafield = metafields.find(mf => mf.node.key === "order_mark");
-        const orderMark = orderMarkMetafield ? orderMarkMetafield.node.value : '';
-
-        // Extract shipping method - check completed order first, then draft order
-        const shippingMethod = order.order?.shippingLine?.title || order.shippingLine?.title || '';
-        const isKranbil = shippingMethod.toLowerCase() === 'kranbil';
-        const isHamtas = shippingMethod.toLowerCase() === 'hämtas';
-        console.log(`Shipping method: ${shippingMethod || 'not set'}${isKranbil ? ' (Kranbil detected)' : ''}${isHamtas ? ' (Hämtas detected)' : ''}`);
-
-        
-        // Note: Beam data is now stored as line item properties, not as a draft order metafield
-        const orderRows = await buildMonitorOrderRows(shop, accessToken, lineItems);
-        
-        if (orderRows.length === 0) {
-          console.log(`⚠️ Draft order ${order.name} has no valid line items for Monitor, skipping sync`);
-          continue;
-        }
-
-        // Create order in Monitor system (without Preliminary and GoodsLabel)
-        const monitorOrderData = {
-          CustomerId: monitorCustomerId,
-          // OrderNumber: order.name,
-          BusinessContactOrderNumber: order.name,
-          // OrderTypeId: 4, // As specified
-          OrderTypeId: '980267526921268926',
-          Rows: orderRows,
-          IsStockOrder: false
-        };
-
-        const monitorOrderResult = await createOrderInMonitor(monitorOrderData);
-        
-        if (monitorOrderResult) {
-          const { orderId: monitorOrderId, response: monitorResponse } = monitorOrderResult;
-          console.log(`✅ Successfully created order in Monitor with ID: ${monitorOrderId} for Shopify draft order ${order.name}`);
-
-          // Extract OrderNumber from Monitor response and update Shopify draft order name
-          const monitorOrderNumber = monitorResponse.OrderNumber;
-          if (monitorOrderNumber) {
-            console.log(`Updating draft order name to Monitor order number: ${monitorOrderNumber}`);
-            await updateDraftOrderName(shop, accessToken, order.id.split('/').pop(), monitorOrderNumber);
-          }
-
-          // Set order properties (Preliminary, GoodsLabel1, BusinessContactOrderNumber, and BusinessContactReferenceId) in a second request
-          const orderProperties = {
-            Preliminary: { Value: true }, // NotNullBooleanInput
-            GoodsLabel1: { Value: goodsLabel.substring(0, 80) }, // Limit to 80 characters
-            BusinessContactOrderNumber: { Value: orderMark.substring(0, 30) } // Limit to 30 characters
-          };
-
-          // Add BusinessContactReferenceId if we have a reference ID from the customer note
-          if (referenceId) {
-            orderProperties.BusinessContactReferenceId = { Value: referenceId };
-          }
-
-          // Add OurReferenceName if shipping method is Kranbil
-          if (isKranbil) {
-            orderProperties.OurReferenceName = { Value: "*** Kranbil ***" };
-          }
-
-          // Add DeliveryMethodId if shipping method is Hämtas
-          if (isHamtas) {
-            orderProperties.DeliveryMethodId = { Value: "1001713089519322776" };
-          }
-          
-          const propertiesSet = await setOrderPropertiesInMonitor(monitorOrderId, orderProperties);
-          
-          if (propertiesSet) {
-            console.log(`✅ Successfully set order properties for Monitor order ${monitorOrderId}`);
-          } else {
-            console.error(`⚠️ Failed to set order properties for Monitor order ${monitorOrderId}, but order was created`);
-          }
-
-          // Get address from the order created from this draft order, fallback to draft order addresses
-          let addressToUse = order.order?.shippingAddress || order.shippingAddress;
-          
-          if (addressToUse) {
-            const addressSource = order.order?.shippingAddress ? 'order_shipping' : 'draft_shipping';
-            console.log(`Using ${addressSource} address for delivery address`);
-            
-            const deliveryAddressData = {
-              Addressee: {Value: `${addressToUse.firstName || ''} ${addressToUse.lastName || ''}`.trim() || addressToUse.company || ''},
-              Field1: {Value: addressToUse.address1 || ''},
-              Field2: {Value: addressToUse.address2 || ''},
-              Locality: {Value: addressToUse.city || ''},
-              Region: {Value: addressToUse.province || ''},
-              PostalCode: {Value: addressToUse.zip || ''},
-            };
-            
-            const addressUpdated = await updateDeliveryAddressInMonitor(monitorOrderId, deliveryAddressData);
-            
-            if (addressUpdated) {
-              console.log(`✅ Successfully updated delivery address for Monitor order ${monitorOrderId}`);
-            } else {
-              console.error(`⚠️ Failed to update delivery address for Monitor order ${monitorOrderId}, but order was created`);
-            }
-          } else {
-            console.log(`⚠️ No address found for draft order ${order.name}!`);
-          }
-          
-          // Mark draft order as sent to Monitor
-          await markDraftOrderAsSentToMonitor(shop, accessToken, order.id.split('/').pop());
+        const result = await exportDraftOrder(shop, accessToken, draftOrderId);
+        if (result.status === "created") {
+          syncRun.created();
+        } else if (result.status === "resumed") {
+          syncRun.updated();
+        } else if (result.status === "failed") {
+          syncRun.failed(name, result.reason);
         } else {
-          console.error(`  ❌ Failed to create order in Monitor for Shopify draft order ${order.name}`);
+          console.log(`⚠️ ${result.reason}`);
+          syncRun.skipped();
         }
       } catch (error) {
-        console.error(`  ❌ Failed to create draft order ${order.name} in Monitor:`, error);
+        console.error(`  ❌ Failed to create draft order ${name} in Monitor:`, error);
+        syncRun.failed(name, error.message);
       }
     }
 
   } catch (error) {
     console.error("Error polling for orders:", error);
+    syncRun.error(`Error polling for orders: ${error.message}`);
   }
-}
 
-/**
- * Get customer's monitor_id metafield and note field from Shopify
- * Returns an object with monitorId and referenceId (parsed from note)
- */
-async function getCustomerMonitorId(shop, accessToken, customerId) {
-  const fetch = (await import('node-fetch')).default;
-
-  const query = `query {
-    customer(id: "gid://shopify/Customer/${customerId}") {
-      note
-      metafields(first: 10, namespace: "custom") {
-        edges {
-          node {
-            key
-            value
-          }
-        }
-      }
-    }
-  }`;
+  try {
+    await amendExportedOrders(shop, accessToken);
+  } catch (error) {
+    console.error("Error checking order amendments:", error);
+    syncRun.error(`Error checking order amendments: ${error.message}`);
+  }
 
   try {
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': accessToken,
-      },
-      body: JSON.stringify({ query }),
-    });
+    await retryOrderCancellations();
+  } catch (error) {
+    console.error("Error retrying order cancellations:", error);
+    syncRun.error(`Error retrying order cancellations: ${error.message}`);
+  }
+}
 
-    const result = await response.json();
+// Exported orders edited in Shopify since they were sent to Monitor
+async function amendExportedOrders(shop, accessToken) {
+  const syncRun = currentSyncRun();
+  const orderExports = await getOrdersToAmend(shop, accessToken);
+  if (orderExports.length > 0) {
+    console.log(`Checking ${orderExports.length} exported orders for amendments`);
+  }
 
-    if (result.errors) {
-      console.error("GraphQL errors getting customer metafields:", JSON.stringify(result.errors, null, 2));
-      return null;
+  for (const orderExport of orderExports) {
+    const name = orderExport.monitorOrderNumber || orderExport.draftOrderName;
+    const result = await syncOrderAmendments(shop, accessToken, orderExport);
+    if (result.status === "applied") {
+      syncRun.updated();
+    } else if (result.status === "refused" || result.status === "failed") {
+      syncRun.failed(name, result.reason);
     }
+  }
+}
 
-    const customer = result.data?.customer;
-    const metafields = customer?.metafields?.edges || [];
-    const monitorIdMetafield = metafields.find(mf => mf.node.key === "monitor_id");
-
-    if (!monitorIdMetafield) {
-      return null;
-    }
+// Cancelled orders whose Monitor order couldn't be cancelled; cancellations missed by the webhooks
+// are found by the amendment check above
+async function retryOrderCancellations() {
+  const syncRun = currentSyncRun();
+  const orderExports = await getFailedOrderCancellations();
+  if (orderExports.length > 0) {
+    console.log(`Retrying ${orderExports.length} failed order cancellations`);
+  }
 
-    // Parse Reference ID from note field
-    // Note format: "Monitor Customer ID: <id>, Reference ID: <id>"
-    let referenceId = null;
-    const note = customer?.note || '';
-    const referenceIdMatch = note.match(/Reference ID:\s*(\d+)/);
-    if (referenceIdMatch) {
-      referenceId = referenceIdMatch[1];
+  for (const orderExport of orderExports) {
+    const result = await cancelExportedOrder(orderExport.draftOrderId, orderExport.cancellationReason);
+    if (result.status === "cancelled") {
+      syncRun.updated();
+    } else if (result.status === "flagged" || result.status === "failed") {
+      syncRun.failed(orderExport.monitorOrderNumber || orderExport.draftOrderName, result.reason);
     }
-
-    return {
-      monitorId: monitorIdMetafield.node.value,
-      referenceId: referenceId
-    };
-  } catch (error) {
-    console.error("Error fetching customer metafields:", error);
-    return null;
   }
 }
 
-/**
- * Build Monitor order rows from Shopify line items
- */
-async function buildMonitorOrderRows(shop, accessToken, lineItems) {
-  const fetch = (await import('node-fetch')).default;
-  const rows = [];
-
-  for (const lineItem of lineItems) {
-    try {
-      // Get variant metafields to find monitor_id
-      // In draft orders, variant is null but variant ID is stored in customAttributes
-      let variantId = null;
-      
-      if (lineItem.variant?.id) {
-        variantId = lineItem.variant.id.split('/').pop();
-      } else {
-        // For draft orders, look for _variant_id in customAttributes
-        const variantIdAttribute = lineItem.customAttributes?.find(attr => attr.key === '_variant_id');
-        if (variantIdAttribute) {
-          variantId = variantIdAttribute.value;
-        }
-      }
-      
-      if (!variantId) {
-        console.warn(`Draft order line item ${lineItem.id} has no variant ID in variant field or customAttributes, skipping. LineItem data:`, JSON.stringify(lineItem, null, 2));
-        continue;
-      }
-      
-      console.log(`Processing draft order line item ${lineItem.id} with variant ID: ${variantId}`);
-
-      const query = `query {
-        productVariant(id: "gid://shopify/ProductVariant/${variantId}") {
+// Completed draft orders from the last 12 hours, to catch any we might have missed, all pages
+async function fetchCompletedDraftOrders(shop, accessToken) {
+  const twelveHoursAgo = new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString();
+
+  const draftOrderQuery = `query($cursor: String) {
+    draftOrders(first: 50, after: $cursor, query: "created_at:>='${twelveHoursAgo}' AND status:completed") {
+      edges {
+        node {
+          id
+          name
+          totalPrice
+          status
           metafields(first: 10, namespace: "custom") {
             edges {
               node {
@@ -438,253 +150,25 @@ async function buildMonitorOrderRows(shop, accessToken, lineItems) {
             }
           }
         }
-      }`;
-
-      const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': accessToken,
-        },
-        body: JSON.stringify({ query }),
-      });
-
-      const result = await response.json();
-
-      if (result.errors) {
-        console.error(`GraphQL errors getting variant ${variantId} metafields:`, JSON.stringify(result.errors, null, 2));
-        continue;
-      }
-
-      const metafields = result.data?.productVariant?.metafields?.edges || [];
-      const monitorIdMetafield = metafields.find(mf => mf.node.key === "monitor_id");
-      
-      if (!monitorIdMetafield) {
-        console.warn(`Variant ${variantId} for line item ${lineItem.id} has no monitor_id metafield, skipping`);
-        continue;
-      }
-
-      const monitorPartId = monitorIdMetafield.node.value; // Keep as string to avoid precision loss
-      
-      // Create order row - get price from draft order line item
-      // In draft orders, use discountedUnitPrice first (includes custom pricing), then originalUnitPrice
-      let unitPrice = 0;
-      
-      if (lineItem.discountedUnitPrice) {
-        // Use discounted price which includes custom pricing
-        unitPrice = parseFloat(lineItem.discountedUnitPrice);
-      } else if (lineItem.originalUnitPrice) {
-        // Fallback to original price
-        unitPrice = parseFloat(lineItem.originalUnitPrice);
-      } else if (lineItem.variant?.price) {
-        // Final fallback to variant price
-        unitPrice = parseFloat(lineItem.variant.price);
-      } else {
-        console.warn(`No price found for draft order line item ${lineItem.id}, using 0`);
-      }
-      
-      // For decimal products, check if there's a decimal quantity in customAttributes
-      let orderedQuantity = lineItem.quantity; // Default to the line item quantity
-      
-      // Look for decimal quantity in the "Enhet" (Unit) custom attribute
-      // Format is like "0,5 m" or "2,5 kg" with Swedish decimal separator
-      const unitAttribute = lineItem.customAttributes?.find(attr => attr.key === 'Enhet');
-      
-      if (unitAttribute && unitAttribute.value) {
-        // Extract decimal quantity from format "0,5 m" -> 0.5
-        const unitValue = unitAttribute.value.trim();
-        const quantityMatch = unitValue.match(/^([0-9]+[,.]?[0-9]*)/);
-        
-        if (quantityMatch) {
-          // Convert Swedish decimal separator to English
-          const decimalQuantityStr = quantityMatch[1].replace(',', '.');
-          const decimalQuantity = parseFloat(decimalQuantityStr);
-          
-          if (!isNaN(decimalQuantity) && decimalQuantity > 0) {
-            orderedQuantity = decimalQuantity;
-            console.log(`Using decimal quantity ${decimalQuantity} from "Enhet" attribute "${unitValue}" for line item ${lineItem.id}`);
-          }
-        }
-      }
-      
-      // Check if this line item has beam data (Balk configuration) in its properties
-      let subRowContent = null;
-      
-      // Look for beam-related properties in customAttributes (Balk configuration)
-      // Now simplified to just look for Balkspecifikation with pipe-separated format
-      let beamSummary = null;
-      
-      if (lineItem.customAttributes && Array.isArray(lineItem.customAttributes)) {
-        lineItem.customAttributes.forEach(attr => {
-          if (attr.key === 'Balkspecifikation') {
-            beamSummary = attr.value;
-          }
-        });
-      }
-      
-      // If we have beam specification, build SubRowContent from the pipe-separated format
-      if (beamSummary) {
-        const subRowLines = [];
-        
-        // Parse the pipe-separated format: "3×5,5m | 1×8,4m"
-        const beamParts = beamSummary.split(' | ');
-        
-        beamParts.forEach((part, index) => {
-          const rowNum = index + 1;
-          
-          // Parse each part: "3×5,5m" -> count=3, length=5,5m
-          const match = part.trim().match(/^(\d+)×([\d,]+)m$/);
-          if (match) {
-            const count = match[1];
-            const lengthStr = match[2]; // Already in Swedish format with comma
-            
-            subRowLines.push(`Antal ${rowNum}:\t${count},00 st`);
-            
-            // Convert length from meters to millimeters and keep Swedish comma format
-            const lengthInM = parseFloat(lengthStr.replace(',', '.'));
-            const lengthInMm = (lengthInM * 1000).toFixed(2).replace('.', ',');
-            subRowLines.push(`Längd ${rowNum}:\t${lengthInMm} mm`);
-          } else {
-            console.warn(`⚠️ Could not parse beam part: "${part}"`);
-          }
-        });
-        
-        if (subRowLines.length > 0) {
-          subRowContent = subRowLines.join('\r\n');
-          console.log(`Created SubRowContent for line item ${lineItem.id}:`, subRowContent);
-        }
       }
-      
-      const orderRow = {
-        PartId: monitorPartId,
-        OrderedQuantity: orderedQuantity,
-        UnitPrice: unitPrice,
-        // Description: lineItem.title
-      };
-      
-      // Add SubRowContent if we have beam data for this variant
-      if (subRowContent) {
-        orderRow.SubRowContent = subRowContent;
-      }
-      
-      rows.push(orderRow);
-
-      console.log(`Added draft order line item ${lineItem.id} (Monitor Part ID: ${monitorPartId}) with quantity ${orderedQuantity} and unit price ${unitPrice}${subRowContent ? ' with beam data' : ''}`);
-    } catch (error) {
-      console.error(`Error processing line item ${lineItem.id}:`, error);
-      continue;
-    }
-  }
-
-  return rows;
-}
-
-/**
- * Update a draft order's name with the Monitor order number
- */
-async function updateDraftOrderName(shop, accessToken, draftOrderId, orderNumber) {
-  const fetch = (await import('node-fetch')).default;
-  
-  const mutation = `mutation {
-    draftOrderUpdate(id: "gid://shopify/DraftOrder/${draftOrderId}", input: {
-      name: "${orderNumber}"
-    }) {
-      draftOrder {
-        id
-        name
-      }
-      userErrors {
-        field
-        message
+      pageInfo {
+        hasNextPage
+        endCursor
       }
     }
   }`;
 
-  try {
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': accessToken,
-      },
-      body: JSON.stringify({ query: mutation }),
-    });
-
-    const result = await response.json();
-
-    if (result.errors) {
-      console.error("GraphQL errors updating draft order name:", JSON.stringify(result.errors, null, 2));
-      return false;
-    }
-
-    if (result.data?.draftOrderUpdate?.userErrors?.length > 0) {
-      console.error("User errors updating draft order name:", JSON.stringify(result.data.draftOrderUpdate.userErrors, null, 2));
-      return false;
-    }
-
-    console.log(`Updated draft order ${draftOrderId} name to: ${orderNumber}`);
-    return true;
-  } catch (error) {
-    console.error("Error updating draft order name:", error);
-    return false;
-  }
-}
-
-/**
- * Mark a draft order as sent to Monitor by setting the sent_to_monitor metafield to true
- */
-async function markDraftOrderAsSentToMonitor(shop, accessToken, draftOrderId) {
-  const fetch = (await import('node-fetch')).default;
-  
-  const mutation = `mutation {
-    draftOrderUpdate(id: "gid://shopify/DraftOrder/${draftOrderId}", input: {
-      metafields: [
-        {
-          namespace: "custom"
-          key: "sent_to_monitor"
-          value: "true"
-          type: "boolean"
-        }
-      ]
-    }) {
-      draftOrder {
-        id
-      }
-      userErrors {
-        field
-        message
-      }
-    }
-  }`;
-
-  try {
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': accessToken,
-      },
-      body: JSON.stringify({ query: mutation }),
-    });
-
-    const result = await response.json();
-
-    if (result.errors) {
-      console.error("GraphQL errors marking draft order as sent:", JSON.stringify(result.errors, null, 2));
-      return false;
-    }
-
-    if (result.data?.draftOrderUpdate?.userErrors?.length > 0) {
-      console.error("User errors marking draft order as sent:", JSON.stringify(result.data.draftOrderUpdate.userErrors, null, 2));
-      return false;
-    }
-
-    console.log(`✅ Marked draft order ${draftOrderId} as sent to Monitor`);
-    return true;
-  } catch (error) {
-    console.error("Error marking draft order as sent to Monitor:", error);
-    return false;
+  const draftOrders = [];
+  let cursor = null;
+  let hasNextPage = true;
+  while (hasNextPage) {
+    const data = await shopifyGraphQL(shop, accessToken, draftOrderQuery, { cursor });
+    const page = data?.draftOrders;
+    draftOrders.push(...(page?.edges || []));
+    hasNextPage = page?.pageInfo?.hasNextPage || false;
+    cursor = page?.pageInfo?.endCursor;
   }
+  return draftOrders;
 }
 
 export { pollForNewOrders };
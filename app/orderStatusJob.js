@@ -0,0 +1,205 @@
+import "@shopify/shopify-api/adapters/node";
+import dotenv from "dotenv";
+import prisma from "./db.server.js";
+import { shopifyGraphQL } from "./utils/shopify-admin.js";
+import { currentSyncRun } from "./utils/sync-runs.js";
+import { fetchCustomerOrderStatusFromMonitor } from "./utils/monitor.js";
+import { MONITOR_STATES, summarizeMonitorOrder } from "./utils/monitor-order-status.js";
+dotenv.config();
+
+// Order status feedback - writes the state of exported orders in Monitor (confirmed, delivered,
+// invoiced, delivered quantities per row, delivery date) back to the Shopify order, so customers
+// can follow their orders from their account pages
+
+// Each state is also a tag on the Shopify order, e.g. monitor-delivered
+const STATE_TAGS = MONITOR_STATES.map(state => `monitor-${state.replace("_", "-")}`);
+
+// Orders still not invoiced after this long are left alone
+const MAX_ORDER_AGE_DAYS = 180;
+
+async function findShopifyOrderId(shop, accessToken, draftOrderId) {
+  const data = await shopifyGraphQL(shop, accessToken, `query($id: ID!) {
+    draftOrder(id: $id) {
+      order {
+        id
+      }
+    }
+  }`, { id: `gid://shopify/DraftOrder/${draftOrderId}` });
+  return data?.draftOrder?.order?.id || null;
+}
+
+async function writeStatusToShopify(shop, accessToken, orderId, orderExport, summary) {
+  const metafields = [
+    { ownerId: orderId, namespace: "custom", key: "monitor_status", type: "single_line_text_field", value: summary.state },
+    { ownerId: orderId, namespace: "custom", key: "monitor_rows", type: "json", value: JSON.stringify(summary.rows) },
+  ];
+  if (orderExport.monitorOrderNumber) {
+    metafields.push({ ownerId: orderId, namespace: "custom", key: "monitor_order_number", type: "single_line_text_field", value: orderExport.monitorOrderNumber });
+  }
+  if (summary.deliveryDate) {
+    metafields.push({ ownerId: orderId, namespace: "custom", key: "monitor_delivery_date", type: "date", value: summary.deliveryDate });
+  }
+
+  const metafieldsResult = await shopifyGraphQL(shop, accessToken, `mutation($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }`, { metafields });
+  const metafieldErrors = metafieldsResult?.metafieldsSet?.userErrors || [];
+  if (metafieldErrors.length > 0) {
+    throw new Error(`Could not set status metafields: ${JSON.stringify(metafieldErrors)}`);
+  }
+
+  // Replace the previous state tag
+  const tag = STATE_TAGS[MONITOR_STATES.indexOf(summary.state)];
+  const tagsResult = await shopifyGraphQL(shop, accessToken, `mutation($id: ID!, $remove: [String!]!, $add: [String!]!) {
+    tagsRemove(id: $id, tags: $remove) {
+      userErrors {
+        message
+      }
+    }
+    tagsAdd(id: $id, tags: $add) {
+      userErrors {
+        message
+      }
+    }
+  }`, { id: orderId, remove: STATE_TAGS.filter(other => other !== tag), add: [tag] });
+  const tagErrors = [...(tagsResult?.tagsRemove?.userErrors || []), ...(tagsResult?.tagsAdd?.userErrors || [])];
+  if (tagErrors.length > 0) {
+    throw new Error(`Could not update status tags: ${JSON.stringify(tagErrors)}`);
+  }
+}
+
+// Monitor rows can't be matched to Shopify line items one to one (decimal quantities, skipped items),
+// so the order is fulfilled as a whole once Monitor has delivered everything
+async function fulfillShopifyOrder(shop, accessToken, orderId) {
+  const data = await shopifyGraphQL(shop, accessToken, `query($id: ID!) {
+    order(id: $id) {
+      fulfillmentOrders(first: 10) {
+        nodes {
+          id
+          status
+        }
+      }
+    }
+  }`, { id: orderId });
+
+  const openFulfillmentOrders = (data?.order?.fulfillmentOrders?.nodes || [])
+    .filter(fulfillmentOrder => ["OPEN", "IN_PROGRESS"].includes(fulfillmentOrder.status));
+  if (openFulfillmentOrders.length === 0) {
+    return false;
+  }
+
+  const result = await shopifyGraphQL(shop, accessToken, `mutation($fulfillment: FulfillmentInput!) {
+    fulfillmentCreate(fulfillment: $fulfillment) {
+      fulfillment {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`, {
+    fulfillment: {
+      lineItemsByFulfillmentOrder: openFulfillmentOrders.map(fulfillmentOrder => ({ fulfillmentOrderId: fulfillmentOrder.id })),
+      notifyCustomer: false,
+    },
+  });
+  const userErrors = result?.fulfillmentCreate?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new Error(`Could not fulfill order: ${JSON.stringify(userErrors)}`);
+  }
+  return true;
+}
+
+async function syncOrderStatus(shop, accessToken, orderExport) {
+  const syncRun = currentSyncRun();
+
+  const monitorOrder = await fetchCustomerOrderStatusFromMonitor(orderExport.monitorOrderId);
+  if (!monitorOrder) {
+    throw new Error(`Monitor order ${orderExport.monitorOrderNumber || orderExport.monitorOrderId} not found`);
+  }
+
+  let shopifyOrderId = orderExport.shopifyOrderId;
+  if (!shopifyOrderId) {
+    shopifyOrderId = await findShopifyOrderId(shop, accessToken, orderExport.draftOrderId);
+    if (!shopifyOrderId) {
+      throw new Error(`Draft order ${orderExport.draftOrderName} has no Shopify order`);
+    }
+    await prisma.orderExport.update({ where: { draftOrderId: orderExport.draftOrderId }, data: { shopifyOrderId } });
+  }
+
+  const summary = summarizeMonitorOrder(monitorOrder);
+  const signature = JSON.stringify(summary);
+  const needsFulfillment = ["delivered", "invoiced"].includes(summary.state) && !orderExport.fulfilledAt;
+
+  if (signature === orderExport.statusSignature && !needsFulfillment) {
+    syncRun.skipped();
+    return;
+  }
+
+  if (signature !== orderExport.statusSignature) {
+    await writeStatusToShopify(shop, accessToken, shopifyOrderId, orderExport, summary);
+    console.log(`✅ Order ${orderExport.monitorOrderNumber || orderExport.draftOrderName}: ${orderExport.monitorState || "new"} → ${summary.state}`);
+  }
+
+  let fulfilledAt = orderExport.fulfilledAt;
+  if (needsFulfillment) {
+    const fulfilled = await fulfillShopifyOrder(shop, accessToken, shopifyOrderId);
+    if (fulfilled) {
+      console.log(`📦 Fulfilled Shopify order for Monitor order ${orderExport.monitorOrderNumber || orderExport.monitorOrderId}`);
+    }
+    fulfilledAt = new Date();
+  }
+
+  await prisma.orderExport.update({
+    where: { draftOrderId: orderExport.draftOrderId },
+    data: { monitorState: summary.state, statusSignature: signature, statusSyncedAt: new Date(), fulfilledAt },
+  });
+  syncRun.updated();
+}
+
+async function syncOrderStatuses() {
+  const syncRun = currentSyncRun();
+
+  const shop = process.env.ADVANCED_STORE_DOMAIN;
+  const accessToken = process.env.ADVANCED_STORE_ADMIN_TOKEN;
+
+  if (!shop || !accessToken) {
+    console.log("Advanced store configuration missing for order status sync!");
+    syncRun.error("Advanced store configuration missing for order status sync!");
+    return;
+  }
+
+  // Exported orders that Monitor hasn't invoiced yet and that weren't cancelled
+  const orderExports = await prisma.orderExport.findMany({
+    where: {
+      status: "completed",
+      monitorOrderId: { not: null },
+      createdAt: { gte: new Date(Date.now() - MAX_ORDER_AGE_DAYS * 24 * 60 * 60 * 1000) },
+      AND: [
+        { OR: [{ monitorState: null }, { monitorState: { not: "invoiced" } }] },
+        { OR: [{ cancellationStatus: null }, { cancellationStatus: { notIn: ["cancelled", "handled"] } }] },
+      ],
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  console.log(`Checking Monitor status of ${orderExports.length} exported orders`);
+
+  for (const orderExport of orderExports) {
+    try {
+      await syncOrderStatus(shop, accessToken, orderExport);
+    } catch (error) {
+      console.error(`  ❌ Failed to sync status of order ${orderExport.monitorOrderNumber || orderExport.draftOrderName}:`, error.message);
+      syncRun.failed(orderExport.monitorOrderNumber || orderExport.draftOrderName, error.message);
+    }
+  }
+}
+
+export { syncOrderStatuses };
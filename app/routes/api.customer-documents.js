@@ -0,0 +1,56 @@
+import { json } from "@remix-run/node";
+import { MonitorError } from "../utils/monitor-errors.js";
+import { authenticateProxyCustomer } from "../utils/app-proxy.js";
+
+// Invoices and delivery notes for the account page, through the app proxy (/apps/monitor/customer-documents).
+// Without type and id it lists the customer's documents, with ?type=invoice|delivery_note&id=... it returns
+// the PDF. Documents of other customers are answered with 404, the same as documents that don't exist.
+export async function loader({ request }) {
+  const url = new URL(request.url);
+  const type = url.searchParams.get("type");
+  const documentId = url.searchParams.get("id");
+  const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10) || 1);
+
+  try {
+    const customer = await authenticateProxyCustomer(request);
+    if (customer.error) {
+      return json({ error: customer.error }, { status: customer.status });
+    }
+
+    const {
+      listCustomerDocuments,
+      getCustomerDocument,
+      documentFileName,
+      generateDocumentPDF,
+    } = await import("../utils/customer-documents.js");
+
+    if (!type && !documentId) {
+      const documents = await listCustomerDocuments(customer.monitorCustomerId, page);
+      return json(documents, { headers: { "Cache-Control": "private, no-store" } });
+    }
+
+    const document = await getCustomerDocument(customer.monitorCustomerId, type, documentId);
+    if (!document) {
+      return json({ error: "Document not found" }, { status: 404 });
+    }
+
+    const pdf = await generateDocumentPDF(type, document);
+    console.log(`[Customer Documents] Customer ${customer.customerId} downloaded ${type} ${documentId}`);
+
+    return new Response(pdf, {
+      headers: {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${documentFileName(type, document)}"`,
+        "Content-Length": String(pdf.length),
+        "Cache-Control": "private, no-store",
+      },
+    });
+  } catch (error) {
+    if (error instanceof MonitorError) {
+      console.error("[Customer Documents] Monitor API error:", error.status, error.message);
+      return json({ error: "Monitor API error" }, { status: 502 });
+    }
+    console.error("[Customer Documents] Error:", error);
+    return json({ error: "Internal server error" }, { status: 500 });
+  }
+}
@@ -1,12 +1,8 @@
 import { json } from "@remix-run/node";
-import https from "https";
+import { MonitorError } from "../utils/monitor-errors.js";
 
-const monitorUrl = process.env.MONITOR_URL;
-const monitorCompany = process.env.MONITOR_COMPANY;
 const LOOKUP_API_KEY = process.env.CUSTOMER_LOOKUP_API_KEY;
 
-const agent = new https.Agent({ rejectUnauthorized: false });
-
 let _monitorClient = null;
 async function getMonitorClient() {
   if (!_monitorClient) {
@@ -49,8 +45,6 @@ export async function loader({ request }) {
     console.log("[Customer Lookup] Query:", query);
 
     const client = await getMonitorClient();
-    const sessionId = await client.getSessionId();
-    console.log("[Customer Lookup] Session obtained");
 
     // Search customers by Name or Code (customer number) via OData filter.
     // Monitor's OData v4 only supports startswith() / eq for string search —
@@ -60,44 +54,22 @@ export async function loader({ request }) {
     // rejects `ne` on this property.
     const escapedQuery = query.replace(/'/g, "''");
     const filter = `startswith(Name,'${escapedQuery}') or startswith(Code,'${escapedQuery}')`;
-    const rawUrl = `${monitorUrl}/${monitorCompany}/api/v1/Sales/Customers?$select=Id,Name,Code,BlockedStatus&$filter=${filter}&$top=20`;
-    // URL-encode so spaces/parens/quotes are transmitted safely.
-    const url = encodeURI(rawUrl);
-    console.log("[Customer Lookup] Monitor URL:", url);
-
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
-    });
-
-    if (res.status === 401) {
-      await client.login();
-      const newSessionId = await client.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
+    console.log("[Customer Lookup] Monitor filter:", filter);
+
+    let customers;
+    try {
+      customers = await client.odata("Sales/Customers", {
+        select: "Id,Name,Code,BlockedStatus",
+        filter,
+        top: 20,
       });
+    } catch (error) {
+      if (!(error instanceof MonitorError)) throw error;
+      console.error("[Customer Lookup] Monitor API error:", error.status, error.message);
+      return json({ error: "Monitor API error", status: error.status, detail: error.body || error.message }, { status: 502, headers: corsHeaders() });
     }
 
-    if (res.status !== 200) {
-      const errorText = await res.text();
-      console.error("[Customer Lookup] Monitor API error:", res.status, errorText);
-      return json({ error: "Monitor API error", status: res.status, detail: errorText }, { status: 502, headers: corsHeaders() });
-    }
-
-    const customers = await res.json();
-
-    const result = (Array.isArray(customers) ? customers : [])
+    const result = customers
       .filter(c => c.BlockedStatus !== 2)
       .slice(0, 10)
       .map(c => ({
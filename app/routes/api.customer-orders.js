@@ -0,0 +1,29 @@
+import { json } from "@remix-run/node";
+import { MonitorError } from "../utils/monitor-errors.js";
+import { authenticateProxyCustomer } from "../utils/app-proxy.js";
+
+// Order history for the account page. Only reachable through the app proxy (/apps/monitor/customer-orders),
+// which tells us which customer is logged in - the customer can't be picked with a query parameter.
+export async function loader({ request }) {
+  const page = Math.max(1, parseInt(new URL(request.url).searchParams.get("page") || "1", 10) || 1);
+
+  try {
+    const customer = await authenticateProxyCustomer(request);
+    if (customer.error) {
+      return json({ error: customer.error, page, hasNextPage: false, orders: [], invoices: [] }, { status: customer.status });
+    }
+
+    const { getCustomerOrderHistory } = await import("../utils/customer-orders.js");
+    const history = await getCustomerOrderHistory(customer.shop, customer.accessToken, customer.monitorCustomerId, page);
+    console.log(`[Customer Orders] Customer ${customer.customerId} page ${page}: ${history.orders.length} orders${history.cached ? " (cached)" : ""}`);
+
+    return json(history, { headers: { "Cache-Control": "private, no-store" } });
+  } catch (error) {
+    if (error instanceof MonitorError) {
+      console.error("[Customer Orders] Monitor API error:", error.status, error.message);
+      return json({ error: "Monitor API error" }, { status: 502 });
+    }
+    console.error("[Customer Orders] Error:", error);
+    return json({ error: "Internal server error" }, { status: 500 });
+  }
+}
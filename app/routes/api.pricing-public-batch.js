@@ -1,57 +1,22 @@
 import { json } from "@remix-run/node";
-import https from "https";
-
-// Monitor API configuration
-const monitorUrl = process.env.MONITOR_URL;
-const monitorUsername = process.env.MONITOR_USER;
-const monitorPassword = process.env.MONITOR_PASS;
-const monitorCompany = process.env.MONITOR_COMPANY;
-
-// SSL agent for self-signed certificates
-const agent = new https.Agent({ rejectUnauthorized: false });
-
-// Use shared MonitorClient for session management (stored in DB, shared across endpoints)
-let _monitorClient = null;
-async function getMonitorClient() {
-  if (!_monitorClient) {
-    const { MonitorClient } = await import("../utils/monitor.server.js");
-    _monitorClient = new MonitorClient();
-  }
-  return _monitorClient;
-}
-
-// Helper function to add CORS headers
-function corsHeaders() {
+import { authenticateProxyCustomer } from "../utils/app-proxy.js";
+import { priceCacheHeaders } from "../utils/price-cache.js";
+import { parsePriceQuantity } from "../utils/price-breaks.js";
+import { getCustomerPrices, isMonitorConfigured } from "../utils/pricing.js";
+
+// Only served through the app proxy (/apps/monitor/pricing-public-batch), on the storefront's own origin, so
+// there are no CORS headers. The prices are the customer's own and must not be cached by anyone else.
+function responseHeaders(extra = {}) {
   return {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
+    "Cache-Control": "private, no-store",
+    ...extra,
   };
 }
 
-// Get or refresh session ID using shared MonitorClient
-async function getSessionId() {
-  const client = await getMonitorClient();
-  return client.getSessionId();
-}
-
-// Re-login and get new session ID using shared MonitorClient
-async function login() {
-  const client = await getMonitorClient();
-  return client.login();
-}
-
-// Handle OPTIONS request for CORS preflight
-export async function loader({ request }) {
-  if (request.method === "OPTIONS") {
-    return new Response(null, {
-      status: 200,
-      headers: corsHeaders(),
-    });
-  }
+export async function loader() {
   return json({ error: "Method not allowed" }, {
     status: 405,
-    headers: corsHeaders()
+    headers: responseHeaders()
   });
 }
 
@@ -59,40 +24,49 @@ export async function action({ request }) {
   if (request.method !== "POST") {
     return json({ error: "Method not allowed" }, {
       status: 405,
-      headers: corsHeaders()
+      headers: responseHeaders()
     });
   }
 
   try {
     const body = await request.json();
-    const { items, customerId, customerMonitorId, shop } = body;
-
-    // Validate required fields
-    if (!customerId) {
-      return json({ error: "Customer ID is required" }, {
-        status: 400,
-        headers: corsHeaders()
+    const { items } = body;
+
+    // The customer comes from the app proxy signature; a customerMonitorId in the body is only honored for sales reps
+    const customer = await authenticateProxyCustomer(request, { requestedMonitorId: body.customerMonitorId });
+    if (customer.error) {
+      return json({ error: customer.error }, {
+        status: customer.status,
+        headers: responseHeaders()
       });
     }
+    const customerMonitorId = customer.monitorCustomerId;
+
+    // Sales reps can ask where each price comes from
+    const explain = body.explain === true && customer.isSalesRep;
+    if (body.explain === true && !customer.isSalesRep) {
+      console.warn(`[Batch Pricing] Customer ${customer.customerId} asked for price explanations but isn't a sales rep`);
+    }
 
     if (!Array.isArray(items) || items.length === 0) {
       return json({ error: "Items array is required and must not be empty" }, {
         status: 400,
-        headers: corsHeaders()
+        headers: responseHeaders()
       });
     }
 
-    if (!shop) {
-      return json({ error: "Shop parameter is required" }, {
+    // Each item can have a quantity in the part's standard unit, so its price includes Monitor's quantity breaks
+    if (items.some(item => parsePriceQuantity(item.quantity) === null)) {
+      return json({ error: "Item quantities must be positive numbers" }, {
         status: 400,
-        headers: corsHeaders()
+        headers: responseHeaders()
       });
     }
 
     console.log(`[Batch Pricing] Processing batch request for ${items.length} items, customer ${customerMonitorId}`);
 
     // Check if Monitor API is configured
-    if (!monitorUrl || !monitorUsername || !monitorCompany) {
+    if (!isMonitorConfigured()) {
       console.log('[Batch Pricing] Monitor API not configured');
       return json({
         prices: items.map(item => ({
@@ -102,39 +76,27 @@ export async function action({ request }) {
           error: "API not configured"
         }))
       }, {
-        headers: corsHeaders()
+        headers: responseHeaders()
       });
     }
 
-    // Fetch missing StandardUnitIds from Monitor API
-    const { fetchPartStandardUnitId } = await import("../utils/monitor.server.js");
-
-    // Check which items are missing StandardUnitId and fetch them
-    const itemsWithUnitIds = await Promise.all(items.map(async (item) => {
-      if (item.standardUnitId) {
-        return item;
-      }
-
-      // Fetch StandardUnitId from Monitor
-      console.log(`[Batch Pricing] Fetching StandardUnitId for ${item.monitorId}`);
-      const unitId = await fetchPartStandardUnitId(item.monitorId);
-      return {
-        ...item,
-        standardUnitId: unitId
-      };
-    }));
-
-    // Filter out items without a valid UnitId
-    const validItems = itemsWithUnitIds.filter(item => item.standardUnitId);
-    const skippedItems = itemsWithUnitIds.filter(item => !item.standardUnitId);
+    // Items without a StandardUnitId get it from Monitor, and are left unpriced if Monitor has none
+    const { prices: itemPrices, hits, misses, error } = await getCustomerPrices(customerMonitorId, items.map(item => ({
+      variantId: item.variantId,
+      monitorId: item.monitorId,
+      standardUnitId: item.standardUnitId,
+      quantity: parsePriceQuantity(item.quantity)
+    })), { explain });
 
+    const isSkipped = price => price.priceSource === "missing-unit-id" || price.priceSource === "missing-monitor-ids";
+    const skippedItems = itemPrices.filter(isSkipped);
     if (skippedItems.length > 0) {
       console.log(`[Batch Pricing] Skipping ${skippedItems.length} items without UnitId:`,
         skippedItems.map(i => i.monitorId));
     }
 
     // If no valid items, return early with null prices for all
-    if (validItems.length === 0) {
+    if (skippedItems.length === items.length) {
       console.log(`[Batch Pricing] No valid items with UnitId, returning empty prices`);
       return json({
         prices: items.map(item => ({
@@ -144,67 +106,16 @@ export async function action({ request }) {
           error: "No UnitId available"
         }))
       }, {
-        headers: corsHeaders()
-      });
-    }
-
-    // Build the request array for Monitor API
-    // Each item must have: PartId, CustomerId, QuantityInUnit, UnitId, UseExtendedResult
-    const priceRequests = validItems.map(item => ({
-      PartId: item.monitorId,
-      CustomerId: customerMonitorId,
-      QuantityInUnit: 1.0,
-      UnitId: item.standardUnitId,
-      UseExtendedResult: true
-    }));
-
-    let session = await getSessionId();
-    const url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/CustomerOrders/GetPriceInfo/Many`;
-
-    console.log(`[Batch Pricing] Calling Monitor API: ${url}`);
-    console.log(`[Batch Pricing] Request body (${priceRequests.length} items):`, JSON.stringify(priceRequests, null, 2));
-
-    let res = await fetch(url, {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": session,
-      },
-      body: JSON.stringify(priceRequests),
-      agent,
-    });
-
-    // Handle session expiry
-    if (res.status === 401) {
-      console.log(`[Batch Pricing] Session expired, re-logging in...`);
-      session = await login();
-      res = await fetch(url, {
-        method: "POST",
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": session,
-        },
-        body: JSON.stringify(priceRequests),
-        agent,
+        headers: responseHeaders()
       });
     }
 
-    if (res.status !== 200) {
-      const errorText = await res.text();
-      console.error(`[Batch Pricing] Monitor API error: ${res.status} ${res.statusText}`);
-      console.error(`[Batch Pricing] Error response: ${errorText}`);
-      console.error(`[Batch Pricing] Request URL: ${url}`);
-      console.error(`[Batch Pricing] Request body sample:`, JSON.stringify(priceRequests[0]));
+    if (error) {
+      console.error(`[Batch Pricing] Monitor API error: ${error.status} ${error.name}`);
       return json({
         error: "Monitor API error",
-        monitorStatus: res.status,
-        monitorError: errorText,
-        requestUrl: url,
-        requestSample: priceRequests[0],
+        monitorStatus: error.status,
+        monitorError: error.body || error.message,
         prices: items.map(item => ({
           variantId: item.variantId,
           monitorId: item.monitorId,
@@ -213,45 +124,39 @@ export async function action({ request }) {
         }))
       }, {
         status: 200, // Return 200 so client can see the error details
-        headers: corsHeaders()
+        headers: responseHeaders()
       });
     }
 
-    const response = await res.json();
-    console.log(`[Batch Pricing] Received ${Array.isArray(response) ? response.length : 'non-array'} price responses`);
-
-    // Build a map of monitorId -> price response for valid items
-    const priceMap = new Map();
-    if (Array.isArray(response)) {
-      validItems.forEach((item, index) => {
-        priceMap.set(item.monitorId, response[index]);
-      });
-    }
-
-    // Map all original items to prices (including skipped ones with null)
-    const prices = items.map(item => {
-      const priceResponse = priceMap.get(item.monitorId);
-      return {
-        variantId: item.variantId,
-        monitorId: item.monitorId,
-        price: priceResponse?.TotalPrice || null,
-        calculatedPrice: priceResponse?.CalculatedTotalPrice || null,
-        metadata: {
-          unitPrice: priceResponse?.UnitPrice || null,
-          discount: priceResponse?.DiscountPercent || null
-        }
-      };
-    });
+    console.log(`[Batch Pricing] ${hits} prices from cache, ${misses} from Monitor`);
+
+    const prices = itemPrices.map(price => ({
+      variantId: price.variantId,
+      monitorId: price.monitorId,
+      quantity: price.quantity,
+      // TotalPrice is for the whole quantity, the storefront shows the unit price
+      price: price.price || null,
+      totalPrice: price.totalPrice || null,
+      calculatedPrice: price.calculatedPrice || null,
+      priceBreaks: price.priceBreaks,
+      ...(explain && { explanation: price.explanation }),
+      metadata: {
+        unitPrice: price.unitPrice || null,
+        discount: price.discountPercent || null,
+        // Items left unpriced had no price from Monitor
+        priceSource: isSkipped(price) ? "no-price" : price.priceSource
+      }
+    }));
 
     return json({ prices }, {
-      headers: corsHeaders()
+      headers: responseHeaders(priceCacheHeaders(hits, misses))
     });
 
   } catch (error) {
     console.error("[Batch Pricing] API error:", error);
     return json({ error: "Internal server error", details: error.message }, {
       status: 500,
-      headers: corsHeaders()
+      headers: responseHeaders()
     });
   }
 }
@@ -0,0 +1,134 @@
+import { json } from "@remix-run/node";
+import { MonitorError } from "../utils/monitor-errors.js";
+import { authenticateProxyCustomer } from "../utils/app-proxy.js";
+
+// Quotes (offerter) through the app proxy (/apps/monitor/quotes). GET lists the customer's quotes,
+// GET ?id=...&format=pdf returns a quote as PDF. POST { intent: "request", items, ... } asks for a quote
+// on the cart, POST { intent: "accept", id } turns an open quote into a draft order at the quoted prices.
+export async function loader({ request }) {
+  const url = new URL(request.url);
+  const quoteId = parseInt(url.searchParams.get("id") || "", 10);
+
+  try {
+    const customer = await authenticateProxyCustomer(request);
+    if (customer.error) {
+      return json({ error: customer.error }, { status: customer.status });
+    }
+
+    const { listCustomerQuotes, getCustomerQuote, generateQuotePDF } = await import("../utils/quotes.js");
+
+    if (url.searchParams.get("format") !== "pdf") {
+      const quotes = await listCustomerQuotes(customer.customerId);
+      return json({ quotes }, { headers: { "Cache-Control": "private, no-store" } });
+    }
+
+    const quote = await getCustomerQuote(customer.customerId, quoteId);
+    if (!quote) {
+      return json({ error: "Quote not found" }, { status: 404 });
+    }
+
+    const pdf = await generateQuotePDF(quote);
+    return new Response(pdf, {
+      headers: {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="offert-${quote.monitorQuoteNumber || `W${quote.id}`}.pdf"`,
+        "Content-Length": String(pdf.length),
+        "Cache-Control": "private, no-store",
+      },
+    });
+  } catch (error) {
+    console.error("[Quotes] Error:", error);
+    return json({ error: "Internal server error" }, { status: 500 });
+  }
+}
+
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const body = await request.json();
+
+    // A customerMonitorId in the body is a sales rep asking for a quote for another customer
+    const customer = await authenticateProxyCustomer(request, { requestedMonitorId: body.customerMonitorId });
+    if (customer.status === 404 && body.intent === "request") {
+      return json({
+        error: "Dina kunduppgifter är inte kompletta för att begära offert. Var god kontakta Sonsab",
+        errorType: "missing_customer_data",
+      }, { status: 400 });
+    }
+    if (customer.error) {
+      return json({ error: customer.error }, { status: customer.status });
+    }
+
+    const quotes = await import("../utils/quotes.js");
+
+    if (body.intent === "request") {
+      const { items, goodsLabel, orderMark } = body;
+      if (!Array.isArray(items) || items.length === 0) {
+        return json({ error: "Items array is required" }, { status: 400 });
+      }
+
+      const { buildCartLines, cartLinesTotal } = await import("../utils/draft-orders.js");
+      const lines = await buildCartLines({
+        apiDomain: customer.shop,
+        accessToken: customer.accessToken,
+        items,
+        pricing: { customerMonitorId: customer.monitorCustomerId },
+      });
+      // A quote is binding, so it is only made at Monitor prices and never at the variant (list) prices
+      const unpriced = lines.filter(line => !line.pricedByMonitor);
+      if (unpriced.length > 0) {
+        console.error(`[Quotes] Monitor could not price ${unpriced.map(line => `${line.variantId} (${line.priceSource})`).join(", ")}, quote refused`);
+      }
+      if (lines.length === 0 || unpriced.length > 0 || cartLinesTotal(lines) <= 0) {
+        return json({
+          error: "Något gick fel när vi hämtade dina priser. Försök igen eller kontakta oss.",
+          errorType: "pricing_failed",
+        }, { status: 400 });
+      }
+
+      const quote = await quotes.requestQuote({
+        shop: customer.shop,
+        customerId: customer.customerId,
+        customerEmail: customer.email,
+        monitorCustomerId: customer.monitorCustomerId,
+        lines,
+        goodsLabel,
+        orderMark,
+      });
+      return json({ success: true, quote, message: "Tack! Offerten skickas till din e-post inom några minuter." });
+    }
+
+    if (body.intent === "accept") {
+      const quote = await quotes.getCustomerQuote(customer.customerId, parseInt(body.id, 10));
+      if (!quote) {
+        return json({ error: "Quote not found" }, { status: 404 });
+      }
+
+      const result = await quotes.acceptQuote(quote, { apiDomain: customer.shop, accessToken: customer.accessToken });
+      if (result.error) {
+        return json({ error: result.error }, { status: 409 });
+      }
+      return json({
+        success: true,
+        draftOrder: {
+          id: result.draftOrder.id,
+          name: result.draftOrder.name,
+          invoiceUrl: result.draftOrder.invoice_url,
+          totalPrice: result.draftOrder.total_price,
+        },
+      });
+    }
+
+    return json({ error: "Unknown intent" }, { status: 400 });
+  } catch (error) {
+    if (error instanceof MonitorError) {
+      console.error("[Quotes] Monitor API error:", error.status, error.message);
+      return json({ error: "Monitor API error" }, { status: 502 });
+    }
+    console.error("[Quotes] Error:", error);
+    return json({ error: "Internal server error" }, { status: 500 });
+  }
+}
@@ -1,7 +1,6 @@
 import { json } from "@remix-run/node";
-import https from "https";
+import { MonitorError } from "../utils/monitor-errors.js";
 
-const agent = new https.Agent({ rejectUnauthorized: false });
 const monitorUrl = process.env.MONITOR_URL;
 const monitorCompany = process.env.MONITOR_COMPANY;
 
@@ -66,7 +65,6 @@ export async function action({ request }) {
     }
 
     const client = await getClient();
-    let session = await client.getSessionId();
 
     // Build batch request: one entry per monitorId × warehouseId
     const balanceDate = new Date();
@@ -90,47 +88,18 @@ export async function action({ request }) {
 
     console.log(`[Stock Batch] Fetching stock for ${uniqueMonitorIds.length} parts (${batchBody.length} warehouse calls in one batch)`);
 
-    const url = `${monitorUrl}/${monitorCompany}/api/v1/Inventory/Parts/GetPartBalanceInfo/Many`;
-
-    let res = await fetch(url, {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": session,
-      },
-      body: JSON.stringify(batchBody),
-      agent,
-    });
-
-    if (res.status === 401) {
-      console.log("[Stock Batch] Session expired, re-logging in...");
-      session = await client.login();
-      res = await fetch(url, {
-        method: "POST",
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": session,
-        },
-        body: JSON.stringify(batchBody),
-        agent,
-      });
-    }
-
-    if (res.status !== 200) {
-      const errorText = await res.text();
-      console.error(`[Stock Batch] Monitor API error: ${res.status} ${errorText}`);
+    let balances;
+    try {
+      balances = await client.post("Inventory/Parts/GetPartBalanceInfo/Many", batchBody, { idempotent: true });
+    } catch (error) {
+      if (!(error instanceof MonitorError)) throw error;
+      console.error(`[Stock Batch] Monitor API error: ${error.status} ${error.body || error.message}`);
       return json({
         error: "Monitor API error",
         stock: items.map(i => ({ monitorId: i.monitorId, variantId: i.variantId, warehouses: {}, total: 0 })),
       }, { status: 200, headers: corsHeaders() });
     }
 
-    const balances = await res.json();
-
     // Build a map: monitorId → { warehouseName: balance }
     const stockMap = {};
     if (Array.isArray(balances)) {
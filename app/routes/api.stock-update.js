@@ -1,5 +1,5 @@
 import { json } from "@remix-run/node";
-import https from "https";
+import { MonitorAuthError, MonitorError } from "../utils/monitor-errors.js";
 
 // Lazy-loaded shared MonitorClient to avoid session conflicts with other endpoints
 let monitorClient = null;
@@ -14,9 +14,6 @@ async function getMonitorClient() {
 const monitorUrl = process.env.MONITOR_URL;
 const monitorCompany = process.env.MONITOR_COMPANY;
 
-// SSL agent for self-signed certificates
-const agent = new https.Agent({ rejectUnauthorized: false });
-
 // Warehouse mapping (same as syncInventoryJob.js)
 const WAREHOUSE_METAFIELD_MAPPING = {
   '933124852911871989': 'custom.stock_vittsjo',
@@ -44,30 +41,26 @@ function corsHeaders() {
   };
 }
 
-// Call Monitor GetPartBalanceInfo for a specific warehouse
-async function getPartBalance(partId, warehouseId, sessionId) {
-  const url = `${monitorUrl}/${monitorCompany}/api/v1/Inventory/Parts/GetPartBalanceInfo`;
-
+// Call Monitor GetPartBalanceInfo for a specific warehouse, 0 if Monitor can't answer
+async function getPartBalance(client, partId, warehouseId) {
   // BalanceDate = today + 14 days
   const balanceDate = new Date();
   balanceDate.setDate(balanceDate.getDate() + 14);
 
-  return fetch(url, {
-    method: "POST",
-    headers: {
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      "Cache-Control": "no-cache",
-      "X-Monitor-SessionId": sessionId,
-    },
-    body: JSON.stringify({
+  try {
+    const data = await client.post("Inventory/Parts/GetPartBalanceInfo", {
       PartId: partId,
       WarehouseId: warehouseId,
       BalanceDate: balanceDate.toISOString(),
       ActualOrdersTransactionType: 16352,
-    }),
-    agent,
-  });
+    }, { idempotent: true });
+    return data?.AvailableBalance || 0;
+  } catch (error) {
+    // Without a valid session every warehouse would report 0, so fail the request instead
+    if (!(error instanceof MonitorError) || error instanceof MonitorAuthError) throw error;
+    console.error(`[Stock Update] GetPartBalanceInfo failed for warehouse ${warehouseId}: ${error.status} ${error.body || error.message}`);
+    return 0;
+  }
 }
 
 // Determine stock status from stock data and stock control
@@ -204,40 +197,16 @@ export async function action({ request }) {
 
     // Use the shared MonitorClient session (stored in DB, shared with pricing endpoint)
     const client = await getMonitorClient();
-    let sessionId = await client.getSessionId();
     const warehouseIds = Object.keys(WAREHOUSE_METAFIELD_MAPPING);
     const stockData = {};
 
-    // Test session with first warehouse, re-login if needed
-    const testRes = await getPartBalance(monitorId, warehouseIds[0], sessionId);
-    if (testRes.status === 401) {
-      console.log('[Stock Update] Session expired, re-logging in...');
-      sessionId = await client.login();
-    } else if (testRes.status === 200) {
-      // Use the test result for the first warehouse
-      const testData = await testRes.json();
-      stockData[warehouseIds[0]] = testData.AvailableBalance || 0;
-    } else {
-      const errorText = await testRes.text();
-      console.error(`[Stock Update] GetPartBalanceInfo failed for warehouse ${warehouseIds[0]}: ${testRes.status} ${errorText}`);
-      stockData[warehouseIds[0]] = 0;
-    }
+    // Fetch the first warehouse on its own so an expired session is refreshed once
+    // instead of by every parallel request
+    stockData[warehouseIds[0]] = await getPartBalance(client, monitorId, warehouseIds[0]);
 
     // Fetch remaining warehouses in parallel
-    const remainingIds = stockData[warehouseIds[0]] !== undefined
-      ? warehouseIds.slice(1)
-      : warehouseIds;
-
-    const balancePromises = remainingIds.map(async (warehouseId) => {
-      const res = await getPartBalance(monitorId, warehouseId, sessionId);
-      if (res.status === 200) {
-        const data = await res.json();
-        stockData[warehouseId] = data.AvailableBalance || 0;
-      } else {
-        const errorText = await res.text();
-        console.error(`[Stock Update] GetPartBalanceInfo failed for warehouse ${warehouseId}: ${res.status} ${errorText}`);
-        stockData[warehouseId] = 0;
-      }
+    const balancePromises = warehouseIds.slice(1).map(async (warehouseId) => {
+      stockData[warehouseId] = await getPartBalance(client, monitorId, warehouseId);
     });
 
     await Promise.all(balancePromises);
@@ -1,5 +1,5 @@
-import { useEffect } from "react";
-import { useFetcher } from "@remix-run/react";
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -7,321 +7,286 @@ import {
   Card,
   Button,
   BlockStack,
-  Box,
-  List,
-  Link,
   InlineStack,
+  Badge,
+  Banner,
+  Select,
+  TextField,
+  DataTable,
+  Spinner,
 } from "@shopify/polaris";
-import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../utils/auth.server.js";
 
+// Jobs that can be started from the dashboard
+const TRIGGERABLE_JOBS = ["PRODUCT-SYNC", "CUSTOMER-SYNC", "INVENTORY-SYNC"];
+
+const STATUS_TONES = { succeeded: "success", partial: "warning", failed: "critical", running: "info" };
+
 export const loader = async ({ request }) => {
   await authenticate(request);
 
-  return null;
+  const { SYNC_JOBS, nextScheduledRun } = await import("../utils/sync-jobs.js");
+  const { getRecentSyncRuns, countSyncRunsByStatus } = await import("../utils/sync-runs.js");
+
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const jobs = await Promise.all(SYNC_JOBS.map(async (job) => {
+    const [lastRun] = await getRecentSyncRuns({ jobName: job.jobName, take: 1 });
+    return {
+      ...job,
+      lastRun: lastRun || null,
+      nextRun: nextScheduledRun(job.cron),
+      counts: await countSyncRunsByStatus(job.jobName, since),
+      canTrigger: TRIGGERABLE_JOBS.includes(job.jobName),
+    };
+  }));
+
+  const recentErrors = await getRecentSyncRuns({ statuses: ["failed", "partial"], take: 10 });
+
+  return { jobs, recentErrors };
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate(request);
-  const color = ["Red", "Orange", "Yellow", "Green"][
-    Math.floor(Math.random() * 4)
-  ];
-  const response = await admin.graphql(
-    `#graphql
-      mutation populateProduct($product: ProductCreateInput!) {
-        productCreate(product: $product) {
-          product {
-            id
-            title
-            handle
-            status
-            variants(first: 10) {
-              edges {
-                node {
-                  id
-                  price
-                  barcode
-                  createdAt
-                }
-              }
-            }
-          }
-        }
-      }`,
-    {
-      variables: {
-        product: {
-          title: `${color} Snowboard`,
-        },
-      },
-    },
-  );
-  const responseJson = await response.json();
-  const product = responseJson.data.productCreate.product;
-  const variantId = product.variants.edges[0].node.id;
-  const variantResponse = await admin.graphql(
-    `#graphql
-    mutation shopifyRemixTemplateUpdateVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-        productVariants {
-          id
-          price
-          barcode
-          createdAt
-        }
-      }
-    }`,
-    {
-      variables: {
-        productId: product.id,
-        variants: [{ id: variantId, price: "100.00" }],
-      },
-    },
-  );
-  const variantResponseJson = await variantResponse.json();
+  await authenticate(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "check-connectivity") {
+    const { testMonitorConnection, testShopifyConnection } = await import("../utils/connectivity.js");
+    const [monitor, shopify] = await Promise.all([testMonitorConnection(), testShopifyConnection()]);
+    return { connectivity: { monitor, shopify } };
+  }
+
+  if (intent !== "run-sync" && intent !== "sync-part") {
+    return { error: `Unknown action: ${intent}` };
+  }
+
+  const jobName = intent === "sync-part" ? "PRODUCT-SYNC" : formData.get("jobName");
+  if (!TRIGGERABLE_JOBS.includes(jobName)) {
+    return { error: `${jobName} can't be started from the dashboard` };
+  }
+
+  const partNumber = formData.get("partNumber")?.toString().trim();
+  if (intent === "sync-part" && !partNumber) {
+    return { error: "Enter a PartNumber to sync" };
+  }
+
+  let args = [];
+  let description;
+  if (intent === "sync-part") {
+    args = [false, partNumber];
+    description = `Single product sync for ${partNumber}`;
+  } else if (jobName !== "INVENTORY-SYNC") {
+    const incremental = formData.get("mode") !== "full";
+    args = [incremental];
+    description = `${incremental ? "Incremental" : "Full"} ${jobName}`;
+  } else {
+    description = jobName;
+  }
+
+  // The run would be skipped anyway, but this way staff get told right away
+  const { enqueueSyncJob } = await import("../utils/sync-jobs.js");
+  const { getJobLock } = await import("../utils/job-lock.js");
+  const lock = await getJobLock(jobName);
+  if (lock) {
+    return { error: `${jobName} is already running (started ${new Date(lock.acquiredAt).toLocaleString("sv-SE")})` };
+  }
 
-  return {
-    product: responseJson.data.productCreate.product,
-    variant: variantResponseJson.data.productVariantsBulkUpdate.productVariants,
-  };
+  // The worker runs the sync; it shows up in the run history once it starts
+  const { job, queued } = await enqueueSyncJob(jobName, "api", args);
+  if (!queued) {
+    return { error: `${description} is already queued (job #${job.id})` };
+  }
+
+  console.log(`[DASHBOARD] Queued ${description} as job #${job.id}`);
+  return { started: `${description} queued` };
 };
 
-export default function Index() {
-  const fetcher = useFetcher();
-  const shopify = useAppBridge();
-  const isLoading =
-    ["loading", "submitting"].includes(fetcher.state) &&
-    fetcher.formMethod === "POST";
-  const productId = fetcher.data?.product?.id.replace(
-    "gid://shopify/Product/",
-    "",
-  );
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString("sv-SE") : "–";
+}
+
+function StatusBadge({ status }) {
+  if (!status) return <Badge>Never run</Badge>;
+  return <Badge tone={STATUS_TONES[status]}>{status}</Badge>;
+}
 
+function ConnectivityCard() {
+  const { submit, state, data } = useFetcher();
+  const connectivity = data?.connectivity;
+  const isChecking = state !== "idle";
+
+  const check = () => submit({ intent: "check-connectivity" }, { method: "POST" });
+
+  // Check once when the dashboard opens, "Check again" runs it after that
   useEffect(() => {
-    if (productId) {
-      shopify.toast.show("Product created");
+    if (state === "idle" && !data) {
+      submit({ intent: "check-connectivity" }, { method: "POST" });
     }
-  }, [productId, shopify]);
-  const generateProduct = () => fetcher.submit({}, { method: "POST" });
+  }, [submit, state, data]);
+
+  const row = (name, result) => (
+    <InlineStack gap="200" blockAlign="center">
+      <Text as="span" variant="bodyMd" fontWeight="semibold">{name}</Text>
+      {isChecking || !result ? (
+        <Spinner size="small" />
+      ) : (
+        <>
+          <Badge tone={result.ok ? "success" : "critical"}>{result.ok ? "OK" : "Failed"}</Badge>
+          <Text as="span" variant="bodySm" tone="subdued">{result.message}</Text>
+        </>
+      )}
+    </InlineStack>
+  );
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text as="h2" variant="headingMd">Connectivity</Text>
+          <Button onClick={check} loading={isChecking}>Check again</Button>
+        </InlineStack>
+        {row("Monitor API", connectivity?.monitor)}
+        {row("Shopify API", connectivity?.shopify)}
+      </BlockStack>
+    </Card>
+  );
+}
+
+function TriggerCard() {
+  const fetcher = useFetcher();
+  const [jobName, setJobName] = useState("PRODUCT-SYNC");
+  const [mode, setMode] = useState("incremental");
+  const [partNumber, setPartNumber] = useState("");
+  const isSubmitting = fetcher.state !== "idle";
+  const pendingIntent = isSubmitting ? fetcher.formData?.get("intent") : null;
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <Text as="h2" variant="headingMd">Run a sync now</Text>
+        {fetcher.data?.started && <Banner tone="success">{fetcher.data.started}</Banner>}
+        {fetcher.data?.error && <Banner tone="critical">{fetcher.data.error}</Banner>}
+
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="run-sync" />
+          <InlineStack gap="300" blockAlign="end">
+            <Select
+              label="Job"
+              name="jobName"
+              options={[
+                { label: "Product sync", value: "PRODUCT-SYNC" },
+                { label: "Customer sync", value: "CUSTOMER-SYNC" },
+                { label: "Inventory sync", value: "INVENTORY-SYNC" },
+              ]}
+              value={jobName}
+              onChange={setJobName}
+            />
+            <Select
+              label="Mode"
+              name="mode"
+              options={[
+                { label: "Incremental (changes since last sync)", value: "incremental" },
+                { label: "Full (everything)", value: "full" },
+              ]}
+              value={mode}
+              onChange={setMode}
+              disabled={jobName === "INVENTORY-SYNC"}
+            />
+            <Button submit variant="primary" loading={pendingIntent === "run-sync"}>
+              Start sync
+            </Button>
+          </InlineStack>
+        </fetcher.Form>
+
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="sync-part" />
+          <InlineStack gap="300" blockAlign="end">
+            <TextField
+              label="Sync a single product by PartNumber"
+              name="partNumber"
+              value={partNumber}
+              onChange={setPartNumber}
+              autoComplete="off"
+            />
+            <Button submit loading={pendingIntent === "sync-part"}>
+              Sync product
+            </Button>
+          </InlineStack>
+        </fetcher.Form>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function Index() {
+  const { jobs, recentErrors } = useLoaderData();
+
+  const jobRows = jobs.map(job => [
+    <BlockStack gap="100" key={job.jobName}>
+      <Text as="span" variant="bodyMd" fontWeight="semibold">{job.title}</Text>
+      <Text as="span" variant="bodySm" tone="subdued">{job.schedule}</Text>
+    </BlockStack>,
+    <BlockStack gap="100" key="last">
+      <StatusBadge status={job.lastRun?.status} />
+      <Text as="span" variant="bodySm">{formatDate(job.lastRun?.startedAt)} ({job.lastRun?.trigger || "–"})</Text>
+    </BlockStack>,
+    job.lastRun
+      ? `${job.lastRun.createdCount} created, ${job.lastRun.updatedCount} updated, ${job.lastRun.skippedCount} skipped, ${job.lastRun.failedCount} failed`
+      : "–",
+    `${job.counts.succeeded} ok, ${job.counts.partial} partial, ${job.counts.failed} failed, ${job.counts.skipped} skipped`,
+    formatDate(job.nextRun),
+  ]);
 
   return (
     <Page>
-      <TitleBar title="Remix app template">
-        <button variant="primary" onClick={generateProduct}>
-          Generate a product
-        </button>
-      </TitleBar>
+      <TitleBar title="Sync dashboard" />
       <BlockStack gap="500">
         <Layout>
           <Layout.Section>
-            <Card>
-              <BlockStack gap="500">
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    Congrats on creating a new Shopify app 🎉
-                  </Text>
-                  <Text variant="bodyMd" as="p">
-                    This embedded app template uses{" "}
-                    <Link
-                      url="https://shopify.dev/docs/apps/tools/app-bridge"
-                      target="_blank"
-                      removeUnderline
-                    >
-                      App Bridge
-                    </Link>{" "}
-                    interface examples like an{" "}
-                    <Link url="/app/additional" removeUnderline>
-                      additional page in the app nav
-                    </Link>
-                    , as well as an{" "}
-                    <Link
-                      url="https://shopify.dev/docs/api/admin-graphql"
-                      target="_blank"
-                      removeUnderline
-                    >
-                      Admin GraphQL
-                    </Link>{" "}
-                    mutation demo, to provide a starting point for app
-                    development.
-                  </Text>
-                </BlockStack>
-                <BlockStack gap="200">
-                  <Text as="h3" variant="headingMd">
-                    Get started with products
-                  </Text>
-                  <Text as="p" variant="bodyMd">
-                    Generate a product with GraphQL and get the JSON output for
-                    that product. Learn more about the{" "}
-                    <Link
-                      url="https://shopify.dev/docs/api/admin-graphql/latest/mutations/productCreate"
-                      target="_blank"
-                      removeUnderline
-                    >
-                      productCreate
-                    </Link>{" "}
-                    mutation in our API references.
-                  </Text>
-                </BlockStack>
-                <InlineStack gap="300">
-                  <Button loading={isLoading} onClick={generateProduct}>
-                    Generate a product
-                  </Button>
-                  {fetcher.data?.product && (
-                    <Button
-                      url={`shopify:admin/products/${productId}`}
-                      target="_blank"
-                      variant="plain"
-                    >
-                      View product
-                    </Button>
-                  )}
-                </InlineStack>
-                {fetcher.data?.product && (
-                  <>
-                    <Text as="h3" variant="headingMd">
-                      {" "}
-                      productCreate mutation
-                    </Text>
-                    <Box
-                      padding="400"
-                      background="bg-surface-active"
-                      borderWidth="025"
-                      borderRadius="200"
-                      borderColor="border"
-                      overflowX="scroll"
-                    >
-                      <pre style={{ margin: 0 }}>
-                        <code>
-                          {JSON.stringify(fetcher.data.product, null, 2)}
-                        </code>
-                      </pre>
-                    </Box>
-                    <Text as="h3" variant="headingMd">
-                      {" "}
-                      productVariantsBulkUpdate mutation
-                    </Text>
-                    <Box
-                      padding="400"
-                      background="bg-surface-active"
-                      borderWidth="025"
-                      borderRadius="200"
-                      borderColor="border"
-                      overflowX="scroll"
-                    >
-                      <pre style={{ margin: 0 }}>
-                        <code>
-                          {JSON.stringify(fetcher.data.variant, null, 2)}
-                        </code>
-                      </pre>
-                    </Box>
-                  </>
-                )}
-              </BlockStack>
+            <Card padding="0">
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text", "text"]}
+                headings={["Job", "Last run", "Last run result", "Runs last 24h", "Next scheduled run"]}
+                rows={jobRows}
+                verticalAlign="middle"
+              />
             </Card>
           </Layout.Section>
           <Layout.Section variant="oneThird">
-            <BlockStack gap="500">
-              <Card>
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    App template specs
-                  </Text>
-                  <BlockStack gap="200">
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Framework
-                      </Text>
-                      <Link
-                        url="https://remix.run"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        Remix
-                      </Link>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Database
-                      </Text>
-                      <Link
-                        url="https://www.prisma.io/"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        Prisma
-                      </Link>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Interface
-                      </Text>
-                      <span>
-                        <Link
-                          url="https://polaris.shopify.com"
-                          target="_blank"
-                          removeUnderline
-                        >
-                          Polaris
-                        </Link>
-                        {", "}
-                        <Link
-                          url="https://shopify.dev/docs/apps/tools/app-bridge"
-                          target="_blank"
-                          removeUnderline
-                        >
-                          App Bridge
-                        </Link>
-                      </span>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        API
-                      </Text>
-                      <Link
-                        url="https://shopify.dev/docs/api/admin-graphql"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        GraphQL API
-                      </Link>
-                    </InlineStack>
-                  </BlockStack>
-                </BlockStack>
-              </Card>
-              <Card>
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    Next steps
-                  </Text>
-                  <List>
-                    <List.Item>
-                      Build an{" "}
-                      <Link
-                        url="https://shopify.dev/docs/apps/getting-started/build-app-example"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        {" "}
-                        example app
-                      </Link>{" "}
-                      to get started
-                    </List.Item>
-                    <List.Item>
-                      Explore Shopify’s API with{" "}
-                      <Link
-                        url="https://shopify.dev/docs/apps/tools/graphiql-admin-api"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        GraphiQL
-                      </Link>
-                    </List.Item>
-                  </List>
-                </BlockStack>
-              </Card>
-            </BlockStack>
+            <ConnectivityCard />
           </Layout.Section>
         </Layout>
+
+        <TriggerCard />
+
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">Recent errors</Text>
+            {recentErrors.length === 0 ? (
+              <Text as="p" variant="bodyMd" tone="subdued">No failed runs recorded.</Text>
+            ) : (
+              recentErrors.map(run => (
+                <BlockStack gap="100" key={run.id}>
+                  <InlineStack gap="200" blockAlign="center">
+                    <StatusBadge status={run.status} />
+                    <Text as="span" variant="bodyMd" fontWeight="semibold">{run.jobName}</Text>
+                    <Text as="span" variant="bodySm" tone="subdued">{formatDate(run.startedAt)} ({run.trigger})</Text>
+                  </InlineStack>
+                  {run.errorSummary && <Text as="p" variant="bodySm">{run.errorSummary}</Text>}
+                  {run.failures.slice(0, 5).map(failure => (
+                    <Text as="p" variant="bodySm" tone="subdued" key={failure.id}>
+                      {failure.entityId ?? "(unknown)"}: {failure.message}
+                    </Text>
+                  ))}
+                  {run.failures.length > 5 && (
+                    <Text as="p" variant="bodySm" tone="subdued">…and {run.failures.length - 5} more</Text>
+                  )}
+                </BlockStack>
+              ))
+            )}
+          </BlockStack>
+        </Card>
       </BlockStack>
     </Page>
   );
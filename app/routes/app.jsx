@@ -22,6 +22,8 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/order-exports">Order exports</Link>
+        <Link to="/app/order-mapping">Order mapping</Link>
         <Link to="/app/additional">Additional page</Link>
         <Link to="/app/publish-products">Publish Test Products</Link>
       </NavMenu>
@@ -0,0 +1,268 @@
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Banner,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../utils/auth.server.js";
+
+export const loader = async ({ request }) => {
+  await authenticate(request);
+
+  const { getOpenOrderExports } = await import("../utils/order-export.js");
+  const { getOpenOrderAmendments } = await import("../utils/order-amendments.js");
+  const { getRecentOrderCancellations } = await import("../utils/order-cancellations.js");
+  const exports = await getOpenOrderExports();
+  const amendments = await getOpenOrderAmendments();
+  const cancellations = await getRecentOrderCancellations();
+
+  return { exports, amendments, cancellations, advancedStoreDomain: process.env.ADVANCED_STORE_DOMAIN || null };
+};
+
+export const action = async ({ request }) => {
+  await authenticate(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const draftOrderId = formData.get("draftOrderId")?.toString();
+  const draftOrderName = formData.get("draftOrderName")?.toString() || draftOrderId;
+
+  const { retryOrderExport, markOrderExportHandled } = await import("../utils/order-export.js");
+  const { retryOrderAmendment, markOrderAmendmentHandled } = await import("../utils/order-amendments.js");
+  const { retryOrderCancellation, markOrderCancellationHandled } = await import("../utils/order-cancellations.js");
+
+  if (intent === "retry") {
+    if (!await retryOrderExport(draftOrderId)) {
+      return { error: `${draftOrderName} is no longer waiting for export` };
+    }
+    console.log(`[ORDER-EXPORTS] Retry of ${draftOrderName} queued by staff`);
+    return { done: `Retry of ${draftOrderName} queued` };
+  }
+
+  if (intent === "handled") {
+    if (!await markOrderExportHandled(draftOrderId)) {
+      return { error: `${draftOrderName} is no longer waiting for export` };
+    }
+    console.log(`[ORDER-EXPORTS] ${draftOrderName} marked as handled manually by staff`);
+    return { done: `${draftOrderName} marked as handled manually` };
+  }
+
+  if (intent === "retry-amendment") {
+    if (!await retryOrderAmendment(draftOrderId)) {
+      return { error: `${draftOrderName} has no amendment waiting` };
+    }
+    console.log(`[ORDER-EXPORTS] Amendment check of ${draftOrderName} queued by staff`);
+    return { done: `Amendment check of ${draftOrderName} queued` };
+  }
+
+  if (intent === "amendment-handled") {
+    if (!await markOrderAmendmentHandled(draftOrderId)) {
+      return { error: `${draftOrderName} has no amendment waiting` };
+    }
+    console.log(`[ORDER-EXPORTS] Amendment of ${draftOrderName} marked as handled manually by staff`);
+    return { done: `Amendment of ${draftOrderName} marked as handled manually` };
+  }
+
+  if (intent === "retry-cancellation") {
+    const result = await retryOrderCancellation(draftOrderId);
+    if (!result) {
+      return { error: `${draftOrderName} has no cancellation waiting` };
+    }
+    console.log(`[ORDER-EXPORTS] Cancellation of ${draftOrderName} retried by staff: ${result.status}`);
+    return result.status === "cancelled"
+      ? { done: `Monitor order of ${draftOrderName} cancelled` }
+      : { error: result.reason };
+  }
+
+  if (intent === "cancellation-handled") {
+    if (!await markOrderCancellationHandled(draftOrderId)) {
+      return { error: `${draftOrderName} has no cancellation waiting` };
+    }
+    console.log(`[ORDER-EXPORTS] Cancellation of ${draftOrderName} marked as handled manually by staff`);
+    return { done: `Cancellation of ${draftOrderName} marked as handled manually` };
+  }
+
+  return { error: `Unknown action: ${intent}` };
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString("sv-SE") : "–";
+}
+
+function OrderExportRow({ orderExport, advancedStoreDomain }) {
+  const fetcher = useFetcher();
+  const pendingIntent = fetcher.state !== "idle" ? fetcher.formData?.get("intent") : null;
+
+  const submit = (intent) => fetcher.submit(
+    { intent, draftOrderId: orderExport.draftOrderId, draftOrderName: orderExport.draftOrderName },
+    { method: "POST" },
+  );
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack gap="200" blockAlign="center">
+        <Badge tone={orderExport.status === "failed" ? "critical" : "info"}>{orderExport.status}</Badge>
+        <Text as="span" variant="bodyMd" fontWeight="semibold">{orderExport.draftOrderName}</Text>
+        <Text as="span" variant="bodySm" tone="subdued">
+          {orderExport.attempts} attempts, last {formatDate(orderExport.updatedAt)}, next {orderExport.nextAttemptAt ? formatDate(orderExport.nextAttemptAt) : "only on retry"}
+        </Text>
+      </InlineStack>
+      {orderExport.lastError && <Text as="p" variant="bodySm">{orderExport.lastError}</Text>}
+      {orderExport.monitorOrderId && (
+        <Text as="p" variant="bodySm" tone="subdued">
+          Already created in Monitor as order {orderExport.monitorOrderNumber || orderExport.monitorOrderId}; a retry continues with the remaining steps.
+        </Text>
+      )}
+      {fetcher.data?.error && <Banner tone="critical">{fetcher.data.error}</Banner>}
+      {fetcher.data?.done && <Banner tone="success">{fetcher.data.done}</Banner>}
+      <InlineStack gap="200">
+        <Button onClick={() => submit("retry")} loading={pendingIntent === "retry"}>Retry</Button>
+        <Button onClick={() => submit("handled")} loading={pendingIntent === "handled"}>Mark as handled manually</Button>
+        {advancedStoreDomain && (
+          <Button url={`https://${advancedStoreDomain}/admin/draft_orders/${orderExport.draftOrderId}`} target="_blank" variant="plain">
+            Open draft order
+          </Button>
+        )}
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+function OrderAmendmentRow({ orderExport, advancedStoreDomain }) {
+  const fetcher = useFetcher();
+  const pendingIntent = fetcher.state !== "idle" ? fetcher.formData?.get("intent") : null;
+
+  const submit = (intent) => fetcher.submit(
+    { intent, draftOrderId: orderExport.draftOrderId, draftOrderName: orderExport.draftOrderName },
+    { method: "POST" },
+  );
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack gap="200" blockAlign="center">
+        <Badge tone={orderExport.amendmentStatus === "failed" ? "critical" : "warning"}>{orderExport.amendmentStatus}</Badge>
+        <Text as="span" variant="bodyMd" fontWeight="semibold">
+          {orderExport.draftOrderName} (Monitor order {orderExport.monitorOrderNumber || orderExport.monitorOrderId})
+        </Text>
+        <Text as="span" variant="bodySm" tone="subdued">last checked {formatDate(orderExport.updatedAt)}</Text>
+      </InlineStack>
+      {orderExport.amendmentError && <Text as="p" variant="bodySm">{orderExport.amendmentError}</Text>}
+      {fetcher.data?.error && <Banner tone="critical">{fetcher.data.error}</Banner>}
+      {fetcher.data?.done && <Banner tone="success">{fetcher.data.done}</Banner>}
+      <InlineStack gap="200">
+        <Button onClick={() => submit("retry-amendment")} loading={pendingIntent === "retry-amendment"}>Check again</Button>
+        {orderExport.pendingAmendment && (
+          <Button onClick={() => submit("amendment-handled")} loading={pendingIntent === "amendment-handled"}>Mark as changed in Monitor</Button>
+        )}
+        {advancedStoreDomain && orderExport.shopifyOrderId && (
+          <Button url={`https://${advancedStoreDomain}/admin/orders/${orderExport.shopifyOrderId.split("/").pop()}`} target="_blank" variant="plain">
+            Open order
+          </Button>
+        )}
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+const CANCELLATION_TONES = { cancelled: "success", handled: "info", flagged: "warning", failed: "critical" };
+
+function OrderCancellationRow({ orderExport }) {
+  const fetcher = useFetcher();
+  const pendingIntent = fetcher.state !== "idle" ? fetcher.formData?.get("intent") : null;
+  const open = orderExport.cancellationStatus === "flagged" || orderExport.cancellationStatus === "failed";
+
+  const submit = (intent) => fetcher.submit(
+    { intent, draftOrderId: orderExport.draftOrderId, draftOrderName: orderExport.draftOrderName },
+    { method: "POST" },
+  );
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack gap="200" blockAlign="center">
+        <Badge tone={CANCELLATION_TONES[orderExport.cancellationStatus]}>{orderExport.cancellationStatus}</Badge>
+        <Text as="span" variant="bodyMd" fontWeight="semibold">
+          {orderExport.draftOrderName}{orderExport.monitorOrderId ? ` (Monitor order ${orderExport.monitorOrderNumber || orderExport.monitorOrderId})` : ""}
+        </Text>
+        <Text as="span" variant="bodySm" tone="subdued">
+          {open ? `last tried ${formatDate(orderExport.updatedAt)}` : `cancelled ${formatDate(orderExport.cancelledAt)}`}
+        </Text>
+      </InlineStack>
+      {orderExport.cancellationReason && <Text as="p" variant="bodySm">{orderExport.cancellationReason}</Text>}
+      {orderExport.cancellationError && <Text as="p" variant="bodySm">{orderExport.cancellationError}</Text>}
+      {fetcher.data?.error && <Banner tone="critical">{fetcher.data.error}</Banner>}
+      {fetcher.data?.done && <Banner tone="success">{fetcher.data.done}</Banner>}
+      {open && (
+        <InlineStack gap="200">
+          <Button onClick={() => submit("retry-cancellation")} loading={pendingIntent === "retry-cancellation"}>Try again</Button>
+          <Button onClick={() => submit("cancellation-handled")} loading={pendingIntent === "cancellation-handled"}>Mark as cancelled in Monitor</Button>
+        </InlineStack>
+      )}
+    </BlockStack>
+  );
+}
+
+export default function OrderExports() {
+  const { exports, amendments, cancellations, advancedStoreDomain } = useLoaderData();
+
+  return (
+    <Page>
+      <TitleBar title="Order exports" />
+      <BlockStack gap="500">
+        <Card>
+          <BlockStack gap="400">
+            <Text as="h2" variant="headingMd">Draft orders not exported to Monitor</Text>
+            <Text as="p" variant="bodyMd" tone="subdued">
+              Failed exports are retried by the order poll after 5 minutes, 15 minutes, 1 hour, 3 hours, 12 hours and 24 hours.
+              Fix the cause (e.g. set the customer's monitor_id) and press Retry, or mark the order as handled if it was entered in Monitor by hand.
+            </Text>
+            {exports.length === 0 ? (
+              <Text as="p" variant="bodyMd" tone="subdued">All completed draft orders have been exported.</Text>
+            ) : (
+              exports.map(orderExport => (
+                <OrderExportRow key={orderExport.draftOrderId} orderExport={orderExport} advancedStoreDomain={advancedStoreDomain} />
+              ))
+            )}
+          </BlockStack>
+        </Card>
+        <Card>
+          <BlockStack gap="400">
+            <Text as="h2" variant="headingMd">Order changes not sent to Monitor</Text>
+            <Text as="p" variant="bodyMd" tone="subdued">
+              Edits of exported orders in Shopify (quantities, line items, delivery address) are sent to the Monitor order.
+              Once Monitor has started picking or delivering an order they are refused: change the order in Monitor by hand and mark it as changed.
+            </Text>
+            {amendments.length === 0 ? (
+              <Text as="p" variant="bodyMd" tone="subdued">All order changes have been sent to Monitor.</Text>
+            ) : (
+              amendments.map(orderExport => (
+                <OrderAmendmentRow key={orderExport.draftOrderId} orderExport={orderExport} advancedStoreDomain={advancedStoreDomain} />
+              ))
+            )}
+          </BlockStack>
+        </Card>
+        <Card>
+          <BlockStack gap="400">
+            <Text as="h2" variant="headingMd">Cancelled orders</Text>
+            <Text as="p" variant="bodyMd" tone="subdued">
+              Cancelling an exported order or deleting its draft order in Shopify cancels the Monitor order. Orders Monitor has
+              started picking or delivering are flagged instead: cancel them in Monitor by hand and mark them as cancelled.
+              Cancellations of the last 7 days are listed too.
+            </Text>
+            {cancellations.length === 0 ? (
+              <Text as="p" variant="bodyMd" tone="subdued">No orders have been cancelled in the last 7 days.</Text>
+            ) : (
+              cancellations.map(orderExport => (
+                <OrderCancellationRow key={orderExport.draftOrderId} orderExport={orderExport} />
+              ))
+            )}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
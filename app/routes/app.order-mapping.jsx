@@ -0,0 +1,200 @@
+import { useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Banner,
+  Select,
+  Text,
+  TextField,
+  DataTable,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../utils/auth.server.js";
+
+export const loader = async ({ request }) => {
+  await authenticate(request);
+
+  const { getOrderMappingRules, MATCH_TYPES, ORDER_PROPERTIES } = await import("../utils/order-mapping.js");
+  const rules = await getOrderMappingRules();
+
+  return { rules, matchTypes: MATCH_TYPES, properties: ORDER_PROPERTIES };
+};
+
+export const action = async ({ request }) => {
+  await authenticate(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  const {
+    validateOrderMappingRule,
+    createOrderMappingRule,
+    setOrderMappingRuleEnabled,
+    deleteOrderMappingRule,
+  } = await import("../utils/order-mapping.js");
+
+  if (intent === "create") {
+    const rule = {
+      matchType: formData.get("matchType")?.toString(),
+      matchKey: formData.get("matchKey")?.toString().trim() || null,
+      matchValue: formData.get("matchValue")?.toString().trim() || "",
+      property: formData.get("property")?.toString(),
+      value: formData.get("value")?.toString().trim() || "",
+      position: parseInt(formData.get("position")?.toString() || "0", 10),
+    };
+    const error = validateOrderMappingRule(rule);
+    if (error) return { error };
+
+    const created = await createOrderMappingRule(rule);
+    console.log(`[ORDER-MAPPING] Added rule #${created.id}: ${rule.matchType} "${rule.matchValue}" → ${rule.property} = ${rule.value}`);
+    return { done: "Rule added" };
+  }
+
+  const id = parseInt(formData.get("id")?.toString() || "", 10);
+  if (!Number.isInteger(id)) {
+    return { error: "Missing rule id" };
+  }
+
+  if (intent === "toggle") {
+    const enabled = formData.get("enabled") === "true";
+    await setOrderMappingRuleEnabled(id, enabled);
+    console.log(`[ORDER-MAPPING] ${enabled ? "Enabled" : "Disabled"} rule #${id}`);
+    return { done: `Rule ${enabled ? "enabled" : "disabled"}` };
+  }
+
+  if (intent === "delete") {
+    await deleteOrderMappingRule(id);
+    console.log(`[ORDER-MAPPING] Deleted rule #${id}`);
+    return { done: "Rule deleted" };
+  }
+
+  return { error: `Unknown action: ${intent}` };
+};
+
+function describeMatch(rule, matchTypes) {
+  if (rule.matchType === "always") return matchTypes.always;
+  if (rule.matchType === "order_metafield") return `${matchTypes.order_metafield} ${rule.matchKey} is "${rule.matchValue}"`;
+  return `${matchTypes[rule.matchType] || rule.matchType} is "${rule.matchValue}"`;
+}
+
+function RuleActions({ rule }) {
+  const fetcher = useFetcher();
+  const pendingIntent = fetcher.state !== "idle" ? fetcher.formData?.get("intent") : null;
+
+  return (
+    <InlineStack gap="200">
+      <Button
+        size="slim"
+        loading={pendingIntent === "toggle"}
+        onClick={() => fetcher.submit({ intent: "toggle", id: rule.id, enabled: String(!rule.enabled) }, { method: "POST" })}
+      >
+        {rule.enabled ? "Disable" : "Enable"}
+      </Button>
+      <Button
+        size="slim"
+        tone="critical"
+        loading={pendingIntent === "delete"}
+        onClick={() => fetcher.submit({ intent: "delete", id: rule.id }, { method: "POST" })}
+      >
+        Delete
+      </Button>
+    </InlineStack>
+  );
+}
+
+function AddRuleCard({ matchTypes, properties }) {
+  const fetcher = useFetcher();
+  const [matchType, setMatchType] = useState("shipping_title");
+  const [matchKey, setMatchKey] = useState("");
+  const [matchValue, setMatchValue] = useState("");
+  const [property, setProperty] = useState("DeliveryMethodId");
+  const [value, setValue] = useState("");
+  const [position, setPosition] = useState("0");
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <Text as="h2" variant="headingMd">Add a rule</Text>
+        {fetcher.data?.error && <Banner tone="critical">{fetcher.data.error}</Banner>}
+        {fetcher.data?.done && <Banner tone="success">{fetcher.data.done}</Banner>}
+
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="create" />
+          <BlockStack gap="300">
+            <InlineStack gap="300" blockAlign="end">
+              <Select
+                label="When"
+                name="matchType"
+                options={Object.entries(matchTypes).map(([key, label]) => ({ label, value: key }))}
+                value={matchType}
+                onChange={setMatchType}
+              />
+              {matchType === "order_metafield" && (
+                <TextField label="Metafield key (custom namespace)" name="matchKey" value={matchKey} onChange={setMatchKey} autoComplete="off" />
+              )}
+              {matchType !== "always" && (
+                <TextField label="is" name="matchValue" value={matchValue} onChange={setMatchValue} autoComplete="off" />
+              )}
+            </InlineStack>
+            <InlineStack gap="300" blockAlign="end">
+              <Select
+                label="Set Monitor property"
+                name="property"
+                options={Object.entries(properties).map(([key, { label }]) => ({ label: `${label} (${key})`, value: key }))}
+                value={property}
+                onChange={setProperty}
+              />
+              <TextField label="to" name="value" value={value} onChange={setValue} autoComplete="off" />
+              <TextField label="Position" name="position" type="number" value={position} onChange={setPosition} autoComplete="off" />
+              <Button submit variant="primary" loading={fetcher.state !== "idle"}>Add rule</Button>
+            </InlineStack>
+          </BlockStack>
+        </fetcher.Form>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function OrderMapping() {
+  const { rules, matchTypes, properties } = useLoaderData();
+
+  const rows = rules.map(rule => [
+    rule.position,
+    describeMatch(rule, matchTypes),
+    `${properties[rule.property]?.label || rule.property} = ${rule.value}`,
+    <Badge key="status" tone={rule.enabled ? "success" : undefined}>{rule.enabled ? "Enabled" : "Disabled"}</Badge>,
+    <RuleActions key="actions" rule={rule} />,
+  ]);
+
+  return (
+    <Page>
+      <TitleBar title="Order mapping" />
+      <BlockStack gap="500">
+        <Card>
+          <BlockStack gap="300">
+            <Text as="p" variant="bodyMd" tone="subdued">
+              These rules decide the Monitor order type, delivery method and other order properties of exported draft orders.
+              Rules are checked by position, lowest first, and for each property the first matching rule wins.
+              Values are compared case-insensitively. Every order needs an Order type ID, so keep a rule for &quot;Every order&quot; last.
+            </Text>
+            {rules.length === 0 ? (
+              <Text as="p" variant="bodyMd" tone="subdued">No rules yet. Orders can't be exported until a rule sets the Order type ID.</Text>
+            ) : (
+              <DataTable
+                columnContentTypes={["numeric", "text", "text", "text", "text"]}
+                headings={["Position", "When", "Set", "Status", ""]}
+                rows={rows}
+                verticalAlign="middle"
+              />
+            )}
+          </BlockStack>
+        </Card>
+        <AddRuleCard matchTypes={matchTypes} properties={properties} />
+      </BlockStack>
+    </Page>
+  );
+}
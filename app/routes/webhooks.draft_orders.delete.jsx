@@ -0,0 +1,36 @@
+import { authenticateWebhook } from "../utils/auth.server.js";
+
+// Deleting a draft order that was exported to Monitor cancels its Monitor order, and stops an export
+// that hasn't reached Monitor yet (see app/utils/order-cancellations.js). The payload only has the ID;
+// the job skips draft orders that were never exported and checks that the draft order is really gone.
+export const action = async ({ request }) => {
+  try {
+    const { shop, topic, payload } = await authenticateWebhook(request);
+
+    console.log(`Received ${topic} webhook for ${shop}`);
+
+    if (topic !== "draft_orders/delete") {
+      console.warn(`Unexpected webhook topic: ${topic}`);
+      return new Response("Unexpected topic", { status: 400 });
+    }
+
+    if (shop !== process.env.ADVANCED_STORE_DOMAIN) {
+      return new Response("Ignored", { status: 200 });
+    }
+
+    const draftOrder = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    const draftOrderId = String(draftOrder.id).split('/').pop();
+
+    const { enqueueOrderCancellation } = await import("../utils/order-cancellations.js");
+    const { job, queued } = await enqueueOrderCancellation({ draftOrderId });
+    console.log(queued
+      ? `Queued cancellation of deleted draft order ${draftOrderId} as job #${job.id}`
+      : `Cancellation of deleted draft order ${draftOrderId} is already queued (job #${job.id})`);
+
+    return new Response("OK", { status: 200 });
+  } catch (error) {
+    // A non-2xx response makes Shopify deliver the webhook again
+    console.error(`Error processing draft order delete webhook:`, error);
+    return new Response("Internal Server Error", { status: 500 });
+  }
+};
@@ -0,0 +1,38 @@
+import { authenticateWebhook } from "../utils/auth.server.js";
+
+// Completed draft orders are exported to Monitor by the worker through the job queue.
+// The job re-reads the draft order from the Admin API, so only its ID is taken from the payload.
+export const action = async ({ request }) => {
+  try {
+    const { shop, topic, payload } = await authenticateWebhook(request);
+
+    console.log(`Received ${topic} webhook for ${shop}`);
+
+    if (topic !== "draft_orders/update") {
+      console.warn(`Unexpected webhook topic: ${topic}`);
+      return new Response("Unexpected topic", { status: 400 });
+    }
+
+    if (shop !== process.env.ADVANCED_STORE_DOMAIN) {
+      console.log(`Draft orders from ${shop} are not exported to Monitor, ignoring`);
+      return new Response("Ignored", { status: 200 });
+    }
+
+    const draftOrder = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    if (draftOrder.status !== "completed") {
+      return new Response("Not completed", { status: 200 });
+    }
+
+    const { enqueueDraftOrderExport } = await import("../utils/order-export.js");
+    const { job, queued } = await enqueueDraftOrderExport(draftOrder.id);
+    console.log(queued
+      ? `Queued export of draft order ${draftOrder.name || draftOrder.id} as job #${job.id}`
+      : `Export of draft order ${draftOrder.name || draftOrder.id} is already queued (job #${job.id})`);
+
+    return new Response("OK", { status: 200 });
+  } catch (error) {
+    // A non-2xx response makes Shopify deliver the webhook again
+    console.error(`Error processing draft order webhook:`, error);
+    return new Response("Internal Server Error", { status: 500 });
+  }
+};
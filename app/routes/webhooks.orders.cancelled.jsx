@@ -0,0 +1,35 @@
+import { authenticateWebhook } from "../utils/auth.server.js";
+
+// Cancelled orders that were exported to Monitor get their Monitor order cancelled by the worker
+// (see app/utils/order-cancellations.js). The job checks the order in the Admin API before cancelling
+// anything, so only the order ID is taken from the payload.
+export const action = async ({ request }) => {
+  try {
+    const { shop, topic, payload } = await authenticateWebhook(request);
+
+    console.log(`Received ${topic} webhook for ${shop}`);
+
+    if (topic !== "orders/cancelled") {
+      console.warn(`Unexpected webhook topic: ${topic}`);
+      return new Response("Unexpected topic", { status: 400 });
+    }
+
+    const order = typeof payload === 'string' ? JSON.parse(payload) : payload;
+
+    if (shop !== process.env.ADVANCED_STORE_DOMAIN || order.source_name !== "shopify_draft_order") {
+      return new Response("Ignored", { status: 200 });
+    }
+
+    const { enqueueOrderCancellation } = await import("../utils/order-cancellations.js");
+    const { job, queued } = await enqueueOrderCancellation({ orderId: order.id });
+    console.log(queued
+      ? `Queued cancellation of order ${order.name || order.id} as job #${job.id}`
+      : `Cancellation of order ${order.name || order.id} is already queued (job #${job.id})`);
+
+    return new Response("OK", { status: 200 });
+  } catch (error) {
+    // A non-2xx response makes Shopify deliver the webhook again
+    console.error(`Error processing order cancellation webhook:`, error);
+    return new Response("Internal Server Error", { status: 500 });
+  }
+};
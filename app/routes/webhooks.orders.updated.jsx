@@ -0,0 +1,35 @@
+import { authenticateWebhook } from "../utils/auth.server.js";
+
+// Edits of orders exported to Monitor (quantities, line items, delivery address, cancellation) are sent
+// to the Monitor order by the worker (see app/utils/order-amendments.js). The job re-reads the order from
+// the Admin API and compares it with what Monitor was sent, so only the order ID is taken from the payload.
+export const action = async ({ request }) => {
+  try {
+    const { shop, topic, payload } = await authenticateWebhook(request);
+
+    console.log(`Received ${topic} webhook for ${shop}`);
+
+    if (topic !== "orders/updated") {
+      console.warn(`Unexpected webhook topic: ${topic}`);
+      return new Response("Unexpected topic", { status: 400 });
+    }
+
+    const order = typeof payload === 'string' ? JSON.parse(payload) : payload;
+
+    if (shop !== process.env.ADVANCED_STORE_DOMAIN || order.source_name !== "shopify_draft_order") {
+      return new Response("Ignored", { status: 200 });
+    }
+
+    const { enqueueOrderAmendment } = await import("../utils/order-amendments.js");
+    const { job, queued } = await enqueueOrderAmendment(order.id);
+    console.log(queued
+      ? `Queued amendment check of order ${order.name || order.id} as job #${job.id}`
+      : `Amendment check of order ${order.name || order.id} is already queued (job #${job.id})`);
+
+    return new Response("OK", { status: 200 });
+  } catch (error) {
+    // A non-2xx response makes Shopify deliver the webhook again
+    console.error(`Error processing order update webhook:`, error);
+    return new Response("Internal Server Error", { status: 500 });
+  }
+};
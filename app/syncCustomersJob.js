@@ -3,6 +3,9 @@ import "@shopify/shopify-api/adapters/node";
 import dotenv from "dotenv";
 import { shopifyApi, LATEST_API_VERSION } from "@shopify/shopify-api";
 import { fetchCustomersFromMonitor, fetchCustomersByIdsFromMonitor, fetchEntityChangeLogsFromMonitor } from "./utils/monitor.server.js";
+import { shopifyGraphQLUrl } from "./utils/shopify-admin.js";
+import { currentSyncRun, recordSyncRun } from "./utils/sync-runs.js";
+import { getSyncCursor, advanceSyncCursor, rewindSyncCursor, parseRewindCursorArg, getSyncRetryIds, recordSyncRetries } from "./utils/sync-cursor.js";
 dotenv.config();
 
 // Get command line arguments to determine which store to sync to
@@ -44,7 +47,7 @@ async function validateSession(shop, accessToken) {
   }`;
 
   try {
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -68,6 +71,7 @@ async function validateSession(shop, accessToken) {
 }
 
 export async function syncCustomers(isIncrementalSync = false) {
+  const syncRun = currentSyncRun();
   let shop, accessToken;
   
   // Use global variable if set (from cron), otherwise use the original variable
@@ -81,6 +85,7 @@ export async function syncCustomers(isIncrementalSync = false) {
     if (!shop || !accessToken) {
       console.log("❌ Advanced store configuration missing!");
       console.log("Please ensure ADVANCED_STORE_DOMAIN and ADVANCED_STORE_ADMIN_TOKEN are set in your .env file");
+      syncRun.error("Advanced store configuration missing!");
       return;
     }
     
@@ -89,6 +94,7 @@ export async function syncCustomers(isIncrementalSync = false) {
     if (!isValidSession) {
       console.log("❌ Advanced store session is invalid.");
       console.log("Please check your ADVANCED_STORE_ADMIN_TOKEN in the .env file");
+      syncRun.error("Advanced store session is invalid.");
       return;
     }
   } else {
@@ -97,6 +103,7 @@ export async function syncCustomers(isIncrementalSync = false) {
     const session = await prisma.session.findFirst();
     if (!session) {
       console.log("No Shopify session found. Cannot sync customers.");
+      syncRun.error("No Shopify session found. Cannot sync customers.");
       return;
     }
     // Log session details for debugging
@@ -106,6 +113,7 @@ export async function syncCustomers(isIncrementalSync = false) {
     });
     if (!session.accessToken || !session.shop) {
       console.error("Shopify session is missing accessToken or shop. Cannot sync customers.");
+      syncRun.error("Shopify session is missing accessToken or shop. Cannot sync customers.");
       return;
     }
 
@@ -117,6 +125,7 @@ export async function syncCustomers(isIncrementalSync = false) {
       console.log("1. Run 'npm run dev' to start the development server");
       console.log("2. Visit the app in your browser to re-authenticate");
       console.log("3. Once authenticated, you can run the sync job again");
+      syncRun.error("Shopify session is invalid or expired.");
       return;
     }
     shop = session.shop;
@@ -127,25 +136,33 @@ export async function syncCustomers(isIncrementalSync = false) {
   console.log("✅ Store session is valid. Starting customers sync...");
   
   if (isIncrementalSync) {
-    console.log("🔄 Running incremental sync (customers with changes in last hour)");
+    console.log("🔄 Running incremental sync (customers changed since the last successful sync)");
   } else {
     console.log("🔄 Running full sync (all customers)");
   }
 
   let customers;
+  // Latest change being synced by an incremental run, the cursor moves there at the end of the run
+  let changesSyncedUntil = null;
+  // Customer IDs an incremental run syncs: the changed customers plus the ones that failed earlier runs
+  let incrementalCustomerIds = null;
   try {
     if (isIncrementalSync) {
-      // Get customer IDs that have changed in the last hour
+      // Get customer IDs that have changed since the sync cursor
       // Look for both customer entity types: direct customers and references
-      const changedCustomerIds = await fetchEntityChangeLogsFromMonitor('customers');
-
-      if (changedCustomerIds.length === 0) {
-        console.log("No customer changes detected in the last hour.");
+      const since = await getSyncCursor('customers');
+      const { entityIds: changedCustomerIds, latestModifiedAt } = await fetchEntityChangeLogsFromMonitor('customers', since);
+      changesSyncedUntil = latestModifiedAt;
+      const retryCustomerIds = await getSyncRetryIds('customers');
+      incrementalCustomerIds = [...new Set([...changedCustomerIds.map(String), ...retryCustomerIds])];
+
+      if (incrementalCustomerIds.length === 0) {
+        console.log(`No customer changes detected since ${since.toISOString()}.`);
         return;
       }
 
-      console.log(`Found ${changedCustomerIds.length} customers with changes, fetching their data...`);
-      customers = await fetchCustomersByIdsFromMonitor(changedCustomerIds);
+      console.log(`Found ${changedCustomerIds.length} customers with changes and ${retryCustomerIds.length} to retry, fetching their data...`);
+      customers = await fetchCustomersByIdsFromMonitor(incrementalCustomerIds);
     } else {
       // Full sync - get all customers
       customers = await fetchCustomersFromMonitor();
@@ -154,12 +171,15 @@ export async function syncCustomers(isIncrementalSync = false) {
     console.log(`Fetched ${customers.length} customers with WEB-ACCOUNT references`);
     if (!Array.isArray(customers) || customers.length === 0) {
       console.log("No WEB-ACCOUNT customers found to sync.");
+      if (incrementalCustomerIds) await recordSyncRetries('customers', incrementalCustomerIds, new Map());
+      await advanceSyncCursor('customers', changesSyncedUntil);
       return;
     }
 
     console.log("Sample customer data:", JSON.stringify(customers[0], null, 2));
   } catch (err) {
     console.error("Error fetching customers", err);
+    syncRun.error(`Error fetching customers: ${err.message}`);
     return;
   }
 
@@ -167,9 +187,18 @@ export async function syncCustomers(isIncrementalSync = false) {
 
   // Process only customers from references with "WEB-ACCOUNT" category
   let processedCount = 0;
+  let failedCount = 0;
+  // Monitor customer ID -> error of the customers that failed
+  const failedCustomerIds = new Map();
+  const failCustomer = (customer, message) => {
+    failedCount++;
+    syncRun.failed(customer.email, message);
+    failedCustomerIds.set(String(customer.monitorId), message);
+  };
   for (const customer of customers) {
     if (!customer.email || customer.email.trim() === "") {
       console.warn("Skipping customer with blank email:", customer);
+      syncRun.skipped();
       continue;
     }
     
@@ -205,7 +234,7 @@ export async function syncCustomers(isIncrementalSync = false) {
       }
     }`;
     
-    const checkRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+    const checkRes = await fetch(shopifyGraphQLUrl(shop), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -218,6 +247,7 @@ export async function syncCustomers(isIncrementalSync = false) {
     
     if (checkJson.errors) {
       console.error("GraphQL errors checking customer:", JSON.stringify(checkJson.errors, null, 2));
+      failCustomer(customer, `GraphQL errors checking customer: ${JSON.stringify(checkJson.errors)}`);
       continue;
     }
     
@@ -383,7 +413,7 @@ export async function syncCustomers(isIncrementalSync = false) {
       };
     }
     
-    const operationRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+    const operationRes = await fetch(shopifyGraphQLUrl(shop), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -396,6 +426,7 @@ export async function syncCustomers(isIncrementalSync = false) {
       console.error(`❌ HTTP Error ${operationRes.status}: ${operationRes.statusText}`);
       const errorText = await operationRes.text();
       console.error("Error response body:", errorText);
+      failCustomer(customer, `HTTP ${operationRes.status}: ${errorText}`);
       continue;
     }
     
@@ -406,11 +437,13 @@ export async function syncCustomers(isIncrementalSync = false) {
       console.error("❌ Failed to parse JSON response");
       const responseText = await operationRes.text();
       console.error("Raw response:", responseText);
+      failCustomer(customer, "Failed to parse JSON response");
       continue;
     }
     
     if (operationJson.errors) {
       console.error("Shopify GraphQL errors:", JSON.stringify(operationJson.errors, null, 2));
+      failCustomer(customer, `Shopify GraphQL errors: ${JSON.stringify(operationJson.errors)}`);
       continue;
     }
     
@@ -426,6 +459,7 @@ export async function syncCustomers(isIncrementalSync = false) {
     if (customerData) {
       const action = isUpdate ? "updated" : "created";
       console.log(`✅ Successfully ${action} customer: ${customerData.email} (ID: ${customerData.id})`);
+      if (isUpdate) syncRun.updated(); else syncRun.created();
       console.log(`   Name: ${customerData.firstName} ${customerData.lastName}`);
       if (customerData.phone) {
         console.log(`   Phone: ${customerData.phone}`);
@@ -478,7 +512,7 @@ export async function syncCustomers(isIncrementalSync = false) {
             }
           };
           
-          const addressRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+          const addressRes = await fetch(shopifyGraphQLUrl(shop), {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -538,8 +572,10 @@ export async function syncCustomers(isIncrementalSync = false) {
     } else if (userErrors && userErrors.length > 0) {
       const action = isUpdate ? "updating" : "creating";
       console.log(`❌ User error ${action} customer: ${userErrors.map(e => e.message).join(", ")}`);
+      failCustomer(customer, `User error ${action} customer: ${userErrors.map(e => e.message).join(", ")}`);
     } else {
       console.log("❌ Unknown error:", JSON.stringify(operationJson, null, 2));
+      failCustomer(customer, `Unknown error: ${JSON.stringify(operationJson)}`);
     }
     
     processedCount++;
@@ -550,6 +586,15 @@ export async function syncCustomers(isIncrementalSync = false) {
       break;
     }
   }
+
+  if (failedCount > 0) {
+    console.log(`⚠️  ${failedCount} customers failed to sync, check the logs above for details.`);
+  }
+
+  if (!incrementalCustomerIds || isSingleTest) return;
+  // The cursor moves on either way, failed customers are retried from the retry list
+  await recordSyncRetries('customers', incrementalCustomerIds, failedCustomerIds);
+  await advanceSyncCursor('customers', changesSyncedUntil);
 }
 
 // Only run when executed directly, not when imported
@@ -576,13 +621,16 @@ Configuration:
   Advanced store: Uses ADVANCED_STORE_DOMAIN and ADVANCED_STORE_ADMIN_TOKEN from .env
 
 Sync types:
-  Incremental: Only syncs customers that have changed in the last hour
+  Incremental: Only syncs customers that changed since the stored sync cursor, plus customers that failed
+               earlier incremental syncs (SyncRetry)
   Full (manual): Syncs all customers regardless of changes
 
 Flags:
   --single-test (-s): Only process the first customer found (useful for testing)
   --manual (-m): Force full sync mode
   --advanced (-a): Use advanced store configuration
+  --rewind-cursor <date>: Move the sync cursor back and run an incremental sync from there,
+                          e.g. --advanced --rewind-cursor 2025-06-01T08:00:00Z to replay changes after an incident
 
 Filtering:
   Only customer references with Category="WEB-ACCOUNT" will be synced to Shopify.
@@ -618,12 +666,27 @@ if (!isManualRun && useAdvancedStore) {
   console.log("⚠️  Direct execution without --manual flag is not recommended for advanced store");
 }
 
-// Determine sync type based on flags
-const isFullSync = isManualRun || !useAdvancedStore; // Manual mode or dev store = full sync
-const syncType = isFullSync ? "full sync" : "incremental sync";
-const testMode = isSingleTest ? " (single test mode)" : "";
-console.log(`Running ${syncType}${testMode}...`);
+let rewindTo;
+try {
+  rewindTo = parseRewindCursorArg(args);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
-// Run the sync
-syncCustomers(!isFullSync); // !isFullSync = incremental sync for advanced store without manual flag
+if (rewindTo) {
+  rewindSyncCursor('customers', rewindTo).then(() => {
+    console.log(`Running incremental sync from ${rewindTo.toISOString()}...`);
+    return recordSyncRun("CUSTOMER-SYNC", "manual", () => syncCustomers(true));
+  });
+} else {
+  // Determine sync type based on flags
+  const isFullSync = isManualRun || !useAdvancedStore; // Manual mode or dev store = full sync
+  const syncType = isFullSync ? "full sync" : "incremental sync";
+  const testMode = isSingleTest ? " (single test mode)" : "";
+  console.log(`Running ${syncType}${testMode}...`);
+
+  // Run the sync
+  recordSyncRun("CUSTOMER-SYNC", "manual", () => syncCustomers(!isFullSync)); // !isFullSync = incremental sync for advanced store without manual flag
+}
 }
@@ -2,6 +2,8 @@ import "@shopify/shopify-api/adapters/node";
 import dotenv from "dotenv";
 import { shopifyApi, LATEST_API_VERSION } from "@shopify/shopify-api";
 import { fetchPartByPartNumberFromMonitor, fetchPartsForStock } from "./utils/monitor.server.js";
+import { shopifyGraphQLUrl } from "./utils/shopify-admin.js";
+import { currentSyncRun } from "./utils/sync-runs.js";
 dotenv.config();
 
 // Store selection will be determined at runtime inside the syncInventory function
@@ -163,7 +165,7 @@ async function updateVariantMetafields(shop, accessToken, variantId, stockData,
     }))
   };
 
-  const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const response = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -237,7 +239,7 @@ async function validateSession(shop, accessToken) {
   }`;
 
   try {
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -287,7 +289,7 @@ async function getShopifyLocations(shop, accessToken, retryCount = 0) {
     }
   }`;
 
-  const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const response = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -368,7 +370,7 @@ async function getShopifyProductsWithMonitorIds(shop, accessToken) {
       }
     }`;
     
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -469,7 +471,7 @@ async function updateShopifyInventoryLevel(shop, accessToken, inventoryItemId, l
     }
   };
 
-  const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const response = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -519,7 +521,7 @@ async function getInventoryItemId(shop, accessToken, variantId, retryCount = 0)
     }
   }`;
 
-  const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const response = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -575,7 +577,7 @@ async function ensureInventoryItemAtLocation(shop, accessToken, inventoryItemId,
     }
   }`;
 
-  const checkRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const checkRes = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -639,7 +641,7 @@ async function ensureInventoryItemAtLocation(shop, accessToken, inventoryItemId,
     available: 0 // Start with 0, we'll update it separately
   };
 
-  const activateRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const activateRes = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -678,6 +680,7 @@ async function ensureInventoryItemAtLocation(shop, accessToken, inventoryItemId,
 }
 
 export async function syncInventory() {
+  const syncRun = currentSyncRun();
   // Use global variable if set (from worker), otherwise use command line args
   const args = process.argv.slice(2);
   const currentUseAdvancedStore = global.useAdvancedStore !== undefined ? global.useAdvancedStore : 
@@ -1023,6 +1026,7 @@ export async function syncInventory() {
 
     if (!shop || !accessToken) {
       console.log("❌ Advanced store configuration missing!");
+      syncRun.error("Advanced store configuration missing!");
       return;
     }
     
@@ -1032,6 +1036,7 @@ export async function syncInventory() {
     console.log(`✅ Session validation result: ${isValidSession}`);
     if (!isValidSession) {
       console.log("❌ Advanced store session is invalid.");
+      syncRun.error("Advanced store session is invalid.");
       return;
     }
   } else {
@@ -1041,12 +1046,14 @@ export async function syncInventory() {
     
     if (!session) {
       console.log("No Shopify session found. Cannot sync inventory.");
+      syncRun.error("No Shopify session found. Cannot sync inventory.");
       return;
     }
 
     // Check if session has expired
     if (session.expires && session.expires < new Date()) {
       console.log("Shopify session has expired. Please re-authenticate your app.");
+      syncRun.error("Shopify session has expired. Please re-authenticate your app.");
       return;
     }
 
@@ -1054,6 +1061,7 @@ export async function syncInventory() {
     const isValidSession = await validateSession(session.shop, session.accessToken);
     if (!isValidSession) {
       console.log("❌ Shopify session is invalid or expired.");
+      syncRun.error("Shopify session is invalid or expired.");
       return;
     }
 
@@ -1073,6 +1081,7 @@ export async function syncInventory() {
       locations = await getShopifyLocations(shop, accessToken);
     } catch (error) {
       console.error("❌ Failed to fetch Shopify locations:", error.message);
+      syncRun.error(`Failed to fetch Shopify locations: ${error.message}`);
       return;
     }
     
@@ -1087,6 +1096,7 @@ export async function syncInventory() {
 
     if (locationMap.size === 0) {
       console.log("❌ No Shopify locations found with monitor_id metafields. Please set up location mapping first.");
+      syncRun.error("No Shopify locations found with monitor_id metafields");
       return;
     }
 
@@ -1105,6 +1115,7 @@ export async function syncInventory() {
       } else {
         console.log("❌ No parts found in Monitor with stock data.");
       }
+      syncRun.error("No parts found in Monitor with stock data");
       return;
     }
 
@@ -1123,6 +1134,7 @@ export async function syncInventory() {
       shopifyProducts = await getShopifyProductsWithMonitorIds(shop, accessToken);
     } catch (error) {
       console.error("❌ Failed to fetch Shopify products:", error.message);
+      syncRun.error(`Failed to fetch Shopify products: ${error.message}`);
       return;
     }
     
@@ -1169,6 +1181,7 @@ export async function syncInventory() {
             console.log(`Debug: No Shopify product found - this is the issue we need to solve`);
           }
           console.log(`No Shopify product found for Monitor ID ${part.Id}`);
+          syncRun.skipped();
           continue;
         }
 
@@ -1266,13 +1279,16 @@ export async function syncInventory() {
 
         if (inventoryUpdated || metafieldSuccess) {
           successCount++;
+          syncRun.updated();
         } else {
           errorCount++;
+          syncRun.failed(part.Id, `Failed to update metafields and inventory levels for ${displayName}`);
         }
 
       } catch (error) {
         console.error(`  ❌ Error processing part ${displayName}:`, error.message);
         errorCount++;
+        syncRun.failed(part.Id, error.message);
       }
     }
 
@@ -4,6 +4,9 @@ import dotenv from "dotenv";
 import { shopifyApi, LATEST_API_VERSION } from "@shopify/shopify-api";
 import fetch from "node-fetch";
 import { OUTLET_COLLECTIONS, PART_CODE_TO_OUTLET_COLLECTION } from "./utils/outlet-collections.js";
+import { currentSyncRun, recordSyncRun } from "./utils/sync-runs.js";
+import { getSyncCursor, advanceSyncCursor, rewindSyncCursor, parseRewindCursorArg, getSyncRetryIds, recordSyncRetries } from "./utils/sync-cursor.js";
+import { shopifyGraphQLUrl, shopifyAdminUrl } from "./utils/shopify-admin.js";
 dotenv.config();
 
 // Unit mapping from Monitor StandardUnitId to unit codes
@@ -131,7 +134,7 @@ async function makeGraphQLRequest(shop, accessToken, query, operation = "GraphQL
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+      const response = await fetch(shopifyGraphQLUrl(shop), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -424,6 +427,7 @@ async function fetchSingleProductByPartNumber(partNumber) {
 }
 
 export async function syncProducts(isIncrementalSync = false, singlePartNumberParam = null) {
+  const syncRun = currentSyncRun();
   let shop, accessToken;
   
   // Use global variable if set (from cron), otherwise use the original variable
@@ -436,6 +440,7 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
 
     if (!shop || !accessToken) {
       console.log("❌ Advanced store configuration missing!");
+      syncRun.error("Advanced store configuration missing!");
       return;
     }
 
@@ -445,6 +450,7 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
     const isValidSession = await validateSession(shop, accessToken);
     if (!isValidSession) {
       console.log("❌ Advanced store session is invalid.");
+      syncRun.error("Advanced store session is invalid.");
       return;
     }
   } else {
@@ -453,12 +459,14 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
     const session = await prisma.session.findFirst();
     if (!session) {
       console.log("No Shopify session found. Cannot sync products.");
+      syncRun.error("No Shopify session found. Cannot sync products.");
       return;
     }
 
     // Check if session has expired
     if (session.expires && session.expires < new Date()) {
       console.log("Shopify session has expired. Please re-authenticate your app.");
+      syncRun.error("Shopify session has expired. Please re-authenticate your app.");
       return;
     }
 
@@ -466,6 +474,7 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
     const isValidSession = await validateSession(session.shop, session.accessToken);
     if (!isValidSession) {
       console.log("❌ Shopify session is invalid or expired.");
+      syncRun.error("Shopify session is invalid or expired.");
       return;
     }
 
@@ -497,6 +506,10 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
   // Use the low-level GraphQL client from @shopify/shopify-api
   try {
     let products;
+    // Latest change being synced by an incremental run, the cursor moves there at the end of the run
+    let changesSyncedUntil = null;
+    // Part IDs an incremental run syncs: the changed parts plus the ones that failed earlier runs
+    let incrementalPartIds = null;
     try {
       if (isSingleSync && partNumberToSync) {
         // Fetch single product by PartNumber
@@ -512,15 +525,19 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
       } else if (isIncrementalSync) {
         // Fetch only changed products
         console.log("Fetching entity change logs from Monitor...");
-        const changedProductIds = await fetchEntityChangeLogsFromMonitor('products');
+        const since = await getSyncCursor('products');
+        const { entityIds: changedProductIds, latestModifiedAt } = await fetchEntityChangeLogsFromMonitor('products', since);
+        changesSyncedUntil = latestModifiedAt;
+        const retryPartIds = await getSyncRetryIds('products');
+        incrementalPartIds = [...new Set([...changedProductIds.map(String), ...retryPartIds])];
         
-        if (changedProductIds.length === 0) {
-          console.log("✅ No product changes found in the last 24 hours. Sync complete.");
+        if (incrementalPartIds.length === 0) {
+          console.log(`✅ No product changes found since ${since.toISOString()}. Sync complete.`);
           return;
         }
         
-        console.log(`Found ${changedProductIds.length} products with changes, fetching product details...`);
-        products = await fetchProductsByIdsFromMonitor(changedProductIds);
+        console.log(`Found ${changedProductIds.length} products with changes and ${retryPartIds.length} to retry, fetching product details...`);
+        products = await fetchProductsByIdsFromMonitor(incrementalPartIds);
         console.log(`Fetched ${products.length} changed products from Monitor API`);
       } else {
         // Fetch all products (existing behavior)
@@ -530,10 +547,14 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
       
       if (!Array.isArray(products) || products.length === 0) {
         console.log("No products found to sync.");
+        // The changes were all to products that aren't synced to Shopify
+        if (incrementalPartIds) await recordSyncRetries('products', incrementalPartIds, new Map());
+        await advanceSyncCursor('products', changesSyncedUntil);
         return;
       }
     } catch (err) {
       console.error("Error fetching products", err);
+      syncRun.error(`Error fetching products: ${err.message}`);
       return;
     }
     
@@ -543,6 +564,7 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
     for (const product of products) {
       if (!product.productName || product.productName.trim() === "") {
         console.warn("Skipping product with blank productName:", product);
+        syncRun.skipped();
         continue;
       }
       
@@ -717,6 +739,7 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
         }
         
         processedCount++;
+        if (existingProduct) syncRun.updated(); else syncRun.created();
         console.log(`✅ Successfully processed "${productName}" (${processedCount}/${productGroups.size})`);
         
       } catch (error) {
@@ -735,6 +758,8 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
     // Retry failed products once
     let retrySuccessCount = 0;
     let retryFailedCount = 0;
+    // Monitor part ID -> error of the parts in products that failed both attempts
+    const failedPartIds = new Map();
     
     if (failedProducts.size > 0) {
       console.log(`\n🔄 Retrying ${failedProducts.size} failed products...`);
@@ -863,10 +888,13 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
           }
           
           retrySuccessCount++;
+          if (existingProduct) syncRun.updated(); else syncRun.created();
           console.log(`✅ Retry successful for "${productName}"`);
           
         } catch (error) {
           retryFailedCount++;
+          syncRun.failed(productName, error.message);
+          for (const variation of variations) failedPartIds.set(String(variation.id), error.message);
           console.error(`❌ Retry failed for "${productName}": ${error.message}`);
         }
       }
@@ -904,6 +932,11 @@ export async function syncProducts(isIncrementalSync = false, singlePartNumberPa
     } else {
       console.log(`\n⚠️  ${totalFailed} products could not be synced. Check the logs above for details.`);
     }
+    if (incrementalPartIds) {
+      // The cursor moves on either way, failed parts are retried from the retry list
+      await recordSyncRetries('products', incrementalPartIds, failedPartIds);
+      await advanceSyncCursor('products', changesSyncedUntil);
+    }
     
     // Report products with failed variant creation
     if (global.productsWithFailedVariants && global.productsWithFailedVariants.length > 0) {
@@ -1110,7 +1143,7 @@ async function createNewProductWithVariations(shop, accessToken, productName, va
     },
   };
 
-  const fetchRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const fetchRes = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -1216,7 +1249,7 @@ async function getAllLocationsForInventory(shop, accessToken) {
     }
   }`;
 
-  const fetchRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const fetchRes = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -1429,7 +1462,7 @@ async function createProductVariants(shop, accessToken, productId, variations) {
     variants: variants
   };
 
-  const fetchRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const fetchRes = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -1588,7 +1621,7 @@ async function createFallbackVariant(shop, accessToken, productId, variation) {
       variants: [variantData]
     };
 
-    const fetchRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+    const fetchRes = await fetch(shopifyGraphQLUrl(shop), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -1654,7 +1687,7 @@ async function removeDefaultTitleVariant(shop, accessToken, productId) {
     const numericVariantId = defaultVariant.id.split('/').pop();
     
     // Delete the default variant using REST API
-    const deleteResponse = await fetch(`https://${shop}/admin/api/2025-01/variants/${numericVariantId}.json`, {
+    const deleteResponse = await fetch(shopifyAdminUrl(shop, `/variants/${numericVariantId}.json`), {
       method: 'DELETE',
       headers: {
         'Content-Type': 'application/json',
@@ -1686,7 +1719,7 @@ async function renameProductOptionToStorlek(shop, accessToken, productId) {
   
   try {
     // First, get the product to find the option ID
-    const getResponse = await fetch(`https://${shop}/admin/api/2025-01/products/${numericProductId}.json`, {
+    const getResponse = await fetch(shopifyAdminUrl(shop, `/products/${numericProductId}.json`), {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
@@ -1726,7 +1759,7 @@ async function renameProductOptionToStorlek(shop, accessToken, productId) {
       }
     };
 
-    const updateResponse = await fetch(`https://${shop}/admin/api/2025-01/products/${numericProductId}.json`, {
+    const updateResponse = await fetch(shopifyAdminUrl(shop, `/products/${numericProductId}.json`), {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -1902,7 +1935,7 @@ async function addVariationsToExistingProduct(shop, accessToken, productId, vari
     variants: variants
   };
 
-  const fetchRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const fetchRes = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -1960,7 +1993,7 @@ async function getProductOptions(shop, accessToken, productId) {
     }
   }`;
 
-  const fetchRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const fetchRes = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -2004,7 +2037,7 @@ async function getExistingVariants(shop, accessToken, productId) {
     }
   }`;
 
-  const fetchRes = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const fetchRes = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -2041,7 +2074,7 @@ async function updateVariantSku(shop, accessToken, variantId, sku) {
   // Extract the numeric ID from the GraphQL ID
   const numericId = variantId.split('/').pop();
   
-  const url = `https://${shop}/admin/api/2025-01/variants/${numericId}.json`;
+  const url = shopifyAdminUrl(shop, `/variants/${numericId}.json`);
   
   const body = {
     variant: {
@@ -2083,7 +2116,7 @@ async function updateVariantInventoryAndWeight(shop, accessToken, variantId, var
   // Extract the numeric ID from the GraphQL ID
   const numericId = variantId.split('/').pop();
   
-  const url = `https://${shop}/admin/api/2025-01/variants/${numericId}.json`;
+  const url = shopifyAdminUrl(shop, `/variants/${numericId}.json`);
   
   const updateData = {
     variant: {
@@ -2145,7 +2178,7 @@ async function getOnlineStoreSalesChannelId(shop, accessToken) {
   }`;
 
   try {
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -2210,7 +2243,7 @@ async function publishProductToOnlineStore(shop, accessToken, productId, salesCh
   };
 
   try {
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -2358,7 +2391,7 @@ async function addProductToCollection(shop, accessToken, productId, collectionId
     productIds: [productId]
   };
   
-  const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const response = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -2413,7 +2446,7 @@ async function removeProductFromCollection(shop, accessToken, productId, collect
     productIds: [productId]
   };
 
-  const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const response = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -2525,7 +2558,7 @@ async function checkProductInCollection(shop, accessToken, productId, collection
     }
   }`;
   
-  const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+  const response = await fetch(shopifyGraphQLUrl(shop), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -2566,6 +2599,13 @@ To sync a SINGLE product by PartNumber (requires --advanced --manual):
 Examples:
   node app/syncProductsJob.js --advanced --manual --single "ABC123"
 
+To replay all product changes since a given date (e.g. after an incident):
+  node app/syncProductsJob.js --advanced --rewind-cursor 2025-06-01T08:00:00Z
+
+Incremental syncs read Monitor changes since the stored sync cursor, plus the
+parts that failed earlier incremental syncs (SyncRetry). --rewind-cursor moves the
+cursor back and runs an incremental sync from there.
+
 For scheduled syncs, use the worker:
   node app/worker.js
 
@@ -2591,17 +2631,30 @@ if (!isManualRun && useAdvancedStore) {
   console.log("� Running incremental sync anyway...");
 }
 
+let rewindTo;
+try {
+  rewindTo = parseRewindCursorArg(args);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Run the sync
-if (isSingleProductSync) {
+if (rewindTo) {
+  rewindSyncCursor('products', rewindTo).then(() => {
+    console.log(`🚀 Running incremental sync from ${rewindTo.toISOString()}...`);
+    return recordSyncRun("PRODUCT-SYNC", "manual", () => syncProducts(true));
+  });
+} else if (isSingleProductSync) {
   console.log(`🔍 Running single product sync for: ${singlePartNumber}`);
   console.log(`🎯 Target: Advanced store (manual mode)`);
-  syncProducts(false, singlePartNumber); // Single product sync, never incremental
+  recordSyncRun("PRODUCT-SYNC", "manual", () => syncProducts(false, singlePartNumber)); // Single product sync, never incremental
 } else {
   // Determine sync type based on flags
   const isFullSync = isManualRun || !useAdvancedStore; // Manual mode or dev store = full sync
   const syncType = isFullSync ? "full sync" : "incremental sync";
   console.log(`🚀 Running ${syncType}...`);
   
-  syncProducts(!isFullSync); // !isFullSync = incremental sync for advanced store without manual flag
+  recordSyncRun("PRODUCT-SYNC", "manual", () => syncProducts(!isFullSync)); // !isFullSync = incremental sync for advanced store without manual flag
 }
 }
@@ -0,0 +1,147 @@
+// app/utils/app-proxy.js
+// Verifies storefront requests that reach the app through the Shopify app proxy (/apps/monitor/* in the
+// theme, see [app_proxy] in shopify.app.toml). Shopify signs the query string with the app's secret and
+// adds logged_in_customer_id, so the customer can't be spoofed by editing the request.
+
+import crypto from "crypto";
+import { shopifyGraphQL } from "./shopify-admin.js";
+
+// Shopify adds the timestamp when it proxies the request
+const MAX_SIGNATURE_AGE_SECONDS = 10 * 60;
+
+function computeSignature(searchParams, secret) {
+  // Sorted key=value pairs without separators; repeated keys are joined with a comma
+  const params = {};
+  for (const [key, value] of searchParams) {
+    if (key === "signature") continue;
+    params[key] = params[key] !== undefined ? `${params[key]},${value}` : value;
+  }
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join("");
+  return crypto.createHmac("sha256", secret).update(message).digest("hex");
+}
+
+/**
+ * Check the app proxy signature of a request
+ * @param {Request} request - The incoming request
+ * @returns {Object|null} { shop, customerId } where customerId is the numeric ID of the logged in
+ * customer or null for guests; null if the request wasn't signed by Shopify
+ */
+export function verifyAppProxyRequest(request) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!secret) {
+    console.error("❌ SHOPIFY_API_SECRET is not set, can't verify app proxy requests");
+    return null;
+  }
+
+  const { searchParams } = new URL(request.url);
+  const signature = searchParams.get("signature") || "";
+  const expected = computeSignature(searchParams, secret);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const timestamp = parseInt(searchParams.get("timestamp") || "0", 10);
+  if (Math.abs(Date.now() / 1000 - timestamp) > MAX_SIGNATURE_AGE_SECONDS) {
+    return null;
+  }
+
+  return {
+    shop: searchParams.get("shop"),
+    customerId: searchParams.get("logged_in_customer_id") || null,
+  };
+}
+
+/**
+ * Admin API token for a shop - the advanced store token from the environment, otherwise the app's offline session
+ * @param {string} shop - Shop domain
+ * @returns {Promise<string|null>} Access token, or null if the app isn't installed on the shop
+ */
+export async function getShopAccessToken(shop) {
+  if (shop === process.env.ADVANCED_STORE_DOMAIN && process.env.ADVANCED_STORE_ADMIN_TOKEN) {
+    return process.env.ADVANCED_STORE_ADMIN_TOKEN;
+  }
+
+  const { sessionStorage } = await import("../shopify.server.js");
+  const sessions = await sessionStorage.findSessionsByShop(shop);
+  const session = (sessions || []).find(s => !s.isOnline && s.accessToken) || (sessions || []).find(s => s.accessToken);
+  return session?.accessToken || null;
+}
+
+/**
+ * The Monitor customer ID stored on a Shopify customer (custom.monitor_id), whether the customer is
+ * a sales rep (custom.is_sales_rep) and their email
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Admin API token
+ * @param {string} customerId - Numeric Shopify customer ID
+ * @returns {Promise<Object>} { monitorCustomerId, isSalesRep, email }; monitorCustomerId is null if the customer isn't linked to Monitor
+ */
+export async function getCustomerMonitorLink(shop, accessToken, customerId) {
+  const data = await shopifyGraphQL(shop, accessToken, `query($id: ID!) {
+    customer(id: $id) {
+      email
+      metafield(namespace: "custom", key: "monitor_id") {
+        value
+      }
+      isSalesRep: metafield(namespace: "custom", key: "is_sales_rep") {
+        value
+      }
+    }
+  }`, { id: `gid://shopify/Customer/${customerId}` });
+  return {
+    monitorCustomerId: data?.customer?.metafield?.value || null,
+    isSalesRep: data?.customer?.isSalesRep?.value === "true",
+    email: data?.customer?.email || null,
+  };
+}
+
+/**
+ * The Monitor customer ID stored on a Shopify customer (custom.monitor_id)
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Admin API token
+ * @param {string} customerId - Numeric Shopify customer ID
+ * @returns {Promise<string|null>} Monitor customer ID, or null if the customer isn't linked to Monitor
+ */
+export async function getMonitorCustomerId(shop, accessToken, customerId) {
+  return (await getCustomerMonitorLink(shop, accessToken, customerId)).monitorCustomerId;
+}
+
+/**
+ * Verify an app proxy request and look up the logged in customer's Monitor customer. A sales rep may
+ * ask for another Monitor customer (picked in the sales rep panel); anyone else always gets their own.
+ * @param {Request} request - The incoming request
+ * @param {Object} [options] - { requestedMonitorId } sent by the storefront
+ * @returns {Promise<Object>} { shop, customerId, accessToken, monitorCustomerId, isSalesRep, email }, or { error, status }
+ * when the request isn't signed, nobody is logged in or the customer isn't linked to Monitor
+ */
+export async function authenticateProxyCustomer(request, { requestedMonitorId = null } = {}) {
+  const proxy = verifyAppProxyRequest(request);
+  if (!proxy) {
+    return { error: "Unauthorized", status: 401 };
+  }
+  if (!proxy.customerId) {
+    return { error: "Not logged in", status: 401 };
+  }
+
+  const accessToken = await getShopAccessToken(proxy.shop);
+  if (!accessToken) {
+    console.error(`❌ No access token for shop ${proxy.shop}`);
+    return { error: "Shop not configured", status: 500 };
+  }
+
+  const { monitorCustomerId: ownMonitorCustomerId, isSalesRep, email } = await getCustomerMonitorLink(proxy.shop, accessToken, proxy.customerId);
+  let monitorCustomerId = ownMonitorCustomerId;
+  if (requestedMonitorId && String(requestedMonitorId) !== ownMonitorCustomerId) {
+    if (isSalesRep) {
+      console.log(`[Sales Rep] Customer ${proxy.customerId} acting for Monitor customer ${requestedMonitorId}`);
+      monitorCustomerId = String(requestedMonitorId);
+    } else {
+      console.warn(`⚠️ Customer ${proxy.customerId} asked for Monitor customer ${requestedMonitorId} but isn't a sales rep, using their own`);
+    }
+  }
+
+  if (!monitorCustomerId) {
+    return { error: "Customer is not linked to Monitor", status: 404 };
+  }
+
+  return { ...proxy, accessToken, monitorCustomerId, isSalesRep, email };
+}
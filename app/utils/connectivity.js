@@ -0,0 +1,86 @@
+// app/utils/connectivity.js
+// Connectivity checks for the Monitor and Shopify APIs, used by the worker at startup and by the dashboard
+
+import fetch from "node-fetch";
+import { MonitorClient } from "./monitor.js";
+import { shopifyGraphQLUrl } from "./shopify-admin.js";
+
+/**
+ * Test Monitor API connectivity
+ * @returns {Promise<{ok: boolean, message: string}>} Result of the check
+ */
+export async function testMonitorConnection() {
+  const monitorUrl = process.env.MONITOR_URL;
+  const monitorUsername = process.env.MONITOR_USER;
+  const monitorPassword = process.env.MONITOR_PASS;
+  const monitorCompany = process.env.MONITOR_COMPANY;
+
+  if (!monitorUrl || !monitorUsername || !monitorPassword || !monitorCompany) {
+    const message = "Missing configuration (MONITOR_URL, MONITOR_USER, MONITOR_PASS, MONITOR_COMPANY)";
+    console.log(`❌ Monitor API: ${message}`);
+    return { ok: false, message };
+  }
+
+  try {
+    // Use the shared session instead of a forced login, which would kick out the web server's session
+    const client = new MonitorClient();
+    await client.odata("Common/Units", { top: 1 });
+
+    console.log("✅ Monitor API: Connection successful");
+    return { ok: true, message: "Connection successful" };
+  } catch (error) {
+    console.log(`❌ Monitor API: Connection failed - ${error.message}`);
+    return { ok: false, message: `Connection failed - ${error.message}` };
+  }
+}
+
+/**
+ * Test Shopify Admin API connectivity for the advanced store
+ * @returns {Promise<{ok: boolean, message: string}>} Result of the check
+ */
+export async function testShopifyConnection() {
+  const shop = process.env.ADVANCED_STORE_DOMAIN;
+  const accessToken = process.env.ADVANCED_STORE_ADMIN_TOKEN;
+
+  if (!shop || !accessToken) {
+    const message = "Missing configuration (ADVANCED_STORE_DOMAIN, ADVANCED_STORE_ADMIN_TOKEN)";
+    console.log(`❌ Shopify API: ${message}`);
+    return { ok: false, message };
+  }
+
+  const testQuery = `query {
+    shop {
+      id
+      name
+    }
+  }`;
+
+  try {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': accessToken,
+      },
+      body: JSON.stringify({ query: testQuery }),
+    });
+
+    const result = await response.json();
+
+    if (result.errors) {
+      console.log(`❌ Shopify API: GraphQL errors - ${JSON.stringify(result.errors)}`);
+      return { ok: false, message: `GraphQL errors - ${JSON.stringify(result.errors)}` };
+    }
+
+    if (result.data?.shop?.name) {
+      console.log(`✅ Shopify API: Connection successful (Shop: ${result.data.shop.name})`);
+      return { ok: true, message: `Connection successful (Shop: ${result.data.shop.name})` };
+    }
+
+    console.log("❌ Shopify API: Unexpected response format");
+    return { ok: false, message: "Unexpected response format" };
+  } catch (error) {
+    console.log(`❌ Shopify API: Connection failed - ${error.message}`);
+    return { ok: false, message: `Connection failed - ${error.message}` };
+  }
+}
@@ -0,0 +1,183 @@
+// app/utils/customer-documents.js
+// Copies of Monitor invoices and delivery notes that logged in customers can download from their account page
+// (api.customer-documents.js). Monitor's API doesn't hand out the printed documents, so the PDFs are
+// generated here from the invoice and delivery note data.
+
+import {
+  fetchCustomerInvoicesFromMonitor,
+  fetchCustomerInvoiceFromMonitor,
+  fetchCustomerDeliveryNotesFromMonitor,
+  fetchDeliveryNoteFromMonitor,
+  fetchPartNumbersFromMonitor,
+} from "./monitor.js";
+import { createPdfDocument, drawLogo, formatSek } from "./pdf.js";
+
+export const DOCUMENTS_PAGE_SIZE = 20;
+
+export const DOCUMENT_TYPES = {
+  invoice: { title: "Faktura", fetch: fetchCustomerInvoiceFromMonitor, number: doc => doc.InvoiceNumber },
+  delivery_note: { title: "Följesedel", fetch: fetchDeliveryNoteFromMonitor, number: doc => doc.DeliveryNoteNumber },
+};
+
+function dateOnly(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+/**
+ * A page of a customer's invoices and delivery notes, newest first
+ * @param {string} monitorCustomerId - Monitor customer ID
+ * @param {number} page - 1-based page number
+ * @returns {Promise<Object>} { page, hasNextPage, invoices, deliveryNotes }
+ */
+export async function listCustomerDocuments(monitorCustomerId, page = 1) {
+  // One extra document tells whether there is a next page
+  const options = { top: DOCUMENTS_PAGE_SIZE + 1, skip: (page - 1) * DOCUMENTS_PAGE_SIZE };
+  const invoices = await fetchCustomerInvoicesFromMonitor(monitorCustomerId, options);
+  const deliveryNotes = await fetchCustomerDeliveryNotesFromMonitor(monitorCustomerId, options);
+
+  return {
+    page,
+    hasNextPage: invoices.length > DOCUMENTS_PAGE_SIZE || deliveryNotes.length > DOCUMENTS_PAGE_SIZE,
+    invoices: invoices.slice(0, DOCUMENTS_PAGE_SIZE).map(invoice => ({
+      id: String(invoice.Id),
+      invoiceNumber: invoice.InvoiceNumber,
+      invoiceDate: dateOnly(invoice.InvoiceDate),
+      dueDate: dateOnly(invoice.DueDate),
+      total: invoice.TotalAmount ?? null,
+    })),
+    deliveryNotes: deliveryNotes.slice(0, DOCUMENTS_PAGE_SIZE).map(deliveryNote => ({
+      id: String(deliveryNote.Id),
+      deliveryNoteNumber: deliveryNote.DeliveryNoteNumber,
+      deliveryDate: dateOnly(deliveryNote.DeliveryDate),
+      orderNumber: deliveryNote.OrderNumber ?? null,
+    })),
+  };
+}
+
+/**
+ * Fetch an invoice or delivery note, but only if it belongs to the customer
+ * @param {string} monitorCustomerId - Monitor customer ID of the logged in customer
+ * @param {string} type - "invoice" or "delivery_note"
+ * @param {string} documentId - Monitor ID of the document
+ * @returns {Promise<Object|null>} The document with Rows, or null if it doesn't exist or belongs to someone else
+ */
+export async function getCustomerDocument(monitorCustomerId, type, documentId) {
+  const documentType = DOCUMENT_TYPES[type];
+  // The ID goes into an OData filter, so only accept Monitor IDs
+  if (!documentType || !/^\d+$/.test(String(documentId || ""))) {
+    return null;
+  }
+
+  const document = await documentType.fetch(documentId);
+  if (!document) {
+    return null;
+  }
+  if (String(document.CustomerId) !== String(monitorCustomerId)) {
+    console.warn(`⚠️ Customer ${monitorCustomerId} asked for ${type} ${documentId} of customer ${document.CustomerId} - refused`);
+    return null;
+  }
+  return document;
+}
+
+/**
+ * File name for a downloaded document, e.g. faktura-70012.pdf
+ * @param {string} type - "invoice" or "delivery_note"
+ * @param {Object} document - Document from getCustomerDocument()
+ * @returns {string} File name
+ */
+export function documentFileName(type, document) {
+  const number = String(DOCUMENT_TYPES[type].number(document) ?? document.Id).replace(/[^\w-]/g, "");
+  return `${DOCUMENT_TYPES[type].title.toLowerCase().replace("ö", "o")}-${number}.pdf`;
+}
+
+/**
+ * Render a copy of an invoice or delivery note
+ * @param {string} type - "invoice" or "delivery_note"
+ * @param {Object} document - Document from getCustomerDocument()
+ * @returns {Promise<Buffer>} The PDF
+ */
+export async function generateDocumentPDF(type, document) {
+  const rows = document.Rows || [];
+  const partIds = [...new Set(rows.map(row => String(row.PartId)).filter(id => id !== "undefined"))];
+  const parts = new Map((await fetchPartNumbersFromMonitor(partIds)).map(part => [String(part.Id), part]));
+
+  const { doc, finished } = createPdfDocument();
+  drawLogo(doc);
+
+  const documentType = DOCUMENT_TYPES[type];
+  doc.fontSize(20).text(`${documentType.title} ${documentType.number(document) ?? ""}`, { align: "right" });
+  doc.fontSize(10).text("Kopia", { align: "right" });
+  doc.moveDown();
+
+  if (type === "invoice") {
+    doc.text(`Fakturadatum: ${dateOnly(document.InvoiceDate) || "-"}`);
+    doc.text(`Förfallodatum: ${dateOnly(document.DueDate) || "-"}`);
+  } else {
+    doc.text(`Leveransdatum: ${dateOnly(document.DeliveryDate) || "-"}`);
+    if (document.OrderNumber) doc.text(`Ordernummer: ${document.OrderNumber}`);
+  }
+  if (document.YourReference) doc.text(`Er referens: ${document.YourReference}`);
+  doc.moveDown(2);
+
+  // Table - A4 portrait: 595pts width, with 30pt margins = 535pts usable width
+  const columns = type === "invoice"
+    ? { partNumber: 30, description: 130, quantity: 330, price: 400, amount: 480 }
+    : { partNumber: 30, description: 150, quantity: 450 };
+
+  const drawHeader = (y) => {
+    doc.fontSize(9).font("Helvetica-Bold");
+    doc.text("Artikelnr", columns.partNumber, y);
+    doc.text("Benämning", columns.description, y);
+    doc.text(type === "invoice" ? "Antal" : "Levererat", columns.quantity, y);
+    if (type === "invoice") {
+      doc.text("À-pris", columns.price, y);
+      doc.text("Belopp", columns.amount, y);
+    }
+    doc.moveTo(30, y + 15).lineTo(565, y + 15).stroke();
+    doc.font("Helvetica");
+    return y + 25;
+  };
+
+  let yPosition = drawHeader(doc.y);
+  for (const row of rows) {
+    // A4 portrait height is ~842pts, leave room for the totals
+    if (yPosition > 740) {
+      doc.addPage();
+      yPosition = drawHeader(50);
+    }
+
+    const part = parts.get(String(row.PartId));
+    const quantity = type === "invoice" ? (row.InvoicedQuantity ?? row.Quantity) : (row.DeliveredQuantity ?? row.Quantity);
+    doc.text(part?.PartNumber || "", columns.partNumber, yPosition, { width: columns.description - columns.partNumber - 5 });
+    doc.text((row.Description || part?.Description || "").substring(0, 45), columns.description, yPosition, { width: columns.quantity - columns.description - 5 });
+    doc.text(String(quantity ?? ""), columns.quantity, yPosition);
+    if (type === "invoice") {
+      doc.text(formatSek(row.Price), columns.price, yPosition, { width: 75 });
+      doc.text(formatSek(row.TotalAmount ?? (quantity != null && row.Price != null ? quantity * row.Price : null)), columns.amount, yPosition, { width: 85 });
+    }
+    yPosition += 18;
+  }
+
+  if (type === "invoice") {
+    yPosition += 10;
+    doc.moveTo(30, yPosition).lineTo(565, yPosition).stroke();
+    yPosition += 10;
+    doc.fontSize(10);
+    if (document.VatAmount != null) {
+      doc.text(`Moms: ${formatSek(document.VatAmount)}`, 30, yPosition, { align: "right", width: 535 });
+      yPosition += 15;
+    }
+    doc.font("Helvetica-Bold").text(`Att betala: ${formatSek(document.TotalAmount)}`, 30, yPosition, { align: "right", width: 535 });
+    doc.font("Helvetica");
+  }
+
+  doc.fontSize(8).text(
+    `Utskriven: ${new Date().toLocaleString("sv-SE")}`,
+    30,
+    Math.max(doc.y + 20, yPosition + 30),
+    { align: "center", width: 535 }
+  );
+
+  doc.end();
+  return finished;
+}
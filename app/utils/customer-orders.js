@@ -0,0 +1,128 @@
+// app/utils/customer-orders.js
+// Order history of a logged in storefront customer, read from Monitor so it also includes orders that were
+// entered in Monitor by phone or by sales reps. Served to the account page by api.customer-orders.js.
+
+import { shopifyGraphQL } from "./shopify-admin.js";
+import {
+  fetchCustomerOrdersFromMonitor,
+  fetchCustomerInvoicesFromMonitor,
+  fetchPartNumbersFromMonitor,
+} from "./monitor.js";
+import { summarizeMonitorOrder } from "./monitor-order-status.js";
+
+export const ORDERS_PAGE_SIZE = 10;
+const INVOICES_SHOWN = 10;
+
+// Cache per customer and page (server-side, shared across requests)
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_CACHE_ENTRIES = 500;
+const historyCache = new Map();
+
+// Shopify variants by SKU (= Monitor PartNumber), so rows can be added to the cart again
+async function findVariantsBySku(shop, accessToken, skus) {
+  const variants = new Map();
+  if (skus.length === 0) return variants;
+
+  const data = await shopifyGraphQL(shop, accessToken, `query($query: String!, $first: Int!) {
+    productVariants(first: $first, query: $query) {
+      nodes {
+        id
+        sku
+        availableForSale
+      }
+    }
+  }`, { query: skus.map(sku => `sku:"${sku.replace(/"/g, "")}"`).join(" OR "), first: Math.min(skus.length * 2, 250) });
+
+  for (const variant of data?.productVariants?.nodes || []) {
+    if (variant.sku && !variants.has(variant.sku)) {
+      variants.set(variant.sku, variant);
+    }
+  }
+  return variants;
+}
+
+function dateOnly(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+async function buildOrderHistory(shop, accessToken, monitorCustomerId, page) {
+  // One extra order tells whether there is a next page
+  const orders = await fetchCustomerOrdersFromMonitor(monitorCustomerId, {
+    top: ORDERS_PAGE_SIZE + 1,
+    skip: (page - 1) * ORDERS_PAGE_SIZE,
+  });
+  const hasNextPage = orders.length > ORDERS_PAGE_SIZE;
+  const pageOrders = orders.slice(0, ORDERS_PAGE_SIZE);
+
+  const partIds = [...new Set(pageOrders.flatMap(order => (order.Rows || []).map(row => String(row.PartId))))];
+  const parts = new Map((await fetchPartNumbersFromMonitor(partIds)).map(part => [String(part.Id), part]));
+  const variants = await findVariantsBySku(shop, accessToken, [...new Set([...parts.values()].map(part => part.PartNumber).filter(Boolean))]);
+
+  const result = pageOrders.map(order => {
+    const summary = summarizeMonitorOrder(order);
+    return {
+      id: String(order.Id),
+      orderNumber: order.OrderNumber,
+      reference: order.BusinessContactOrderNumber || null,
+      orderDate: dateOnly(order.OrderDate),
+      status: summary.state,
+      deliveryDate: summary.deliveryDate,
+      rows: summary.rows.map(row => {
+        const part = parts.get(row.partId);
+        const variant = part ? variants.get(part.PartNumber) : null;
+        // The cart only takes whole quantities, rows sold by length or weight can't be reordered
+        const reorderable = Boolean(variant?.availableForSale) && Number.isInteger(row.ordered) && row.ordered > 0;
+        return {
+          row: row.row,
+          partNumber: part?.PartNumber || null,
+          description: part?.Description || null,
+          ordered: row.ordered,
+          delivered: row.delivered,
+          invoiced: row.invoiced,
+          deliveryDate: row.deliveryDate,
+          variantId: reorderable ? variant.id.split("/").pop() : null,
+        };
+      }),
+    };
+  });
+
+  // Invoices are only listed with the first page of orders
+  const invoices = page === 1
+    ? (await fetchCustomerInvoicesFromMonitor(monitorCustomerId, { top: INVOICES_SHOWN })).map(invoice => ({
+      id: String(invoice.Id),
+      invoiceNumber: invoice.InvoiceNumber,
+      invoiceDate: dateOnly(invoice.InvoiceDate),
+      dueDate: dateOnly(invoice.DueDate),
+      total: invoice.TotalAmountInCompanyCurrency ?? invoice.TotalAmount ?? null,
+      paid: invoice.Paid ?? null,
+    }))
+    : [];
+
+  return { page, hasNextPage, orders: result, invoices };
+}
+
+/**
+ * A page of a customer's Monitor orders with rows, delivery status and (on the first page) invoices
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Admin API token
+ * @param {string} monitorCustomerId - Monitor customer ID
+ * @param {number} page - 1-based page number
+ * @returns {Promise<Object>} { page, hasNextPage, orders, invoices, cached }
+ */
+export async function getCustomerOrderHistory(shop, accessToken, monitorCustomerId, page = 1) {
+  const cacheKey = `${shop}:${monitorCustomerId}:${page}`;
+  const cached = historyCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return { ...cached.history, cached: true };
+  }
+
+  const history = await buildOrderHistory(shop, accessToken, monitorCustomerId, page);
+
+  if (historyCache.size >= MAX_CACHE_ENTRIES) {
+    // Maps keep insertion order, so the first key is the oldest entry
+    historyCache.delete(historyCache.keys().next().value);
+  }
+  historyCache.set(cacheKey, { history, timestamp: Date.now() });
+
+  return { ...history, cached: false };
+}
@@ -0,0 +1,314 @@
+// app/utils/draft-orders.js
+// Cart lines priced for a customer, and Shopify draft orders built from them. Used at checkout
+// (api.draft-order-public.js) and for quotes (app/utils/quotes.js), so both handle decimal units and
+// beam specifications (Balkspecifikation) the same way.
+
+import { shopifyAdminUrl, shopifyGraphQL } from "./shopify-admin.js";
+import { getCustomerPrices, isOutletProduct } from "./pricing.js";
+
+// Same list as the theme: everything else is sold in decimal quantities (m, kg...)
+const WHOLE_NUMBER_UNITS = ['st', 'rle', 'pkt', 'pås', 'Sk', 'krt', 'frp'];
+
+const VARIANT_QUERY = `
+  query getVariant($id: ID!) {
+    productVariant(id: $id) {
+      id
+      title
+      price
+      sku
+      image {
+        url
+        altText
+      }
+      monitorIdMetafield: metafield(namespace: "custom", key: "monitor_id") {
+        value
+      }
+      standardUnitMetafield: metafield(namespace: "custom", key: "standard_unit") {
+        value
+      }
+      unitIdMetafield: metafield(namespace: "custom", key: "unitid") {
+        value
+      }
+      partCodeMetafield: metafield(namespace: "custom", key: "partcode_id") {
+        value
+      }
+      product {
+        id
+        title
+        vendor
+        featuredImage {
+          url
+          altText
+        }
+        collections(first: 50) {
+          edges {
+            node {
+              handle
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Price the items of a cart for a customer. Items whose variant can't be read are left out.
+ * @param {Object} params - { apiDomain, accessToken, items, pricing }
+ *   where items are { variantId, quantity, properties } from the cart and pricing is { customerMonitorId }
+ * @returns {Promise<Array>} Cart lines with the unit price at the ordered quantity in customPrice. Lines Monitor
+ *   couldn't price keep the variant price, with pricedByMonitor false and the reason in priceSource.
+ */
+export async function buildCartLines({ apiDomain, accessToken, items, pricing }) {
+  const lines = [];
+
+  for (const item of items) {
+    try {
+      const { variantId, quantity } = item;
+      console.log(`Processing item: ${variantId}, quantity: ${quantity}, properties:`, item.properties);
+
+      const data = await shopifyGraphQL(apiDomain, accessToken, VARIANT_QUERY, { id: variantId });
+      const variant = data?.productVariant;
+
+      if (!variant) {
+        console.log(`Variant ${variantId} not found, skipping`);
+        continue;
+      }
+
+      console.log(`Found variant: ${variant.product.title}, price: ${variant.price}`);
+
+      const monitorId = variant.monitorIdMetafield?.value;
+      const isOutlet = isOutletProduct(variant.product);
+
+      // Extract standard unit to determine if this is a decimal product
+      const standardUnit = variant.standardUnitMetafield?.value;
+      const isDecimalUnit = Boolean(standardUnit) && !WHOLE_NUMBER_UNITS.includes(standardUnit);
+
+      // For decimal products, quantity from frontend is the actual decimal amount
+      // For regular products, ensure we have an integer
+      const displayQuantity = isDecimalUnit ? quantity : Math.max(1, Math.round(Math.abs(quantity)));
+      const apiQuantity = Math.max(1, Math.round(Math.abs(quantity))); // Always integer for API
+
+      console.log(`Variant metafields - Monitor ID: ${monitorId}, Is outlet: ${isOutlet}, Unit: ${standardUnit}, IsDecimal: ${isDecimalUnit}, OriginalQty: ${quantity}, ApiQty: ${apiQuantity}, DisplayQty: ${displayQuantity}`);
+
+      // Check if this item has beam data in its properties (for Balk products)
+      const itemBeamData = item.properties || {};
+      const beamSummary = itemBeamData['Balkspecifikation'];
+      console.log(`Beam specification found: ${beamSummary || 'none'}`);
+
+      lines.push({
+        variantId: variantId,
+        monitorId: monitorId || null,
+        standardUnitId: variant.unitIdMetafield?.value || null,
+        quantity: apiQuantity, // Always use integer quantity for API
+        displayQuantity: displayQuantity, // Store display quantity for reference
+        // The variant price until the line is priced for the customer below
+        customPrice: variant.price,
+        productTitle: variant.product.title,
+        variantTitle: variant.title || 'Default',
+        sku: variant.sku || '',
+        vendor: variant.product.vendor || 'Sonsab',
+        standardUnit: standardUnit || 'st',
+        isDecimalUnit: isDecimalUnit,
+        imageUrl: variant.image?.url || variant.product.featuredImage?.url,
+        imageAlt: variant.image?.altText || variant.product.featuredImage?.altText || variant.product.title,
+        // Store the beam summary for line item processing
+        beamSummary: beamSummary,
+        // Store original properties for access later
+        originalProperties: itemBeamData
+      });
+    } catch (error) {
+      console.error(`Error processing item ${item.variantId}:`, error);
+    }
+  }
+
+  // All lines are priced together, at the ordered quantity so Monitor's quantity breaks apply
+  const { prices, error } = await getCustomerPrices(pricing.customerMonitorId, lines.map(line => ({
+    variantId: line.variantId,
+    monitorId: line.monitorId,
+    standardUnitId: line.standardUnitId,
+    quantity: line.displayQuantity
+  })), { shop: apiDomain, accessToken });
+  if (error) {
+    console.log(`Monitor could not price the cart, using the variant prices: ${error.message}`);
+  }
+
+  lines.forEach((line, index) => {
+    const { price, priceSource } = prices[index];
+    let finalPrice = parseFloat(line.customPrice);
+
+    line.priceSource = priceSource;
+    line.pricedByMonitor = price !== null && price > 0;
+    if (line.pricedByMonitor) {
+      console.log(`Got dynamic price for ${line.variantId}: ${price} (was ${finalPrice}, ${priceSource})`);
+      finalPrice = price;
+    } else {
+      console.log(`Using original price for ${line.variantId}: ${finalPrice} (${priceSource})`);
+    }
+
+    if (finalPrice <= 0) {
+      console.warn(`Warning: Final price is ${finalPrice} for variant ${line.variantId}`);
+    }
+
+    line.customPrice = finalPrice.toString();
+    console.log(`Added line item: variant ${line.variantId}, API quantity ${line.quantity}, display quantity ${line.displayQuantity} ${line.standardUnit}, price ${finalPrice}`);
+  });
+
+  return lines;
+}
+
+/**
+ * Total of cart lines, with decimal lines priced by their decimal quantity
+ * @param {Array} lines - Lines from buildCartLines()
+ * @returns {number} Total, rounded to öre
+ */
+export function cartLinesTotal(lines) {
+  const total = lines.reduce((sum, line) => sum + lineTotal(line), 0);
+  return Math.round(total * 100) / 100;
+}
+
+function lineTotal(line) {
+  const unitPrice = parseFloat(line.customPrice);
+  return Math.round(unitPrice * (line.isDecimalUnit ? line.displayQuantity : line.quantity) * 100) / 100;
+}
+
+// REST draft order line item. Custom line items (no variant_id) so Shopify keeps our price;
+// the variant, decimal quantity and beam specification go into properties for the Monitor export.
+function buildDraftOrderLineItem(item) {
+  let customPrice = parseFloat(item.customPrice);
+  let apiQuantity = item.quantity; // Use integer quantity
+
+  // For decimal products, use quantity 1 and calculate total price
+  if (item.isDecimalUnit) {
+    // displayQuantity is the actual amount (e.g., 0.25), customPrice the price per unit (e.g., per meter)
+    customPrice = lineTotal(item);
+    apiQuantity = 1;
+    console.log(`Decimal product: ${item.displayQuantity} ${item.standardUnit} × ${item.customPrice} = ${customPrice}`);
+  }
+
+  const lineItem = {
+    title: `${item.productTitle}${item.variantTitle && item.variantTitle !== 'Default' ? ' - ' + item.variantTitle : ''}`,
+    price: customPrice.toString(),
+    quantity: apiQuantity,
+    taxable: true,
+    requires_shipping: true,
+    vendor: item.vendor,
+    sku: item.sku,
+    grams: 600000 // Default weight
+  };
+
+  // Always add variant ID for tracking
+  const lineItemProperties = [{
+    name: "_variant_id",
+    value: item.variantId.replace('gid://shopify/ProductVariant/', '')
+  }];
+
+  // Add decimal unit info if applicable
+  if (item.isDecimalUnit) {
+    // Format quantity with Swedish decimal separator
+    const formattedQuantity = item.displayQuantity.toString().replace('.', ',');
+    lineItemProperties.push({
+      name: "Enhet",
+      value: `${formattedQuantity} ${item.standardUnit}`
+    });
+  }
+
+  const balkspecifikation = item.originalProperties?.['Balkspecifikation'] || item.beamSummary;
+  if (balkspecifikation) {
+    lineItemProperties.push({
+      name: 'Balkspecifikation',
+      value: balkspecifikation
+    });
+  }
+
+  // Add image information as properties
+  if (item.imageUrl) {
+    lineItemProperties.push({
+      name: "_image_url",
+      value: item.imageUrl
+    });
+    if (item.imageAlt) {
+      lineItemProperties.push({
+        name: "_image_alt",
+        value: item.imageAlt
+      });
+    }
+  }
+
+  lineItem.properties = lineItemProperties;
+  return lineItem;
+}
+
+/**
+ * Create a draft order from cart lines at the prices in the lines
+ * @param {Object} params - { apiDomain, accessToken, customerId, lines, goodsLabel, orderMark }
+ * @returns {Promise<Object>} { draftOrder } with the REST draft order, or { errors } if Shopify refused it
+ */
+export async function createDraftOrder({ apiDomain, accessToken, customerId, lines, goodsLabel, orderMark }) {
+  const draftOrderPayload = {
+    draft_order: {
+      customer: {
+        id: parseInt(customerId.replace('gid://shopify/Customer/', ''))
+      },
+      note: goodsLabel || '', // Use the note field for goods label since draft orders don't support custom_attributes
+      line_items: lines.map(buildDraftOrderLineItem)
+    }
+  };
+
+  const draftOrderResponse = await fetch(shopifyAdminUrl(apiDomain, '/draft_orders.json'), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': accessToken,
+    },
+    body: JSON.stringify(draftOrderPayload)
+  });
+
+  const draftOrderData = await draftOrderResponse.json();
+
+  if (draftOrderData.errors) {
+    console.error('Draft order creation errors:', draftOrderData.errors);
+    return { errors: draftOrderData.errors };
+  }
+
+  const draftOrder = draftOrderData.draft_order;
+  if (!draftOrder) {
+    console.error('No draft order returned');
+    return { errors: "No draft order returned" };
+  }
+
+  console.log(`✅ Created draft order ${draftOrder.id} with total ${draftOrder.total_price}`);
+
+  // Add metafields for goods label and order mark if provided (so they can be accessed via GraphQL)
+  const metafields = [];
+  if (goodsLabel) {
+    metafields.push({ ownerId: `gid://shopify/DraftOrder/${draftOrder.id}`, namespace: "custom", key: "goods_label", value: goodsLabel, type: "multi_line_text_field" });
+  }
+  if (orderMark) {
+    metafields.push({ ownerId: `gid://shopify/DraftOrder/${draftOrder.id}`, namespace: "custom", key: "order_mark", value: orderMark, type: "multi_line_text_field" });
+  }
+
+  if (metafields.length > 0) {
+    try {
+      const result = await shopifyGraphQL(apiDomain, accessToken, `mutation($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`, { metafields });
+
+      if (result?.metafieldsSet?.userErrors?.length > 0) {
+        console.error('❌ Metafield creation errors:', result.metafieldsSet.userErrors);
+      } else {
+        console.log(`✅ Successfully added metafields to draft order ${draftOrder.id}: ${metafields.map(m => m.key).join(', ')}`);
+      }
+    } catch (metafieldError) {
+      console.error('Failed to add metafields:', metafieldError);
+      // Don't fail the whole operation if metafield creation fails
+    }
+  }
+
+  return { draftOrder };
+}
@@ -155,6 +155,96 @@ webshop@sonsab.com
   }
 }
 
+/**
+ * Send a quote (offert) with the PDF attached
+ * @param {string} customerEmail - Customer's email address
+ * @param {Object} quote - { number, total, validUntil, lineCount }
+ * @param {Buffer} attachment - Quote PDF
+ */
+export async function sendQuoteEmail(customerEmail, quote, attachment) {
+  try {
+    const transporter = getTransporter();
+
+    const filename = `offert-${quote.number}.pdf`;
+    const validUntil = quote.validUntil.toLocaleDateString('sv-SE');
+    const total = new Intl.NumberFormat('sv-SE', { style: 'currency', currency: 'SEK' }).format(quote.total);
+
+    const htmlContent = `
+      <html>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h2 style="color: #1D349A;">Din offert ${quote.number}</h2>
+            
+            <p>Hej,</p>
+            
+            <p>Tack för din förfrågan. Offerten är bifogad till detta e-postmeddelande.</p>
+            
+            <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <ul>
+                <li><strong>Antal rader:</strong> ${quote.lineCount}</li>
+                <li><strong>Summa exkl. moms:</strong> ${total}</li>
+                <li><strong>Giltig till:</strong> ${validUntil}</li>
+              </ul>
+            </div>
+            
+            <p>Du kan acceptera offerten och beställa till offererade priser under "Mina offerter" på ditt konto.</p>
+            
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            
+            <p style="font-size: 12px; color: #666;">
+              Med vänliga hälsningar,<br>
+              <strong>Webshop Sonsab</strong><br>
+              webshop@sonsab.com
+            </p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const textContent = `
+Din offert ${quote.number}
+
+Hej,
+
+Tack för din förfrågan. Offerten är bifogad till detta e-postmeddelande.
+
+- Antal rader: ${quote.lineCount}
+- Summa exkl. moms: ${total}
+- Giltig till: ${validUntil}
+
+Du kan acceptera offerten och beställa till offererade priser under "Mina offerter" på ditt konto.
+
+Med vänliga hälsningar,
+Webshop Sonsab
+webshop@sonsab.com
+    `;
+
+    const info = await transporter.sendMail({
+      from: {
+        name: 'Webshop Sonsab',
+        address: emailConfig.auth.user
+      },
+      to: customerEmail,
+      subject: `Offert ${quote.number} från Sonsab`,
+      text: textContent,
+      html: htmlContent,
+      attachments: [
+        {
+          filename: filename,
+          content: attachment,
+          contentType: 'application/pdf'
+        }
+      ]
+    });
+
+    console.log(`✅ Quote ${quote.number} emailed to ${customerEmail}:`, info.messageId);
+    return { success: true, messageId: info.messageId, filename };
+  } catch (error) {
+    console.error('❌ Error sending quote email:', error);
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+}
+
 /**
  * Test email configuration
  */
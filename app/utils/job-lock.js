@@ -0,0 +1,77 @@
+// app/utils/job-lock.js
+// Database-backed per-job lock so sync runs never overlap, across worker replicas, the web process and CLI runs
+
+import os from "os";
+import { randomUUID } from "crypto";
+import prisma from "../db.server.js";
+
+// A lock that isn't renewed for this long belongs to a process that died and may be taken over
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const HEARTBEAT_MS = 2 * 60 * 1000;
+
+/**
+ * Try to take the lock for a job. While held, the lock is renewed in the background
+ * so long runs (full inventory sync) don't expire.
+ * @param {string} jobName - e.g. PRODUCT-SYNC
+ * @returns {Promise<Object>} { acquired: true, release() } or { acquired: false, owner, acquiredAt } of the current holder
+ */
+export async function acquireJobLock(jobName) {
+  const owner = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+  const now = new Date();
+
+  // Make sure the row exists. If the database is down, the updateMany below fails too.
+  await prisma.jobLock.upsert({ where: { jobName }, update: {}, create: { jobName } }).catch(() => {
+    // Another process created the row first
+  });
+
+  const { count } = await prisma.jobLock.updateMany({
+    where: {
+      jobName,
+      OR: [{ owner: null }, { expiresAt: null }, { expiresAt: { lt: now } }],
+    },
+    data: { owner, acquiredAt: now, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) },
+  });
+
+  if (count === 0) {
+    const holder = await prisma.jobLock.findUnique({ where: { jobName } });
+    return { acquired: false, owner: holder?.owner ?? null, acquiredAt: holder?.acquiredAt ?? null };
+  }
+
+  const heartbeat = setInterval(() => {
+    prisma.jobLock.updateMany({
+      where: { jobName, owner },
+      data: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) },
+    }).catch((error) => {
+      console.error(`⚠️ [${jobName}] Could not renew job lock:`, error.message);
+    });
+  }, HEARTBEAT_MS);
+  // Don't keep a CLI run alive just for the heartbeat
+  heartbeat.unref?.();
+
+  return {
+    acquired: true,
+    async release() {
+      clearInterval(heartbeat);
+      try {
+        await prisma.jobLock.updateMany({
+          where: { jobName, owner },
+          data: { owner: null, acquiredAt: null, expiresAt: null },
+        });
+      } catch (error) {
+        // The lock expires by itself after LOCK_TTL_MS
+        console.error(`⚠️ [${jobName}] Could not release job lock:`, error.message);
+      }
+    },
+  };
+}
+
+/**
+ * Current holder of a job's lock
+ * @param {string} jobName - e.g. PRODUCT-SYNC
+ * @returns {Promise<Object|null>} { owner, acquiredAt, expiresAt }, or null if the job isn't running
+ */
+export async function getJobLock(jobName) {
+  const lock = await prisma.jobLock.findUnique({ where: { jobName } });
+  if (!lock?.owner || !lock.expiresAt || lock.expiresAt < new Date()) return null;
+  return { owner: lock.owner, acquiredAt: lock.acquiredAt, expiresAt: lock.expiresAt };
+}
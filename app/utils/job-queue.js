@@ -0,0 +1,242 @@
+// app/utils/job-queue.js
+// Database-backed job queue: the web process enqueues background work, app/worker.js claims and runs it.
+// Failed jobs are retried with backoff and end up as "dead" after maxAttempts, see scripts/job-queue.js.
+
+import os from "os";
+import { randomUUID } from "crypto";
+import prisma from "../db.server.js";
+
+// A running job whose lease isn't renewed for this long belongs to a worker that died and is claimed again
+const LEASE_MS = 5 * 60 * 1000;
+const HEARTBEAT_MS = 60 * 1000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Handler that runs the job, e.g. pricelist or sync
+ * @param {Object} payload - JSON serialisable arguments for the handler
+ * @param {Object} [options] - { dedupeKey, maxAttempts, runAt }
+ * @returns {Promise<Object>} { job, queued } where queued is false if a job with the same dedupeKey was already queued or running
+ */
+export async function enqueueJob(type, payload, { dedupeKey = null, maxAttempts = 5, runAt = new Date() } = {}) {
+  if (dedupeKey) {
+    // Not atomic, but two enqueues racing only means the job runs twice (sync jobs are protected by their JobLock)
+    const existing = await prisma.backgroundJob.findFirst({
+      where: { dedupeKey, status: { in: ["queued", "running"] } },
+    });
+    if (existing) {
+      return { job: existing, queued: false };
+    }
+  }
+
+  const job = await prisma.backgroundJob.create({
+    data: { type, payload: JSON.stringify(payload), dedupeKey, maxAttempts, runAt },
+  });
+  console.log(`📥 [QUEUE] Queued ${type} job #${job.id}`);
+  return { job, queued: true };
+}
+
+/**
+ * Claim the next due job of the given types. Claiming counts as an attempt.
+ * @param {Array<string>} types - Job types this worker handles
+ * @param {string} owner - Identifies the claiming worker
+ * @returns {Promise<Object|null>} The claimed BackgroundJob row, or null if nothing is due
+ */
+export async function claimNextJob(types, owner) {
+  const now = new Date();
+  const candidates = await prisma.backgroundJob.findMany({
+    where: {
+      type: { in: types },
+      OR: [
+        { status: "queued", runAt: { lte: now } },
+        { status: "running", leaseExpiresAt: { lt: now } },
+      ],
+    },
+    orderBy: { runAt: "asc" },
+    take: 10,
+  });
+
+  for (const candidate of candidates) {
+    if (candidate.status === "running" && candidate.attempts >= candidate.maxAttempts) {
+      // The worker died during the final attempt
+      await prisma.backgroundJob.updateMany({
+        where: { id: candidate.id, status: "running", attempts: candidate.attempts },
+        data: {
+          status: "dead",
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          finishedAt: now,
+          lastError: "Worker stopped during the final attempt",
+        },
+      });
+      console.error(`💀 [QUEUE] ${candidate.type} job #${candidate.id} is dead: worker stopped during the final attempt`);
+      continue;
+    }
+
+    // Every claim increments attempts, so matching on it makes the claim compare-and-swap
+    const leaseExpiresAt = new Date(now.getTime() + LEASE_MS);
+    const { count } = await prisma.backgroundJob.updateMany({
+      where: { id: candidate.id, status: candidate.status, attempts: candidate.attempts },
+      data: { status: "running", attempts: candidate.attempts + 1, leaseOwner: owner, leaseExpiresAt },
+    });
+    if (count === 1) {
+      return { ...candidate, status: "running", attempts: candidate.attempts + 1, leaseOwner: owner, leaseExpiresAt };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Mark a claimed job as done
+ * @param {Object} job - Row returned by claimNextJob()
+ */
+export async function completeJob(job) {
+  await prisma.backgroundJob.updateMany({
+    where: { id: job.id, leaseOwner: job.leaseOwner },
+    data: { status: "succeeded", leaseOwner: null, leaseExpiresAt: null, finishedAt: new Date(), lastError: null },
+  });
+}
+
+/**
+ * Delay before the next attempt: 30 s, 1 min, 2 min... capped at 30 minutes
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+export function retryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Record a failed attempt. The job is queued again with backoff, or marked dead after its last attempt.
+ * @param {Object} job - Row returned by claimNextJob()
+ * @param {Error} error - Why the attempt failed
+ * @returns {Promise<string>} The new status, queued or dead
+ */
+export async function failJob(job, error) {
+  const lastError = (error?.message || String(error)).slice(0, MAX_ERROR_LENGTH);
+  const dead = job.attempts >= job.maxAttempts;
+  const now = new Date();
+
+  await prisma.backgroundJob.updateMany({
+    where: { id: job.id, leaseOwner: job.leaseOwner },
+    data: dead
+      ? { status: "dead", leaseOwner: null, leaseExpiresAt: null, finishedAt: now, lastError }
+      : {
+        status: "queued",
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        runAt: new Date(now.getTime() + retryDelayMs(job.attempts)),
+        lastError,
+      },
+  });
+
+  return dead ? "dead" : "queued";
+}
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ * @param {number} id - BackgroundJob id
+ * @returns {Promise<boolean>} False if the job doesn't exist or isn't dead
+ */
+export async function retryJob(id) {
+  const { count } = await prisma.backgroundJob.updateMany({
+    where: { id, status: "dead" },
+    data: { status: "queued", attempts: 0, runAt: new Date(), finishedAt: null },
+  });
+  return count === 1;
+}
+
+/**
+ * Latest jobs, newest first
+ * @param {Object} [options] - { type, statuses, take }
+ * @returns {Promise<Array>} BackgroundJob rows
+ */
+export async function getJobs({ type, statuses, take = 20 } = {}) {
+  return prisma.backgroundJob.findMany({
+    where: {
+      ...(type ? { type } : {}),
+      ...(statuses ? { status: { in: statuses } } : {}),
+    },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
+
+async function runClaimedJob(job, handler) {
+  const heartbeat = setInterval(() => {
+    prisma.backgroundJob.updateMany({
+      where: { id: job.id, leaseOwner: job.leaseOwner },
+      data: { leaseExpiresAt: new Date(Date.now() + LEASE_MS) },
+    }).catch((error) => {
+      console.error(`⚠️ [QUEUE] Could not renew lease of job #${job.id}:`, error.message);
+    });
+  }, HEARTBEAT_MS);
+
+  console.log(`▶️ [QUEUE] Running ${job.type} job #${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+  try {
+    await handler(JSON.parse(job.payload), job);
+    await completeJob(job);
+    console.log(`✅ [QUEUE] ${job.type} job #${job.id} succeeded`);
+  } catch (error) {
+    const status = await failJob(job, error);
+    if (status === "dead") {
+      console.error(`💀 [QUEUE] ${job.type} job #${job.id} failed for the last time:`, error.message);
+    } else {
+      console.error(`❌ [QUEUE] ${job.type} job #${job.id} failed, retrying in ${Math.round(retryDelayMs(job.attempts) / 1000)}s:`, error.message);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Poll the queue and run due jobs with the given handlers. Call once per group of job types
+ * that should share a concurrency limit.
+ * @param {Object} options - { name, handlers: { [type]: async (payload, job) => {} }, concurrency, pollMs }
+ * @returns {Object} { stop() } stops polling; jobs already running finish
+ */
+export function startQueueWorker({ name, handlers, concurrency = 1, pollMs = 5000 }) {
+  const types = Object.keys(handlers);
+  const owner = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+  let active = 0;
+  let polling = false;
+
+  const run = (job) => {
+    active++;
+    runClaimedJob(job, handlers[job.type]).catch((error) => {
+      // Only reached when the result can't be written; the lease expires and the job is claimed again
+      console.error(`⚠️ [QUEUE:${name}] Could not record the result of job #${job.id}:`, error.message);
+    }).finally(() => {
+      active--;
+    });
+  };
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      while (active < concurrency) {
+        const job = await claimNextJob(types, owner);
+        if (!job) break;
+        run(job);
+      }
+    } catch (error) {
+      console.error(`⚠️ [QUEUE:${name}] Could not poll the job queue:`, error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollMs);
+  poll();
+  console.log(`📬 [QUEUE:${name}] Processing ${types.join(", ")} jobs (up to ${concurrency} at a time)`);
+
+  return {
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
@@ -0,0 +1,79 @@
+// app/utils/monitor-errors.js
+// Typed errors thrown by MonitorClient.request() so callers can branch on the failure kind
+
+/**
+ * Base class for all Monitor API failures (also used for 5xx, timeouts and network errors)
+ */
+export class MonitorError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - { status, method, path, body, code, cause }
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = "MonitorError";
+    this.status = details.status ?? null;
+    this.method = details.method ?? null;
+    this.path = details.path ?? null;
+    this.body = details.body ?? null;
+    // TIMEOUT, NETWORK or HTTP
+    this.code = details.code ?? "HTTP";
+  }
+}
+
+/**
+ * Login failed or the session was rejected again right after a re-login
+ */
+export class MonitorAuthError extends MonitorError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "MonitorAuthError";
+  }
+}
+
+/**
+ * The requested entity does not exist (404)
+ */
+export class MonitorNotFound extends MonitorError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "MonitorNotFound";
+  }
+}
+
+/**
+ * Monitor kept answering 429 after all retries
+ */
+export class MonitorRateLimited extends MonitorError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "MonitorRateLimited";
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * Monitor rejected the request payload (400/409/422), retrying will not help
+ */
+export class MonitorValidationError extends MonitorError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "MonitorValidationError";
+  }
+}
+
+/**
+ * Map a failed HTTP response to the matching error class
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} details - Extra error details
+ * @returns {MonitorError} The typed error
+ */
+export function createMonitorError(status, message, details = {}) {
+  const errorDetails = { ...details, status };
+  if (status === 401 || status === 403) return new MonitorAuthError(message, errorDetails);
+  if (status === 404) return new MonitorNotFound(message, errorDetails);
+  if (status === 429) return new MonitorRateLimited(message, errorDetails);
+  if (status === 400 || status === 409 || status === 422) return new MonitorValidationError(message, errorDetails);
+  return new MonitorError(message, errorDetails);
+}
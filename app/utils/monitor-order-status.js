@@ -0,0 +1,39 @@
+// app/utils/monitor-order-status.js
+// The state of a Monitor customer order as shown to customers. Used by the order status feedback job
+// (app/orderStatusJob.js) and the customer order history endpoint (api.customer-orders.js).
+
+export const MONITOR_STATES = ["registered", "confirmed", "partially_delivered", "delivered", "invoiced"];
+
+/**
+ * Summarise a Monitor customer order
+ * @param {Object} monitorOrder - Customer order with expanded Rows
+ * @returns {Object} { state, deliveryDate, rows }
+ */
+export function summarizeMonitorOrder(monitorOrder) {
+  const rows = (monitorOrder.Rows || []).map(row => ({
+    row: row.RowNumber,
+    partId: String(row.PartId),
+    ordered: row.OrderedQuantity ?? 0,
+    delivered: row.DeliveredQuantity ?? 0,
+    invoiced: row.InvoicedQuantity ?? 0,
+    deliveryDate: row.DeliveryDate ? String(row.DeliveryDate).slice(0, 10) : null,
+  }));
+
+  const allDelivered = rows.length > 0 && rows.every(row => row.delivered >= row.ordered);
+  const allInvoiced = rows.length > 0 && rows.every(row => row.invoiced >= row.ordered);
+  const anyDelivered = rows.some(row => row.delivered > 0);
+
+  let state = "confirmed";
+  if (allInvoiced) state = "invoiced";
+  else if (allDelivered) state = "delivered";
+  else if (anyDelivered) state = "partially_delivered";
+  else if (monitorOrder.Preliminary) state = "registered";
+
+  // The next delivery for open orders, the last one for delivered orders
+  const openDates = rows.filter(row => row.delivered < row.ordered && row.deliveryDate).map(row => row.deliveryDate).sort();
+  const allDates = rows.filter(row => row.deliveryDate).map(row => row.deliveryDate).sort();
+  const orderDate = monitorOrder.DeliveryDate ? String(monitorOrder.DeliveryDate).slice(0, 10) : null;
+  const deliveryDate = openDates[0] || allDates[allDates.length - 1] || orderDate;
+
+  return { state, deliveryDate, rows };
+}
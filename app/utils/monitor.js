@@ -2,7 +2,18 @@
 
 import prisma from "../db.server.js";
 import fetch from "node-fetch";
+import http from "http";
 import https from "https";
+import os from "os";
+import { randomUUID } from "crypto";
+import {
+  MonitorAuthError,
+  MonitorError,
+  MonitorRateLimited,
+  createMonitorError,
+} from "./monitor-errors.js";
+
+export * from "./monitor-errors.js";
 
 // Global array to track failed ARTFSC fetches
 export const failedARTFSCFetches = [];
@@ -35,131 +46,436 @@ const monitorCompany = process.env.MONITOR_COMPANY;
 // @TODO
 // The SSL certificate used by the server is self-signed so it is important to add an exception for it in integration.
 
-const agent = new https.Agent({ rejectUnauthorized: false });
+const httpsAgent = new https.Agent({ rejectUnauthorized: false });
+const httpAgent = new http.Agent();
+
+// Pick the agent per request so MONITOR_URL can also point at a plain http server (e.g. scripts/dev/monitor-simulator.js)
+const agent = (parsedUrl) => (parsedUrl.protocol === "http:" ? httpAgent : httpsAgent);
+
+// Request defaults for MonitorClient.request()
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+// Field selection shared by the product fetches
+const PRODUCT_SELECT = "Id,PartNumber,Description,ExtraFields,PartCodeId,StandardPrice,PartCode,ProductGroupId,Status,WeightPerUnit,VolumePerUnit,IsFixedWeight,Gs1Code,Status,QuantityPerPackage,StandardUnitId,PurchaseQuantityPerPackage";
+const PRODUCT_EXPAND = "ExtraFields,ProductGroup,PartCode";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  const cap = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+/**
+ * Read the Retry-After header (seconds or HTTP date)
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} Delay in milliseconds or null if not set
+ */
+function retryAfterMs(headers) {
+  const value = headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build an OData query string. Values are URL-encoded so filters built from user input
+ * (quotes, spaces, &) are transmitted safely.
+ * @param {Object} query - { filter, select, expand, orderby, top, skip }
+ * @returns {string} Query string including the leading "?" (or empty)
+ */
+function buildODataQuery({ filter, select, expand, orderby, top, skip } = {}) {
+  const params = [];
+  const add = (name, value) => params.push(`$${name}=${encodeURIComponent(value)}`);
+  if (filter) add("filter", filter);
+  if (select) add("select", select);
+  if (expand) add("expand", expand);
+  if (orderby) add("orderby", orderby);
+  if (top !== undefined && top !== null) add("top", top);
+  if (skip) add("skip", skip);
+  return params.length > 0 ? `?${params.join("&")}` : "";
+}
+
+/**
+ * Pull a readable message out of a Monitor error body
+ * @param {string} text - Raw response body
+ * @returns {string} The message
+ */
+function errorMessageFromBody(text) {
+  try {
+    const data = JSON.parse(text);
+    return data.Message || data.message || data.ErrorMessage || data.Error || text;
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Only return products with ARTWEBAKTIV.SelectedOptionId === "1062902127922128278"
+ * @param {Array} products - Monitor parts with ExtraFields expanded
+ * @returns {Array} The active web products
+ */
+function filterActiveWebProducts(products) {
+  return products.filter(product => {
+    if (!Array.isArray(product.ExtraFields)) return false;
+    const active = product.ExtraFields.find(f => f.Identifier === "ARTWEBAKTIV");
+    const productName = product.ExtraFields.find(f => f.Identifier === "ARTWEBNAME");
+    const productVariation = product.ExtraFields.find(f => f.Identifier === "ARTWEBVAR");
+    if (productName) console.log(`Product ${product.PartNumber}: ${productName.StringValue}, Variant: ${productVariation ? productVariation.StringValue : "N/A"}`);
+    return active && active.SelectedOptionId === "1062902127922128278";
+  });
+}
+
+// Session shared by every MonitorClient in this process: { sessionId, version }
+let cachedSession = null;
+// In-flight re-login, so concurrent 401s in this process wait for one login instead of starting their own
+let pendingRefresh = null;
+
+// Only the holder of the lease on the MonitorSession row may log in. Every login uses ForceRelogin,
+// which kills the session all other processes (web server, worker) are using.
+const LOGIN_LEASE_MS = 30000;
+const LEASE_POLL_MS = 250;
+const leaseOwner = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
 
 class MonitorClient {
-  constructor() {
-    this.sessionId = null;
+  get sessionId() {
+    return cachedSession?.sessionId ?? null;
+  }
+
+  /**
+   * Current shared session, logging in if there is none yet
+   * @returns {Promise<{sessionId: string, version: number}>} The session
+   */
+  async getSession() {
+    if (cachedSession) return cachedSession;
+    const row = await this.readSessionRow();
+    if (row.sessionId) {
+      cachedSession = { sessionId: row.sessionId, version: row.version };
+      return cachedSession;
+    }
+    return this.refreshSession(row.version);
   }
 
   async getSessionId() {
-    if (this.sessionId) return this.sessionId;
-    const session = await prisma.monitorSession.findUnique({ where: { id: 1 } });
-    if (session && session.sessionId) {
-      this.sessionId = session.sessionId;
-      return this.sessionId;
+    return (await this.getSession()).sessionId;
+  }
+
+  /**
+   * Replace the shared session, e.g. after Monitor rejected it.
+   * If another process already logged in since, its session is reused instead of logging in again.
+   * @returns {Promise<string>} The new session ID
+   */
+  async login() {
+    const staleVersion = cachedSession?.version ?? (await this.readSessionRow()).version;
+    return (await this.refreshSession(staleVersion)).sessionId;
+  }
+
+  /**
+   * @param {number} staleVersion - Version of the session that was rejected
+   * @returns {Promise<{sessionId: string, version: number}>} The replacement session
+   */
+  async refreshSession(staleVersion) {
+    if (!pendingRefresh) {
+      pendingRefresh = this.coordinateLogin(staleVersion).finally(() => {
+        pendingRefresh = null;
+      });
+    }
+    return pendingRefresh;
+  }
+
+  async readSessionRow() {
+    const row = await prisma.monitorSession.findUnique({ where: { id: 1 } });
+    if (row) return row;
+    try {
+      return await prisma.monitorSession.create({ data: { id: 1 } });
+    } catch {
+      // Another process created the row first
+      return prisma.monitorSession.findUnique({ where: { id: 1 } });
+    }
+  }
+
+  async coordinateLogin(staleVersion) {
+    const deadline = Date.now() + LOGIN_LEASE_MS * 2;
+
+    while (Date.now() < deadline) {
+      const row = await this.readSessionRow();
+
+      // Someone else already replaced the rejected session
+      if (row.sessionId && row.version !== staleVersion) {
+        console.log(`🔁 Reusing Monitor session from another login (version ${row.version})`);
+        cachedSession = { sessionId: row.sessionId, version: row.version };
+        return cachedSession;
+      }
+
+      // Compare-and-swap on version + expired lease: only one process wins
+      const now = new Date();
+      const { count } = await prisma.monitorSession.updateMany({
+        where: {
+          id: 1,
+          version: row.version,
+          OR: [{ leaseExpiresAt: null }, { leaseExpiresAt: { lt: now } }],
+        },
+        data: { leaseOwner, leaseExpiresAt: new Date(now.getTime() + LOGIN_LEASE_MS) },
+      });
+      if (count === 1) {
+        return this.loginWithLease();
+      }
+
+      await sleep(LEASE_POLL_MS);
     }
-    return this.login();
+
+    throw new MonitorAuthError("Timed out waiting for another process to log in to Monitor", { method: "POST", path: "login" });
   }
 
-  async saveSessionId(sessionId) {
-    this.sessionId = sessionId;
-    await prisma.monitorSession.upsert({
-      where: { id: 1 },
-      update: { sessionId },
-      create: { id: 1, sessionId },
+  async loginWithLease() {
+    let sessionId;
+    try {
+      sessionId = await this.requestNewSession();
+    } catch (error) {
+      await prisma.monitorSession.updateMany({
+        where: { id: 1, leaseOwner },
+        data: { leaseOwner: null, leaseExpiresAt: null },
+      });
+      throw error;
+    }
+
+    const { count } = await prisma.monitorSession.updateMany({
+      where: { id: 1, leaseOwner },
+      data: { sessionId, version: { increment: 1 }, leaseOwner: null, leaseExpiresAt: null },
     });
+    const row = await this.readSessionRow();
+    if (count === 0) {
+      // The lease ran out during a slow login and another process took over
+      console.warn("⚠️ Monitor login lease expired before the session was saved");
+      cachedSession = { sessionId: row.sessionId || sessionId, version: row.version };
+    } else {
+      console.log(`🔑 Logged in to Monitor (session version ${row.version})`);
+      cachedSession = { sessionId, version: row.version };
+    }
+    return cachedSession;
   }
 
-  async login() {
+  /**
+   * POST /login. Callers should go through login() so processes don't kick each other out.
+   * @returns {Promise<string>} The new session ID
+   */
+  async requestNewSession() {
     const url = `${monitorUrl}/${monitorCompany}/login`;
-    const res = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Accept: "application/json",
-        "Cache-Control": "no-cache",
-      },
-      body: JSON.stringify({
-        Username: monitorUsername,
-        Password: monitorPassword,
-        ForceRelogin: true,
-      }),
-      agent,
-    });
+    let res;
+    let text;
+    try {
+      ({ res, text } = await this.send(url, {
+        method: "POST",
+        body: {
+          Username: monitorUsername,
+          Password: monitorPassword,
+          ForceRelogin: true,
+        },
+      }));
+    } catch (error) {
+      throw new MonitorError(`Monitor API login failed: ${error.message}`, {
+        method: "POST",
+        path: "login",
+        code: error.name === "AbortError" ? "TIMEOUT" : "NETWORK",
+        cause: error,
+      });
+    }
     if (!res.ok) {
-      const errorBody = await res.text();
-      console.error(`Monitor API login failed. Status: ${res.status}, Body: ${errorBody}`);
-      throw new Error("Monitor API login failed");
+      console.error(`Monitor API login failed. Status: ${res.status}, Body: ${text}`);
+      const details = { method: "POST", path: "login", body: text };
+      // A rejected login is an auth problem no matter which status Monitor picks for it
+      if (res.status >= 400 && res.status < 500 && res.status !== 429) {
+        throw new MonitorAuthError("Monitor API login failed", { ...details, status: res.status });
+      }
+      throw createMonitorError(res.status, "Monitor API login failed", details);
     }
     // Get session ID from response header, not body
     const sessionId = res.headers.get("x-monitor-sessionid") || res.headers.get("X-Monitor-SessionId");
-    const data = await res.json();
+    const data = text ? JSON.parse(text) : {};
     if (!sessionId) {
       console.error(`No session ID header returned from Monitor API. Response headers: ${JSON.stringify([...res.headers])}, body: ${JSON.stringify(data)}`);
-      throw new Error("No session ID header returned from Monitor API");
+      throw new MonitorAuthError("No session ID header returned from Monitor API", { method: "POST", path: "login" });
     }
     if (data.MfaToken) {
       console.error(`MFA required but not handled. MfaToken: ${data.MfaToken}`);
-      throw new Error("Monitor API login requires MFA, which is not implemented");
+      throw new MonitorAuthError("Monitor API login requires MFA, which is not implemented", { method: "POST", path: "login" });
     }
-    await this.saveSessionId(sessionId);
     return sessionId;
   }
 
-  async fetchProducts() {
-    const sessionId = await this.getSessionId();
-    let allProducts = [];
-    let skip = 0;
-    const pageSize = 100;
-    let keepFetching = true;
-    while (keepFetching) {
-      let url = `${monitorUrl}/${monitorCompany}/api/v1/Inventory/Parts`;
-      url += `?$top=${pageSize}`;
-      url += `&$skip=${skip}`;
-      url += '&$select=Id,PartNumber,Description,ExtraFields,PartCodeId,StandardPrice,PartCode,ProductGroupId,Status,WeightPerUnit,VolumePerUnit,IsFixedWeight,Gs1Code,Status,QuantityPerPackage,StandardUnitId,PurchaseQuantityPerPackage';
-      url += '&$filter=BlockedStatus Neq 2 and Status Le 6 and Status Ge 4';
-      url += '&$expand=ExtraFields,ProductGroup,PartCode';
-      let res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": sessionId,
-        },
+  /**
+   * Perform a single HTTP call with a timeout. The body is read inside the timeout as well.
+   * @param {string} url - Absolute URL
+   * @param {Object} options - { method, body, sessionId, timeoutMs }
+   * @returns {Promise<{res: Response, text: string}>} Response and raw body
+   */
+  async send(url, { method = "GET", body, sessionId, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const headers = {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        "Cache-Control": "no-cache",
+      };
+      if (sessionId) headers["X-Monitor-SessionId"] = sessionId;
+      const res = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
         agent,
+        signal: controller.signal,
       });
-      if (res.status !== 200) {
-        const errorBody = await res.text();
-        console.error(`Monitor API fetchProducts first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-        // Try to re-login and retry once
-        await this.login();
-        const newSessionId = await this.getSessionId();
-        res = await fetch(url, {
-          headers: {
-            Accept: "application/json",
-            "Content-Type": "application/json",
-            "Cache-Control": "no-cache",
-            "X-Monitor-SessionId": newSessionId,
-          },
-          agent,
-        });
-        if (res.status !== 200) {
-          const retryErrorBody = await res.text();
-          console.error(`Monitor API fetchProducts retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-          throw new Error("Monitor API fetchProducts failed after re-login");
+      const text = await res.text();
+      return { res, text };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Call the Monitor REST API.
+   * - 401: refreshes the shared session once (see login()) and replays the request
+   * - 429: waits for Retry-After (or backoff) and retries
+   * - 5xx, timeouts and network errors: exponential backoff with jitter, but only for
+   *   idempotent requests, since a replayed command (e.g. CustomerOrders/Create) may already have been applied
+   * Anything else is thrown as a typed error from monitor-errors.js.
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api/v1/, including any query string
+   * @param {Object} [options] - { body, timeoutMs, retries, idempotent }
+   * @returns {Promise<any>} The parsed JSON response (null for an empty body)
+   */
+  async request(method, path, options = {}) {
+    const { body, timeoutMs = REQUEST_TIMEOUT_MS, retries = MAX_RETRIES } = options;
+    const idempotent = options.idempotent ?? method === "GET";
+    const url = `${monitorUrl}/${monitorCompany}/api/v1/${path.replace(/^\//, "")}`;
+    const errorDetails = { method, path };
+    // Log without the query string, OData filters make the lines unreadable
+    const label = `${method} ${path.split("?")[0]}`;
+    let reauthenticated = false;
+    let attempt = 0;
+
+    while (true) {
+      const session = await this.getSession();
+
+      let res;
+      let text;
+      try {
+        ({ res, text } = await this.send(url, { method, body, sessionId: session.sessionId, timeoutMs }));
+      } catch (error) {
+        const code = error.name === "AbortError" ? "TIMEOUT" : "NETWORK";
+        if (idempotent && attempt < retries) {
+          const delay = backoffDelay(attempt++);
+          console.warn(`⏳ Monitor ${label} failed (${code}: ${error.message}), retry ${attempt}/${retries} in ${delay}ms`);
+          await sleep(delay);
+          continue;
         }
+        throw new MonitorError(`Monitor ${label} failed: ${code === "TIMEOUT" ? `timed out after ${timeoutMs}ms` : error.message}`, { ...errorDetails, code, cause: error });
+      }
+
+      if (res.ok) {
+        return text ? JSON.parse(text) : null;
       }
-      const products = await res.json();
-      if (!Array.isArray(products)) {
-        throw new Error("Monitor API returned unexpected data format");
+
+      if (res.status === 401 && !reauthenticated) {
+        console.log(`🔑 Monitor session rejected for ${label}, refreshing session...`);
+        reauthenticated = true;
+        await this.refreshSession(session.version);
+        continue;
+      }
+
+      const message = `Monitor ${label} failed with ${res.status}: ${errorMessageFromBody(text)}`;
+
+      if (res.status === 429) {
+        const waitMs = retryAfterMs(res.headers);
+        if (attempt < retries) {
+          const delay = waitMs ?? backoffDelay(attempt);
+          attempt++;
+          console.warn(`⏳ Monitor rate limited ${label}, retry ${attempt}/${retries} in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+        throw new MonitorRateLimited(message, { ...errorDetails, status: 429, body: text, retryAfterMs: waitMs });
       }
-      allProducts = allProducts.concat(products);
-      if (products.length < pageSize) {
-        keepFetching = false;
-      } else {
-        skip += pageSize;
+
+      if (res.status >= 500 && idempotent && attempt < retries) {
+        const delay = backoffDelay(attempt++);
+        console.warn(`⏳ Monitor ${label} returned ${res.status}, retry ${attempt}/${retries} in ${delay}ms`);
+        await sleep(delay);
+        continue;
       }
+
+      throw createMonitorError(res.status, message, { ...errorDetails, body: text });
     }
-    // Only return products with ARTWEBAKTIV.SelectedOptionId === "1062902127922128278"
-    return allProducts.filter(product => {
-      if (!Array.isArray(product.ExtraFields)) return false;
-      const active = product.ExtraFields.find(f => f.Identifier === "ARTWEBAKTIV");
-      const productName = product.ExtraFields.find(f => f.Identifier === "ARTWEBNAME");
-      const productVariation = product.ExtraFields.find(f => f.Identifier === "ARTWEBVAR");
-      if (productName) console.log(`Product ${product.PartNumber}: ${productName.StringValue}, Variant: ${productVariation ? productVariation.StringValue : "N/A"}`);
-      return active && active.SelectedOptionId === "1062902127922128278";
+  }
+
+  /**
+   * GET a Monitor resource
+   * @param {string} path - Path below /api/v1/, including any query string
+   * @param {Object} [options] - See request()
+   * @returns {Promise<any>} Parsed response
+   */
+  async get(path, options = {}) {
+    return this.request("GET", path, options);
+  }
+
+  /**
+   * POST a command or query to Monitor. Not retried on 5xx/timeouts unless options.idempotent is set.
+   * @param {string} path - Path below /api/v1/
+   * @param {Object} body - JSON body
+   * @param {Object} [options] - See request()
+   * @returns {Promise<any>} Parsed response
+   */
+  async post(path, body, options = {}) {
+    return this.request("POST", path, { ...options, body });
+  }
+
+  /**
+   * Query an OData collection. With query.pageSize set, all pages are fetched with $top/$skip.
+   * @param {string} path - Collection path, e.g. "Inventory/Parts"
+   * @param {Object} [query] - { filter, select, expand, orderby, top, skip, pageSize }
+   * @param {Object} [options] - See request()
+   * @returns {Promise<Array>} The records
+   */
+  async odata(path, query = {}, options = {}) {
+    const { pageSize, ...params } = query;
+
+    if (!pageSize) {
+      const records = await this.get(`${path}${buildODataQuery(params)}`, options);
+      if (!Array.isArray(records)) {
+        throw new MonitorError(`Monitor API returned unexpected data format for ${path}`, { method: "GET", path });
+      }
+      return records;
+    }
+
+    let allRecords = [];
+    let skip = params.skip || 0;
+    while (true) {
+      const records = await this.odata(path, { ...params, top: pageSize, skip }, options);
+      allRecords = allRecords.concat(records);
+      if (records.length < pageSize) return allRecords;
+      skip += pageSize;
+    }
+  }
+
+  async fetchProducts() {
+    const products = await this.odata("Inventory/Parts", {
+      filter: "BlockedStatus Neq 2 and Status Le 6 and Status Ge 4",
+      select: PRODUCT_SELECT,
+      expand: PRODUCT_EXPAND,
+      pageSize: 100,
     });
+    return filterActiveWebProducts(products);
   }
 
   /**
@@ -172,65 +488,18 @@ class MonitorClient {
       return [];
     }
 
-    const sessionId = await this.getSessionId();
     console.log(`Fetching ${productIds.length} specific products by ID...`);
 
     const idFilter = productIds.map(id => `Id eq '${id}'`).join(' or ');
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Inventory/Parts`;
-    url += '?$select=Id,PartNumber,Description,ExtraFields,PartCodeId,StandardPrice,PartCode,ProductGroupId,Status,WeightPerUnit,VolumePerUnit,IsFixedWeight,Gs1Code,Status,QuantityPerPackage,StandardUnitId,PurchaseQuantityPerPackage';
-    // url += `&$filter=(${idFilter}) and Status eq 4`;
-    url += `&$filter=(${idFilter}) and Status Le 6 and Status Ge 4`;
-    url += '&$expand=ExtraFields,ProductGroup,PartCode';
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const products = await this.odata("Inventory/Parts", {
+      filter: `(${idFilter}) and Status Le 6 and Status Ge 4`,
+      select: PRODUCT_SELECT,
+      expand: PRODUCT_EXPAND,
     });
-    
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchProductsByIds first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await this.login();
-      const newSessionId = await this.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchProductsByIds retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API fetchProductsByIds failed after re-login");
-      }
-    }
-    
-    const products = await res.json();
-    if (!Array.isArray(products)) {
-      throw new Error("Monitor API returned unexpected data format");
-    }
-    
+
     console.log(`Successfully fetched ${products.length} products by ID`);
-    
-    // Only return products with ARTWEBAKTIV.SelectedOptionId === "1062902127922128278"
-    return products.filter(product => {
-      if (!Array.isArray(product.ExtraFields)) return false;
-      const active = product.ExtraFields.find(f => f.Identifier === "ARTWEBAKTIV");
-      const productName = product.ExtraFields.find(f => f.Identifier === "ARTWEBNAME");
-      const productVariation = product.ExtraFields.find(f => f.Identifier === "ARTWEBVAR");
-      if (productName) console.log(`Product ${product.PartNumber}: ${productName.StringValue}, Variant: ${productVariation ? productVariation.StringValue : "N/A"}`);
-      return active && active.SelectedOptionId === "1062902127922128278";
-    });
+
+    return filterActiveWebProducts(products);
   }
 
   /**
@@ -239,85 +508,38 @@ class MonitorClient {
    * @returns {Promise<Object|null>} The product data or null if not found
    */
   async fetchSingleProductByPartNumber(partNumber) {
-    const sessionId = await this.getSessionId();
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Inventory/Parts`;
-    url += `?$filter=PartNumber eq '${partNumber}' and BlockedStatus Neq 2 and Status Le 6 and Status Ge 4`;
-    url += '&$select=Id,PartNumber,Description,ExtraFields,PartCodeId,StandardPrice,PartCode,ProductGroupId,Status,WeightPerUnit,VolumePerUnit,IsFixedWeight,Gs1Code,Status,QuantityPerPackage,StandardUnitId,PurchaseQuantityPerPackage';
-    url += '&$expand=ExtraFields,ProductGroup,PartCode';
-    
     console.log(`Fetching single product by PartNumber: ${partNumber}`);
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+
+    const products = await this.odata("Inventory/Parts", {
+      filter: `PartNumber eq '${partNumber}' and BlockedStatus Neq 2 and Status Le 6 and Status Ge 4`,
+      select: PRODUCT_SELECT,
+      expand: PRODUCT_EXPAND,
     });
-    
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchSingleProductByPartNumber first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await this.login();
-      const newSessionId = await this.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchSingleProductByPartNumber retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API fetchSingleProductByPartNumber failed after re-login");
-      }
-    }
-    
-    const products = await res.json();
-    if (!Array.isArray(products)) {
-      throw new Error("Monitor API returned unexpected data format for fetchSingleProductByPartNumber");
-    }
-    
+
     if (products.length === 0) {
       console.log(`No product found with PartNumber: ${partNumber}`);
       return null;
     }
-    
+
     if (products.length > 1) {
       console.warn(`Multiple products found with PartNumber: ${partNumber}, using first one`);
     }
-    
+
     const product = products[0];
-    
+
     // Apply same filtering as fetchProducts() - check for ARTWEBAKTIV
     if (!Array.isArray(product.ExtraFields)) {
       console.log(`Product ${partNumber} has no ExtraFields, skipping`);
       return null;
     }
-    
-    const active = product.ExtraFields.find(f => f.Identifier === "ARTWEBAKTIV");
-    const productName = product.ExtraFields.find(f => f.Identifier === "ARTWEBNAME");
-    const productVariation = product.ExtraFields.find(f => f.Identifier === "ARTWEBVAR");
-    
-    if (productName) {
-      console.log(`Product ${product.PartNumber}: ${productName.StringValue}, Variant: ${productVariation ? productVariation.StringValue : "N/A"}`);
-    }
-    
-    // Check if product is active (same logic as fetchProducts)
-    if (!active || active.SelectedOptionId !== "1062902127922128278") {
+
+    if (filterActiveWebProducts([product]).length === 0) {
       console.log(`Product ${partNumber} is not active (ARTWEBAKTIV != 1062902127922128278), skipping`);
       return null;
     }
-    
+
     console.log(`Successfully fetched single product: ${product.PartNumber} (ID: ${product.Id})`);
-    
+
     return product;
   }
 
@@ -327,65 +549,27 @@ class MonitorClient {
    * @returns {Promise<Object|null>} The part data with planning information or null if not found
    */
   async fetchPartByPartNumber(partNumber) {
-    const sessionId = await this.getSessionId();
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Inventory/Parts`;
-    url += `?$filter=PartNumber eq '${partNumber}'`;
-    url += '&$select=Id,PartNumber,Description,ExtraFields,PurchaseQuantityPerPackage,PartPlanningInformations';
-    url += '&$expand=PartPlanningInformations';
-    
     console.log(`Fetching part by PartNumber: ${partNumber}`);
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+
+    const parts = await this.odata("Inventory/Parts", {
+      filter: `PartNumber eq '${partNumber}'`,
+      select: "Id,PartNumber,Description,ExtraFields,PurchaseQuantityPerPackage,PartPlanningInformations",
+      expand: "PartPlanningInformations",
     });
-    
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchPartByPartNumber first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await this.login();
-      const newSessionId = await this.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchPartByPartNumber retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API fetchPartByPartNumber failed after re-login");
-      }
-    }
-    
-    const parts = await res.json();
-    if (!Array.isArray(parts)) {
-      throw new Error("Monitor API returned unexpected data format for fetchPartByPartNumber");
-    }
-    
+
     if (parts.length === 0) {
       console.log(`No part found with PartNumber: ${partNumber}`);
       return null;
     }
-    
+
     if (parts.length > 1) {
       console.warn(`Multiple parts found with PartNumber: ${partNumber}, using first one`);
     }
-    
+
     const part = parts[0];
     console.log(`Successfully fetched part: ${part.PartNumber} (ID: ${part.Id})`);
     console.log(`Part: ${JSON.stringify(part)}`);
-    
+
     return part;
   }
 
@@ -395,68 +579,24 @@ class MonitorClient {
    * @returns {Promise<Array>} Array of parts with PartLocations for inventory sync
    */
   async fetchPartsForStock(limit = null, specificPartId = null) {
-    const sessionId = await this.getSessionId();
-
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Inventory/Parts`;
-    
     // Build filter - base filter for active parts
     let filter = `BlockedStatus Neq 2 and Status Le 6 and Status Ge 4`;
-    
+
     // Add specific part ID filter if provided (for debugging specific parts)
     if (specificPartId) {
       filter += ` and Id Eq ${specificPartId}`;
     }
-    
-    url += `?$filter=${filter}`;
-    url += '&$select=Id,PartNumber,Status,BlockedStatus,PartLocations';
-    url += '&$expand=PartLocations';
-    
-    // Add limit if specified (for single test mode)
-    if (limit && limit > 0) {
-      url += `&$top=${limit}`;
-    }
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+
+    const parts = await this.odata("Inventory/Parts", {
+      filter,
+      select: "Id,PartNumber,Status,BlockedStatus,PartLocations",
+      expand: "PartLocations",
+      // Add limit if specified (for single test mode)
+      top: limit && limit > 0 ? limit : undefined,
     });
-    
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchPartsForStock first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await this.login();
-      const newSessionId = await this.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchPartsForStock retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API fetchPartsForStock failed after re-login");
-      }
-    }
-    
-    const parts = await res.json();
-    
-    if (!Array.isArray(parts)) {
-      console.error('❌ Monitor API returned unexpected data format:', typeof parts, parts);
-      throw new Error("Monitor API returned unexpected data format for fetchPartsForStock");
-    }
 
     console.log(`✅ Fetched ${parts.length} parts from Monitor`);
-    
+
     return parts;
   }
 }
@@ -693,63 +833,10 @@ export async function fetchProductsByIdsFromMonitor(productIds) {
 
 export async function fetchCustomersFromMonitor() {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    let allCustomers = [];
-    let skip = 0;
-    const pageSize = 100;
-    let keepFetching = true;
-    
-    while (keepFetching) {
-      let url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/Customers`;
-      url += `?$top=${pageSize}`;
-      url += `&$skip=${skip}`;
-      url += '&$expand=ExtraFields,References,ActiveDeliveryAddress';
-      
-      let res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": sessionId,
-        },
-        agent,
-      });
-      
-      if (res.status !== 200) {
-        const errorBody = await res.text();
-        console.error(`Monitor API fetchCustomers first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-        // Try to re-login and retry once
-        await monitorClient.login();
-        const newSessionId = await monitorClient.getSessionId();
-        res = await fetch(url, {
-          headers: {
-            Accept: "application/json",
-            "Content-Type": "application/json",
-            "Cache-Control": "no-cache",
-            "X-Monitor-SessionId": newSessionId,
-          },
-          agent,
-        });
-        if (res.status !== 200) {
-          const retryErrorBody = await res.text();
-          console.error(`Monitor API fetchCustomers retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-          throw new Error("Monitor API fetchCustomers failed after re-login");
-        }
-      }
-      
-      const customers = await res.json();
-      if (!Array.isArray(customers)) {
-        throw new Error("Monitor API returned unexpected data format");
-      }
-      
-      allCustomers = allCustomers.concat(customers);
-      
-      if (customers.length < pageSize) {
-        keepFetching = false;
-      } else {
-        skip += pageSize;
-      }
-    }
+    const allCustomers = await monitorClient.odata("Sales/Customers", {
+      expand: "ExtraFields,References,ActiveDeliveryAddress",
+      pageSize: 100,
+    });
     
     // Transform Monitor customers/references into Shopify customer format
     const shopifyCustomers = [];
@@ -811,52 +898,16 @@ export async function fetchCustomersByIdsFromMonitor(customerIds) {
   }
 
   try {
-    const sessionId = await monitorClient.getSessionId();
     console.log(`Fetching ${customerIds.length} specific customers by ID...`);
     
     // Build filter for specific IDs - OData $filter with multiple IDs
     const idFilter = customerIds.map(id => `Id eq '${id}'`).join(' or ');
     
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/Customers`;
-    url += `?$filter=${idFilter}`;
-    url += '&$expand=ExtraFields,References,ActiveDeliveryAddress';
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const customers = await monitorClient.odata("Sales/Customers", {
+      filter: idFilter,
+      expand: "ExtraFields,References,ActiveDeliveryAddress",
     });
     
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchCustomersByIds first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        throw new Error(`Monitor API fetchCustomersByIds failed after retry. Status: ${res.status}, Body: ${retryErrorBody}`);
-      }
-    }
-    
-    const customers = await res.json();
-    if (!Array.isArray(customers)) {
-      throw new Error("Monitor API returned unexpected data format for customers");
-    }
-    
     console.log(`Successfully fetched ${customers.length} customers by ID`);
     
     // Transform Monitor customers/references into Shopify customer format (same logic as fetchCustomersFromMonitor)
@@ -933,50 +984,12 @@ export async function fetchPartByPartNumberFromMonitor(partNumber) {
 
 export async function fetchStockTransactionsFromMonitor(partId) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Inventory/StockTransactions`;
-    url += `?$filter=PartId eq '${partId}'`;
-    url += '&$orderby=LoggingTimeStamp desc';
-    url += '&$top=1'; // Only get the most recent transaction to get current balance
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const transactions = await monitorClient.odata("Inventory/StockTransactions", {
+      filter: `PartId eq '${partId}'`,
+      orderby: "LoggingTimeStamp desc",
+      top: 1, // Only get the most recent transaction to get current balance
     });
     
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchStockTransactions first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchStockTransactions retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API fetchStockTransactions failed after re-login");
-      }
-    }
-    
-    const transactions = await res.json();
-    if (!Array.isArray(transactions)) {
-      throw new Error("Monitor API returned unexpected data format for stock transactions");
-    }
-    
     return transactions;
   } catch (error) {
     console.error(`Error fetching stock transactions for part ${partId}:`, error);
@@ -986,49 +999,11 @@ export async function fetchStockTransactionsFromMonitor(partId) {
 
 export async function fetchARTFSCFromMonitor(productId) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Common/ExtraFields`;
-    url += `?$filter=ParentId eq '${productId}' and Identifier eq 'ARTFSC'`;
-    url += '&$expand=SelectedOption';
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const artfscData = await monitorClient.odata("Common/ExtraFields", {
+      filter: `ParentId eq '${productId}' and Identifier eq 'ARTFSC'`,
+      expand: "SelectedOption",
     });
     
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchARTFSC first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchARTFSC retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API fetchARTFSC failed after re-login");
-      }
-    }
-    
-    const artfscData = await res.json();
-    if (!Array.isArray(artfscData)) {
-      throw new Error("Monitor API returned unexpected data format for ARTFSC");
-    }
-    
     // Return the SelectedOption.Description if available
     if (artfscData.length > 0 && artfscData[0].SelectedOption?.Description) {
       return artfscData[0].SelectedOption.Description;
@@ -1056,41 +1031,11 @@ export async function fetchARTFSCFromMonitor(productId) {
  */
 export async function fetchARTTRDMRKFromMonitor(productId) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Common/ExtraFields`;
-    url += `?$filter=ParentId eq '${productId}' and Identifier eq 'ARTTRDMRK'`;
-    url += '&$expand=SelectedOption';
-
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const data = await monitorClient.odata("Common/ExtraFields", {
+      filter: `ParentId eq '${productId}' and Identifier eq 'ARTTRDMRK'`,
+      expand: "SelectedOption",
     });
-
-    if (res.status !== 200) {
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        return null;
-      }
-    }
-
-    const data = await res.json();
-    if (!Array.isArray(data) || data.length === 0) return null;
+    if (data.length === 0) return null;
 
     // Try SelectedOption.Description first (option-type field)
     if (data[0].SelectedOption?.Description) {
@@ -1115,67 +1060,34 @@ export async function fetchARTTRDMRKFromMonitor(productId) {
  */
 export async function fetchOutletPriceFromMonitor(partId) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/SalesPrices`;
-    url += `?$filter=PartId eq '${partId}' and PriceListId eq '1289997006982727753'`;
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const prices = await monitorClient.odata("Sales/SalesPrices", {
+      filter: `PartId eq '${partId}' and PriceListId eq '1289997006982727753'`,
     });
     
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchOutletPrice first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchOutletPrice retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        return null; // Don't throw error, just return null for no outlet price
-      }
-    }
-    
-    const prices = await res.json();
-    if (!Array.isArray(prices)) {
-      throw new Error("Monitor API returned unexpected data format for outlet prices");
-    }
-    
-    return prices.length > 0 ? prices[0].Price : null;
+    return basePrice(prices);
   } catch (error) {
     console.error(`Error fetching outlet price for part ${partId}:`, error);
     return null;
   }
 }
 
+// Price of the price list row without a quantity break (see fetchPriceBreakQuantitiesFromMonitor)
+function basePrice(prices) {
+  const base = prices.find(price => !(price.FromQuantity > 1)) || prices[0];
+  return base ? base.Price : null;
+}
+
 /**
- * Fetch entity change logs from Monitor for the last hour
- * @param {string} entityTypeId - The entity type ID ('322cf0ac-10de-45ee-a792-f0944329d198' for products, '6bd51ec8-abd3-4032-ac43-8ddc15ca1fbc' for customers)
- * @returns {Promise<Array>} Array of change log entries for the specified entity type
+ * Fetch entity change logs from Monitor since the given point in time
+ * @param {string} type - 'products', 'customers' or 'prices' (price lists and sales prices, whose entity types are
+ *   set in MONITOR_PRICE_ENTITY_TYPE_IDS; no changes are returned when it is empty)
+ * @param {Date} since - Only changes with a later ModifiedTimestamp are returned (see app/utils/sync-cursor.js)
+ * @returns {Promise<{entityIds: Array<string>, latestModifiedAt: string|null}>} Unique changed entity IDs and
+ *   the latest ModifiedTimestamp among the changes, to advance the sync cursor to once they are synced
  */
-export async function fetchEntityChangeLogsFromMonitor(type = 'products') {
+export async function fetchEntityChangeLogsFromMonitor(type, since) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    // Calculate date 1 hour ago in ISO format
-    const oneHourAgo = new Date(Date.now() - 1 * 60 * 60 * 1000);
-    const dateFilter = oneHourAgo.toISOString(); // Full ISO format with time
+    const dateFilter = since.toISOString();
     
     // Define entity type IDs based on type parameter
     let entityTypeIdArray;
@@ -1189,64 +1101,42 @@ export async function fetchEntityChangeLogsFromMonitor(type = 'products') {
         '322cf0ac-10de-45ee-a792-f0944329d198', // Default product changes
         '6b6b98da-21a0-4ca4-9b88-21631c6ea572'  // Additional product changes
       ];
+    } else if (type === 'prices') {
+      // Comma separated EntityTypeIds of price lists and sales prices, they aren't the same in every Monitor
+      entityTypeIdArray = (process.env.MONITOR_PRICE_ENTITY_TYPE_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+      if (entityTypeIdArray.length === 0) {
+        return { entityIds: [], latestModifiedAt: null };
+      }
     } else {
-      throw new Error(`Unknown entity type: ${type}. Supported types: 'products', 'customers'`);
+      throw new Error(`Unknown entity type: ${type}. Supported types: 'products', 'customers', 'prices'`);
     }
     
     // Build OR filter for multiple entity type IDs
     const entityTypeFilter = entityTypeIdArray.map(id => `EntityTypeId eq '${id}'`).join(' or ');
     
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Common/EntityChangeLogs`;
-    url += `?$filter=ModifiedTimestamp gt '${dateFilter}' and (${entityTypeFilter})`;
+    const filter = `ModifiedTimestamp gt '${dateFilter}' and (${entityTypeFilter})`;
     // Remove $orderby since it's causing SQL errors
     
     console.log(`Fetching entity change logs for ${type} (${entityTypeIdArray.length} entity types) since: ${dateFilter}`);
-    console.log(`Change logs URL: ${url}`);
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
-    });
-    
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchEntityChangeLogs first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchEntityChangeLogs retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API fetchEntityChangeLogs failed after re-login");
-      }
-    }
+    console.log(`Change logs filter: ${filter}`);
     
-    const changeLogs = await res.json();
-    if (!Array.isArray(changeLogs)) {
-      throw new Error("Monitor API returned unexpected data format for entity change logs");
-    }
+    const changeLogs = await monitorClient.odata("Common/EntityChangeLogs", { filter });
     
-    console.log(`Found ${changeLogs.length} entity changes in the last 6 hours for ${type}`);
+    console.log(`Found ${changeLogs.length} entity changes since ${dateFilter} for ${type}`);
     
     // Extract unique entity IDs from the change logs
     const uniqueEntityIds = [...new Set(changeLogs.map(log => log.EntityId))];
     console.log(`Unique ${type} with changes: ${uniqueEntityIds.length}`);
     
-    return uniqueEntityIds;
+    // Compare as dates, Monitor may return timestamps with a UTC offset
+    let latestModifiedAt = null;
+    for (const log of changeLogs) {
+      if (!latestModifiedAt || new Date(log.ModifiedTimestamp) > new Date(latestModifiedAt)) {
+        latestModifiedAt = log.ModifiedTimestamp;
+      }
+    }
+    
+    return { entityIds: uniqueEntityIds, latestModifiedAt };
   } catch (error) {
     console.error(`Error fetching entity change logs:`, error);
     throw error;
@@ -1261,48 +1151,10 @@ export async function fetchEntityChangeLogsFromMonitor(type = 'products') {
  */
 export async function fetchCustomerPriceFromMonitor(customerId, partId) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/CustomerPartLinks`;
-    url += `?$filter=CustomerId eq '${customerId}' and PartId eq '${partId}'`;
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const customerLinks = await monitorClient.odata("Sales/CustomerPartLinks", {
+      filter: `CustomerId eq '${customerId}' and PartId eq '${partId}'`,
     });
     
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchCustomerPrice first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchCustomerPrice retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        return null;
-      }
-    }
-    
-    const customerLinks = await res.json();
-    if (!Array.isArray(customerLinks)) {
-      throw new Error("Monitor API returned unexpected data format for customer part links");
-    }
-    
     return customerLinks.length > 0 ? customerLinks[0].Price : null;
   } catch (error) {
     console.error(`Error fetching customer price for customer ${customerId} and part ${partId}:`, error);
@@ -1318,55 +1170,41 @@ export async function fetchCustomerPriceFromMonitor(customerId, partId) {
  */
 export async function fetchPriceListPriceFromMonitor(priceListId, partId) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/SalesPrices`;
-    url += `?$filter=PartId eq '${partId}' and PriceListId eq '${priceListId}'`;
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const prices = await monitorClient.odata("Sales/SalesPrices", {
+      filter: `PartId eq '${partId}' and PriceListId eq '${priceListId}'`,
     });
     
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchPriceListPrice first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchPriceListPrice retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        return null;
-      }
-    }
-    
-    const prices = await res.json();
-    if (!Array.isArray(prices)) {
-      throw new Error("Monitor API returned unexpected data format for price list prices");
-    }
-    
-    return prices.length > 0 ? prices[0].Price : null;
+    return basePrice(prices);
   } catch (error) {
     console.error(`Error fetching price list price for part ${partId} and price list ${priceListId}:`, error);
     return null;
   }
 }
 
+/**
+ * Fetch the quantities from which parts have a different sales price (price breaks). Price list rows for a
+ * part have a FromQuantity; the row without one (or FromQuantity 1) is the base price.
+ * @param {Array<string>} partIds - Part IDs
+ * @returns {Promise<Map<string, Array<number>>>} Part ID -> break quantities in ascending order, for every part asked for
+ */
+export async function fetchPriceBreakQuantitiesFromMonitor(partIds) {
+  const quantities = new Map(partIds.map(id => [String(id), []]));
+  if (partIds.length === 0) return quantities;
+
+  const rows = await monitorClient.odata("Sales/SalesPrices", {
+    filter: `(${partIds.map(id => `PartId eq '${id}'`).join(" or ")}) and FromQuantity gt 1`,
+    select: "PartId,FromQuantity",
+  });
+
+  for (const row of rows) {
+    const partQuantities = quantities.get(String(row.PartId));
+    const quantity = Number(row.FromQuantity);
+    if (partQuantities && !partQuantities.includes(quantity)) partQuantities.push(quantity);
+  }
+  for (const partQuantities of quantities.values()) partQuantities.sort((a, b) => a - b);
+  return quantities;
+}
+
 /**
  * Fetch customer details including PriceListId
  * @param {string} customerId - The Monitor customer ID
@@ -1374,43 +1212,7 @@ export async function fetchPriceListPriceFromMonitor(priceListId, partId) {
  */
 export async function fetchCustomerFromMonitor(customerId) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/Customers/${customerId}`;
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
-    });
-    
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchCustomer first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchCustomer retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        return null;
-      }
-    }
-    
-    const customer = await res.json();
+    const customer = await monitorClient.get(`Sales/Customers/${customerId}`);
     return customer;
   } catch (error) {
     console.error(`Error fetching customer ${customerId}:`, error);
@@ -1426,48 +1228,10 @@ export async function fetchCustomerFromMonitor(customerId) {
  */
 export async function fetchDiscountCategoryRowFromMonitor(discountCategoryId, partCodeId) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Common/DiscountCategoryRows`;
-    url += `?$filter=DiscountCategoryId eq '${discountCategoryId}' and PartCodeId eq '${partCodeId}'`;
-    
-    let res = await fetch(url, {
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const discountRows = await monitorClient.odata("Common/DiscountCategoryRows", {
+      filter: `DiscountCategoryId eq '${discountCategoryId}' and PartCodeId eq '${partCodeId}'`,
     });
     
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API fetchDiscountCategoryRow first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API fetchDiscountCategoryRow retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        return null;
-      }
-    }
-    
-    const discountRows = await res.json();
-    if (!Array.isArray(discountRows)) {
-      throw new Error("Monitor API returned unexpected data format for discount category rows");
-    }
-    
     return discountRows.length > 0 ? discountRows[0] : null;
   } catch (error) {
     console.error(`Error fetching discount category row for discount category ${discountCategoryId} and part code ${partCodeId}:`, error);
@@ -1482,47 +1246,8 @@ export async function fetchDiscountCategoryRowFromMonitor(discountCategoryId, pa
  */
 export async function createOrderInMonitor(orderData) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    const url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/CustomerOrders/Create`;
-    
-    let res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      body: JSON.stringify(orderData),
-      agent,
-    });
-    
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API createOrder first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        method: 'POST',
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        body: JSON.stringify(orderData),
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API createOrder retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API createOrder failed after re-login");
-      }
-    }
-    
-    const result = await res.json();
+    // Not retried on timeouts/5xx: Monitor may already have created the order
+    const result = await monitorClient.post("Sales/CustomerOrders/Create", orderData);
     
     // Monitor API returns EntityCommandResponse with RootEntityId as the created order ID
     if (result.RootEntityId) {
@@ -1541,54 +1266,149 @@ export async function createOrderInMonitor(orderData) {
   }
 }
 
+/**
+ * Create a customer quotation (offert). Rows take the same fields as customer order rows
+ * (PartId, OrderedQuantity, UnitPrice, SubRowContent).
+ * @param {Object} quoteData - { CustomerId, BusinessContactOrderNumber, ValidToDate, Rows }
+ * @returns {Promise<Object>} { quoteId, quoteNumber }
+ */
+export async function createQuoteInMonitor(quoteData) {
+  // Not retried on timeouts/5xx: Monitor may already have created the quote
+  const result = await monitorClient.post("Sales/Quotes/Create", quoteData);
+  if (!result?.RootEntityId) {
+    throw new Error(`Monitor returned no quote ID: ${JSON.stringify(result)}`);
+  }
+  return { quoteId: String(result.RootEntityId), quoteNumber: result.QuoteNumber ? String(result.QuoteNumber) : null };
+}
+
+/**
+ * Find a customer order by the BusinessContactOrderNumber it was created with
+ * (the draft order name, see app/utils/order-export.js)
+ * @param {string} customerId - Monitor customer ID
+ * @param {string} businessContactOrderNumber - The order number to look for
+ * @returns {Promise<Object|null>} { orderId, orderNumber } or null if there is no such order
+ */
+export async function findCustomerOrderInMonitor(customerId, businessContactOrderNumber) {
+  const orders = await monitorClient.odata("Sales/CustomerOrders", {
+    filter: `CustomerId eq '${customerId}' and BusinessContactOrderNumber eq '${businessContactOrderNumber.replace(/'/g, "''")}'`,
+    select: "Id,OrderNumber",
+    top: 1,
+  });
+  return orders.length > 0 ? { orderId: orders[0].Id, orderNumber: orders[0].OrderNumber } : null;
+}
+
+/**
+ * Read a customer order with its rows, for the order status feedback (app/orderStatusJob.js)
+ * @param {string} customerOrderId - Monitor customer order ID
+ * @returns {Promise<Object|null>} The order with Rows, or null if it doesn't exist (any more)
+ */
+export async function fetchCustomerOrderStatusFromMonitor(customerOrderId) {
+  const orders = await monitorClient.odata("Sales/CustomerOrders", {
+    filter: `Id eq '${customerOrderId}'`,
+    select: "Id,OrderNumber,Preliminary,DeliveryDate",
+    expand: "Rows",
+    top: 1,
+  });
+  return orders[0] || null;
+}
+
+/**
+ * A page of a customer's orders, newest first, including orders entered in Monitor by phone or sales reps
+ * @param {string} customerId - Monitor customer ID
+ * @param {Object} [options] - { top, skip }
+ * @returns {Promise<Array>} Customer orders with Rows
+ */
+export async function fetchCustomerOrdersFromMonitor(customerId, { top = 10, skip = 0 } = {}) {
+  return monitorClient.odata("Sales/CustomerOrders", {
+    filter: `CustomerId eq '${customerId}'`,
+    select: "Id,OrderNumber,OrderDate,Preliminary,DeliveryDate,BusinessContactOrderNumber",
+    expand: "Rows",
+    orderby: "OrderDate desc",
+    top,
+    skip,
+  });
+}
+
+/**
+ * A customer's latest invoices, newest first
+ * @param {string} customerId - Monitor customer ID
+ * @param {Object} [options] - { top, skip }
+ * @returns {Promise<Array>} Customer invoices
+ */
+export async function fetchCustomerInvoicesFromMonitor(customerId, { top = 10, skip = 0 } = {}) {
+  return monitorClient.odata("Sales/CustomerInvoices", {
+    filter: `CustomerId eq '${customerId}'`,
+    orderby: "InvoiceDate desc",
+    top,
+    skip,
+  });
+}
+
+/**
+ * PartNumber and description of parts, e.g. for the rows of a customer order
+ * @param {Array<string>} partIds - Monitor part IDs
+ * @returns {Promise<Array>} Parts with Id, PartNumber and Description
+ */
+export async function fetchPartNumbersFromMonitor(partIds) {
+  if (partIds.length === 0) return [];
+  return monitorClient.odata("Inventory/Parts", {
+    filter: partIds.map(id => `Id eq '${id}'`).join(" or "),
+    select: "Id,PartNumber,Description",
+  });
+}
+
+/**
+ * A customer invoice with its rows
+ * @param {string} invoiceId - Monitor invoice ID
+ * @returns {Promise<Object|null>} The invoice, or null if it doesn't exist
+ */
+export async function fetchCustomerInvoiceFromMonitor(invoiceId) {
+  const invoices = await monitorClient.odata("Sales/CustomerInvoices", {
+    filter: `Id eq '${invoiceId}'`,
+    expand: "Rows",
+    top: 1,
+  });
+  return invoices[0] || null;
+}
+
+/**
+ * A customer's latest delivery notes, newest first
+ * @param {string} customerId - Monitor customer ID
+ * @param {Object} [options] - { top, skip }
+ * @returns {Promise<Array>} Delivery notes
+ */
+export async function fetchCustomerDeliveryNotesFromMonitor(customerId, { top = 10, skip = 0 } = {}) {
+  return monitorClient.odata("Sales/DeliveryNotes", {
+    filter: `CustomerId eq '${customerId}'`,
+    orderby: "DeliveryDate desc",
+    top,
+    skip,
+  });
+}
+
+/**
+ * A delivery note with its rows
+ * @param {string} deliveryNoteId - Monitor delivery note ID
+ * @returns {Promise<Object|null>} The delivery note, or null if it doesn't exist
+ */
+export async function fetchDeliveryNoteFromMonitor(deliveryNoteId) {
+  const deliveryNotes = await monitorClient.odata("Sales/DeliveryNotes", {
+    filter: `Id eq '${deliveryNoteId}'`,
+    expand: "Rows",
+    top: 1,
+  });
+  return deliveryNotes[0] || null;
+}
+
 export async function setOrderPropertiesInMonitor(customerOrderId, properties) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
-    const url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/CustomerOrders/SetProperties`;
-    
     const requestData = {
       CustomerOrderId: customerOrderId,
       ...properties
     };
     
-    let res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      body: JSON.stringify(requestData),
-      agent,
-    });
-    
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API setOrderProperties first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        method: 'POST',
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        body: JSON.stringify(requestData),
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API setOrderProperties retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API setOrderProperties failed after re-login");
-      }
-    }
-    
-    const result = await res.json();
+    // Setting the same properties twice is harmless, so this one may be retried
+    const result = await monitorClient.post("Sales/CustomerOrders/SetProperties", requestData, { idempotent: true });
     
     // Check if the response indicates success
     if (result) {
@@ -1606,52 +1426,12 @@ export async function setOrderPropertiesInMonitor(customerOrderId, properties) {
 export async function updateDeliveryAddressInMonitor(customerOrderId, addressData) {
   try {
     console.log(`Updating delivery address for Monitor order ID ${customerOrderId}`);
-    const sessionId = await monitorClient.getSessionId();
-    
-    const url = `${monitorUrl}/${monitorCompany}/api/v1/Sales/CustomerOrders/UpdateDeliveryAddress`;
-    
     const requestData = {
       CustomerOrderId: customerOrderId,
       ...addressData
     };
     
-    let res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      body: JSON.stringify(requestData),
-      agent,
-    });
-    
-    if (res.status !== 200) {
-      const errorBody = await res.text();
-      console.error(`Monitor API updateDeliveryAddress first attempt failed. Status: ${res.status}, Body: ${errorBody}`);
-      // Try to re-login and retry once
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      res = await fetch(url, {
-        method: 'POST',
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        body: JSON.stringify(requestData),
-        agent,
-      });
-      if (res.status !== 200) {
-        const retryErrorBody = await res.text();
-        console.error(`Monitor API updateDeliveryAddress retry failed. Status: ${res.status}, Body: ${retryErrorBody}`);
-        throw new Error("Monitor API updateDeliveryAddress failed after re-login");
-      }
-    }
-    
-    const result = await res.json();
+    const result = await monitorClient.post("Sales/CustomerOrders/UpdateDeliveryAddress", requestData, { idempotent: true });
     
     // Check if the response indicates success
     if (result) {
@@ -1666,6 +1446,33 @@ export async function updateDeliveryAddressInMonitor(customerOrderId, addressDat
   }
 }
 
+/**
+ * Change the rows of a customer order, for amendments made in Shopify (app/utils/order-amendments.js)
+ * @param {string} customerOrderId - Monitor customer order ID
+ * @param {Object} changes - { addRows: rows as in Sales/CustomerOrders/Create, updateRows: [{ Id, OrderedQuantity }],
+ *   deleteRowIds: row IDs }
+ * @returns {Promise<Object>} Monitor's command response
+ */
+export async function updateCustomerOrderRowsInMonitor(customerOrderId, { addRows = [], updateRows = [], deleteRowIds = [] }) {
+  // Not retried on timeouts/5xx: Monitor may already have added the rows
+  return monitorClient.post("Sales/CustomerOrders/UpdateRows", {
+    CustomerOrderId: customerOrderId,
+    AddRows: addRows,
+    UpdateRows: updateRows.map(row => ({ Id: row.Id, OrderedQuantity: { Value: row.OrderedQuantity } })),
+    DeleteRowIds: deleteRowIds,
+  });
+}
+
+/**
+ * Cancel a customer order
+ * @param {string} customerOrderId - Monitor customer order ID
+ * @returns {Promise<Object>} Monitor's command response
+ */
+export async function cancelCustomerOrderInMonitor(customerOrderId) {
+  // Cancelling twice is harmless, so this one may be retried
+  return monitorClient.post("Sales/CustomerOrders/Cancel", { CustomerOrderId: customerOrderId }, { idempotent: true });
+}
+
 /**
  * Fetch all parts for stock sync - wrapper function for external use
  * @param {number} [limit] - Optional limit for number of parts to fetch (for testing)
@@ -1682,59 +1489,13 @@ export async function fetchPartsForStock(limit = null, specificPartId = null) {
  */
 export async function fetchPartStandardUnitId(partId) {
   try {
-    const sessionId = await monitorClient.getSessionId();
-    
     // Fetch only the StandardUnitId field to minimize payload
-    let url = `${monitorUrl}/${monitorCompany}/api/v1/Inventory/Parts`;
-    url += `?$filter=Id eq '${partId}'`;
-    url += '&$select=StandardUnitId';
-    
-    let res = await fetch(url, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-        "Cache-Control": "no-cache",
-        "X-Monitor-SessionId": sessionId,
-      },
-      agent,
+    const data = await monitorClient.odata("Inventory/Parts", {
+      filter: `Id eq '${partId}'`,
+      select: "StandardUnitId",
     });
-    
-    if (res.status === 401) {
-      // Session expired, retry with new session
-      console.log(`Session expired fetching StandardUnitId, re-logging in...`);
-      await monitorClient.login();
-      const newSessionId = await monitorClient.getSessionId();
-      
-      res = await fetch(url, {
-        method: "GET",
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "Cache-Control": "no-cache",
-          "X-Monitor-SessionId": newSessionId,
-        },
-        agent,
-      });
-      
-      if (res.status !== 200) {
-        console.error(`Failed to fetch StandardUnitId for part ${partId}: ${res.status}`);
-        return null;
-      }
-      
-      const data = await res.json();
-      // API returns an array, get first element
-      return (Array.isArray(data) && data.length > 0) ? data[0].StandardUnitId || null : null;
-    }
-    
-    if (res.status !== 200) {
-      console.error(`Failed to fetch StandardUnitId for part ${partId}: ${res.status}`);
-      return null;
-    }
-    
-    const data = await res.json();
     // API returns an array, get first element
-    return (Array.isArray(data) && data.length > 0) ? data[0].StandardUnitId || null : null;
+    return data.length > 0 ? data[0].StandardUnitId || null : null;
     
   } catch (error) {
     console.error(`Error fetching StandardUnitId for part ${partId}:`, error);
@@ -0,0 +1,442 @@
+// app/utils/order-amendments.js
+// Edits of exported orders in Shopify sent on to the Monitor order: changed quantities, added and removed
+// line items and a new delivery address. A cancelled order is handed to app/utils/order-cancellations.js.
+// The Shopify order is compared against the export snapshot on its OrderExport row, i.e. what Monitor
+// was last sent, so only real changes are sent.
+// Once Monitor has started picking or delivering the order, amendments are refused and listed on
+// /app/order-exports for staff to change the order in Monitor by hand.
+// Checked when the orders/updated webhook arrives ("order-amendment" job) and by the order poll.
+
+import prisma from "../db.server.js";
+import { shopifyGraphQL } from "./shopify-admin.js";
+import { acquireJobLock } from "./job-lock.js";
+import { enqueueJob } from "./job-queue.js";
+import { fetchCustomerOrderStatusFromMonitor, updateCustomerOrderRowsInMonitor } from "./monitor.js";
+import { buildMonitorOrderRows, monitorDeliveryAddress, setMonitorDeliveryAddress } from "./order-export.js";
+import { cancelMonitorOrder, isPickedOrDelivered } from "./order-cancellations.js";
+
+const LINE_ITEMS_PAGE_SIZE = 50;
+const MAX_ERROR_LENGTH = 2000;
+
+// Orders edited in Shopify within this window are checked by the order poll
+const POLL_WINDOW_HOURS = 12;
+
+const LINE_ITEM_CONNECTION_FIELDS = `
+      edges {
+        node {
+          id
+          quantity
+          currentQuantity
+          originalUnitPriceSet {
+            shopMoney {
+              amount
+            }
+          }
+          discountedUnitPriceSet {
+            shopMoney {
+              amount
+            }
+          }
+          variant {
+            id
+            price
+          }
+          customAttributes {
+            key
+            value
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+`;
+
+async function fetchShopifyOrder(shop, accessToken, orderId) {
+  const data = await shopifyGraphQL(shop, accessToken, `query($id: ID!) {
+    order(id: $id) {
+      id
+      name
+      cancelledAt
+      shippingAddress {
+        firstName
+        lastName
+        company
+        address1
+        address2
+        city
+        province
+        zip
+      }
+      lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) {${LINE_ITEM_CONNECTION_FIELDS}      }
+    }
+  }`, { id: orderId });
+
+  const order = data?.order || null;
+  if (!order) return null;
+
+  // A missing page would look like removed line items, so it fails the check instead
+  let pageInfo = order.lineItems.pageInfo;
+  while (pageInfo.hasNextPage) {
+    const page = (await shopifyGraphQL(shop, accessToken, `query($id: ID!, $cursor: String) {
+      order(id: $id) {
+        lineItems(first: ${LINE_ITEMS_PAGE_SIZE}, after: $cursor) {${LINE_ITEM_CONNECTION_FIELDS}        }
+      }
+    }`, { id: orderId, cursor: pageInfo.endCursor }))?.order?.lineItems;
+    if (!page) {
+      throw new Error(`Could not read all line items of order ${order.name}`);
+    }
+    order.lineItems.edges.push(...page.edges);
+    pageInfo = page.pageInfo;
+  }
+  return order;
+}
+
+// The order as Monitor should have it: the same rows and address an export would create today
+async function currentOrderState(shop, accessToken, order) {
+  if (order.cancelledAt) {
+    return { rows: [], address: null, cancelled: true };
+  }
+
+  // Order edits set currentQuantity; removed line items keep their quantity but get currentQuantity 0
+  const lineItems = order.lineItems.edges
+    .map(edge => edge.node)
+    .filter(lineItem => lineItem.currentQuantity > 0)
+    .map(lineItem => ({
+      id: lineItem.id,
+      quantity: lineItem.currentQuantity,
+      originalUnitPrice: lineItem.originalUnitPriceSet?.shopMoney?.amount,
+      discountedUnitPrice: lineItem.discountedUnitPriceSet?.shopMoney?.amount,
+      variant: lineItem.variant,
+      customAttributes: lineItem.customAttributes,
+    }));
+
+  const rows = await buildMonitorOrderRows(shop, accessToken, lineItems);
+  // Every line item removed is the same as cancelling the order
+  return { rows, address: monitorDeliveryAddress(order), cancelled: rows.length === 0 };
+}
+
+// Rows are matched on part and beam specification, in order, since Shopify line item IDs
+// change when a draft order becomes an order
+function rowKey(row) {
+  return `${row.PartId}|${row.SubRowContent || ""}`;
+}
+
+function diffRows(snapshotRows, currentRows) {
+  const unmatched = snapshotRows.map((row, index) => index);
+  const pairs = currentRows.map(row => {
+    const position = unmatched.findIndex(index => rowKey(snapshotRows[index]) === rowKey(row));
+    return position === -1 ? -1 : unmatched.splice(position, 1)[0];
+  });
+
+  return {
+    pairs,
+    added: currentRows.filter((row, i) => pairs[i] === -1),
+    changed: currentRows
+      .map((row, i) => ({ row, index: pairs[i] }))
+      .filter(({ row, index }) => index !== -1 && snapshotRows[index].OrderedQuantity !== row.OrderedQuantity),
+    removed: unmatched,
+  };
+}
+
+function describeChanges(snapshot, current, diff, addressChanged) {
+  if (current.cancelled) {
+    return ["cancel the order"];
+  }
+  return [
+    ...diff.changed.map(({ row, index }) => `part ${row.PartId}: ${snapshot.rows[index].OrderedQuantity} → ${row.OrderedQuantity}`),
+    ...diff.added.map(row => `add part ${row.PartId} × ${row.OrderedQuantity}`),
+    ...diff.removed.map(index => `remove part ${snapshot.rows[index].PartId}`),
+    ...(addressChanged ? [`delivery address ${[current.address.Addressee, current.address.Field1, current.address.PostalCode, current.address.Locality].filter(Boolean).join(", ")}`] : []),
+  ];
+}
+
+// Snapshots start without Monitor's row IDs (the create command doesn't return them), and rows
+// added by an amendment get theirs the same way: the first unused Monitor row with the same part
+function resolveMonitorRowIds(snapshotRows, monitorOrder) {
+  const monitorRows = [...(monitorOrder.Rows || [])].sort((a, b) => a.RowNumber - b.RowNumber);
+  const used = new Set(snapshotRows.filter(row => row.monitorRowId).map(row => String(row.monitorRowId)));
+
+  return snapshotRows.map(row => {
+    if (row.monitorRowId) return row;
+    const monitorRow = monitorRows.find(candidate => String(candidate.PartId) === String(row.PartId) && !used.has(String(candidate.Id)));
+    if (!monitorRow) {
+      throw new Error(`Monitor order ${monitorOrder.OrderNumber} has no row for part ${row.PartId} any more`);
+    }
+    used.add(String(monitorRow.Id));
+    return { ...row, monitorRowId: String(monitorRow.Id) };
+  });
+}
+
+// An earlier attempt sent UpdateRows but never recorded the result (a timeout or a crash), so Monitor may
+// already have it. Rows it added are the Monitor rows no snapshot row points at and become the rows to add,
+// rows it deleted are gone from Monitor and aren't deleted again.
+function reconcileInterruptedRowUpdate(snapshotRows, currentRows, diff, monitorOrder) {
+  const monitorRows = [...(monitorOrder.Rows || [])].sort((a, b) => a.RowNumber - b.RowNumber);
+  const present = new Set(monitorRows.map(row => String(row.Id)));
+  const used = new Set(snapshotRows.map(row => String(row.monitorRowId)));
+
+  const addedRowIds = currentRows.map((row, i) => {
+    if (diff.pairs[i] !== -1) return null;
+    const monitorRow = monitorRows.find(candidate => String(candidate.PartId) === String(row.PartId) && !used.has(String(candidate.Id)));
+    if (!monitorRow) return null;
+    used.add(String(monitorRow.Id));
+    return String(monitorRow.Id);
+  });
+  return {
+    addedRowIds,
+    removed: diff.removed.filter(index => present.has(String(snapshotRows[index].monitorRowId))),
+  };
+}
+
+async function recordAmendment(draftOrderId, data) {
+  await prisma.orderExport.update({ where: { draftOrderId }, data });
+}
+
+/**
+ * Send the changes made to an exported order in Shopify to its Monitor order. Only one process works on
+ * a draft order's export or amendments at a time. Each step updates the export snapshot, and the row update
+ * is recorded before it is sent, so a failed amendment is retried without adding or deleting rows twice.
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Admin API token
+ * @param {Object} orderExport - OrderExport row of the order
+ * @returns {Promise<Object>} { status: "unchanged" | "skipped" | "applied" | "refused" | "failed", changes, reason }
+ */
+export async function syncOrderAmendments(shop, accessToken, orderExport) {
+  const { draftOrderId } = orderExport;
+  const lock = await acquireJobLock(`ORDER-EXPORT:${draftOrderId}`);
+  if (!lock.acquired) {
+    return { status: "skipped", reason: `Draft order ${orderExport.draftOrderName} is being exported or amended by ${lock.owner}` };
+  }
+
+  let pending = null;
+  try {
+    const ledger = await prisma.orderExport.findUnique({ where: { draftOrderId } });
+    if (ledger?.status !== "completed" || !ledger.monitorOrderId || !ledger.shopifyOrderId) {
+      return { status: "skipped", reason: `Draft order ${orderExport.draftOrderName} hasn't been exported to Monitor` };
+    }
+    if (!ledger.exportSnapshot) {
+      return { status: "skipped", reason: `Draft order ${ledger.draftOrderName} was exported before amendments were tracked` };
+    }
+    let snapshot = JSON.parse(ledger.exportSnapshot);
+    if (snapshot.cancelled || ledger.cancellationStatus) {
+      return { status: "skipped", reason: `Order ${ledger.monitorOrderNumber} has been cancelled, see its cancellation on the order exports page` };
+    }
+
+    const order = await fetchShopifyOrder(shop, accessToken, ledger.shopifyOrderId);
+    if (!order) {
+      return { status: "skipped", reason: `Order ${ledger.shopifyOrderId} not found in Shopify` };
+    }
+
+    const current = await currentOrderState(shop, accessToken, order);
+    const diff = diffRows(snapshot.rows, current.rows);
+    const addressChanged = Boolean(current.address) && JSON.stringify(current.address) !== JSON.stringify(snapshot.address);
+    const changes = describeChanges(snapshot, current, diff, addressChanged);
+    if (changes.length === 0) {
+      return { status: "unchanged", changes };
+    }
+
+    if (current.cancelled) {
+      // Recorded as a cancellation, app/utils/order-cancellations.js
+      const reason = order.cancelledAt ? `Order ${order.name} cancelled in Shopify` : `All line items of order ${order.name} removed in Shopify`;
+      const result = await cancelMonitorOrder(ledger, reason);
+      const status = { cancelled: "applied", flagged: "refused", failed: "failed" }[result.status];
+      return { status, changes, reason: result.reason };
+    }
+
+    pending = JSON.stringify(current);
+    if (ledger.amendmentStatus === "refused" && ledger.pendingAmendment === pending) {
+      return { status: "skipped", reason: `Amendment of order ${order.name} was already refused` };
+    }
+
+    const label = ledger.monitorOrderNumber || ledger.monitorOrderId;
+    const monitorOrder = await fetchCustomerOrderStatusFromMonitor(ledger.monitorOrderId);
+    if (!monitorOrder) {
+      throw new Error(`Monitor order ${label} not found`);
+    }
+    if (isPickedOrDelivered(monitorOrder)) {
+      const reason = `Monitor order ${label} is already being picked or delivered, change it in Monitor by hand: ${changes.join("; ")}`;
+      await recordAmendment(draftOrderId, { amendmentStatus: "refused", amendmentError: reason.slice(0, MAX_ERROR_LENGTH), pendingAmendment: pending });
+      console.warn(`⚠️ Amendment of order ${order.name} refused: ${reason}`);
+      return { status: "refused", changes, reason };
+    }
+
+    const snapshotRows = resolveMonitorRowIds(snapshot.rows, monitorOrder);
+
+    if (diff.added.length > 0 || diff.changed.length > 0 || diff.removed.length > 0) {
+      const recovered = ledger.rowUpdateStartedAt
+        ? reconcileInterruptedRowUpdate(snapshotRows, current.rows, diff, monitorOrder)
+        : { addedRowIds: current.rows.map(() => null), removed: diff.removed };
+      const adopted = recovered.addedRowIds.filter(Boolean).length;
+      if (adopted > 0 || recovered.removed.length < diff.removed.length) {
+        console.log(`Monitor order ${label} already has ${adopted} added rows and ${diff.removed.length - recovered.removed.length} deleted rows from an interrupted amendment`);
+      }
+
+      // The snapshot with every row's Monitor ID is recorded before the update is sent, see reconcileInterruptedRowUpdate()
+      await recordAmendment(draftOrderId, { exportSnapshot: JSON.stringify({ ...snapshot, rows: snapshotRows }), rowUpdateStartedAt: new Date() });
+      await updateCustomerOrderRowsInMonitor(ledger.monitorOrderId, {
+        addRows: current.rows.filter((row, i) => diff.pairs[i] === -1 && !recovered.addedRowIds[i]),
+        updateRows: diff.changed.map(({ row, index }) => ({ Id: snapshotRows[index].monitorRowId, OrderedQuantity: row.OrderedQuantity })),
+        deleteRowIds: recovered.removed.map(index => snapshotRows[index].monitorRowId),
+      });
+      // Added rows get their Monitor row ID with the next amendment, see resolveMonitorRowIds()
+      const rows = current.rows.map((row, i) => ({
+        ...row,
+        monitorRowId: diff.pairs[i] === -1 ? recovered.addedRowIds[i] : snapshotRows[diff.pairs[i]].monitorRowId,
+      }));
+      snapshot = { ...snapshot, rows };
+      await recordAmendment(draftOrderId, { exportSnapshot: JSON.stringify(snapshot), rowUpdateStartedAt: null });
+    }
+
+    if (addressChanged) {
+      const address = await setMonitorDeliveryAddress(order, ledger.monitorOrderId);
+      snapshot = { ...snapshot, address };
+      await recordAmendment(draftOrderId, { exportSnapshot: JSON.stringify(snapshot) });
+    }
+
+    // statusSignature is cleared so the order status feedback writes the new rows to Shopify
+    await recordAmendment(draftOrderId, {
+      amendmentStatus: "applied",
+      amendmentError: null,
+      pendingAmendment: null,
+      amendedAt: new Date(),
+      statusSignature: null,
+    });
+    console.log(`✅ Sent amendment of order ${order.name} to Monitor order ${label}: ${changes.join("; ")}`);
+    return { status: "applied", changes };
+  } catch (error) {
+    const reason = (error.message || String(error)).slice(0, MAX_ERROR_LENGTH);
+    await recordAmendment(draftOrderId, { amendmentStatus: "failed", amendmentError: reason, pendingAmendment: pending });
+    console.error(`❌ Amendment of draft order ${orderExport.draftOrderName} failed:`, reason);
+    return { status: "failed", reason };
+  } finally {
+    await lock.release();
+  }
+}
+
+/**
+ * Queue an amendment check of an order for the worker
+ * @param {string|number} orderId - Shopify order ID, numeric or GID
+ * @returns {Promise<Object>} { job, queued } from enqueueJob()
+ */
+export async function enqueueOrderAmendment(orderId) {
+  const id = String(orderId).startsWith("gid://") ? String(orderId) : `gid://shopify/Order/${orderId}`;
+  return enqueueJob("order-amendment", { orderId: id }, { dedupeKey: `order-amendment:${id}` });
+}
+
+/**
+ * Handler of "order-amendment" jobs. Like exports, failed amendments are retried by the order poll.
+ * @param {Object} payload - { orderId } with the order GID
+ */
+export async function runOrderAmendmentJob({ orderId }) {
+  const shop = process.env.ADVANCED_STORE_DOMAIN;
+  const accessToken = process.env.ADVANCED_STORE_ADMIN_TOKEN;
+
+  if (!shop || !accessToken) {
+    throw new Error("Advanced store configuration missing for order amendments!");
+  }
+
+  const orderExport = await prisma.orderExport.findFirst({ where: { shopifyOrderId: orderId } });
+  if (!orderExport) {
+    console.log(`⏭️ [ORDER-AMENDMENT] Order ${orderId} was not exported to Monitor`);
+    return;
+  }
+
+  const result = await syncOrderAmendments(shop, accessToken, orderExport);
+  if (result.status === "skipped") {
+    console.log(`⏭️ [ORDER-AMENDMENT] ${result.reason}`);
+  } else if (result.status === "refused" || result.status === "failed") {
+    console.log(`⚠️ [ORDER-AMENDMENT] Order ${orderExport.draftOrderName} is listed on the order exports page: ${result.reason}`);
+  }
+}
+
+/**
+ * Exported orders the order poll should check for amendments: orders edited in Shopify in the last
+ * 12 hours (in case their webhook was missed) and amendments that failed
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Admin API token
+ * @returns {Promise<Array>} OrderExport rows
+ */
+export async function getOrdersToAmend(shop, accessToken) {
+  const since = new Date(Date.now() - POLL_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+  const orderIds = [];
+  let cursor = null;
+  let hasNextPage = true;
+  while (hasNextPage) {
+    const data = await shopifyGraphQL(shop, accessToken, `query($cursor: String) {
+      orders(first: 100, after: $cursor, query: "updated_at:>='${since}'") {
+        edges {
+          node {
+            id
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }`, { cursor });
+    const page = data?.orders;
+    orderIds.push(...(page?.edges || []).map(edge => edge.node.id));
+    hasNextPage = page?.pageInfo?.hasNextPage || false;
+    cursor = page?.pageInfo?.endCursor;
+  }
+
+  return prisma.orderExport.findMany({
+    where: {
+      status: "completed",
+      OR: [{ shopifyOrderId: { in: orderIds } }, { amendmentStatus: "failed" }],
+    },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Amendments that need staff, for the order exports page
+ * @returns {Promise<Array>} OrderExport rows with a refused or failed amendment
+ */
+export async function getOpenOrderAmendments() {
+  return prisma.orderExport.findMany({
+    where: { amendmentStatus: { in: ["refused", "failed"] } },
+    orderBy: { updatedAt: "desc" },
+  });
+}
+
+/**
+ * Check an order's amendments again right away, e.g. after staff undid the edit in Shopify
+ * @param {string} draftOrderId - Numeric draft order ID
+ * @returns {Promise<boolean>} False if the order has no refused or failed amendment
+ */
+export async function retryOrderAmendment(draftOrderId) {
+  const ledger = await prisma.orderExport.findUnique({ where: { draftOrderId } });
+  if (!ledger?.shopifyOrderId || !["refused", "failed"].includes(ledger.amendmentStatus)) return false;
+
+  // Without the refused state a refused amendment is evaluated again
+  await recordAmendment(draftOrderId, { pendingAmendment: null });
+  await enqueueOrderAmendment(ledger.shopifyOrderId);
+  return true;
+}
+
+/**
+ * Close an amendment staff made in Monitor by hand. The Shopify order as it was when the amendment was
+ * refused becomes the new snapshot, so later edits are compared against it.
+ * @param {string} draftOrderId - Numeric draft order ID
+ * @returns {Promise<boolean>} False if the order has no refused or failed amendment to close
+ */
+export async function markOrderAmendmentHandled(draftOrderId) {
+  const ledger = await prisma.orderExport.findUnique({ where: { draftOrderId } });
+  if (!ledger?.pendingAmendment || !["refused", "failed"].includes(ledger.amendmentStatus)) return false;
+
+  const pending = JSON.parse(ledger.pendingAmendment);
+  const snapshot = { rows: pending.rows.map(row => ({ monitorRowId: null, ...row })), address: pending.address, cancelled: pending.cancelled };
+  await recordAmendment(draftOrderId, {
+    exportSnapshot: JSON.stringify(snapshot),
+    amendmentStatus: "handled",
+    amendmentError: null,
+    pendingAmendment: null,
+    rowUpdateStartedAt: null,
+    amendedAt: new Date(),
+  });
+  return true;
+}
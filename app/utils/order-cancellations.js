@@ -0,0 +1,248 @@
+// app/utils/order-cancellations.js
+// Cancellations in Shopify sent on to Monitor: an exported order cancelled, or a completed draft order
+// deleted. The Monitor customer order is cancelled, or flagged for staff on /app/order-exports if Monitor
+// has already started picking or delivering it. An export that hasn't reached Monitor yet is stopped.
+// The outcome is recorded on the order's OrderExport row. Triggered by the orders/cancelled and
+// draft_orders/delete webhooks ("order-cancellation" job); the order poll picks up cancelled orders through
+// the amendment check (app/utils/order-amendments.js) and retries failed cancellations.
+
+import prisma from "../db.server.js";
+import { shopifyGraphQL } from "./shopify-admin.js";
+import { acquireJobLock } from "./job-lock.js";
+import { enqueueJob } from "./job-queue.js";
+import { cancelCustomerOrderInMonitor, fetchCustomerOrderStatusFromMonitor, findCustomerOrderInMonitor } from "./monitor.js";
+import { fetchDraftOrder } from "./order-export.js";
+
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Whether Monitor has started picking or delivering an order, after which it is changed by hand
+ * @param {Object} monitorOrder - Customer order with Rows
+ * @returns {boolean}
+ */
+export function isPickedOrDelivered(monitorOrder) {
+  return (monitorOrder.Rows || []).some(row => (row.PickedQuantity ?? 0) > 0 || (row.DeliveredQuantity ?? 0) > 0);
+}
+
+async function recordCancellation(draftOrderId, data) {
+  await prisma.orderExport.update({ where: { draftOrderId }, data });
+}
+
+/**
+ * Cancel the Monitor order of an export. The caller holds the ORDER-EXPORT lock of the draft order.
+ * @param {Object} ledger - Current OrderExport row
+ * @param {string} reason - What happened in Shopify, kept in cancellationReason
+ * @returns {Promise<Object>} { status: "cancelled" | "flagged" | "failed", reason }
+ */
+export async function cancelMonitorOrder(ledger, reason) {
+  const { draftOrderId } = ledger;
+  // An export that hasn't finished is stopped whatever happens to the Monitor order, so it isn't retried
+  const stopExport = ledger.status === "completed" || ledger.status === "handled" ? {} : { status: "cancelled", nextAttemptAt: null };
+  await recordCancellation(draftOrderId, { ...stopExport, cancellationReason: reason });
+
+  try {
+    let { monitorOrderId, monitorOrderNumber } = ledger;
+    if (!monitorOrderId && ledger.createStartedAt && ledger.monitorCustomerId) {
+      // An interrupted export may have created the order without recording it
+      const found = await findCustomerOrderInMonitor(ledger.monitorCustomerId, ledger.draftOrderName);
+      if (found) {
+        monitorOrderId = String(found.orderId);
+        monitorOrderNumber = found.orderNumber ? String(found.orderNumber) : null;
+        await recordCancellation(draftOrderId, { monitorOrderId, monitorOrderNumber, createdInMonitorAt: new Date() });
+      }
+    }
+
+    if (!monitorOrderId) {
+      await recordCancellation(draftOrderId, {
+        cancellationStatus: "cancelled",
+        cancellationError: null,
+        cancelledAt: new Date(),
+      });
+      console.log(`✅ ${reason}: draft order ${ledger.draftOrderName} never reached Monitor, its export is stopped`);
+      return { status: "cancelled", reason };
+    }
+
+    const label = monitorOrderNumber || monitorOrderId;
+    const monitorOrder = await fetchCustomerOrderStatusFromMonitor(monitorOrderId);
+    if (monitorOrder && isPickedOrDelivered(monitorOrder)) {
+      const error = `Monitor order ${label} is already being picked or delivered, cancel it in Monitor by hand`;
+      await recordCancellation(draftOrderId, { cancellationStatus: "flagged", cancellationError: error });
+      console.warn(`⚠️ ${reason}: ${error}`);
+      return { status: "flagged", reason: error };
+    }
+
+    if (monitorOrder) {
+      await cancelCustomerOrderInMonitor(monitorOrderId);
+    } else {
+      console.log(`Monitor order ${label} no longer exists, nothing to cancel`);
+    }
+
+    // The snapshot is marked too, so the amendment check leaves the order alone
+    const snapshot = ledger.exportSnapshot ? JSON.stringify({ ...JSON.parse(ledger.exportSnapshot), cancelled: true }) : null;
+    await recordCancellation(draftOrderId, {
+      exportSnapshot: snapshot,
+      cancellationStatus: "cancelled",
+      cancellationError: null,
+      cancelledAt: new Date(),
+    });
+    console.log(`✅ ${reason}: cancelled Monitor order ${label}`);
+    return { status: "cancelled", reason };
+  } catch (error) {
+    const message = (error.message || String(error)).slice(0, MAX_ERROR_LENGTH);
+    await recordCancellation(draftOrderId, { cancellationStatus: "failed", cancellationError: message });
+    console.error(`❌ ${reason}: cancelling Monitor order of draft order ${ledger.draftOrderName} failed:`, message);
+    return { status: "failed", reason: message };
+  }
+}
+
+/**
+ * Cancel the Monitor order of an exported draft order. Only one process works on a draft order's
+ * export, amendments or cancellation at a time.
+ * @param {string} draftOrderId - Numeric draft order ID
+ * @param {string} reason - What happened in Shopify, e.g. "Order #1001 cancelled in Shopify (customer)"
+ * @returns {Promise<Object>} { status: "cancelled" | "flagged" | "failed" | "skipped", reason }
+ */
+export async function cancelExportedOrder(draftOrderId, reason) {
+  const lock = await acquireJobLock(`ORDER-EXPORT:${draftOrderId}`);
+  if (!lock.acquired) {
+    return { status: "skipped", reason: `Draft order ${draftOrderId} is being exported or amended by ${lock.owner}` };
+  }
+
+  try {
+    const ledger = await prisma.orderExport.findUnique({ where: { draftOrderId } });
+    if (!ledger) {
+      return { status: "skipped", reason: `Draft order ${draftOrderId} was never exported to Monitor` };
+    }
+    if (ledger.cancellationStatus === "cancelled" || ledger.cancellationStatus === "handled") {
+      return { status: "skipped", reason: `Draft order ${ledger.draftOrderName} has already been cancelled in Monitor` };
+    }
+    if (ledger.status === "handled" && !ledger.monitorOrderId) {
+      return { status: "skipped", reason: `Draft order ${ledger.draftOrderName} was handled manually, cancel it in Monitor by hand` };
+    }
+    return await cancelMonitorOrder(ledger, reason);
+  } finally {
+    await lock.release();
+  }
+}
+
+/**
+ * Queue the cancellation of an order, or of a deleted draft order, for the worker
+ * @param {Object} target - { orderId } (numeric or GID) or { draftOrderId } (numeric)
+ * @returns {Promise<Object>} { job, queued } from enqueueJob()
+ */
+export async function enqueueOrderCancellation({ orderId, draftOrderId }) {
+  if (draftOrderId) {
+    return enqueueJob("order-cancellation", { draftOrderId: String(draftOrderId) }, { dedupeKey: `order-cancellation:draft:${draftOrderId}` });
+  }
+  const id = String(orderId).startsWith("gid://") ? String(orderId) : `gid://shopify/Order/${orderId}`;
+  return enqueueJob("order-cancellation", { orderId: id }, { dedupeKey: `order-cancellation:${id}` });
+}
+
+// What Shopify says happened to the order, or null if it wasn't cancelled or deleted after all
+async function describeCancellation(shop, accessToken, ledger, { orderId, draftOrderId }) {
+  if (draftOrderId) {
+    const draftOrder = await fetchDraftOrder(shop, accessToken, draftOrderId);
+    return draftOrder ? null : `Draft order ${ledger.draftOrderName} deleted in Shopify`;
+  }
+
+  const data = await shopifyGraphQL(shop, accessToken, `query($id: ID!) {
+    order(id: $id) {
+      name
+      cancelledAt
+      cancelReason
+    }
+  }`, { id: orderId });
+  const order = data?.order;
+  if (!order) {
+    return `Order ${orderId} deleted in Shopify`;
+  }
+  if (!order.cancelledAt) return null;
+  return `Order ${order.name} cancelled in Shopify${order.cancelReason ? ` (${order.cancelReason.toLowerCase()})` : ""}`;
+}
+
+/**
+ * Handler of "order-cancellation" jobs. The order is read from Shopify again, so a webhook can't cancel
+ * an order that isn't cancelled. Like exports, failed cancellations are retried by the order poll.
+ * @param {Object} payload - { orderId } with the order GID, or { draftOrderId }
+ */
+export async function runOrderCancellationJob({ orderId, draftOrderId }) {
+  const shop = process.env.ADVANCED_STORE_DOMAIN;
+  const accessToken = process.env.ADVANCED_STORE_ADMIN_TOKEN;
+
+  if (!shop || !accessToken) {
+    throw new Error("Advanced store configuration missing for order cancellations!");
+  }
+
+  const ledger = draftOrderId
+    ? await prisma.orderExport.findUnique({ where: { draftOrderId } })
+    : await prisma.orderExport.findFirst({ where: { shopifyOrderId: orderId } });
+  if (!ledger) {
+    console.log(`⏭️ [ORDER-CANCELLATION] ${draftOrderId ? `Draft order ${draftOrderId}` : `Order ${orderId}`} was not exported to Monitor`);
+    return;
+  }
+
+  const reason = await describeCancellation(shop, accessToken, ledger, { orderId, draftOrderId });
+  if (!reason) {
+    console.log(`⏭️ [ORDER-CANCELLATION] ${ledger.draftOrderName} is not cancelled in Shopify`);
+    return;
+  }
+
+  const result = await cancelExportedOrder(ledger.draftOrderId, reason);
+  if (result.status === "skipped") {
+    console.log(`⏭️ [ORDER-CANCELLATION] ${result.reason}`);
+  } else if (result.status === "flagged" || result.status === "failed") {
+    console.log(`⚠️ [ORDER-CANCELLATION] ${ledger.draftOrderName} is listed on the order exports page: ${result.reason}`);
+  }
+}
+
+/**
+ * Cancellations the order poll should retry
+ * @returns {Promise<Array>} OrderExport rows with a failed cancellation
+ */
+export async function getFailedOrderCancellations() {
+  return prisma.orderExport.findMany({
+    where: { cancellationStatus: "failed" },
+    orderBy: { updatedAt: "asc" },
+  });
+}
+
+/**
+ * Cancellations for the order exports page: the ones that need staff and those of the last week
+ * @returns {Promise<Array>} OrderExport rows, most recently updated first
+ */
+export async function getRecentOrderCancellations() {
+  return prisma.orderExport.findMany({
+    where: {
+      OR: [
+        { cancellationStatus: { in: ["flagged", "failed"] } },
+        { cancelledAt: { gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } },
+      ],
+    },
+    orderBy: { updatedAt: "desc" },
+  });
+}
+
+/**
+ * Try a flagged or failed cancellation again right away, e.g. after staff undid the picking in Monitor
+ * @param {string} draftOrderId - Numeric draft order ID
+ * @returns {Promise<Object|null>} Result of cancelExportedOrder(), or null if the order has no flagged or failed cancellation
+ */
+export async function retryOrderCancellation(draftOrderId) {
+  const ledger = await prisma.orderExport.findUnique({ where: { draftOrderId } });
+  if (!["flagged", "failed"].includes(ledger?.cancellationStatus)) return null;
+
+  return cancelExportedOrder(draftOrderId, ledger.cancellationReason);
+}
+
+/**
+ * Close a cancellation staff made in Monitor by hand
+ * @param {string} draftOrderId - Numeric draft order ID
+ * @returns {Promise<boolean>} False if the order has no flagged or failed cancellation
+ */
+export async function markOrderCancellationHandled(draftOrderId) {
+  const { count } = await prisma.orderExport.updateMany({
+    where: { draftOrderId, cancellationStatus: { in: ["flagged", "failed"] } },
+    data: { cancellationStatus: "handled", cancellationError: null, cancelledAt: new Date() },
+  });
+  return count === 1;
+}
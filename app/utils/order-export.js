@@ -0,0 +1,970 @@
+// app/utils/order-export.js
+// Export of completed Shopify draft orders to Monitor. Shared by the order poller (app/orderPollJob.js)
+// and the draft_orders/update webhook, which queues an "order-export" job, so both create identical orders.
+// Progress is kept in the OrderExport table so a failed export resumes instead of creating a second order.
+// Failed exports are retried by the order poll on a backoff schedule and listed on /app/order-exports.
+
+import prisma from "../db.server.js";
+import { createOrderInMonitor, findCustomerOrderInMonitor, setOrderPropertiesInMonitor, updateDeliveryAddressInMonitor } from "./monitor.js";
+import { shopifyGraphQL, shopifyGraphQLUrl } from "./shopify-admin.js";
+import { acquireJobLock } from "./job-lock.js";
+import { enqueueJob } from "./job-queue.js";
+import { getOrderMappingRules, resolveOrderMapping, splitOrderMapping } from "./order-mapping.js";
+
+// Delay before each retry of a failed export. After the last one the export waits for staff.
+const RETRY_DELAYS_MINUTES = [5, 15, 60, 3 * 60, 12 * 60, 24 * 60];
+const MAX_ERROR_LENGTH = 2000;
+
+const LINE_ITEMS_PAGE_SIZE = 50;
+
+const LINE_ITEM_CONNECTION_FIELDS = `
+      edges {
+        node {
+          id
+          title
+          quantity
+          originalUnitPrice
+          discountedUnitPrice
+          variant {
+            id
+            sku
+            price
+            product {
+              id
+              title
+            }
+          }
+          customAttributes {
+            key
+            value
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+`;
+
+const DRAFT_ORDER_FIELDS = `
+    id
+    name
+    email
+    createdAt
+    totalPrice
+    status
+    shippingAddress {
+      firstName
+      lastName
+      company
+      address1
+      address2
+      city
+      province
+      country
+      zip
+      phone
+    }
+    billingAddress {
+      firstName
+      lastName
+      company
+      address1
+      address2
+      city
+      province
+      country
+      zip
+      phone
+    }
+    shippingLine {
+      title
+    }
+    metafields(first: 10, namespace: "custom") {
+      edges {
+        node {
+          key
+          value
+        }
+      }
+    }
+    customer {
+      id
+      firstName
+      lastName
+      email
+      tags
+    }
+    order {
+      id
+      cancelledAt
+      shippingAddress {
+        firstName
+        lastName
+        company
+        address1
+        address2
+        city
+        province
+        country
+        zip
+        phone
+      }
+      billingAddress {
+        firstName
+        lastName
+        company
+        address1
+        address2
+        city
+        province
+        country
+        zip
+        phone
+      }
+      shippingLine {
+        title
+      }
+    }
+    lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) {${LINE_ITEM_CONNECTION_FIELDS}    }
+`;
+
+/**
+ * Fetch a draft order with everything the export needs, including all of its line items
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Admin API token
+ * @param {string} draftOrderId - Numeric draft order ID
+ * @returns {Promise<Object|null>} The draft order, or null if it doesn't exist; throws if any page can't be read
+ */
+export async function fetchDraftOrder(shop, accessToken, draftOrderId) {
+  const id = `gid://shopify/DraftOrder/${draftOrderId}`;
+  const query = `query($id: ID!) {
+    draftOrder(id: $id) {${DRAFT_ORDER_FIELDS}    }
+  }`;
+
+  let data;
+  try {
+    data = await shopifyGraphQL(shop, accessToken, query, { id });
+  } catch (error) {
+    throw new Error(`Could not fetch draft order ${draftOrderId}: ${error.message}`);
+  }
+
+  const draftOrder = data?.draftOrder || null;
+  if (!draftOrder) return null;
+
+  // Large orders have more line items than fit in one page. Exporting only some of them would
+  // create an incomplete order in Monitor, so a failed page fails the whole fetch.
+  const lineItemsQuery = `query($id: ID!, $cursor: String) {
+    draftOrder(id: $id) {
+      lineItems(first: ${LINE_ITEMS_PAGE_SIZE}, after: $cursor) {${LINE_ITEM_CONNECTION_FIELDS}      }
+    }
+  }`;
+
+  let pageInfo = draftOrder.lineItems.pageInfo;
+  while (pageInfo.hasNextPage) {
+    let page;
+    try {
+      page = (await shopifyGraphQL(shop, accessToken, lineItemsQuery, { id, cursor: pageInfo.endCursor }))?.draftOrder?.lineItems;
+    } catch (error) {
+      throw new Error(`Could not read all line items of draft order ${draftOrder.name}: ${error.message}`);
+    }
+    if (!page) {
+      throw new Error(`Could not read all line items of draft order ${draftOrder.name}: draft order disappeared`);
+    }
+    draftOrder.lineItems.edges.push(...page.edges);
+    pageInfo = page.pageInfo;
+  }
+
+  if (draftOrder.lineItems.edges.length > LINE_ITEMS_PAGE_SIZE) {
+    console.log(`Read ${draftOrder.lineItems.edges.length} line items of draft order ${draftOrder.name}`);
+  }
+  return draftOrder;
+}
+
+/**
+ * Whether the sent_to_monitor metafield of a draft order is set
+ * @param {Object} draftOrder - Draft order with its custom metafields
+ * @returns {boolean}
+ */
+export function isSentToMonitor(draftOrder) {
+  const metafields = draftOrder.metafields?.edges || [];
+  const sentToMonitorMetafield = metafields.find(mf => mf.node.key === "sent_to_monitor");
+  return Boolean(sentToMonitorMetafield) && sentToMonitorMetafield.node.value !== "false";
+}
+
+/**
+ * Export a completed draft order to Monitor: create the order, rename the draft order to the
+ * Monitor order number, set the order properties and delivery address, and mark the draft order as sent.
+ * Each step is recorded in the OrderExport table, so an export that failed halfway resumes at the
+ * failed step. A failed export is retried once its nextAttemptAt is due. Only one process exports
+ * a given draft order at a time.
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Admin API token
+ * @param {string} draftOrderId - Numeric draft order ID
+ * @returns {Promise<Object>} { status: "created" | "resumed", monitorOrderId }, { status: "failed", reason, nextAttemptAt }
+ * or { status: "skipped", reason }; throws if the draft order can't be fetched or the result can't be recorded
+ */
+export async function exportDraftOrder(shop, accessToken, draftOrderId) {
+  const lock = await acquireJobLock(`ORDER-EXPORT:${draftOrderId}`);
+  if (!lock.acquired) {
+    return { status: "skipped", reason: `Draft order ${draftOrderId} is already being exported by ${lock.owner}` };
+  }
+
+  try {
+    const existing = await prisma.orderExport.findUnique({ where: { draftOrderId } });
+    if (existing?.status === "completed") {
+      return { status: "skipped", reason: `Draft order ${existing.draftOrderName} was already exported as Monitor order ${existing.monitorOrderNumber || existing.monitorOrderId}` };
+    }
+    if (existing?.status === "handled") {
+      return { status: "skipped", reason: `Draft order ${existing.draftOrderName} was handled manually` };
+    }
+    // Cancelled in Shopify: an export that hasn't finished is stopped, whether or not the Monitor order exists
+    if (existing?.status === "cancelled" || existing?.cancellationStatus) {
+      const where = existing.monitorOrderId ? `after it reached Monitor (cancellation ${existing.cancellationStatus})` : "before it reached Monitor";
+      return { status: "skipped", reason: `Draft order ${existing.draftOrderName} was cancelled in Shopify ${where}` };
+    }
+    if (existing && !isExportDue(existing)) {
+      const state = existing.status === "failed" ? `failed (${existing.lastError})` : "was interrupted";
+      const retry = existing.nextAttemptAt ? `retry at ${existing.nextAttemptAt.toISOString()}` : "waiting for staff";
+      return { status: "skipped", reason: `Export of draft order ${existing.draftOrderName} ${state}, ${retry}` };
+    }
+
+    const order = await fetchDraftOrder(shop, accessToken, draftOrderId);
+    if (!order) {
+      if (existing) {
+        // Deleted in Shopify, retrying won't help
+        await prisma.orderExport.update({
+          where: { draftOrderId },
+          data: { status: "failed", lastError: "Draft order not found in Shopify", nextAttemptAt: null },
+        });
+      }
+      return { status: "skipped", reason: `Draft order ${draftOrderId} not found` };
+    }
+    if (!existing) {
+      if (order.status !== "COMPLETED") {
+        return { status: "skipped", reason: `Draft order ${order.name} is not completed (${order.status})` };
+      }
+      if (isSentToMonitor(order)) {
+        // Exported before the OrderExport table existed
+        return { status: "skipped", reason: `Draft order ${order.name} has already been sent to Monitor` };
+      }
+      if (order.order?.cancelledAt) {
+        return { status: "skipped", reason: `The order of draft order ${order.name} has been cancelled` };
+      }
+    }
+
+    return await runExportSteps(shop, accessToken, order, existing);
+  } finally {
+    await lock.release();
+  }
+}
+
+function isExportDue(ledger, now = new Date()) {
+  return ledger.nextAttemptAt !== null && ledger.nextAttemptAt <= now;
+}
+
+/**
+ * When to retry an export if the given attempt fails
+ * @param {number} attempts - Attempts made so far, including the current one
+ * @returns {Date|null} Time of the next attempt, or null once the retry schedule is used up
+ */
+export function nextExportAttemptAt(attempts) {
+  const delayMinutes = RETRY_DELAYS_MINUTES[attempts - 1];
+  return delayMinutes ? new Date(Date.now() + delayMinutes * 60 * 1000) : null;
+}
+
+async function recordExportStep(draftOrderId, data) {
+  await prisma.orderExport.update({ where: { draftOrderId }, data });
+}
+
+async function runExportSteps(shop, accessToken, order, existing) {
+  const draftOrderId = order.id.split('/').pop();
+  console.log(`${existing ? "Resuming export of" : "Processing"} completed draft order: ${order.name} (${order.totalPrice}) - Status: ${order.status}`);
+  console.log(`Draft order line items count: ${order.lineItems?.edges?.length || 0}`);
+
+  // The retry time is set before the attempt so an export interrupted by a crash is retried too
+  const attempts = (existing?.attempts || 0) + 1;
+  let ledger = await prisma.orderExport.upsert({
+    where: { draftOrderId },
+    create: { draftOrderId, draftOrderName: order.name, shopifyOrderId: order.order?.id || null, attempts, nextAttemptAt: nextExportAttemptAt(attempts) },
+    update: { status: "pending", shopifyOrderId: order.order?.id || null, attempts, nextAttemptAt: nextExportAttemptAt(attempts) },
+  });
+
+  try {
+    // Check if customer exists and has monitor_id
+    const customer = order.customer;
+    if (!customer) {
+      throw new Error(`Draft order ${order.name} has no customer`);
+    }
+
+    // Get customer monitor_id metafield and reference ID from note
+    const customerData = await getCustomerMonitorId(shop, accessToken, customer.id.split('/').pop());
+
+    if (!customerData || !customerData.monitorId) {
+      throw new Error(`Customer ${customer.id} (${customer.email || "no email"}) has no monitor_id metafield`);
+    }
+
+    const monitorCustomerId = customerData.monitorId;
+    const referenceId = customerData.referenceId;
+
+    console.log(`Found monitor customer ID: ${monitorCustomerId} for Shopify customer ${customer.id}`);
+    if (referenceId) {
+      console.log(`Found reference ID: ${referenceId} from customer note`);
+    }
+
+    // Order type, delivery method etc. from the rules on /app/order-mapping
+    const mapping = splitOrderMapping(resolveOrderMapping(order, await getOrderMappingRules()));
+
+    let createdNow = false;
+    if (!ledger.monitorOrderId) {
+      const created = await createOrStartMonitorOrder(shop, accessToken, order, ledger, monitorCustomerId, mapping.createFields);
+      ledger = created.ledger;
+      createdNow = created.createdNow;
+    } else {
+      console.log(`Draft order ${order.name} already exists in Monitor as order ${ledger.monitorOrderNumber} (${ledger.monitorOrderId})`);
+    }
+
+    const monitorOrderId = ledger.monitorOrderId;
+
+    // Update Shopify draft order name to the Monitor OrderNumber
+    if (!ledger.draftRenamedAt) {
+      if (ledger.monitorOrderNumber) {
+        console.log(`Updating draft order name to Monitor order number: ${ledger.monitorOrderNumber}`);
+        if (!await updateDraftOrderName(shop, accessToken, draftOrderId, ledger.monitorOrderNumber)) {
+          throw new Error(`Failed to rename draft order to Monitor order number ${ledger.monitorOrderNumber}`);
+        }
+      }
+      await recordExportStep(draftOrderId, { draftRenamedAt: new Date() });
+    }
+
+    if (!ledger.propertiesSetAt) {
+      await setMonitorOrderProperties(order, monitorOrderId, referenceId, mapping.orderProperties);
+      await recordExportStep(draftOrderId, { propertiesSetAt: new Date() });
+    }
+
+    if (!ledger.addressSetAt) {
+      const address = await setMonitorDeliveryAddress(order, monitorOrderId);
+      await recordExportStep(draftOrderId, { addressSetAt: new Date(), exportSnapshot: snapshotWithAddress(ledger.exportSnapshot, address) });
+    }
+
+    // Mark draft order as sent to Monitor
+    if (!await markDraftOrderAsSentToMonitor(shop, accessToken, draftOrderId)) {
+      throw new Error("Failed to set the sent_to_monitor metafield");
+    }
+    await recordExportStep(draftOrderId, { markedSentAt: new Date(), status: "completed", lastError: null, nextAttemptAt: null });
+
+    return { status: createdNow ? "created" : "resumed", monitorOrderId };
+  } catch (error) {
+    const reason = (error.message || String(error)).slice(0, MAX_ERROR_LENGTH);
+    await recordExportStep(draftOrderId, { status: "failed", lastError: reason });
+    const retry = ledger.nextAttemptAt ? `retrying at ${ledger.nextAttemptAt.toISOString()}` : "no retries left";
+    console.error(`❌ Export of draft order ${order.name} failed (attempt ${attempts}, ${retry}):`, reason);
+    return { status: "failed", reason, nextAttemptAt: ledger.nextAttemptAt };
+  }
+}
+
+// First step: create the order in Monitor, or find the one an interrupted attempt created
+async function createOrStartMonitorOrder(shop, accessToken, order, ledger, monitorCustomerId, createFields) {
+  const draftOrderId = order.id.split('/').pop();
+
+  if (!createFields.OrderTypeId) {
+    throw new Error(`No order mapping rule gives draft order ${order.name} an OrderTypeId`);
+  }
+
+  // Build Monitor order rows from line items
+  const lineItems = order.lineItems?.edges?.map(edge => edge.node) || [];
+  console.log(`Processing ${lineItems.length} line items for draft order ${order.name}`);
+  
+  // Debug: Log first line item structure
+  if (lineItems.length > 0) {
+    console.log(`First draft order line item structure:`, JSON.stringify(lineItems[0], null, 2));
+  }
+
+  // Note: Beam data is now stored as line item properties, not as a draft order metafield
+  const orderRows = await buildMonitorOrderRows(shop, accessToken, lineItems);
+  
+  if (orderRows.length === 0) {
+    throw new Error(`Draft order ${order.name} has no valid line items for Monitor`);
+  }
+
+  if (ledger.createStartedAt) {
+    // A previous attempt sent the create command but never recorded the result
+    const found = await findCustomerOrderInMonitor(ledger.monitorCustomerId || monitorCustomerId, ledger.draftOrderName);
+    if (found) {
+      console.log(`Found Monitor order ${found.orderNumber} (${found.orderId}) created by an earlier attempt for draft order ${ledger.draftOrderName}`);
+      const updated = await prisma.orderExport.update({
+        where: { draftOrderId },
+        data: {
+          monitorOrderId: String(found.orderId),
+          monitorOrderNumber: found.orderNumber ? String(found.orderNumber) : null,
+          createdInMonitorAt: new Date(),
+          exportSnapshot: initialExportSnapshot(orderRows),
+        },
+      });
+      return { ledger: updated, createdNow: false };
+    }
+  }
+
+  await recordExportStep(draftOrderId, { monitorCustomerId, createStartedAt: new Date() });
+
+  // Create order in Monitor system (without Preliminary and GoodsLabel)
+  const monitorOrderData = {
+    CustomerId: monitorCustomerId,
+    // OrderNumber: order.name,
+    BusinessContactOrderNumber: ledger.draftOrderName,
+    ...createFields, // OrderTypeId and WarehouseId
+    Rows: orderRows,
+    IsStockOrder: false
+  };
+
+  const monitorOrderResult = await createOrderInMonitor(monitorOrderData);
+  
+  if (!monitorOrderResult) {
+    throw new Error("Failed to create order in Monitor");
+  }
+
+  const { orderId: monitorOrderId, response: monitorResponse } = monitorOrderResult;
+  console.log(`✅ Successfully created order in Monitor with ID: ${monitorOrderId} for Shopify draft order ${order.name}`);
+
+  const updated = await prisma.orderExport.update({
+    where: { draftOrderId },
+    data: {
+      monitorOrderId: String(monitorOrderId),
+      monitorOrderNumber: monitorResponse.OrderNumber ? String(monitorResponse.OrderNumber) : null,
+      createdInMonitorAt: new Date(),
+      exportSnapshot: initialExportSnapshot(orderRows),
+    },
+  });
+  return { ledger: updated, createdNow: true };
+}
+
+// What was sent to Monitor, for detecting later edits of the Shopify order (app/utils/order-amendments.js).
+// Monitor's row IDs are looked up when the first amendment is sent.
+function initialExportSnapshot(orderRows) {
+  return JSON.stringify({ rows: orderRows.map(row => ({ monitorRowId: null, ...row })), address: null, cancelled: false });
+}
+
+function snapshotWithAddress(exportSnapshot, address) {
+  // Exports from before snapshots were kept don't get one halfway through
+  return exportSnapshot ? JSON.stringify({ ...JSON.parse(exportSnapshot), address }) : null;
+}
+
+async function setMonitorOrderProperties(order, monitorOrderId, referenceId, mappedProperties) {
+  // Extract goods label and order mark from draft order metafields
+  const metafields = order.metafields?.edges || [];
+  const goodsLabelMetafield = metafields.find(mf => mf.node.key === "goods_label");
+  const goodsLabel = goodsLabelMetafield ? goodsLabelMetafield.node.value : '';
+  const orderMarkMetafield = metafields.find(mf => mf.node.key === "order_mark");
+  const orderMark = orderMarkMetafield ? orderMarkMetafield.node.value : '';
+
+  // Extract shipping method - check completed order first, then draft order
+  const shippingMethod = order.order?.shippingLine?.title || order.shippingLine?.title || '';
+  const mappedNames = Object.keys(mappedProperties);
+  console.log(`Shipping method: ${shippingMethod || 'not set'}${mappedNames.length > 0 ? ` (mapped: ${mappedNames.join(', ')})` : ''}`);
+
+  // Set order properties (Preliminary, GoodsLabel1, BusinessContactOrderNumber, and BusinessContactReferenceId) in a second request
+  const orderProperties = {
+    Preliminary: { Value: true }, // NotNullBooleanInput
+    GoodsLabel1: { Value: goodsLabel.substring(0, 80) }, // Limit to 80 characters
+    BusinessContactOrderNumber: { Value: orderMark.substring(0, 30) } // Limit to 30 characters
+  };
+
+  // Add BusinessContactReferenceId if we have a reference ID from the customer note
+  if (referenceId) {
+    orderProperties.BusinessContactReferenceId = { Value: referenceId };
+  }
+
+  // OurReferenceName, DeliveryMethodId and DeliveryTermsId from the order mapping rules
+  Object.assign(orderProperties, mappedProperties);
+
+  const propertiesSet = await setOrderPropertiesInMonitor(monitorOrderId, orderProperties);
+  if (!propertiesSet) {
+    throw new Error(`Failed to set order properties for Monitor order ${monitorOrderId}`);
+  }
+  console.log(`✅ Successfully set order properties for Monitor order ${monitorOrderId}`);
+}
+
+/**
+ * Monitor delivery address of a draft order or order
+ * @param {Object} order - Draft order (its order's shipping address wins) or order
+ * @returns {Object|null} { Addressee, Field1, Field2, Locality, Region, PostalCode }, or null without a shipping address
+ */
+export function monitorDeliveryAddress(order) {
+  // Get address from the order created from this draft order, fallback to draft order addresses
+  const addressToUse = order.order?.shippingAddress || order.shippingAddress;
+  if (!addressToUse) {
+    return null;
+  }
+
+  return {
+    Addressee: `${addressToUse.firstName || ''} ${addressToUse.lastName || ''}`.trim() || addressToUse.company || '',
+    Field1: addressToUse.address1 || '',
+    Field2: addressToUse.address2 || '',
+    Locality: addressToUse.city || '',
+    Region: addressToUse.province || '',
+    PostalCode: addressToUse.zip || '',
+  };
+}
+
+/**
+ * Set the delivery address of a Monitor order
+ * @param {Object} order - Draft order or order, see monitorDeliveryAddress()
+ * @param {string} monitorOrderId - Monitor customer order ID
+ * @returns {Promise<Object|null>} The address that was set, or null if the order has none
+ */
+export async function setMonitorDeliveryAddress(order, monitorOrderId) {
+  const address = monitorDeliveryAddress(order);
+  if (!address) {
+    console.log(`⚠️ No address found for draft order ${order.name}!`);
+    return null;
+  }
+
+  const addressSource = order.order?.shippingAddress ? 'order_shipping' : 'draft_shipping';
+  console.log(`Using ${addressSource} address for delivery address`);
+
+  // Monitor commands wrap each field in { Value: ... }
+  const deliveryAddressData = Object.fromEntries(Object.entries(address).map(([field, value]) => [field, { Value: value }]));
+
+  const addressUpdated = await updateDeliveryAddressInMonitor(monitorOrderId, deliveryAddressData);
+  if (!addressUpdated) {
+    throw new Error(`Failed to update delivery address for Monitor order ${monitorOrderId}`);
+  }
+  console.log(`✅ Successfully updated delivery address for Monitor order ${monitorOrderId}`);
+  return address;
+}
+
+/**
+ * Queue the export of a draft order for the worker
+ * @param {string|number} draftOrderId - Numeric draft order ID
+ * @returns {Promise<Object>} { job, queued } from enqueueJob()
+ */
+export async function enqueueDraftOrderExport(draftOrderId) {
+  return enqueueJob("order-export", { draftOrderId: String(draftOrderId) }, { dedupeKey: `order-export:${draftOrderId}` });
+}
+
+/**
+ * Handler of "order-export" jobs. A failed export is retried by the order poll, not by the queue;
+ * the handler only throws when the export couldn't run or be recorded at all.
+ * @param {Object} payload - { draftOrderId }
+ */
+export async function runDraftOrderExportJob({ draftOrderId }) {
+  const shop = process.env.ADVANCED_STORE_DOMAIN;
+  const accessToken = process.env.ADVANCED_STORE_ADMIN_TOKEN;
+
+  if (!shop || !accessToken) {
+    throw new Error("Advanced store configuration missing for order export!");
+  }
+
+  const result = await exportDraftOrder(shop, accessToken, draftOrderId);
+  if (result.status === "skipped") {
+    console.log(`⏭️ [ORDER-EXPORT] ${result.reason}`);
+  } else if (result.status === "failed") {
+    console.log(`⚠️ [ORDER-EXPORT] Draft order ${draftOrderId} failed and is listed on the order exports page: ${result.reason}`);
+  }
+}
+
+/**
+ * Exports the order poll should retry now
+ * @returns {Promise<Array>} OrderExport rows that are pending or failed with a due nextAttemptAt
+ */
+export async function getDueOrderExports() {
+  return prisma.orderExport.findMany({
+    where: { status: { in: ["pending", "failed"] }, nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: "asc" },
+  });
+}
+
+/**
+ * Exports that haven't been completed or handled, for the order exports page
+ * @returns {Promise<Array>} OrderExport rows, most recently updated first
+ */
+export async function getOpenOrderExports() {
+  return prisma.orderExport.findMany({
+    where: { status: { in: ["pending", "failed"] } },
+    orderBy: { updatedAt: "desc" },
+  });
+}
+
+/**
+ * Retry an export right away, e.g. after staff set the customer's monitor_id
+ * @param {string} draftOrderId - Numeric draft order ID
+ * @returns {Promise<boolean>} False if there is no open export for the draft order
+ */
+export async function retryOrderExport(draftOrderId) {
+  const { count } = await prisma.orderExport.updateMany({
+    where: { draftOrderId, status: { in: ["pending", "failed"] } },
+    data: { nextAttemptAt: new Date() },
+  });
+  if (count === 0) return false;
+
+  await enqueueDraftOrderExport(draftOrderId);
+  return true;
+}
+
+/**
+ * Close an export staff took care of by hand (e.g. entered the order in Monitor). It isn't retried again.
+ * @param {string} draftOrderId - Numeric draft order ID
+ * @returns {Promise<boolean>} False if there is no open export for the draft order
+ */
+export async function markOrderExportHandled(draftOrderId) {
+  const { count } = await prisma.orderExport.updateMany({
+    where: { draftOrderId, status: { in: ["pending", "failed"] } },
+    data: { status: "handled", handledAt: new Date(), nextAttemptAt: null },
+  });
+  return count === 1;
+}
+
+/**
+ * Get customer's monitor_id metafield and note field from Shopify
+ * Returns an object with monitorId and referenceId (parsed from note)
+ */
+async function getCustomerMonitorId(shop, accessToken, customerId) {
+  const fetch = (await import('node-fetch')).default;
+
+  const query = `query {
+    customer(id: "gid://shopify/Customer/${customerId}") {
+      note
+      metafields(first: 10, namespace: "custom") {
+        edges {
+          node {
+            key
+            value
+          }
+        }
+      }
+    }
+  }`;
+
+  try {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': accessToken,
+      },
+      body: JSON.stringify({ query }),
+    });
+
+    const result = await response.json();
+
+    if (result.errors) {
+      console.error("GraphQL errors getting customer metafields:", JSON.stringify(result.errors, null, 2));
+      return null;
+    }
+
+    const customer = result.data?.customer;
+    const metafields = customer?.metafields?.edges || [];
+    const monitorIdMetafield = metafields.find(mf => mf.node.key === "monitor_id");
+
+    if (!monitorIdMetafield) {
+      return null;
+    }
+
+    // Parse Reference ID from note field
+    // Note format: "Monitor Customer ID: <id>, Reference ID: <id>"
+    let referenceId = null;
+    const note = customer?.note || '';
+    const referenceIdMatch = note.match(/Reference ID:\s*(\d+)/);
+    if (referenceIdMatch) {
+      referenceId = referenceIdMatch[1];
+    }
+
+    return {
+      monitorId: monitorIdMetafield.node.value,
+      referenceId: referenceId
+    };
+  } catch (error) {
+    console.error("Error fetching customer metafields:", error);
+    return null;
+  }
+}
+
+/**
+ * Build Monitor order rows from Shopify line items. Line items of draft orders and orders both work;
+ * the variant comes from the _variant_id attribute for custom line items.
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Admin API token
+ * @param {Array} lineItems - Line items with quantity, prices, variant and customAttributes
+ * @returns {Promise<Array>} Rows for Sales/CustomerOrders/Create; throws if a variant can't be read
+ */
+export async function buildMonitorOrderRows(shop, accessToken, lineItems) {
+  const rows = [];
+
+  for (const lineItem of lineItems) {
+    try {
+      // Get variant metafields to find monitor_id
+      // In draft orders, variant is null but variant ID is stored in customAttributes
+      let variantId = null;
+      
+      if (lineItem.variant?.id) {
+        variantId = lineItem.variant.id.split('/').pop();
+      } else {
+        // For draft orders, look for _variant_id in customAttributes
+        const variantIdAttribute = lineItem.customAttributes?.find(attr => attr.key === '_variant_id');
+        if (variantIdAttribute) {
+          variantId = variantIdAttribute.value;
+        }
+      }
+      
+      if (!variantId) {
+        console.warn(`Draft order line item ${lineItem.id} has no variant ID in variant field or customAttributes, skipping. LineItem data:`, JSON.stringify(lineItem, null, 2));
+        continue;
+      }
+      
+      console.log(`Processing draft order line item ${lineItem.id} with variant ID: ${variantId}`);
+
+      const query = `query {
+        productVariant(id: "gid://shopify/ProductVariant/${variantId}") {
+          metafields(first: 10, namespace: "custom") {
+            edges {
+              node {
+                key
+                value
+              }
+            }
+          }
+        }
+      }`;
+
+      // Throws on errors, which fails the export instead of leaving the row out of the Monitor order
+      const data = await shopifyGraphQL(shop, accessToken, query);
+
+      const metafields = data?.productVariant?.metafields?.edges || [];
+      const monitorIdMetafield = metafields.find(mf => mf.node.key === "monitor_id");
+      
+      if (!monitorIdMetafield) {
+        console.warn(`Variant ${variantId} for line item ${lineItem.id} has no monitor_id metafield, skipping`);
+        continue;
+      }
+
+      const monitorPartId = monitorIdMetafield.node.value; // Keep as string to avoid precision loss
+      
+      // Create order row - get price from draft order line item
+      // In draft orders, use discountedUnitPrice first (includes custom pricing), then originalUnitPrice
+      let unitPrice = 0;
+      
+      if (lineItem.discountedUnitPrice) {
+        // Use discounted price which includes custom pricing
+        unitPrice = parseFloat(lineItem.discountedUnitPrice);
+      } else if (lineItem.originalUnitPrice) {
+        // Fallback to original price
+        unitPrice = parseFloat(lineItem.originalUnitPrice);
+      } else if (lineItem.variant?.price) {
+        // Final fallback to variant price
+        unitPrice = parseFloat(lineItem.variant.price);
+      } else {
+        console.warn(`No price found for draft order line item ${lineItem.id}, using 0`);
+      }
+      
+      // For decimal products, check if there's a decimal quantity in customAttributes
+      let orderedQuantity = lineItem.quantity; // Default to the line item quantity
+      
+      // Look for decimal quantity in the "Enhet" (Unit) custom attribute
+      // Format is like "0,5 m" or "2,5 kg" with Swedish decimal separator
+      const unitAttribute = lineItem.customAttributes?.find(attr => attr.key === 'Enhet');
+      
+      if (unitAttribute && unitAttribute.value) {
+        // Extract decimal quantity from format "0,5 m" -> 0.5
+        const unitValue = unitAttribute.value.trim();
+        const quantityMatch = unitValue.match(/^([0-9]+[,.]?[0-9]*)/);
+        
+        if (quantityMatch) {
+          // Convert Swedish decimal separator to English
+          const decimalQuantityStr = quantityMatch[1].replace(',', '.');
+          const decimalQuantity = parseFloat(decimalQuantityStr);
+          
+          if (!isNaN(decimalQuantity) && decimalQuantity > 0) {
+            orderedQuantity = decimalQuantity;
+            console.log(`Using decimal quantity ${decimalQuantity} from "Enhet" attribute "${unitValue}" for line item ${lineItem.id}`);
+          }
+        }
+      }
+      
+      // Check if this line item has beam data (Balk configuration) in its properties
+      let subRowContent = null;
+      
+      // Look for beam-related properties in customAttributes (Balk configuration)
+      // Now simplified to just look for Balkspecifikation with pipe-separated format
+      let beamSummary = null;
+      
+      if (lineItem.customAttributes && Array.isArray(lineItem.customAttributes)) {
+        lineItem.customAttributes.forEach(attr => {
+          if (attr.key === 'Balkspecifikation') {
+            beamSummary = attr.value;
+          }
+        });
+      }
+      
+      // If we have beam specification, build SubRowContent from the pipe-separated format
+      if (beamSummary) {
+        subRowContent = beamSubRowContent(beamSummary);
+        if (subRowContent) {
+          console.log(`Created SubRowContent for line item ${lineItem.id}:`, subRowContent);
+        }
+      }
+      
+      const orderRow = {
+        PartId: monitorPartId,
+        OrderedQuantity: orderedQuantity,
+        UnitPrice: unitPrice,
+        // Description: lineItem.title
+      };
+      
+      // Add SubRowContent if we have beam data for this variant
+      if (subRowContent) {
+        orderRow.SubRowContent = subRowContent;
+      }
+      
+      rows.push(orderRow);
+
+      console.log(`Added draft order line item ${lineItem.id} (Monitor Part ID: ${monitorPartId}) with quantity ${orderedQuantity} and unit price ${unitPrice}${subRowContent ? ' with beam data' : ''}`);
+    } catch (error) {
+      console.error(`Error processing line item ${lineItem.id}:`, error);
+      throw new Error(`Could not read draft order line item ${lineItem.id}: ${error.message}`);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Monitor SubRowContent for a beam specification (Balkspecifikation), e.g. "3×5,5m | 1×8,4m"
+ * @param {string} beamSummary - Pipe-separated beam counts and lengths in meters
+ * @returns {string|null} Count and length (mm) lines, or null if nothing could be parsed
+ */
+export function beamSubRowContent(beamSummary) {
+  const subRowLines = [];
+  
+  // Parse the pipe-separated format: "3×5,5m | 1×8,4m"
+  const beamParts = beamSummary.split(' | ');
+  
+  beamParts.forEach((part, index) => {
+    const rowNum = index + 1;
+    
+    // Parse each part: "3×5,5m" -> count=3, length=5,5m
+    const match = part.trim().match(/^(\d+)×([\d,]+)m$/);
+    if (match) {
+      const count = match[1];
+      const lengthStr = match[2]; // Already in Swedish format with comma
+      
+      subRowLines.push(`Antal ${rowNum}:\t${count},00 st`);
+      
+      // Convert length from meters to millimeters and keep Swedish comma format
+      const lengthInM = parseFloat(lengthStr.replace(',', '.'));
+      const lengthInMm = (lengthInM * 1000).toFixed(2).replace('.', ',');
+      subRowLines.push(`Längd ${rowNum}:\t${lengthInMm} mm`);
+    } else {
+      console.warn(`⚠️ Could not parse beam part: "${part}"`);
+    }
+  });
+  
+  return subRowLines.length > 0 ? subRowLines.join('\r\n') : null;
+}
+
+/**
+ * Update a draft order's name with the Monitor order number
+ */
+async function updateDraftOrderName(shop, accessToken, draftOrderId, orderNumber) {
+  const fetch = (await import('node-fetch')).default;
+  
+  const mutation = `mutation {
+    draftOrderUpdate(id: "gid://shopify/DraftOrder/${draftOrderId}", input: {
+      name: "${orderNumber}"
+    }) {
+      draftOrder {
+        id
+        name
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+  try {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': accessToken,
+      },
+      body: JSON.stringify({ query: mutation }),
+    });
+
+    const result = await response.json();
+
+    if (result.errors) {
+      console.error("GraphQL errors updating draft order name:", JSON.stringify(result.errors, null, 2));
+      return false;
+    }
+
+    if (result.data?.draftOrderUpdate?.userErrors?.length > 0) {
+      console.error("User errors updating draft order name:", JSON.stringify(result.data.draftOrderUpdate.userErrors, null, 2));
+      return false;
+    }
+
+    console.log(`Updated draft order ${draftOrderId} name to: ${orderNumber}`);
+    return true;
+  } catch (error) {
+    console.error("Error updating draft order name:", error);
+    return false;
+  }
+}
+
+/**
+ * Mark a draft order as sent to Monitor by setting the sent_to_monitor metafield to true
+ */
+async function markDraftOrderAsSentToMonitor(shop, accessToken, draftOrderId) {
+  const fetch = (await import('node-fetch')).default;
+  
+  const mutation = `mutation {
+    draftOrderUpdate(id: "gid://shopify/DraftOrder/${draftOrderId}", input: {
+      metafields: [
+        {
+          namespace: "custom"
+          key: "sent_to_monitor"
+          value: "true"
+          type: "boolean"
+        }
+      ]
+    }) {
+      draftOrder {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+  try {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': accessToken,
+      },
+      body: JSON.stringify({ query: mutation }),
+    });
+
+    const result = await response.json();
+
+    if (result.errors) {
+      console.error("GraphQL errors marking draft order as sent:", JSON.stringify(result.errors, null, 2));
+      return false;
+    }
+
+    if (result.data?.draftOrderUpdate?.userErrors?.length > 0) {
+      console.error("User errors marking draft order as sent:", JSON.stringify(result.data.draftOrderUpdate.userErrors, null, 2));
+      return false;
+    }
+
+    console.log(`✅ Marked draft order ${draftOrderId} as sent to Monitor`);
+    return true;
+  } catch (error) {
+    console.error("Error marking draft order as sent to Monitor:", error);
+    return false;
+  }
+}
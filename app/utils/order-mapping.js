@@ -0,0 +1,137 @@
+// app/utils/order-mapping.js
+// Rules that map a draft order's shipping method, customer tags or metafields to Monitor order properties
+// (order type, delivery method...). Edited on /app/order-mapping and applied by app/utils/order-export.js.
+
+import prisma from "../db.server.js";
+
+export const MATCH_TYPES = {
+  always: "Every order",
+  shipping_title: "Shipping method title",
+  customer_tag: "Customer tag",
+  order_metafield: "Draft order metafield",
+};
+
+// Properties a rule can set. "create" properties are sent with Sales/CustomerOrders/Create,
+// the others with Sales/CustomerOrders/SetProperties.
+export const ORDER_PROPERTIES = {
+  OrderTypeId: { label: "Order type ID", sentWith: "create" },
+  WarehouseId: { label: "Warehouse ID", sentWith: "create" },
+  DeliveryMethodId: { label: "Delivery method ID", sentWith: "properties" },
+  DeliveryTermsId: { label: "Delivery terms ID", sentWith: "properties" },
+  OurReferenceName: { label: "Our reference name", sentWith: "properties" },
+};
+
+/**
+ * All rules in the order they are checked
+ * @returns {Promise<Array>} OrderMappingRule rows
+ */
+export async function getOrderMappingRules() {
+  return prisma.orderMappingRule.findMany({ orderBy: [{ position: "asc" }, { id: "asc" }] });
+}
+
+/**
+ * Check a rule from the admin form
+ * @param {Object} rule - { matchType, matchKey, matchValue, property, value }
+ * @returns {string|null} What is wrong, or null if the rule is valid
+ */
+export function validateOrderMappingRule({ matchType, matchKey, matchValue, property, value }) {
+  if (!MATCH_TYPES[matchType]) return `Unknown match type: ${matchType}`;
+  if (!ORDER_PROPERTIES[property]) return `Unknown Monitor property: ${property}`;
+  if (!value) return "Enter the value to set";
+  if (matchType === "order_metafield" && !matchKey) return "Enter the metafield key to match on";
+  if (matchType !== "always" && !matchValue) return "Enter the value to match";
+  if (property !== "OurReferenceName" && !/^\d+$/.test(value)) return `${property} must be a Monitor ID (digits only)`;
+  return null;
+}
+
+/**
+ * Add a rule. Validate it with validateOrderMappingRule() first.
+ * @param {Object} rule - { matchType, matchKey, matchValue, property, value, position }
+ * @returns {Promise<Object>} The created row
+ */
+export async function createOrderMappingRule({ matchType, matchKey, matchValue, property, value, position }) {
+  return prisma.orderMappingRule.create({
+    data: {
+      matchType,
+      matchKey: matchType === "order_metafield" ? matchKey : null,
+      matchValue: matchType === "always" ? "" : matchValue,
+      property,
+      value,
+      position: Number.isInteger(position) ? position : 0,
+    },
+  });
+}
+
+/**
+ * Turn a rule on or off without deleting it
+ * @param {number} id - OrderMappingRule id
+ * @param {boolean} enabled - New state
+ */
+export async function setOrderMappingRuleEnabled(id, enabled) {
+  await prisma.orderMappingRule.update({ where: { id }, data: { enabled } });
+}
+
+/**
+ * Delete a rule
+ * @param {number} id - OrderMappingRule id
+ */
+export async function deleteOrderMappingRule(id) {
+  await prisma.orderMappingRule.delete({ where: { id } });
+}
+
+const normalize = (value) => String(value ?? "").trim().toLowerCase();
+
+function ruleMatches(rule, order) {
+  switch (rule.matchType) {
+    case "always":
+      return true;
+    case "shipping_title": {
+      // Check completed order first, then draft order
+      const title = order.order?.shippingLine?.title || order.shippingLine?.title;
+      return normalize(title) === normalize(rule.matchValue);
+    }
+    case "customer_tag":
+      return (order.customer?.tags || []).some(tag => normalize(tag) === normalize(rule.matchValue));
+    case "order_metafield": {
+      const metafield = (order.metafields?.edges || []).find(edge => edge.node.key === rule.matchKey);
+      return Boolean(metafield) && normalize(metafield.node.value) === normalize(rule.matchValue);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Monitor order properties for a draft order. For each property the first enabled rule that matches wins.
+ * @param {Object} order - Draft order as fetched by fetchDraftOrder()
+ * @param {Array} rules - Rules from getOrderMappingRules()
+ * @returns {Object} { OrderTypeId, DeliveryMethodId, ... } with only the properties some rule set
+ */
+export function resolveOrderMapping(order, rules) {
+  const mapping = {};
+  for (const rule of rules) {
+    if (!rule.enabled || rule.property in mapping) continue;
+    if (ruleMatches(rule, order)) {
+      mapping[rule.property] = rule.value;
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Split a mapping into the fields for the create command and the SetProperties command
+ * @param {Object} mapping - Result of resolveOrderMapping()
+ * @returns {Object} { createFields: { OrderTypeId: "..." }, orderProperties: { DeliveryMethodId: { Value: "..." } } }
+ */
+export function splitOrderMapping(mapping) {
+  const createFields = {};
+  const orderProperties = {};
+  for (const [property, value] of Object.entries(mapping)) {
+    if (ORDER_PROPERTIES[property]?.sentWith === "create") {
+      createFields[property] = value;
+    } else {
+      orderProperties[property] = { Value: value };
+    }
+  }
+  return { createFields, orderProperties };
+}
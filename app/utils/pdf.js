@@ -0,0 +1,55 @@
+// app/utils/pdf.js
+// Shared pdfkit setup for the documents we generate: pricelists (app/utils/pricelist.js) and the invoice and
+// delivery note copies customers download from their account page (app/utils/customer-documents.js).
+
+import PDFDocument from "pdfkit";
+import path from "path";
+import fs from "fs";
+
+/**
+ * Start a PDF document that is collected into a Buffer
+ * @param {Object} [options] - pdfkit options, e.g. { layout: "landscape" }
+ * @returns {Object} { doc, finished } where finished resolves with the PDF Buffer after doc.end()
+ */
+export function createPdfDocument(options = {}) {
+  const doc = new PDFDocument({ margin: 30, size: "A4", ...options });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+  return { doc, finished };
+}
+
+/**
+ * Draw the Sonsab logo in the top left corner. The document is still usable if the logo is missing.
+ * @param {PDFDocument} doc - Document from createPdfDocument()
+ */
+export function drawLogo(doc) {
+  try {
+    const logoPath = path.join(process.cwd(), "app", "assets", "Sonsab-Logotype.png");
+    if (fs.existsSync(logoPath)) {
+      const logoWidth = 120;
+      const logoHeight = logoWidth / 5.525;
+      doc.image(logoPath, 30, 30, { width: logoWidth, height: logoHeight });
+    }
+  } catch (logoError) {
+    console.log("Could not load logo:", logoError.message);
+  }
+}
+
+/**
+ * Format an amount in SEK for documents
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "1 234,50 kr"
+ */
+export function formatSek(amount) {
+  if (amount === null || amount === undefined) return "";
+  return new Intl.NumberFormat("sv-SE", {
+    style: "currency",
+    currency: "SEK",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(amount);
+}
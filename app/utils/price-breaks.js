@@ -0,0 +1,69 @@
+// app/utils/price-breaks.js
+// Quantity-break pricing: the unit price at the quantity being ordered, and the quantities from which a customer
+// pays less per unit. Monitor stays the authority for the prices, the break quantities only say what to ask for.
+
+import { getPriceInfoMany, getPriceBreakQuantities } from "./price-cache.js";
+
+/**
+ * Quantity to price from a request body value
+ * @param {*} value - Quantity from the request, in the part's standard unit
+ * @returns {number|null} The quantity (1 when none was given), or null when it isn't a positive number
+ */
+export function parsePriceQuantity(value) {
+  if (value === undefined || value === null || value === "") return 1;
+  const quantity = Number(value);
+  return Number.isFinite(quantity) && quantity > 0 ? quantity : null;
+}
+
+/**
+ * Unit price from a GetPriceInfo response, whose TotalPrice is the price of the whole QuantityInUnit
+ * @param {Object} response - GetPriceInfo response
+ * @param {number} quantity - QuantityInUnit the price was asked for
+ * @returns {number|null} Price per unit rounded to öre, or null when Monitor returned no price
+ */
+export function unitPriceAt(response, quantity) {
+  if (response?.TotalPrice === null || response?.TotalPrice === undefined) return null;
+  return Math.round((response.TotalPrice / quantity) * 100) / 100;
+}
+
+/**
+ * The price breaks a customer gets for parts
+ * @param {MonitorClient} client - Monitor client
+ * @param {Array<Object>} requests - GetPriceInfo request bodies (CustomerId, PartId, UnitId, ...)
+ * @returns {Promise<Array<Array<{minimumQuantity: number, price: number}>>>} For each request, the unit price
+ *   from 1 and from every quantity where it gets lower; empty when the customer's price doesn't depend on quantity
+ */
+export async function getPriceBreaks(client, requests) {
+  const breakQuantities = await getPriceBreakQuantities(requests.map(request => request.PartId));
+
+  const breakRequests = [];
+  const positions = requests.map(request => {
+    const quantities = breakQuantities.get(String(request.PartId)) || [];
+    if (quantities.length === 0) return null;
+
+    const start = breakRequests.length;
+    const allQuantities = [1, ...quantities];
+    for (const quantity of allQuantities) {
+      breakRequests.push({ ...request, QuantityInUnit: quantity });
+    }
+    return { start, quantities: allQuantities };
+  });
+  if (breakRequests.length === 0) return requests.map(() => []);
+
+  const { responses } = await getPriceInfoMany(client, breakRequests);
+
+  return positions.map(position => {
+    if (!position) return [];
+
+    const breaks = [];
+    position.quantities.forEach((quantity, index) => {
+      const price = unitPriceAt(responses[position.start + index], quantity);
+      if (price === null) return;
+      // A customer part link or discount can make a price list break irrelevant for this customer
+      if (breaks.length === 0 || price < breaks[breaks.length - 1].price) {
+        breaks.push({ minimumQuantity: quantity, price });
+      }
+    });
+    return breaks.length > 1 ? breaks : [];
+  });
+}
@@ -0,0 +1,283 @@
+// app/utils/price-cache.js
+// Server-side cache of Monitor GetPriceInfo results for the pricing service (pricing.js). Identical requests that
+// are already on their way to Monitor share one call, and entries are dropped as soon as Monitor's change log shows
+// the part or customer was changed. A change to a price list or sales price clears the whole cache.
+
+import { fetchEntityChangeLogsFromMonitor, fetchPriceBreakQuantitiesFromMonitor } from "./monitor.js";
+import { MonitorError } from "./monitor-errors.js";
+
+const PRICE_INFO_PATH = "Sales/CustomerOrders/GetPriceInfo";
+
+const CACHE_TTL = 15 * 60 * 1000; // 15 minutes, the most a price can be stale if a change log entry is missed
+const MAX_CACHE_ENTRIES = 5000;
+// How often cache lookups check Monitor's change logs for price and customer changes
+const INVALIDATION_INTERVAL = 60 * 1000;
+// Changes made shortly before startup could still be in Monitor's log with an older timestamp than our clock
+const INITIAL_LOOKBACK = 5 * 60 * 1000;
+
+const priceCache = new Map();
+// Cache key -> promise of the GetPriceInfo response that is being fetched right now
+const inFlight = new Map();
+// Part ID -> quantities the part has price breaks at
+const breakQuantityCache = new Map();
+
+// Bumped whenever entries are dropped, so a fetch that started before the change isn't stored afterwards
+let generation = 0;
+let changesSince = new Date(Date.now() - INITIAL_LOOKBACK);
+let lastInvalidationCheck = 0;
+let invalidationCheck = null;
+
+/**
+ * Cache key of a GetPriceInfo request. Prices depend on the customer (price list, discount category and customer
+ * part links), so the Monitor customer is the scope of an entry.
+ * @param {Object} request - GetPriceInfo request body
+ * @returns {string}
+ */
+function priceCacheKey(request) {
+  return [request.CustomerId, request.PartId, request.UnitId, request.QuantityInUnit].join(":");
+}
+
+function getCachedResponse(key) {
+  const cached = priceCache.get(key);
+  if (!cached) return null;
+  if (Date.now() - cached.timestamp >= CACHE_TTL) {
+    priceCache.delete(key);
+    return null;
+  }
+  return cached;
+}
+
+function makeRoom(cache) {
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    // Maps keep insertion order, so the first key is the oldest entry
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+function storeResponse(key, request, response, startedAt) {
+  if (generation !== startedAt) return;
+
+  makeRoom(priceCache);
+  priceCache.set(key, {
+    response,
+    customerId: String(request.CustomerId),
+    partId: String(request.PartId),
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * Drop cached prices of the given parts and/or customers
+ * @param {Object} changes - { partIds, customerIds }
+ * @returns {number} Number of entries dropped
+ */
+export function invalidatePrices({ partIds = [], customerIds = [] } = {}) {
+  const parts = new Set(partIds.map(String));
+  const customers = new Set(customerIds.map(String));
+  if (parts.size === 0 && customers.size === 0) return 0;
+
+  generation += 1;
+  let dropped = 0;
+  for (const [key, entry] of priceCache) {
+    if (parts.has(entry.partId) || customers.has(entry.customerId)) {
+      priceCache.delete(key);
+      dropped += 1;
+    }
+  }
+  for (const partId of parts) breakQuantityCache.delete(partId);
+  return dropped;
+}
+
+/**
+ * Drop every cached price
+ */
+export function clearPriceCache() {
+  generation += 1;
+  priceCache.clear();
+  breakQuantityCache.clear();
+}
+
+async function applyMonitorChanges() {
+  // Sales prices and customer part links belong to a part, so price changes show up as changes to the part.
+  // Customer changes cover price list, discount category and customer part links set on the customer.
+  // Price list and sales price changes don't say which parts or customers they affect.
+  const [products, customers, prices] = await Promise.all([
+    fetchEntityChangeLogsFromMonitor("products", changesSince),
+    fetchEntityChangeLogsFromMonitor("customers", changesSince),
+    fetchEntityChangeLogsFromMonitor("prices", changesSince),
+  ]);
+
+  if (prices.entityIds.length > 0) {
+    console.log(`🧹 Cleared ${priceCache.size} cached prices after Monitor changes to ${prices.entityIds.length} price lists or sales prices`);
+    clearPriceCache();
+  } else {
+    const dropped = invalidatePrices({ partIds: products.entityIds, customerIds: customers.entityIds });
+    if (dropped > 0) {
+      console.log(`🧹 Dropped ${dropped} cached prices after Monitor changes to ${products.entityIds.length} parts and ${customers.entityIds.length} customers`);
+    }
+  }
+
+  for (const latest of [products.latestModifiedAt, customers.latestModifiedAt, prices.latestModifiedAt]) {
+    if (latest && new Date(latest) > changesSince) changesSince = new Date(latest);
+  }
+}
+
+// Runs at most once per INVALIDATION_INTERVAL in the background: lookups don't wait for Monitor's change logs.
+// A fetch that started before the check drops its entries isn't stored (see generation), and the TTL bounds
+// how stale an entry can be while a check is slow or failing.
+function checkMonitorChanges() {
+  if (priceCache.size === 0 && breakQuantityCache.size === 0 && inFlight.size === 0) {
+    // Nothing cached that could be stale, just move the window forward
+    changesSince = new Date(Math.max(changesSince.getTime(), Date.now() - INITIAL_LOOKBACK));
+    return;
+  }
+  if (invalidationCheck || Date.now() - lastInvalidationCheck < INVALIDATION_INTERVAL) return;
+
+  lastInvalidationCheck = Date.now();
+  invalidationCheck = applyMonitorChanges()
+    .catch((error) => {
+      // The next check reads the same changes again
+      console.error(`⚠️ Could not read Monitor change logs for the price cache: ${error.message}`);
+    })
+    .finally(() => {
+      invalidationCheck = null;
+    });
+}
+
+/**
+ * GetPriceInfo for one part, from the cache when possible
+ * @param {MonitorClient} client - Monitor client
+ * @param {Object} request - GetPriceInfo request body (PartId, CustomerId, QuantityInUnit, UnitId, ...)
+ * @returns {Promise<{response: Object, cache: string}>} Monitor's response and "HIT" or "MISS"; waiting for a
+ *   fetch that is already on its way is a "MISS" too, the price wasn't in the cache yet
+ */
+export async function getPriceInfo(client, request) {
+  checkMonitorChanges();
+
+  const key = priceCacheKey(request);
+  const cached = getCachedResponse(key);
+  if (cached) return { response: cached.response, cache: "HIT" };
+
+  // Same price already being fetched for another request
+  if (inFlight.has(key)) return { response: await inFlight.get(key), cache: "MISS" };
+
+  const startedAt = generation;
+  const pending = client.post(PRICE_INFO_PATH, request, { idempotent: true });
+  inFlight.set(key, pending);
+  try {
+    const response = await pending;
+    storeResponse(key, request, response, startedAt);
+    return { response, cache: "MISS" };
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * GetPriceInfo for several parts. Only the prices that aren't cached or already being fetched are sent to
+ * Monitor, in one GetPriceInfo/Many call.
+ * @param {MonitorClient} client - Monitor client
+ * @param {Array<Object>} requests - GetPriceInfo request bodies
+ * @returns {Promise<{responses: Array<Object>, hits: number, misses: number}>} Responses in request order; hits
+ *   only counts prices that were in the cache
+ * @throws {MonitorError} Also when Monitor doesn't return one response per request, nothing is cached then
+ */
+export async function getPriceInfoMany(client, requests) {
+  checkMonitorChanges();
+
+  const responses = new Array(requests.length);
+  const waiting = [];
+  // Cache key -> index into the GetPriceInfo/Many request, so duplicates in one batch are only priced once
+  const toFetch = new Map();
+  let hits = 0;
+
+  requests.forEach((request, index) => {
+    const key = priceCacheKey(request);
+    const cached = getCachedResponse(key);
+    if (cached) {
+      responses[index] = cached.response;
+      hits += 1;
+    } else if (inFlight.has(key)) {
+      waiting.push(inFlight.get(key).then(response => { responses[index] = response; }));
+    } else {
+      if (!toFetch.has(key)) toFetch.set(key, { request, indexes: [] });
+      toFetch.get(key).indexes.push(index);
+    }
+  });
+
+  if (toFetch.size > 0) {
+    const entries = [...toFetch.entries()];
+    const startedAt = generation;
+    const path = `${PRICE_INFO_PATH}/Many`;
+    const batch = client.post(path, entries.map(([, entry]) => entry.request), { idempotent: true })
+      .then(result => {
+        // Responses are matched to requests by position, so a short or long answer would cache wrong prices
+        if (!Array.isArray(result) || result.length !== entries.length) {
+          const got = Array.isArray(result) ? `${result.length} responses` : typeof result;
+          throw new MonitorError(`GetPriceInfo/Many returned ${got} for ${entries.length} requests`, { method: "POST", path });
+        }
+        return result;
+      });
+
+    entries.forEach(([key, entry], position) => {
+      const pending = batch.then(result => result[position]);
+      inFlight.set(key, pending);
+      waiting.push(pending
+        .then(response => {
+          storeResponse(key, entry.request, response, startedAt);
+          for (const index of entry.indexes) responses[index] = response;
+        })
+        .finally(() => inFlight.delete(key)));
+    });
+  }
+
+  await Promise.all(waiting);
+  return { responses, hits, misses: requests.length - hits };
+}
+
+/**
+ * The quantities parts have price breaks at (see fetchPriceBreakQuantitiesFromMonitor), from the cache when possible
+ * @param {Array<string>} partIds - Part IDs
+ * @returns {Promise<Map<string, Array<number>>>} Part ID -> break quantities in ascending order
+ */
+export async function getPriceBreakQuantities(partIds) {
+  checkMonitorChanges();
+
+  const quantities = new Map();
+  const missing = [];
+  for (const partId of new Set(partIds.map(String))) {
+    const cached = breakQuantityCache.get(partId);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      quantities.set(partId, cached.quantities);
+    } else {
+      missing.push(partId);
+    }
+  }
+
+  if (missing.length > 0) {
+    const startedAt = generation;
+    const fetched = await fetchPriceBreakQuantitiesFromMonitor(missing);
+    for (const [partId, partQuantities] of fetched) {
+      quantities.set(partId, partQuantities);
+      if (generation !== startedAt) continue;
+      makeRoom(breakQuantityCache);
+      breakQuantityCache.set(partId, { quantities: partQuantities, timestamp: Date.now() });
+    }
+  }
+  return quantities;
+}
+
+/**
+ * Headers that show how a pricing response was served
+ * @param {number} hits - Prices served from the cache
+ * @param {number} misses - Prices fetched from Monitor
+ * @returns {Object} X-Price-Cache (HIT, MISS or PARTIAL) plus hit/miss counts
+ */
+export function priceCacheHeaders(hits, misses) {
+  const status = misses === 0 ? "HIT" : hits === 0 ? "MISS" : "PARTIAL";
+  return {
+    "X-Price-Cache": status,
+    "X-Price-Cache-Hits": String(hits),
+    "X-Price-Cache-Misses": String(misses),
+  };
+}
@@ -0,0 +1,55 @@
+// app/utils/price-explanation.js
+// Where a Monitor price comes from, read from GetPriceInfo's extended result (UseExtendedResult: true), so sales
+// reps can explain a price to a customer on the phone.
+
+import { unitPriceAt } from "./price-breaks.js";
+
+// Labels shown to sales reps in the storefront
+const PRICE_SOURCE_LABELS = {
+  "customer-agreement": "Kundavtal",
+  "discount-category": "Rabattkategori",
+  "price-list": "Prislista",
+  "standard-price": "Grundpris",
+  "no-price": "Inget pris",
+};
+
+function dateOnly(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+/**
+ * What a GetPriceInfo price is based on. A customer agreement (customer part link) wins over the price list,
+ * and a discount category discount is applied on top of the price list price.
+ * @param {Object|null} response - GetPriceInfo response with the extended result
+ * @returns {string} customer-agreement, discount-category, price-list, standard-price or no-price
+ */
+export function priceSourceOf(response) {
+  if (response?.TotalPrice === null || response?.TotalPrice === undefined) return "no-price";
+  if (response.CustomerPartLinkId) return "customer-agreement";
+  if (response.DiscountCategoryId && response.DiscountPercent > 0) return "discount-category";
+  if (response.PriceListId) return "price-list";
+  return "standard-price";
+}
+
+/**
+ * Breakdown of a price for sales reps
+ * @param {Object|null} response - GetPriceInfo response with the extended result
+ * @param {number} quantity - QuantityInUnit the price was asked for
+ * @returns {Object} { source, label, unitPrice, listPrice, discountPercent, priceListId, customerAgreementId,
+ *   discountCategoryId, validFrom, validTo }
+ */
+export function explainPriceInfo(response, quantity) {
+  const source = priceSourceOf(response);
+  return {
+    source,
+    label: PRICE_SOURCE_LABELS[source],
+    unitPrice: unitPriceAt(response, quantity),
+    listPrice: response?.ListPrice ?? null,
+    discountPercent: response?.DiscountPercent || 0,
+    priceListId: response?.PriceListId ? String(response.PriceListId) : null,
+    customerAgreementId: response?.CustomerPartLinkId ? String(response.CustomerPartLinkId) : null,
+    discountCategoryId: source === "discount-category" ? String(response.DiscountCategoryId) : null,
+    validFrom: dateOnly(response?.ValidFrom),
+    validTo: dateOnly(response?.ValidTo),
+  };
+}
@@ -0,0 +1,787 @@
+// app/utils/pricelist.js
+// Pricelist generation (products, customer pricing, PDF/CSV) and email delivery.
+// Runs as a "pricelist" job from the job queue, see app/utils/job-queue.js
+
+import { createPdfDocument, drawLogo, formatSek } from "./pdf.js";
+import { sendPricelistEmail } from "./email.js";
+import { getCustomerPrices, isOutletProduct } from "./pricing.js";
+
+// const OUTLET_PRICE_LIST_ID = "1289997006982727753";
+
+/**
+ * Generate a pricelist and email it to the customer. Throws on failure so the queue can retry.
+ * @param {Object} payload - Queued by api.pricelist: { requestId, customer_id, customer_email, customer_company,
+ *   monitor_id, format, selection_method, collections, products, shop, apiDomain }
+ */
+export async function generateAndSendPricelist(payload) {
+  const { requestId, selection_method, collections = [], products = [], apiDomain } = payload;
+
+  // Tokens are read here rather than stored in the queued job
+  const accessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.ADVANCED_STORE_ADMIN_TOKEN;
+  if (!accessToken) {
+    throw new Error("No SHOPIFY_ACCESS_TOKEN or ADVANCED_STORE_ADMIN_TOKEN found in environment");
+  }
+
+  // Fetch products based on selection method
+  let productList;
+  switch (selection_method) {
+    case 'collections':
+      productList = await fetchProductsByCollections(collections, apiDomain, accessToken);
+      break;
+    case 'products':
+      productList = await fetchProductsByIds(products, apiDomain, accessToken);
+      break;
+    case 'all':
+      productList = await fetchAllProducts(apiDomain, accessToken);
+      break;
+    default:
+      throw new Error(`Invalid selection method: ${selection_method}`);
+  }
+
+  console.log(`[${requestId}] Found ${productList.length} products to process`);
+
+  await processAndSendPricelist({
+    requestId,
+    productList,
+    customer_id: payload.customer_id,
+    shop: apiDomain,
+    accessToken,
+    monitor_id: payload.monitor_id,
+    customer_email: payload.customer_email,
+    customer_company: payload.customer_company,
+    format: payload.format,
+  });
+}
+
+/**
+ * Fetch pricing, generate the file and send it by email
+ */
+async function processAndSendPricelist({
+      requestId,
+      productList,
+      customer_id,
+      shop: apiDomain,
+      accessToken,
+      monitor_id,
+      customer_email,
+      customer_company,
+      format
+}) {
+  console.log(`[${requestId}] Starting pricing fetch with 2-minute timeout...`);
+  let priceData = [];
+  
+  try {
+    priceData = await Promise.race([
+      fetchPricingForProducts(productList, customer_id, apiDomain, accessToken, monitor_id),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Pricing fetch timed out after 2 minutes')), 120000)
+      )
+    ]);
+    console.log(`✅ [${requestId}] Generated pricing data for ${priceData.length} items`);
+  } catch (pricingError) {
+    console.error(`⚠️ [${requestId}] Pricing fetch failed, creating fallback price data:`, pricingError.message);
+    console.error(`⚠️ [${requestId}] Error details:`, pricingError.stack);
+    
+    // Create fallback price data with original prices
+    priceData = [];
+    if (!productList || !Array.isArray(productList)) {
+      console.error(`⚠️ [${requestId}] productList is null or not an array:`, productList);
+      throw new Error('Product list is invalid - cannot generate pricelist');
+    }
+    for (const product of productList) {
+      if (product.variants?.edges) {
+        for (const variantEdge of product.variants.edges) {
+          const variant = variantEdge.node;
+          priceData.push({
+            productTitle: product.title,
+            variantTitle: variant.title || 'Default',
+            sku: variant.sku || '',
+            originalPrice: parseFloat(variant.price) || 0,
+            customerPrice: null,
+            priceSource: "pricing-error",
+            monitorId: variant.monitorIdMetafield?.value || '',
+            standardUnit: variant.standardUnitMetafield?.value || 'st',
+            width: variant.widthMetafield?.value || '',
+            depth: variant.depthMetafield?.value || '',
+            length: variant.lengthMetafield?.value || '',
+            formattedPrice: 'Prisfel - kontakta oss'
+          });
+        }
+      }
+    }
+    console.log(`[${requestId}] Created fallback pricing data for ${priceData.length} items`);
+  }
+
+  // Generate file and send via email
+  if (format === 'pdf') {
+    console.log(`[${requestId}] Starting PDF generation...`);
+    const pdfBuffer = await generatePDF(priceData, customer_email, customer_company);
+    console.log(`✅ [${requestId}] PDF generated: ${pdfBuffer.length} bytes`);
+    
+    console.log(`[${requestId}] Sending email to: ${customer_email}`);
+    const emailResult = await sendPricelistEmail(
+      customer_email, 
+      customer_company, 
+      pdfBuffer, 
+      'pdf', 
+      priceData
+    );
+    console.log(`✅ [${requestId}] Email sent: ${emailResult.messageId}`);
+    
+  } else if (format === 'csv') {
+    console.log(`[${requestId}] Starting CSV generation...`);
+    const csvData = generateCSV(priceData);
+    const csvBuffer = Buffer.from(csvData, 'utf8');
+    console.log(`✅ [${requestId}] CSV generated: ${csvBuffer.length} bytes`);
+    
+    console.log(`[${requestId}] Sending email to: ${customer_email}`);
+    const emailResult = await sendPricelistEmail(
+      customer_email, 
+      customer_company, 
+      csvBuffer, 
+      'csv', 
+      priceData
+    );
+    console.log(`✅ [${requestId}] Email sent: ${emailResult.messageId}`);
+  }
+  
+  console.log(`[${requestId}] Pricelist processing completed successfully`);
+}
+
+/**
+ * Fetch products by collection IDs using Shopify API
+ * @param {Array} collections - Array of collection IDs (string) or collection objects ({id, monitor_id})
+ */
+async function fetchProductsByCollections(collections, shop, accessToken) {
+  console.log(`Fetching products from ${collections.length} collections`);
+  const products = [];
+  
+  try {
+    for (const collection of collections) {
+      try {
+        // Handle different formats: number, string ID, or object with {id, monitor_id}
+        let collectionId, collectionMonitorId;
+        
+        if (typeof collection === 'number') {
+          // Collection ID as number (most common from frontend)
+          collectionId = collection.toString();
+          collectionMonitorId = null;
+        } else if (typeof collection === 'string') {
+          // Collection ID as string
+          collectionId = collection;
+          collectionMonitorId = null;
+        } else if (typeof collection === 'object' && collection.id) {
+          // Object with id and monitor_id
+          collectionId = collection.id.toString();
+          collectionMonitorId = collection.monitor_id;
+        } else {
+          console.error(`Invalid collection format:`, collection);
+          continue;
+        }
+        
+                  console.log(`📦 Fetching collection ${collectionId}${collectionMonitorId ? ` (Monitor: ${collectionMonitorId})` : ''}`);
+        
+        // Use GraphQL to fetch products from collection
+        
+        // Use GraphQL to fetch products from collection
+        const query = `
+          query GetCollectionProducts($id: ID!) {
+            collection(id: $id) {
+              id
+              title
+              products(first: 250) {
+                edges {
+                  node {
+                    id
+                    title
+                    handle
+                    tags
+                    variants(first: 100) {
+                      edges {
+                        node {
+                          id
+                          title
+                          sku
+                          price
+                          inventoryQuantity
+                          monitorIdMetafield: metafield(namespace: "custom", key: "monitor_id") {
+                            value
+                          }
+                          standardUnitMetafield: metafield(namespace: "custom", key: "standard_unit") {
+                            value
+                          }
+                          widthMetafield: metafield(namespace: "custom", key: "width") {
+                            value
+                          }
+                          depthMetafield: metafield(namespace: "custom", key: "depth") {
+                            value
+                          }
+                          lengthMetafield: metafield(namespace: "custom", key: "length") {
+                            value
+                          }
+                          unitIdMetafield: metafield(namespace: "custom", key: "unitid") {
+                            value
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        `;
+
+        const variables = {
+          id: `gid://shopify/Collection/${collectionId}`
+        };
+
+        const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': accessToken,
+          },
+          body: JSON.stringify({ query, variables })
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          
+          if (data.data?.collection?.products?.edges) {
+            const collectionProducts = data.data.collection.products.edges.map(edge => edge.node);
+            products.push(...collectionProducts);
+            console.log(`✅ Added ${collectionProducts.length} products from collection ${collectionId}`);
+          } else if (data.errors) {
+            console.error(`❌ GraphQL errors for collection ${collectionId}:`, data.errors[0]?.message || 'Unknown error');
+          } else {
+            console.log(`⚠️ No products found in collection ${collectionId}`);
+          }
+        } else {
+          const errorText = await response.text();
+          console.error(`Failed to fetch products from collection ${collectionId}:`, response.status, errorText);
+        }
+      } catch (error) {
+        console.error(`Error fetching products from collection ${collection}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error in fetchProductsByCollections:', error);
+  }
+  
+  console.log(`Total products fetched: ${products.length}`);
+  return products;
+}
+
+/**
+ * Fetch specific products by product IDs using Shopify API
+ * @param {Array} products - Array of product IDs (string) or product objects ({id, monitor_id})
+ */
+async function fetchProductsByIds(products, shop, accessToken) {
+  console.log(`Fetching ${products.length} specific products`);
+  const fetchedProducts = [];
+  
+  try {
+    for (const product of products) {
+      try {
+        // Handle different formats: number, string ID, or object with {id, monitor_id}
+        let productId, productMonitorId;
+        
+        if (typeof product === 'number') {
+          // Product ID as number (most common from frontend)
+          productId = product.toString();
+          productMonitorId = null;
+        } else if (typeof product === 'string') {
+          // Product ID as string
+          productId = product;
+          productMonitorId = null;
+        } else if (typeof product === 'object' && product.id) {
+          // Object with id and monitor_id
+          productId = product.id.toString();
+          productMonitorId = product.monitor_id;
+        } else {
+          console.error(`Invalid product format:`, product);
+          continue;
+        }
+        
+        console.log(`Fetching product ${productId}${productMonitorId ? ` (Monitor ID: ${productMonitorId})` : ''}`);
+        
+        // Use GraphQL to fetch product details
+        const query = `
+          query GetProduct($id: ID!) {
+            product(id: $id) {
+              id
+              title
+              handle
+              tags
+              variants(first: 100) {
+                edges {
+                  node {
+                    id
+                    title
+                    sku
+                    price
+                    inventoryQuantity
+                    monitorIdMetafield: metafield(namespace: "custom", key: "monitor_id") {
+                      value
+                    }
+                    standardUnitMetafield: metafield(namespace: "custom", key: "standard_unit") {
+                      value
+                    }
+                    widthMetafield: metafield(namespace: "custom", key: "width") {
+                      value
+                    }
+                    depthMetafield: metafield(namespace: "custom", key: "depth") {
+                      value
+                    }
+                    lengthMetafield: metafield(namespace: "custom", key: "length") {
+                      value
+                    }
+                  }
+                }
+              }
+            }
+          }
+        `;
+
+        const variables = {
+          id: `gid://shopify/Product/${productId}`
+        };
+
+        const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': accessToken,
+          },
+          body: JSON.stringify({ query, variables })
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          
+          if (data.data?.product) {
+            const fetchedProduct = data.data.product;
+            console.log(`Product ${fetchedProduct.id} (${fetchedProduct.title}) has ${fetchedProduct.variants?.edges?.length || 0} variants`);
+            
+            // Add product to results
+            fetchedProducts.push(fetchedProduct);
+            console.log(`✅ Fetched product: ${fetchedProduct.title} (${fetchedProduct.variants?.edges?.length || 0} variants)`);
+          } else if (data.errors) {
+            console.error(`❌ GraphQL errors for product ${productId}:`, data.errors[0]?.message || 'Unknown error');
+          } else {
+            console.log(`No product found for ${productId}`);
+          }
+        } else {
+          const errorText = await response.text();
+          console.error(`Failed to fetch product ${productId}:`, response.status, errorText);
+        }
+      } catch (error) {
+        console.error(`Error fetching product ${product}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error in fetchProductsByIds:', error);
+  }
+  
+  console.log(`Total products fetched: ${fetchedProducts.length}`);
+  return fetchedProducts;
+}
+
+/**
+ * Fetch all products using Shopify API
+ */
+async function fetchAllProducts(shop, accessToken) {
+  console.log('Fetching all products');
+  const products = [];
+  
+  try {
+    let hasNextPage = true;
+    let cursor = null;
+
+    while (hasNextPage) {
+      const query = `
+        query GetAllProducts($first: Int!, $after: String) {
+          products(first: $first, after: $after) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            edges {
+              node {
+                id
+                title
+                handle
+                tags
+                variants(first: 100) {
+                  edges {
+                    node {
+                      id
+                      title
+                      sku
+                      price
+                      inventoryQuantity
+                      monitorIdMetafield: metafield(namespace: "custom", key: "monitor_id") {
+                        value
+                      }
+                      standardUnitMetafield: metafield(namespace: "custom", key: "standard_unit") {
+                        value
+                      }
+                      widthMetafield: metafield(namespace: "custom", key: "width") {
+                        value
+                      }
+                      depthMetafield: metafield(namespace: "custom", key: "depth") {
+                        value
+                      }
+                      lengthMetafield: metafield(namespace: "custom", key: "length") {
+                        value
+                      }
+                      unitIdMetafield: metafield(namespace: "custom", key: "unitid") {
+                        value
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      const variables = { first: 100 };
+      if (cursor) {
+        variables.after = cursor;
+      }
+
+      const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': accessToken,
+        },
+        body: JSON.stringify({ query, variables })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        if (data.data?.products) {
+          const pageProducts = data.data.products.edges.map(edge => edge.node);
+          products.push(...pageProducts);
+          
+          hasNextPage = data.data.products.pageInfo.hasNextPage;
+          cursor = data.data.products.pageInfo.endCursor;
+          
+          console.log(`Fetched ${pageProducts.length} products, total: ${products.length}`);
+        } else {
+          hasNextPage = false;
+        }
+      } else {
+        console.error('Failed to fetch products page:', response.status);
+        hasNextPage = false;
+      }
+    }
+  } catch (error) {
+    console.error('Error in fetchAllProducts:', error);
+  }
+  
+  console.log(`Total products fetched: ${products.length}`);
+  return products;
+}
+
+/**
+ * Fetch pricing for multiple products with the shared pricing service (app/utils/pricing.js)
+ */
+async function fetchPricingForProducts(products, customerId, shop, accessToken, customerMonitorId = null) {
+  console.log(`Fetching pricing for ${products.length} products`);
+  console.log(`Using customer Monitor ID: ${customerMonitorId}`);
+  const priceData = [];
+  let processedCount = 0;
+  
+  // Use provided customerMonitorId or fetch from Shopify metafields as fallback
+  let finalCustomerMonitorId = customerMonitorId;
+  if (!finalCustomerMonitorId) {
+    console.log('No customer Monitor ID provided, trying to fetch from Shopify metafields...');
+    finalCustomerMonitorId = await fetchCustomerMonitorId(customerId, shop, accessToken);
+    console.log(`Fetched customer Monitor ID from metafields: ${finalCustomerMonitorId}`);
+  }
+  
+  for (const product of products) {
+    try {
+      console.log(`Processing product: ${product.title} (ID: ${product.id}), outlet: ${isOutletProduct(product)}`);
+      
+      // Check if product has variants
+      if (!product.variants?.edges || !Array.isArray(product.variants.edges) || product.variants.edges.length === 0) {
+        console.log(`Product ${product.id} has no variants, skipping...`);
+        continue;
+      }
+      
+      const variants = product.variants.edges.map(variantEdge => variantEdge.node);
+      const rowOf = (variant) => ({
+        productTitle: product.title,
+        variantTitle: variant.title || 'Default',
+        sku: variant.sku || '',
+        originalPrice: parseFloat(variant.price) || 0,
+        monitorId: variant.monitorIdMetafield?.value || '',
+        standardUnit: variant.standardUnitMetafield?.value || 'st',
+        width: variant.widthMetafield?.value || '',
+        depth: variant.depthMetafield?.value || '',
+        length: variant.lengthMetafield?.value || ''
+      });
+
+      // All variants of the product are priced together. A unitid metafield missing on a variant is
+      // fetched from Monitor and stored on the variant for future use.
+      let prices;
+      try {
+        ({ prices } = await getCustomerPrices(finalCustomerMonitorId, variants.map(variant => ({
+          variantId: variant.id,
+          monitorId: variant.monitorIdMetafield?.value || null,
+          standardUnitId: variant.unitIdMetafield?.value || null
+        })), { shop, accessToken }));
+      } catch (pricingError) {
+        console.error(`Error fetching pricing for product ${product.id}:`, pricingError);
+        // Add the variants with original price as fallback
+        for (const variant of variants) {
+          priceData.push({ ...rowOf(variant), monitorId: '', customerPrice: null, priceSource: "error", formattedPrice: 'Prisfel' });
+        }
+        continue;
+      }
+
+      variants.forEach((variant, index) => {
+        const { price, priceSource } = prices[index];
+        console.log(`Variant ${variant.sku}: ${price ?? 'no price'} (${priceSource}) customerMonitorId: ${finalCustomerMonitorId || 'N/A'}`);
+
+        if (priceSource === "missing-monitor-ids") {
+          // Still add to results but with a note that Monitor ID is missing
+          priceData.push({ ...rowOf(variant), customerPrice: null, priceSource: "no-monitor-id", formattedPrice: 'Pris saknas' });
+        } else if (priceSource === "api-error") {
+          priceData.push({ ...rowOf(variant), customerPrice: null, priceSource: "api-error", formattedPrice: 'kontakta oss' });
+        } else {
+          priceData.push({
+            ...rowOf(variant),
+            customerPrice: price,
+            priceSource: price && price > 0 ? "monitor-api" : "no-price",
+            formattedPrice: price ? formatPrice(price) : 'Ingen prissättning'
+          });
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Error processing product ${product.id}:`, error);
+    }
+    
+    processedCount++;
+    console.log(`📊 Progress: ${processedCount}/${products.length} products processed`);
+  }
+  
+  console.log(`Generated pricing data for ${priceData.length} variants`);
+  return priceData;
+}
+
+/**
+ * Generate PDF from price data
+ */
+async function generatePDF(priceData, customerEmail, customerCompany) {
+  const { doc, finished } = createPdfDocument({ layout: 'landscape' });
+
+  // Add logo in top left corner
+  drawLogo(doc);
+
+  // Header (adjusted position to account for logo)
+  doc.fontSize(20).text('Prislista', { align: 'center' });
+  doc.fontSize(12).text(`Kund: ${customerCompany}`, { align: 'center' });
+  doc.text(`Datum: ${new Date().toLocaleDateString('sv-SE')}`, { align: 'center' });
+  doc.moveDown(2);
+  
+  // Ensure we're below the logo area
+  if (doc.y < 80) {
+    doc.y = 80;
+  }
+  
+  // Table headers
+  const tableTop = doc.y;
+  doc.fontSize(9);
+  
+  // Define column positions for landscape layout - full width utilization
+  // A4 landscape: 842pts width, with 30pt margins = 782pts usable width
+  const colPositions = {
+    sku: 30,        // Start position
+    product: 130,   // 100pts width for SKU
+    variant: 280,   // 150pts width for Product
+    width: 380,     // 100pts width for Variant
+    depth: 450,     // 70pts width for Width
+    length: 520,    // 70pts width for Depth
+    price: 590,     // 70pts width for Length
+    unit: 690       // 100pts width for Price, remaining ~120pts for Unit
+  };
+  
+  // Headers
+  doc.font('Helvetica-Bold');
+  doc.text('Artikelnr', colPositions.sku, tableTop);
+  doc.text('Produkt', colPositions.product, tableTop);
+  doc.text('Variant', colPositions.variant, tableTop);
+  doc.text('Bredd', colPositions.width, tableTop);
+  doc.text('Tjocklek', colPositions.depth, tableTop);
+  doc.text('Längd', colPositions.length, tableTop);
+  doc.text('Pris', colPositions.price, tableTop);
+  doc.text('Enhet', colPositions.unit, tableTop);
+  
+  // Line under headers (full width)
+  doc.moveTo(30, tableTop + 15).lineTo(780, tableTop + 15).stroke();
+  
+  let yPosition = tableTop + 25;
+  doc.font('Helvetica');
+  
+  // Data rows
+  for (const item of priceData) {
+    // Check if we need a new page (leave space for footer)
+    // A4 landscape height is ~595pts, with margins we have ~535pts usable
+    if (yPosition > 500) {
+      doc.addPage();
+      yPosition = 80;
+    }
+    
+    doc.text(item.sku || '', colPositions.sku, yPosition, { width: 75 });
+    doc.text(item.productTitle.substring(0, 20), colPositions.product, yPosition, { width: 95 });
+    doc.text(item.variantTitle.substring(0, 18), colPositions.variant, yPosition, { width: 85 });
+    doc.text(item.width || '', colPositions.width, yPosition, { width: 45 });
+    doc.text(item.depth || '', colPositions.depth, yPosition, { width: 45 });
+    doc.text(item.length || '', colPositions.length, yPosition, { width: 45 });
+    doc.text(item.formattedPrice, colPositions.price, yPosition, { width: 65 });
+    doc.text(item.standardUnit || 'st', colPositions.unit, yPosition);
+
+    yPosition += 18;
+  }
+
+  // Add footer at the bottom of the current page, not at a fixed position
+  const currentY = doc.y;
+  const finalY = Math.max(currentY, yPosition + 20);
+
+  doc.fontSize(8).text(
+    `Genererad: ${new Date().toLocaleString('sv-SE')}`,
+    30,
+    finalY,
+    { align: 'center', width: 750 }
+  );
+  
+  doc.end();
+
+  return finished;
+}
+
+/**
+ * Generate CSV from price data
+ */
+function generateCSV(priceData) {
+  // Define CSV headers
+  const headers = [
+    'Artikelnummer',
+    'Produkt',
+    'Variant', 
+    'Bredd',
+    'Tjocklek',
+    'Längd',
+    'Ursprungspris',
+    'Kundpris',
+    'Formaterat pris',
+    'Enhet',
+    'Pristyp',
+    'Monitor ID'
+  ];
+  
+  // Create CSV content
+  const csvRows = [];
+  
+  // Add header row
+  csvRows.push(headers.join(';'));
+  
+  // Add data rows
+  for (const item of priceData) {
+    const row = [
+      escapeCSVField(item.sku || ''),
+      escapeCSVField(item.productTitle),
+      escapeCSVField(item.variantTitle),
+      escapeCSVField(item.width || ''),
+      escapeCSVField(item.depth || ''),
+      escapeCSVField(item.length || ''),
+      item.originalPrice || '',
+      item.customerPrice || '',
+      escapeCSVField(item.formattedPrice),
+      escapeCSVField(item.standardUnit || 'st'),
+      escapeCSVField(getPriceSourceLabel(item.priceSource)),
+      escapeCSVField(item.monitorId || '')
+    ];
+    csvRows.push(row.join(';'));
+  }
+  
+  return csvRows.join('\n');
+}
+
+/**
+ * Escape CSV field content
+ */
+function escapeCSVField(field) {
+  if (field === null || field === undefined) return '';
+  const str = String(field);
+  // If field contains semicolon, quote, or newline, wrap in quotes and escape quotes
+  if (str.includes(';') || str.includes('"') || str.includes('\n')) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+/**
+ * Fetch customer Monitor ID from Shopify metafields
+ */
+async function fetchCustomerMonitorId(customerId, shop, accessToken) {
+  try {
+    const query = `
+      query GetCustomerMonitorId($id: ID!) {
+        customer(id: $id) {
+          id
+          metafield(namespace: "custom", key: "monitor_id") {
+            value
+          }
+        }
+      }
+    `;
+
+    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': accessToken,
+      },
+      body: JSON.stringify({ query, variables: { id: customerId } })
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      return data.data?.customer?.metafield?.value || null;
+    }
+    
+    return null;
+  } catch (error) {
+    console.error("Error fetching customer Monitor ID:", error);
+    return null;
+  }
+}
+
+/**
+ * Format price for display
+ */
+function formatPrice(price) {
+  if (price === null || price === undefined) return 'Ingen prissättning';
+  return formatSek(price);
+}
+
+/**
+ * Get human-readable price source label
+ */
+function getPriceSourceLabel(priceSource) {
+  switch (priceSource) {
+    case 'outlet': return 'Outlet';
+    case 'customer-specific': return 'Kundspecifik';
+    case 'no-price': return 'Ingen prissättning';
+    case 'error': return 'Fel';
+    default: return 'Okänd';
+  }
+}
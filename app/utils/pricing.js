@@ -0,0 +1,332 @@
+// app/utils/pricing.js
+// Customer prices from Monitor, used in-process by the storefront pricing endpoints (api.pricing-public*.js,
+// api.comparison-price-public.js), draft orders and quotes (draft-orders.js) and pricelists (pricelist.js).
+// Prices are read through the price cache (price-cache.js) and priced in the part's standard unit.
+
+import { MonitorClient, fetchPartStandardUnitId } from "./monitor.js";
+import { MonitorError, MonitorNotFound, MonitorValidationError } from "./monitor-errors.js";
+import { getPriceInfo, getPriceInfoMany } from "./price-cache.js";
+import { getPriceBreaks, unitPriceAt } from "./price-breaks.js";
+import { explainPriceInfo, priceSourceOf } from "./price-explanation.js";
+import { shopifyGraphQL } from "./shopify-admin.js";
+
+// Shared MonitorClient for session management (stored in DB, shared across endpoints)
+let _monitorClient = null;
+function getMonitorClient() {
+  if (!_monitorClient) {
+    _monitorClient = new MonitorClient();
+  }
+  return _monitorClient;
+}
+
+/**
+ * Whether Monitor credentials are set, without them nothing can be priced
+ * @returns {boolean}
+ */
+export function isMonitorConfigured() {
+  return Boolean(process.env.MONITOR_URL && process.env.MONITOR_USER && process.env.MONITOR_COMPANY);
+}
+
+/**
+ * Whether a product is an outlet product, by its "outlet" tag or an outlet collection. Only reported to the
+ * storefront: outlet products are priced by GetPriceInfo like every other part.
+ * @param {Object} product - Shopify product with tags and/or collections.edges[].node { handle, title }
+ * @returns {boolean}
+ */
+export function isOutletProduct(product) {
+  if (product?.tags?.includes('outlet')) return true;
+  return (product?.collections?.edges || []).some(edge =>
+    edge.node.handle === 'outlet' || edge.node.title?.toLowerCase().includes('outlet')
+  );
+}
+
+/**
+ * The Monitor part, StandardUnitId and outlet flag of a variant, from its metafields and product. For carts that
+ * don't have the metafields at hand.
+ * @param {string} shop - myshopify domain
+ * @param {string} accessToken - Admin API token of the shop
+ * @param {string} variantId - Variant GID
+ * @returns {Promise<Object>} { monitorId, standardUnitId, isOutletProduct }; all null if the variant isn't found
+ */
+export async function fetchVariantPricingFields(shop, accessToken, variantId) {
+  const data = await shopifyGraphQL(shop, accessToken, `
+    query getVariantPricingFields($id: ID!) {
+      productVariant(id: $id) {
+        monitorIdMetafield: metafield(namespace: "custom", key: "monitor_id") {
+          value
+        }
+        unitIdMetafield: metafield(namespace: "custom", key: "unitid") {
+          value
+        }
+        product {
+          tags
+          collections(first: 10) {
+            edges {
+              node {
+                handle
+                title
+              }
+            }
+          }
+        }
+      }
+    }
+  `, { id: variantId });
+
+  const variant = data?.productVariant;
+  if (!variant) {
+    console.log(`Variant ${variantId} not found, can't read its pricing metafields`);
+    return { monitorId: null, standardUnitId: null, isOutletProduct: null };
+  }
+  return {
+    monitorId: variant.monitorIdMetafield?.value || null,
+    standardUnitId: variant.unitIdMetafield?.value || null,
+    isOutletProduct: isOutletProduct(variant.product),
+  };
+}
+
+async function storeStandardUnitId(shop, accessToken, variantId, standardUnitId) {
+  try {
+    const data = await shopifyGraphQL(shop, accessToken, `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, {
+      metafields: [{
+        ownerId: variantId,
+        namespace: "custom",
+        key: "unitid",
+        value: String(standardUnitId),
+        type: "single_line_text_field"
+      }]
+    });
+
+    if (data?.metafieldsSet?.userErrors?.length > 0) {
+      console.error(`Could not store StandardUnitId for variant ${variantId}:`, data.metafieldsSet.userErrors);
+      return;
+    }
+    console.log(`✅ Stored StandardUnitId ${standardUnitId} in the unitid metafield of variant ${variantId}`);
+  } catch (error) {
+    console.error(`Could not store StandardUnitId for variant ${variantId}:`, error.message);
+  }
+}
+
+/**
+ * Fill in the StandardUnitId of items that don't have one, from the part in Monitor. With a shop and
+ * access token the fetched unit is stored in the variant's custom.unitid metafield, so it isn't fetched again.
+ * @param {Array<Object>} items - { monitorId, standardUnitId, variantId, ... }
+ * @param {Object} [shopify] - { shop, accessToken }
+ * @returns {Promise<Array<Object>>} Copies of the items; standardUnitId is null if Monitor has none
+ */
+export async function resolveStandardUnitIds(items, { shop, accessToken } = {}) {
+  // Part ID -> promise of its StandardUnitId, so a part is only looked up once
+  const lookups = new Map();
+
+  return Promise.all(items.map(async (item) => {
+    if (item.standardUnitId || !item.monitorId) return { ...item, standardUnitId: item.standardUnitId || null };
+
+    if (!lookups.has(item.monitorId)) {
+      console.log(`⚠️ StandardUnitId missing for ${item.monitorId}, fetching from Monitor API...`);
+      lookups.set(item.monitorId, fetchPartStandardUnitId(item.monitorId));
+    }
+    const standardUnitId = await lookups.get(item.monitorId);
+    if (!standardUnitId) {
+      console.log(`⚠️ No StandardUnitId found for ${item.monitorId}`);
+    } else if (shop && accessToken && item.variantId) {
+      await storeStandardUnitId(shop, accessToken, item.variantId, standardUnitId);
+    }
+    return { ...item, standardUnitId };
+  }));
+}
+
+/**
+ * Prices of parts for a Monitor customer, at the quantities asked for. Parts without a Monitor ID or unit are
+ * left unpriced, the others are priced together in one cached GetPriceInfo(/Many) call.
+ * @param {string} customerMonitorId - Monitor customer ID
+ * @param {Array<Object>} items - { monitorId, standardUnitId, quantity, variantId }; quantity is in the standard
+ *   unit (default 1) and a missing standardUnitId is resolved with resolveStandardUnitIds()
+ * @param {Object} [options] - { explain, shop, accessToken }; explain adds explainPriceInfo() to each price,
+ *   shop and accessToken are passed on to resolveStandardUnitIds()
+ * @returns {Promise<{prices: Array<Object>, hits: number, misses: number, error: MonitorError|null}>} Prices in
+ *   item order: { ...item, quantity, price (unit price), totalPrice, calculatedPrice, unitPrice, discountPercent,
+ *   priceBreaks, priceSource, explanation }. priceSource is a priceSourceOf() value, or api-not-configured,
+ *   missing-monitor-ids, missing-unit-id or api-error; error is set when Monitor couldn't price the items.
+ */
+export async function getCustomerPrices(customerMonitorId, items, { explain = false, shop, accessToken } = {}) {
+  const resolved = isMonitorConfigured() ? await resolveStandardUnitIds(items, { shop, accessToken }) : items;
+
+  const prices = resolved.map(item => {
+    const quantity = item.quantity ?? 1;
+    let priceSource = "no-price";
+    if (!isMonitorConfigured()) priceSource = "api-not-configured";
+    else if (!item.monitorId) priceSource = "missing-monitor-ids";
+    else if (!item.standardUnitId) priceSource = "missing-unit-id";
+
+    return {
+      ...item,
+      quantity,
+      price: null,
+      totalPrice: null,
+      calculatedPrice: null,
+      unitPrice: null,
+      discountPercent: null,
+      priceBreaks: [],
+      priceSource,
+      ...(explain && { explanation: explainPriceInfo(null, quantity) }),
+    };
+  });
+
+  const toPrice = prices.filter(price => price.priceSource === "no-price");
+  if (toPrice.length === 0) return { prices, hits: 0, misses: 0, error: null };
+
+  const requests = toPrice.map(price => ({
+    PartId: price.monitorId,
+    CustomerId: customerMonitorId,
+    QuantityInUnit: price.quantity,
+    UnitId: price.standardUnitId,
+    UseExtendedResult: true
+  }));
+
+  const client = getMonitorClient();
+  let priceInfo;
+  try {
+    if (requests.length === 1) {
+      const { response, cache } = await getPriceInfo(client, requests[0]);
+      priceInfo = { responses: [response], hits: cache === "HIT" ? 1 : 0, misses: cache === "HIT" ? 0 : 1 };
+    } else {
+      priceInfo = await getPriceInfoMany(client, requests);
+    }
+  } catch (error) {
+    if (!(error instanceof MonitorError)) throw error;
+    console.error(`Failed to price ${requests.length} parts for customer ${customerMonitorId}: ${error.status} ${error.name}`);
+    console.error(`Error response: ${error.body || error.message}`);
+    for (const price of toPrice) price.priceSource = "api-error";
+    return { prices, hits: 0, misses: 0, error };
+  }
+
+  let priceBreaks = [];
+  try {
+    priceBreaks = await getPriceBreaks(client, requests);
+  } catch (error) {
+    if (!(error instanceof MonitorError)) throw error;
+    console.error(`Failed to fetch price breaks for customer ${customerMonitorId}: ${error.status} ${error.name}`);
+  }
+
+  toPrice.forEach((price, index) => {
+    const response = priceInfo.responses[index];
+    // TotalPrice is for the whole quantity, the storefront shows the unit price
+    price.price = unitPriceAt(response, price.quantity);
+    price.totalPrice = response?.TotalPrice ?? null;
+    price.calculatedPrice = response?.CalculatedTotalPrice ?? null;
+    price.unitPrice = response?.UnitPrice ?? null;
+    price.discountPercent = response?.DiscountPercent ?? null;
+    price.priceBreaks = priceBreaks[index] || [];
+    price.priceSource = priceSourceOf(response);
+    if (explain) price.explanation = explainPriceInfo(response, price.quantity);
+  });
+
+  return { prices, hits: priceInfo.hits, misses: priceInfo.misses, error: null };
+}
+
+/**
+ * Customer price for one part, see getCustomerPrices()
+ * @param {string} customerMonitorId - Monitor customer ID
+ * @param {Object} item - { monitorId, standardUnitId, quantity, variantId }
+ * @param {Object} [options] - { explain, shop, accessToken }
+ * @returns {Promise<Object>} The price, plus cache ("HIT"/"MISS", null if Monitor wasn't asked) and error
+ */
+export async function getCustomerPrice(customerMonitorId, item, options = {}) {
+  const { prices: [price], hits, misses, error } = await getCustomerPrices(customerMonitorId, [item], options);
+  return { ...price, cache: hits ? "HIT" : misses ? "MISS" : null, error };
+}
+
+/**
+ * Comparison unit code of a part, from its KNENH extra field
+ * @param {string} partId - The Monitor Part ID
+ * @returns {Promise<string|null>} The SelectedOption.Code or null if not found
+ */
+async function fetchKNENHCode(partId) {
+  const data = await getMonitorClient().odata("Common/ExtraFields", {
+    filter: `ParentId eq '${partId}' and Identifier eq 'KNENH'`,
+    expand: "SelectedOption",
+  });
+
+  if (data.length === 0) {
+    console.log(`No KNENH extra field found for part ${partId}`);
+    return null;
+  }
+
+  const code = data[0]?.SelectedOption?.Code;
+  if (!code) {
+    console.log(`KNENH found but no SelectedOption.Code for part ${partId}`);
+    return null;
+  }
+
+  console.log(`Found KNENH code: ${code} for part ${partId}`);
+  return code;
+}
+
+/**
+ * Fetch Unit ID from Monitor by unit code
+ * @param {string} unitCode - The unit code (e.g., "m", "kg")
+ * @returns {Promise<string|null>} The Unit ID or null if not found
+ */
+async function fetchUnitIdByCode(unitCode) {
+  const data = await getMonitorClient().odata("Common/Units", {
+    filter: `Code eq '${unitCode}'`,
+  });
+
+  if (data.length === 0) {
+    console.log(`No unit found with code: ${unitCode}`);
+    return null;
+  }
+
+  const unitId = data[0]?.Id;
+  console.log(`Found unit ID: ${unitId} for code: ${unitCode}`);
+  return unitId;
+}
+
+/**
+ * Price of one comparison unit of a part (e.g. per m² for a board sold per piece). The comparison unit is the
+ * part's KNENH extra field.
+ * @param {string} customerMonitorId - Monitor customer ID
+ * @param {string} partId - The Monitor Part ID
+ * @returns {Promise<Object>} { comparisonPrice, unitCode, unitId, cache }, with a reason (no-knenh-field,
+ *   unit-not-found or price-fetch-failed) when comparisonPrice is null. Other Monitor errors are thrown.
+ */
+export async function getComparisonPrice(customerMonitorId, partId) {
+  const unitCode = await fetchKNENHCode(partId);
+  if (!unitCode) return { comparisonPrice: null, reason: "no-knenh-field" };
+
+  const unitId = await fetchUnitIdByCode(unitCode);
+  if (!unitId) return { comparisonPrice: null, reason: "unit-not-found" };
+
+  let response;
+  let cache;
+  try {
+    ({ response, cache } = await getPriceInfo(getMonitorClient(), {
+      "PartId": partId,
+      "CustomerId": customerMonitorId,
+      "QuantityInUnit": 1.0,
+      "UnitId": unitId,
+      "UseExtendedResult": true
+    }));
+  } catch (error) {
+    // Monitor rejects GetPriceInfo for parts/units it cannot price, which just means there is no comparison price
+    if (error instanceof MonitorValidationError || error instanceof MonitorNotFound) {
+      console.error(`Failed to fetch price for part ${partId} with unit ${unitId}: ${error.status}`);
+      return { comparisonPrice: null, reason: "price-fetch-failed", cache: null };
+    }
+    throw error;
+  }
+  console.log(`GetPriceInfo response for comparison price (cache ${cache}):`, response);
+
+  const comparisonPrice = response?.TotalPrice || null;
+  if (comparisonPrice === null) return { comparisonPrice: null, reason: "price-fetch-failed", cache };
+  return { comparisonPrice, unitCode, unitId, cache };
+}
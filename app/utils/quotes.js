@@ -0,0 +1,279 @@
+// app/utils/quotes.js
+// Quotes (offerter) requested from the cart. The cart is priced like a checkout (app/utils/draft-orders.js) and
+// saved as a Quote; a "quote" job from the job queue then creates the quotation in Monitor and emails the PDF.
+// The customer can accept an open, unexpired quote from the account page, which creates a draft order at the
+// quoted prices. Requests come through the app proxy, see api.quotes.js.
+
+import prisma from "../db.server.js";
+import { enqueueJob } from "./job-queue.js";
+import { createQuoteInMonitor } from "./monitor.js";
+import { beamSubRowContent } from "./order-export.js";
+import { cartLinesTotal, createDraftOrder } from "./draft-orders.js";
+import { createPdfDocument, drawLogo, formatSek } from "./pdf.js";
+import { sendQuoteEmail } from "./email.js";
+
+export const QUOTE_VALID_DAYS = 30;
+
+function quoteNumber(quote) {
+  return quote.monitorQuoteNumber || `W${quote.id}`;
+}
+
+// Open quotes past their validity show as expired
+function quoteStatus(quote, now = new Date()) {
+  return quote.status === "open" && quote.validUntil < now ? "expired" : quote.status;
+}
+
+function summarizeQuote(quote) {
+  const lines = JSON.parse(quote.lines);
+  return {
+    id: quote.id,
+    number: quoteNumber(quote),
+    status: quoteStatus(quote),
+    total: quote.total,
+    lineCount: lines.length,
+    validUntil: quote.validUntil.toISOString().slice(0, 10),
+    createdAt: quote.createdAt.toISOString().slice(0, 10),
+    draftOrderName: quote.draftOrderName,
+  };
+}
+
+/**
+ * Save a priced cart as a quote and queue the Monitor quotation and the email
+ * @param {Object} params - { shop, customerId, customerEmail, monitorCustomerId, lines, goodsLabel, orderMark }
+ *   where customerId is the numeric Shopify customer ID and lines come from buildCartLines()
+ * @returns {Promise<Object>} The quote as returned by listCustomerQuotes()
+ */
+export async function requestQuote({ shop, customerId, customerEmail, monitorCustomerId, lines, goodsLabel, orderMark }) {
+  const quote = await prisma.quote.create({
+    data: {
+      shop,
+      customerId: String(customerId),
+      customerEmail,
+      monitorCustomerId,
+      lines: JSON.stringify(lines),
+      goodsLabel: goodsLabel || null,
+      orderMark: orderMark || null,
+      total: cartLinesTotal(lines),
+      validUntil: new Date(Date.now() + QUOTE_VALID_DAYS * 24 * 60 * 60 * 1000),
+    },
+  });
+
+  const { job } = await enqueueJob("quote", { quoteId: quote.id }, { dedupeKey: `quote:${quote.id}` });
+  console.log(`📝 Quote #${quote.id} requested by customer ${customerId} (${lines.length} lines, ${quote.total}), queued as job #${job.id}`);
+
+  return summarizeQuote(quote);
+}
+
+function monitorQuoteRows(lines) {
+  const rows = [];
+  for (const line of lines) {
+    if (!line.monitorId) {
+      console.warn(`Variant ${line.variantId} has no monitor_id metafield, left out of the Monitor quote`);
+      continue;
+    }
+    const row = {
+      PartId: line.monitorId,
+      OrderedQuantity: line.isDecimalUnit ? line.displayQuantity : line.quantity,
+      UnitPrice: parseFloat(line.customPrice),
+    };
+    const subRowContent = line.beamSummary ? beamSubRowContent(line.beamSummary) : null;
+    if (subRowContent) {
+      row.SubRowContent = subRowContent;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Job handler: create the quotation in Monitor and email the PDF. Each step is recorded on the quote,
+ * so a retry after a failed email doesn't create a second quotation.
+ * @param {Object} payload - { quoteId }
+ */
+export async function runQuoteJob({ quoteId }) {
+  let quote = await prisma.quote.findUnique({ where: { id: quoteId } });
+  if (!quote) {
+    console.log(`Quote #${quoteId} no longer exists, nothing to do`);
+    return;
+  }
+  const lines = JSON.parse(quote.lines);
+
+  if (!quote.monitorQuoteId) {
+    const rows = monitorQuoteRows(lines);
+    if (rows.length === 0) {
+      throw new Error(`Quote #${quote.id} has no rows with a Monitor part`);
+    }
+    const { quoteId: monitorQuoteId, quoteNumber: monitorQuoteNumber } = await createQuoteInMonitor({
+      CustomerId: quote.monitorCustomerId,
+      BusinessContactOrderNumber: quote.orderMark || `Webboffert ${quote.id}`,
+      ValidToDate: quote.validUntil.toISOString().slice(0, 10),
+      Rows: rows,
+    });
+    quote = await prisma.quote.update({ where: { id: quote.id }, data: { monitorQuoteId, monitorQuoteNumber } });
+    console.log(`✅ Created Monitor quote ${monitorQuoteNumber || monitorQuoteId} for quote #${quote.id}`);
+  }
+
+  if (!quote.emailedAt) {
+    if (!quote.customerEmail) {
+      throw new Error(`Quote #${quote.id}: the customer has no email address`);
+    }
+    const pdf = await generateQuotePDF(quote);
+    await sendQuoteEmail(quote.customerEmail, {
+      number: quoteNumber(quote),
+      total: quote.total,
+      validUntil: quote.validUntil,
+      lineCount: lines.length,
+    }, pdf);
+    await prisma.quote.update({
+      where: { id: quote.id },
+      data: { emailedAt: new Date(), status: quote.status === "requested" ? "open" : quote.status },
+    });
+  }
+}
+
+/**
+ * A customer's quotes, newest first
+ * @param {string} customerId - Numeric Shopify customer ID
+ * @returns {Promise<Array>} { id, number, status, total, lineCount, validUntil, createdAt, draftOrderName }
+ */
+export async function listCustomerQuotes(customerId) {
+  const quotes = await prisma.quote.findMany({
+    where: { customerId: String(customerId) },
+    orderBy: { createdAt: "desc" },
+    take: 50,
+  });
+  return quotes.map(summarizeQuote);
+}
+
+/**
+ * A quote, but only if it belongs to the customer
+ * @param {string} customerId - Numeric Shopify customer ID
+ * @param {number} quoteId - Quote id
+ * @returns {Promise<Object|null>} The Quote row, or null if it doesn't exist or belongs to someone else
+ */
+export async function getCustomerQuote(customerId, quoteId) {
+  if (!Number.isInteger(quoteId)) return null;
+  const quote = await prisma.quote.findUnique({ where: { id: quoteId } });
+  if (!quote || quote.customerId !== String(customerId)) {
+    return null;
+  }
+  return quote;
+}
+
+/**
+ * Accept a quote: create a draft order at the quoted prices
+ * @param {Object} quote - Quote row from getCustomerQuote()
+ * @param {Object} params - { apiDomain, accessToken }
+ * @returns {Promise<Object>} { draftOrder } or { error }
+ */
+export async function acceptQuote(quote, { apiDomain, accessToken }) {
+  const status = quoteStatus(quote);
+  if (status === "expired") return { error: "Offerten har gått ut. Begär en ny offert." };
+  if (status === "accepted") return { error: `Offerten är redan accepterad (${quote.draftOrderName}).` };
+  if (status !== "open") return { error: "Offerten är inte klar ännu." };
+
+  // Claim the quote so a double click can't create two draft orders
+  const claimed = await prisma.quote.updateMany({
+    where: { id: quote.id, status: "open", validUntil: { gte: new Date() } },
+    data: { status: "accepting" },
+  });
+  if (claimed.count === 0) {
+    return { error: "Offerten kan inte accepteras just nu." };
+  }
+
+  try {
+    const { draftOrder, errors } = await createDraftOrder({
+      apiDomain,
+      accessToken,
+      customerId: `gid://shopify/Customer/${quote.customerId}`,
+      lines: JSON.parse(quote.lines),
+      goodsLabel: quote.goodsLabel,
+      orderMark: quote.orderMark || `Offert ${quoteNumber(quote)}`,
+    });
+    if (errors) {
+      throw new Error(`Shopify refused the draft order: ${JSON.stringify(errors)}`);
+    }
+
+    await prisma.quote.update({
+      where: { id: quote.id },
+      data: { status: "accepted", acceptedAt: new Date(), draftOrderId: String(draftOrder.id), draftOrderName: draftOrder.name },
+    });
+    console.log(`✅ Quote ${quoteNumber(quote)} accepted as draft order ${draftOrder.name}`);
+    return { draftOrder };
+  } catch (error) {
+    await prisma.quote.update({ where: { id: quote.id }, data: { status: "open" } });
+    throw error;
+  }
+}
+
+/**
+ * Render a quote
+ * @param {Object} quote - Quote row
+ * @returns {Promise<Buffer>} The PDF
+ */
+export async function generateQuotePDF(quote) {
+  const lines = JSON.parse(quote.lines);
+  const { doc, finished } = createPdfDocument();
+  drawLogo(doc);
+
+  doc.fontSize(20).text(`Offert ${quoteNumber(quote)}`, { align: "right" });
+  doc.fontSize(10).text(`Datum: ${quote.createdAt.toLocaleDateString("sv-SE")}`, { align: "right" });
+  doc.text(`Giltig till: ${quote.validUntil.toLocaleDateString("sv-SE")}`, { align: "right" });
+  doc.moveDown();
+  if (quote.customerEmail) doc.text(`Kund: ${quote.customerEmail}`);
+  if (quote.orderMark) doc.text(`Märkning: ${quote.orderMark}`);
+  if (quote.goodsLabel) doc.text(`Godsmärkning: ${quote.goodsLabel}`);
+  doc.moveDown(2);
+
+  // Table - A4 portrait: 595pts width, with 30pt margins = 535pts usable width
+  const columns = { sku: 30, product: 120, quantity: 330, price: 410, amount: 485 };
+  const drawHeader = (y) => {
+    doc.fontSize(9).font("Helvetica-Bold");
+    doc.text("Artikelnr", columns.sku, y);
+    doc.text("Produkt", columns.product, y);
+    doc.text("Antal", columns.quantity, y);
+    doc.text("À-pris", columns.price, y);
+    doc.text("Belopp", columns.amount, y);
+    doc.moveTo(30, y + 15).lineTo(565, y + 15).stroke();
+    doc.font("Helvetica");
+    return y + 25;
+  };
+
+  let yPosition = drawHeader(doc.y);
+  for (const line of lines) {
+    if (yPosition > 720) {
+      doc.addPage();
+      yPosition = drawHeader(50);
+    }
+    const quantity = line.isDecimalUnit ? line.displayQuantity : line.quantity;
+    const title = `${line.productTitle}${line.variantTitle && line.variantTitle !== "Default" ? " - " + line.variantTitle : ""}`;
+    doc.text(line.sku || "", columns.sku, yPosition, { width: 85 });
+    doc.text(title.substring(0, 45), columns.product, yPosition, { width: 205 });
+    doc.text(`${String(quantity).replace(".", ",")} ${line.standardUnit || "st"}`, columns.quantity, yPosition, { width: 75 });
+    doc.text(formatSek(parseFloat(line.customPrice)), columns.price, yPosition, { width: 70 });
+    doc.text(formatSek(cartLinesTotal([line])), columns.amount, yPosition, { width: 80 });
+    yPosition += 18;
+
+    if (line.beamSummary) {
+      doc.fontSize(8).text(`Balkspecifikation: ${line.beamSummary}`, columns.product, yPosition - 4, { width: 300 });
+      doc.fontSize(9);
+      yPosition += 12;
+    }
+  }
+
+  yPosition += 10;
+  doc.moveTo(30, yPosition).lineTo(565, yPosition).stroke();
+  doc.fontSize(10).font("Helvetica-Bold")
+    .text(`Summa exkl. moms: ${formatSek(quote.total)}`, 30, yPosition + 10, { align: "right", width: 535 });
+  doc.font("Helvetica");
+
+  doc.fontSize(8).text(
+    `Priserna gäller till ${quote.validUntil.toLocaleDateString("sv-SE")}. Accepteras under Mina offerter på ditt konto.`,
+    30,
+    yPosition + 40,
+    { align: "center", width: 535 }
+  );
+
+  doc.end();
+  return finished;
+}
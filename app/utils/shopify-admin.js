@@ -0,0 +1,85 @@
+// app/utils/shopify-admin.js
+
+export const SHOPIFY_ADMIN_API_VERSION = "2025-01";
+
+/**
+ * Build a Shopify Admin API URL for a shop.
+ * SHOPIFY_ADMIN_API_ORIGIN overrides https://{shop}, which lets the sync jobs
+ * run against scripts/dev/shopify-admin-simulator.js instead of a real store.
+ * @param {string} shop - The shop domain (e.g. store.myshopify.com)
+ * @param {string} path - Path after /admin/api/{version}, e.g. "/graphql.json"
+ * @returns {string} The full URL
+ */
+export function shopifyAdminUrl(shop, path) {
+  const origin = process.env.SHOPIFY_ADMIN_API_ORIGIN || `https://${shop}`;
+  return `${origin}/admin/api/${SHOPIFY_ADMIN_API_VERSION}${path}`;
+}
+
+/**
+ * Shopify Admin GraphQL endpoint for a shop
+ * @param {string} shop - The shop domain
+ * @returns {string} The GraphQL endpoint URL
+ */
+export function shopifyGraphQLUrl(shop) {
+  return shopifyAdminUrl(shop, "/graphql.json");
+}
+
+// Keep this many cost points in the bucket so paging through a long list doesn't starve the other jobs
+const THROTTLE_RESERVE_POINTS = 200;
+const MAX_THROTTLE_RETRIES = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run an Admin GraphQL query. THROTTLED responses are retried with exponential backoff
+ * (1s, 2s, 4s, 8s, 16s), and when the query left the cost bucket nearly empty the call waits
+ * for it to refill before returning, so loops over pages stay within the rate limit.
+ * @param {string} shop - The shop domain
+ * @param {string} accessToken - Admin API token
+ * @param {string} query - GraphQL query or mutation
+ * @param {Object} [variables] - Query variables
+ * @returns {Promise<Object>} The data of the response; throws on HTTP and GraphQL errors
+ */
+export async function shopifyGraphQL(shop, accessToken, query, variables = {}) {
+  const fetch = (await import('node-fetch')).default;
+
+  for (let retryCount = 0; ; retryCount++) {
+    const response = await fetch(shopifyGraphQLUrl(shop), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': accessToken,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Shopify GraphQL request failed with ${response.status}: ${await response.text()}`);
+    }
+
+    const result = await response.json();
+
+    if (result.errors?.some(error => error.extensions?.code === 'THROTTLED')) {
+      if (retryCount >= MAX_THROTTLE_RETRIES) {
+        throw new Error("Shopify API throttling - max retries exceeded");
+      }
+      const waitTime = Math.pow(2, retryCount) * 1000;
+      console.log(`Shopify API throttled. Waiting ${waitTime / 1000}s before retry ${retryCount + 1}/${MAX_THROTTLE_RETRIES}...`);
+      await sleep(waitTime);
+      continue;
+    }
+
+    if (result.errors) {
+      throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+    }
+
+    const throttleStatus = result.extensions?.cost?.throttleStatus;
+    if (throttleStatus && throttleStatus.currentlyAvailable < THROTTLE_RESERVE_POINTS) {
+      const waitTime = Math.ceil((THROTTLE_RESERVE_POINTS - throttleStatus.currentlyAvailable) / throttleStatus.restoreRate) * 1000;
+      console.log(`Shopify API cost bucket low (${throttleStatus.currentlyAvailable} points left), waiting ${waitTime / 1000}s`);
+      await sleep(waitTime);
+    }
+
+    return result.data;
+  }
+}
@@ -0,0 +1,111 @@
+// app/utils/sync-cursor.js
+// Per-entity watermark for incremental syncs: the last Monitor ModifiedTimestamp that was synced. Parts and
+// customers that failed are kept in SyncRetry, so one entity that keeps failing doesn't hold the cursor back.
+
+import prisma from "../db.server.js";
+
+// Lookback used the first time an entity is synced incrementally (no cursor stored yet)
+const INITIAL_LOOKBACK_MS = 60 * 60 * 1000;
+
+/**
+ * Get the point in time incremental syncs for this entity should read changes from
+ * @param {string} entity - 'products' or 'customers'
+ * @returns {Promise<Date>} The stored cursor, or one hour ago if there is none yet
+ */
+export async function getSyncCursor(entity) {
+  const cursor = await prisma.syncCursor.findUnique({ where: { entity } });
+  if (cursor) return cursor.lastModifiedAt;
+
+  const since = new Date(Date.now() - INITIAL_LOOKBACK_MS);
+  console.log(`🕒 No sync cursor stored for ${entity} yet, starting from ${since.toISOString()}`);
+  return since;
+}
+
+/**
+ * Move the cursor forward after a successful sync. Never moves it backwards,
+ * so an older run finishing late can't undo a newer one.
+ * @param {string} entity - 'products' or 'customers'
+ * @param {Date|string|null} lastModifiedAt - Latest ModifiedTimestamp that was synced
+ */
+export async function advanceSyncCursor(entity, lastModifiedAt) {
+  if (!lastModifiedAt) return;
+  const timestamp = new Date(lastModifiedAt);
+
+  const { count } = await prisma.syncCursor.updateMany({
+    where: { entity, lastModifiedAt: { lt: timestamp } },
+    data: { lastModifiedAt: timestamp },
+  });
+  if (count === 0) {
+    // Either there is no cursor yet or it's already at/after this timestamp
+    const existing = await prisma.syncCursor.findUnique({ where: { entity } });
+    if (existing) return;
+    await prisma.syncCursor.create({ data: { entity, lastModifiedAt: timestamp } });
+  }
+  console.log(`🕒 Advanced ${entity} sync cursor to ${timestamp.toISOString()}`);
+}
+
+/**
+ * Monitor IDs that failed an earlier incremental sync and should be synced again
+ * @param {string} entity - 'products' or 'customers'
+ * @returns {Promise<string[]>} Part or customer IDs
+ */
+export async function getSyncRetryIds(entity) {
+  const retries = await prisma.syncRetry.findMany({ where: { entity }, select: { entityId: true } });
+  return retries.map(retry => retry.entityId);
+}
+
+/**
+ * Update the retry list after an incremental sync: entities that synced are dropped from it, failed ones are added
+ * (or have their attempts counted up)
+ * @param {string} entity - 'products' or 'customers'
+ * @param {string[]} attemptedIds - Monitor IDs the sync tried
+ * @param {Map<string, string>} failures - Monitor ID -> error message of the IDs that failed
+ */
+export async function recordSyncRetries(entity, attemptedIds, failures) {
+  const synced = attemptedIds.map(String).filter(id => !failures.has(id));
+  if (synced.length > 0) {
+    await prisma.syncRetry.deleteMany({ where: { entity, entityId: { in: synced } } });
+  }
+
+  for (const [entityId, lastError] of failures) {
+    await prisma.syncRetry.upsert({
+      where: { entity_entityId: { entity, entityId: String(entityId) } },
+      update: { attempts: { increment: 1 }, lastError },
+      create: { entity, entityId: String(entityId), lastError },
+    });
+  }
+  if (failures.size > 0) {
+    console.log(`🔁 ${failures.size} ${entity} failed to sync and will be retried by the next incremental sync`);
+  }
+}
+
+/**
+ * Set the cursor back to replay every change since the given date, e.g. after an incident
+ * @param {string} entity - 'products' or 'customers'
+ * @param {Date} since - New cursor position
+ */
+export async function rewindSyncCursor(entity, since) {
+  await prisma.syncCursor.upsert({
+    where: { entity },
+    update: { lastModifiedAt: since },
+    create: { entity, lastModifiedAt: since },
+  });
+  console.log(`⏪ Rewound ${entity} sync cursor to ${since.toISOString()}`);
+}
+
+/**
+ * Parse the value of a --rewind-cursor <date> command line flag
+ * @param {string[]} args - Command line arguments
+ * @returns {Date|null} The date, or null if the flag isn't present
+ */
+export function parseRewindCursorArg(args) {
+  const index = args.indexOf("--rewind-cursor");
+  if (index === -1) return null;
+
+  const value = args[index + 1];
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    throw new Error(`--rewind-cursor requires a date, e.g. --rewind-cursor 2025-06-01T08:00:00Z (got "${value ?? ""}")`);
+  }
+  return date;
+}
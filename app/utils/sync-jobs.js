@@ -0,0 +1,125 @@
+// app/utils/sync-jobs.js
+// Schedule of the worker's sync jobs and the wrapper every queued sync run goes through (worker cron and dashboard)
+
+import { recordSyncRun, SYNC_RUN_SKIPPED } from "./sync-runs.js";
+import { enqueueJob } from "./job-queue.js";
+
+/**
+ * Jobs scheduled by app/worker.js. Cron expressions are evaluated in the server's local time (UTC on Railway).
+ */
+export const SYNC_JOBS = [
+  { jobName: "ORDER-POLL", title: "Order polling", cron: "*/5 * * * *", schedule: "Every 5 minutes" },
+  { jobName: "ORDER-STATUS-SYNC", title: "Order status feedback", cron: "20,50 * * * *", schedule: "Every 30 minutes (at :20 and :50)" },
+  { jobName: "INVENTORY-SYNC", title: "Inventory sync", cron: "0 22 * * *", schedule: "Daily at 23:00 Swedish time (22:00 UTC)" },
+  { jobName: "PRODUCT-SYNC", title: "Product sync", cron: "0,15,30,45 * * * *", schedule: "Every 15 minutes, incremental" },
+  { jobName: "CUSTOMER-SYNC", title: "Customer sync", cron: "2,12,22,32,42,52 * * * *", schedule: "Every 10 minutes, incremental" },
+];
+
+/**
+ * Get the schedule entry of a job
+ * @param {string} jobName - e.g. PRODUCT-SYNC
+ * @returns {Object} The entry from SYNC_JOBS
+ */
+export function getSyncJob(jobName) {
+  const job = SYNC_JOBS.find(entry => entry.jobName === jobName);
+  if (!job) throw new Error(`Unknown sync job: ${jobName}`);
+  return job;
+}
+
+function cronFieldMatches(field, value) {
+  return field.split(",").some(part => {
+    if (part === "*") return true;
+    if (part.startsWith("*/")) return value % parseInt(part.slice(2), 10) === 0;
+    return parseInt(part, 10) === value;
+  });
+}
+
+/**
+ * Next time a cron expression fires. Only supports what SYNC_JOBS uses:
+ * numbers, lists, * and *\/n in the minute and hour fields, * in the rest.
+ * @param {string} expression - Five field cron expression
+ * @param {Date} [from] - Start looking after this time
+ * @returns {Date|null} Next run, or null if there is none within two days
+ */
+export function nextScheduledRun(expression, from = new Date()) {
+  const [minute, hour] = expression.split(" ");
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+
+  for (let i = 0; i < 2 * 24 * 60; i++) {
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    if (cronFieldMatches(minute, candidate.getMinutes()) && cronFieldMatches(hour, candidate.getHours())) {
+      return new Date(candidate);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that the advanced store the sync jobs write to is configured
+ * @returns {Object|false} { domain, token } or false if missing
+ */
+export function checkAdvancedStoreConfig() {
+  const advancedStoreDomain = process.env.ADVANCED_STORE_DOMAIN;
+  const advancedStoreToken = process.env.ADVANCED_STORE_ADMIN_TOKEN;
+
+  if (!advancedStoreDomain || !advancedStoreToken) {
+    console.log("❌ Advanced store configuration missing - ADVANCED_STORE_DOMAIN and ADVANCED_STORE_ADMIN_TOKEN are required");
+    return false;
+  }
+
+  return { domain: advancedStoreDomain, token: advancedStoreToken };
+}
+
+// Queue dedupe key of a sync job. A single product sync ([false, partNumber]) gets its own, so a queued product sync
+// doesn't swallow it; the run still takes the PRODUCT-SYNC lock like every other product sync.
+function syncJobDedupeKey(jobName, args) {
+  if (jobName === "PRODUCT-SYNC" && args[1]) return `sync:${jobName}:${args[1]}`;
+  return `sync:${jobName}`;
+}
+
+/**
+ * Queue a sync job for the worker. A job that is already queued or running isn't queued again.
+ * @param {string} jobName - e.g. PRODUCT-SYNC
+ * @param {string} trigger - cron, api or webhook
+ * @param {Array} [args] - Arguments for the job, e.g. [true] for an incremental sync
+ * @returns {Promise<Object>} { job, queued } from enqueueJob()
+ */
+export async function enqueueSyncJob(jobName, trigger, args = []) {
+  getSyncJob(jobName); // throws for unknown jobs
+  return enqueueJob("sync", { jobName, trigger, args }, { dedupeKey: syncJobDedupeKey(jobName, args), maxAttempts: 3 });
+}
+
+/**
+ * Run a sync job against the advanced store and record it in the SyncRun table.
+ * Errors are rethrown so the job queue retries the run.
+ * @param {string} jobName - e.g. PRODUCT-SYNC
+ * @param {string} trigger - cron, manual, api or webhook
+ * @param {Function} syncFunction - The job, e.g. syncProducts
+ * @param {...*} args - Arguments for the job
+ */
+export async function runSyncJob(jobName, trigger, syncFunction, ...args) {
+  const config = checkAdvancedStoreConfig();
+  if (!config) {
+    throw new Error(`[${jobName}] Advanced store not configured`);
+  }
+
+  console.log(`[${jobName}] Running sync for Advanced store: ${config.domain}`);
+
+  // Set global flag to use advanced store for this sync
+  const originalUseAdvancedStore = global.useAdvancedStore;
+  global.useAdvancedStore = true;
+
+  try {
+    const result = await recordSyncRun(jobName, trigger, () => syncFunction(...args));
+    if (result !== SYNC_RUN_SKIPPED) {
+      console.log(`[${jobName}] ✅ Sync completed successfully`);
+    }
+  } catch (error) {
+    console.error(`[${jobName}] ❌ Sync failed:`, error);
+    throw error;
+  } finally {
+    // Restore original flag
+    global.useAdvancedStore = originalUseAdvancedStore;
+  }
+}
@@ -0,0 +1,208 @@
+// app/utils/sync-runs.js
+// Records every sync job run in the SyncRun table (with per-entity failures in SyncRunFailure)
+
+import { AsyncLocalStorage } from "async_hooks";
+import prisma from "../db.server.js";
+import { acquireJobLock } from "./job-lock.js";
+
+// Failure rows stored per run, the rest are only counted
+const MAX_FAILURE_ROWS = 200;
+const MAX_ERROR_SUMMARY_LENGTH = 2000;
+
+const runStorage = new AsyncLocalStorage();
+
+/**
+ * Collects the outcome of one run. Jobs get it through currentSyncRun().
+ */
+class SyncRunTracker {
+  constructor() {
+    this.createdCount = 0;
+    this.updatedCount = 0;
+    this.skippedCount = 0;
+    this.failedCount = 0;
+    this.failures = [];
+    this.errors = [];
+  }
+
+  created(count = 1) {
+    this.createdCount += count;
+  }
+
+  updated(count = 1) {
+    this.updatedCount += count;
+  }
+
+  skipped(count = 1) {
+    this.skippedCount += count;
+  }
+
+  /**
+   * One entity (product, customer, part, order...) could not be synced
+   * @param {string|null} entityId - Identifier that makes sense for the job, e.g. product name or draft order name
+   * @param {string} message - What went wrong
+   */
+  failed(entityId, message) {
+    this.failedCount++;
+    if (this.failures.length < MAX_FAILURE_ROWS) {
+      this.failures.push({ entityId: entityId != null ? String(entityId) : null, message: String(message) });
+    }
+  }
+
+  /**
+   * The run as a whole failed but the job handled it without throwing (e.g. missing configuration)
+   * @param {string} message - What went wrong
+   */
+  error(message) {
+    this.errors.push(String(message));
+  }
+}
+
+// Used when a job runs outside recordSyncRun(), e.g. from the sync harness
+const noopTracker = new SyncRunTracker();
+noopTracker.failed = () => {};
+noopTracker.error = () => {};
+
+/**
+ * Tracker of the run the current code is executing in
+ * @returns {SyncRunTracker} The tracker, or a no-op tracker outside recordSyncRun()
+ */
+export function currentSyncRun() {
+  return runStorage.getStore() ?? noopTracker;
+}
+
+// Returned by recordSyncRun() when the job didn't run because another run holds its lock
+export const SYNC_RUN_SKIPPED = Symbol("SYNC_RUN_SKIPPED");
+
+/**
+ * Run a sync job and record it in the SyncRun table. Only one run per job at a time
+ * (see job-lock.js); a run that finds the job already running is recorded as skipped.
+ * Failing to write the record is logged but never fails the job itself.
+ * @param {string} jobName - e.g. PRODUCT-SYNC, CUSTOMER-SYNC, INVENTORY-SYNC, ORDER-POLL, ORDER-STATUS-SYNC
+ * @param {string} trigger - cron (worker), manual (CLI), api (started from the dashboard) or webhook
+ * @param {Function} syncFunction - The job to run
+ * @returns {Promise<*>} Whatever the job returns, or SYNC_RUN_SKIPPED; errors are rethrown after recording
+ */
+export async function recordSyncRun(jobName, trigger, syncFunction) {
+  const lock = await acquireJobLock(jobName);
+  if (!lock.acquired) {
+    const since = lock.acquiredAt ? new Date(lock.acquiredAt).toISOString() : "unknown time";
+    const reason = `Skipped, already running (held by ${lock.owner} since ${since})`;
+    console.log(`⏭️ [${jobName}] ${reason}`);
+    await recordSkippedRun(jobName, trigger, reason);
+    return SYNC_RUN_SKIPPED;
+  }
+
+  try {
+    return await runAndRecord(jobName, trigger, syncFunction);
+  } finally {
+    await lock.release();
+  }
+}
+
+async function recordSkippedRun(jobName, trigger, reason) {
+  try {
+    const now = new Date();
+    await prisma.syncRun.create({
+      data: { jobName, trigger, status: "skipped", startedAt: now, finishedAt: now, errorSummary: reason },
+    });
+  } catch (error) {
+    console.error(`⚠️ [${jobName}] Could not record skipped sync run:`, error.message);
+  }
+}
+
+async function runAndRecord(jobName, trigger, syncFunction) {
+  const tracker = new SyncRunTracker();
+
+  let run = null;
+  try {
+    run = await prisma.syncRun.create({ data: { jobName, trigger, status: "running" } });
+  } catch (error) {
+    console.error(`⚠️ [${jobName}] Could not record sync run start:`, error.message);
+  }
+
+  let thrown = null;
+  try {
+    return await runStorage.run(tracker, syncFunction);
+  } catch (error) {
+    thrown = error;
+    throw error;
+  } finally {
+    if (run) {
+      await finishSyncRun(run.id, jobName, tracker, thrown);
+    }
+  }
+}
+
+async function finishSyncRun(runId, jobName, tracker, thrown) {
+  let status = "succeeded";
+  if (thrown || tracker.errors.length > 0) {
+    status = "failed";
+  } else if (tracker.failedCount > 0) {
+    status = "partial";
+  }
+
+  const summaryLines = [...tracker.errors];
+  if (thrown) summaryLines.push(thrown.message || String(thrown));
+  if (tracker.failedCount > 0) {
+    summaryLines.push(`${tracker.failedCount} entities failed`);
+  }
+  const errorSummary = summaryLines.length > 0 ? summaryLines.join("\n").slice(0, MAX_ERROR_SUMMARY_LENGTH) : null;
+
+  try {
+    await prisma.syncRun.update({
+      where: { id: runId },
+      data: {
+        status,
+        finishedAt: new Date(),
+        createdCount: tracker.createdCount,
+        updatedCount: tracker.updatedCount,
+        skippedCount: tracker.skippedCount,
+        failedCount: tracker.failedCount,
+        errorSummary,
+      },
+    });
+    if (tracker.failures.length > 0) {
+      await prisma.syncRunFailure.createMany({
+        data: tracker.failures.map(failure => ({ runId, ...failure })),
+      });
+    }
+  } catch (error) {
+    console.error(`⚠️ [${jobName}] Could not record sync run result:`, error.message);
+  }
+}
+
+/**
+ * Latest runs, newest first
+ * @param {Object} [options] - { jobName, statuses, take }
+ * @returns {Promise<Array>} SyncRun rows including their failures
+ */
+export async function getRecentSyncRuns({ jobName, statuses, take = 20 } = {}) {
+  return prisma.syncRun.findMany({
+    where: {
+      ...(jobName ? { jobName } : {}),
+      ...(statuses ? { status: { in: statuses } } : {}),
+    },
+    orderBy: { startedAt: "desc" },
+    take,
+    include: { failures: true },
+  });
+}
+
+/**
+ * Number of runs per status for a job since the given time
+ * @param {string} jobName - e.g. PRODUCT-SYNC
+ * @param {Date} since - Start of the window
+ * @returns {Promise<Object>} { succeeded, partial, failed, skipped, running }
+ */
+export async function countSyncRunsByStatus(jobName, since) {
+  const groups = await prisma.syncRun.groupBy({
+    by: ["status"],
+    where: { jobName, startedAt: { gte: since } },
+    _count: { _all: true },
+  });
+  const counts = { succeeded: 0, partial: 0, failed: 0, skipped: 0, running: 0 };
+  for (const group of groups) {
+    counts[group.status] = group._count._all;
+  }
+  return counts;
+}
@@ -1,121 +1,33 @@
 import "@shopify/shopify-api/adapters/node";
 import cron from "node-cron";
 import dotenv from "dotenv";
-import https from "https";
 import { pollForNewOrders } from "./orderPollJob.js";
+import { syncOrderStatuses } from "./orderStatusJob.js";
 import { syncInventory } from "./syncInventoryJob.js";
 import { syncProducts } from "./syncProductsJob.js";
 import { syncCustomers } from "./syncCustomersJob.js";
 import fetch from "node-fetch";
+import { SYNC_JOBS, getSyncJob, checkAdvancedStoreConfig, enqueueSyncJob, runSyncJob } from "./utils/sync-jobs.js";
+import { startQueueWorker } from "./utils/job-queue.js";
+import { generateAndSendPricelist } from "./utils/pricelist.js";
+import { runDraftOrderExportJob } from "./utils/order-export.js";
+import { runOrderAmendmentJob } from "./utils/order-amendments.js";
+import { runOrderCancellationJob } from "./utils/order-cancellations.js";
+import { runQuoteJob } from "./utils/quotes.js";
+import { testMonitorConnection, testShopifyConnection } from "./utils/connectivity.js";
 
 dotenv.config();
 
-// HTTPS agent for Monitor API (self-signed certificate)
-const agent = new https.Agent({ rejectUnauthorized: false });
-
-// Function to test Monitor API connectivity
-async function testMonitorConnection() {
-  const monitorUrl = process.env.MONITOR_URL;
-  const monitorUsername = process.env.MONITOR_USER;
-  const monitorPassword = process.env.MONITOR_PASS;
-  const monitorCompany = process.env.MONITOR_COMPANY;
-
-  if (!monitorUrl || !monitorUsername || !monitorPassword || !monitorCompany) {
-    console.log("❌ Monitor API: Missing configuration (MONITOR_URL, MONITOR_USER, MONITOR_PASS, MONITOR_COMPANY)");
-    return false;
-  }
-
-  try {
-    const url = `${monitorUrl}/${monitorCompany}/login`;
-    const res = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Accept: "application/json",
-        "Cache-Control": "no-cache",
-      },
-      body: JSON.stringify({
-        Username: monitorUsername,
-        Password: monitorPassword,
-        ForceRelogin: true,
-      }),
-      agent,
-    });
-
-    if (!res.ok) {
-      console.log(`❌ Monitor API: Login failed (Status: ${res.status})`);
-      return false;
-    }
-
-    const sessionId = res.headers.get("x-monitor-sessionid") || res.headers.get("X-Monitor-SessionId");
-    if (!sessionId) {
-      console.log("❌ Monitor API: No session ID returned");
-      return false;
-    }
-
-    console.log("✅ Monitor API: Connection successful");
-    return true;
-  } catch (error) {
-    console.log(`❌ Monitor API: Connection failed - ${error.message}`);
-    return false;
-  }
-}
-
-// Function to test Shopify API connectivity
-async function testShopifyConnection() {
-  const shop = process.env.ADVANCED_STORE_DOMAIN;
-  const accessToken = process.env.ADVANCED_STORE_ADMIN_TOKEN;
-
-  if (!shop || !accessToken) {
-    console.log("❌ Shopify API: Missing configuration (ADVANCED_STORE_DOMAIN, ADVANCED_STORE_ADMIN_TOKEN)");
-    return false;
-  }
-
-  const testQuery = `query {
-    shop {
-      id
-      name
-    }
-  }`;
-
-  try {
-    const response = await fetch(`https://${shop}/admin/api/2025-01/graphql.json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': accessToken,
-      },
-      body: JSON.stringify({ query: testQuery }),
-    });
-
-    const result = await response.json();
-    
-    if (result.errors) {
-      console.log(`❌ Shopify API: GraphQL errors - ${JSON.stringify(result.errors)}`);
-      return false;
-    }
-
-    if (result.data?.shop?.name) {
-      console.log(`✅ Shopify API: Connection successful (Shop: ${result.data.shop.name})`);
-      return true;
-    }
-
-    console.log("❌ Shopify API: Unexpected response format");
-    return false;
-  } catch (error) {
-    console.log(`❌ Shopify API: Connection failed - ${error.message}`);
-    return false;
-  }
-}
-
 // Function to run connectivity tests
 async function runConnectivityTests() {
   console.log("\n🧪 Running connectivity tests...\n");
   
-  const [monitorOk, shopifyOk] = await Promise.all([
+  const [monitor, shopify] = await Promise.all([
     testMonitorConnection(),
     testShopifyConnection()
   ]);
+  const monitorOk = monitor.ok;
+  const shopifyOk = shopify.ok;
 
   console.log("\n📊 Connectivity Test Results:");
   console.log(`   Monitor API: ${monitorOk ? '✅ OK' : '❌ FAILED'}`);
@@ -136,79 +48,88 @@ async function logRailwayIP() {
   }
 }
 
-// Helper function to check if advanced store is configured
-function checkAdvancedStoreConfig() {
-  const advancedStoreDomain = process.env.ADVANCED_STORE_DOMAIN;
-  const advancedStoreToken = process.env.ADVANCED_STORE_ADMIN_TOKEN;
-  
-  if (!advancedStoreDomain || !advancedStoreToken) {
-    console.log("❌ Advanced store configuration missing - ADVANCED_STORE_DOMAIN and ADVANCED_STORE_ADMIN_TOKEN are required");
-    return false;
-  }
-  
-  return { domain: advancedStoreDomain, token: advancedStoreToken };
-}
-
-// Helper function to run sync job with error handling
-async function runSyncJob(jobName, syncFunction, ...args) {
-  const config = checkAdvancedStoreConfig();
-  if (!config) {
-    console.log(`❌ [${jobName}] Skipping sync - advanced store not configured`);
-    return;
-  }
-
-  console.log(`[${jobName}] Running sync for Advanced store: ${config.domain}`);
-  
-  // Set global flag to use advanced store for this sync
-  const originalUseAdvancedStore = global.useAdvancedStore;
-  global.useAdvancedStore = true;
-  
-  try {
-    await syncFunction(...args);
-    console.log(`[${jobName}] ✅ Sync completed successfully`);
-  } catch (error) {
-    console.error(`[${jobName}] ❌ Sync failed:`, error);
-  } finally {
-    // Restore original flag
-    global.useAdvancedStore = originalUseAdvancedStore;
-  }
+const SYNC_FUNCTIONS = {
+  "ORDER-POLL": pollForNewOrders,
+  "ORDER-STATUS-SYNC": syncOrderStatuses,
+  "INVENTORY-SYNC": syncInventory,
+  "PRODUCT-SYNC": syncProducts,
+  "CUSTOMER-SYNC": syncCustomers,
+};
+
+// Cron ticks only queue the job; the queue worker runs it and retries failed runs
+function scheduleSyncJob(jobName, message, args = []) {
+  cron.schedule(getSyncJob(jobName).cron, () => {
+    console.log(`[${jobName}] ${message}`);
+    enqueueSyncJob(jobName, "cron", args).then(({ job, queued }) => {
+      if (!queued) {
+        console.log(`⏭️ [${jobName}] Not queued, job #${job.id} is still ${job.status}`);
+      }
+    }).catch((error) => {
+      console.error(`[${jobName}] ❌ Could not queue sync:`, error);
+    });
+  });
 }
 
 // Set up all cron jobs for worker mode
 function setupCronJobs() {
   // Order polling every 5 minutes
-  cron.schedule("*/5 * * * *", () => {
-    console.log("[ORDER-POLL] Checking for new orders...");
-    pollForNewOrders().catch((error) => {
-      console.error("[ORDER-POLL] ❌ Order polling failed:", error);
-    });
-  });
+  scheduleSyncJob("ORDER-POLL", "Checking for new orders...");
+
+  // Monitor order status back to Shopify every 30 minutes (at minutes 20, 50)
+  scheduleSyncJob("ORDER-STATUS-SYNC", "Checking Monitor status of exported orders...");
 
   // Inventory sync daily at 23:00 Swedish time (22:00 UTC)
-  cron.schedule("0 22 * * *", () => {
-    console.log("[INVENTORY-SYNC] Running scheduled inventory sync...");
-    runSyncJob("INVENTORY-SYNC", syncInventory);
-  });
+  scheduleSyncJob("INVENTORY-SYNC", "Running scheduled inventory sync...");
 
   // Product sync every 15 minutes (at minutes 0, 15, 30, 45)
-  cron.schedule("0,15,30,45 * * * *", () => {
-    console.log("[PRODUCT-SYNC] Running scheduled incremental product sync...");
-    runSyncJob("PRODUCT-SYNC", syncProducts, true); // true = incremental sync
-  });
+  scheduleSyncJob("PRODUCT-SYNC", "Running scheduled incremental product sync...", [true]); // true = incremental sync
 
   // Customer sync every 10 minutes (at minutes 2, 12, 22, 32, 42, 52) - offset to avoid conflicts
-  cron.schedule("2,12,22,32,42,52 * * * *", () => {
-    console.log("[CUSTOMER-SYNC] Running scheduled incremental customer sync...");
-    runSyncJob("CUSTOMER-SYNC", syncCustomers, true); // true = incremental sync
-  });
+  scheduleSyncJob("CUSTOMER-SYNC", "Running scheduled incremental customer sync...", [true]); // true = incremental sync
   
   console.log("📅 Worker cron jobs scheduled:");
   console.log("  - Order polling: every 5 minutes");
+  console.log("  - Order status feedback: every 30 minutes (at :20, :50)");
   console.log("  - Inventory sync: daily at 23:00 Swedish time (22:00 UTC)");
   console.log("  - Product sync: every 15 minutes (at :00, :15, :30, :45)");
   console.log("  - Customer sync: every 10 minutes (at :02, :12, :22, :32, :42, :52)");
 }
 
+// Drain the job queue: sync runs (from cron and the dashboard), pricelists (from api.pricelist),
+// quotes (from api.quotes), order exports (from the draft_orders/update webhook) and order amendments
+// (from the orders/updated webhook)
+function startQueueWorkers() {
+  // One slot per sync job; JobLock keeps runs of the same job from overlapping
+  startQueueWorker({
+    name: "sync",
+    concurrency: SYNC_JOBS.length,
+    handlers: {
+      sync: ({ jobName, trigger, args }) => runSyncJob(jobName, trigger, SYNC_FUNCTIONS[jobName], ...args),
+    },
+  });
+
+  // One at a time, in the order the webhooks arrived
+  startQueueWorker({
+    name: "orders",
+    concurrency: 1,
+    handlers: {
+      "order-export": runDraftOrderExportJob,
+      "order-amendment": runOrderAmendmentJob,
+      "order-cancellation": runOrderCancellationJob,
+    },
+  });
+
+  // Separate lane so a long inventory sync never holds up a customer's pricelist or quote
+  startQueueWorker({
+    name: "pricelist",
+    concurrency: 2,
+    handlers: {
+      pricelist: generateAndSendPricelist,
+      quote: runQuoteJob,
+    },
+  });
+}
+
 // Display usage instructions
 const args = process.argv.slice(2);
 if (args.includes('--help') || args.includes('-h')) {
@@ -226,8 +147,12 @@ Individual manual syncs:
   npm run manual-sync-customers                   # Manual customer sync  
   npm run manual-sync-inventory                   # Manual inventory sync
 
+📬 The worker also processes the job queue (queued syncs, order exports and amendments, pricelists and quotes),
+   see npm run job-queue -- --help
+
 🕐 Worker Schedule (Production only):
   - Order polling: every 5 minutes
+  - Order status feedback: every 30 minutes (at :20, :50)
   - Inventory sync: daily at 23:00 Swedish time (22:00 UTC)
   - Product sync: every 15 minutes (at :00, :15, :30, :45, incremental)
   - Customer sync: every 10 minutes (at :02, :12, :22, :32, :42, :52, incremental)
@@ -312,11 +237,13 @@ if (isTesting) {
   });
 
   setupCronJobs();
+  startQueueWorkers();
   
   console.log("✅ Worker is running and scheduled jobs are active");
   console.log("💡 Worker will continue running indefinitely until stopped");
 } else {
   setupCronJobs();
+  startQueueWorkers();
   
   console.log("✅ Worker is running and scheduled jobs are active");
   console.log("💡 Worker will continue running indefinitely until stopped");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "MonitorSession" ADD COLUMN "version" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "MonitorSession" ADD COLUMN "leaseOwner" TEXT;
+ALTER TABLE "MonitorSession" ADD COLUMN "leaseExpiresAt" DATETIME;
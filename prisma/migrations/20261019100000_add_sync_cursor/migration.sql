@@ -0,0 +1,6 @@
+-- CreateTable
+CREATE TABLE "SyncCursor" (
+    "entity" TEXT NOT NULL PRIMARY KEY,
+    "lastModifiedAt" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "JobLock" (
+    "jobName" TEXT NOT NULL PRIMARY KEY,
+    "owner" TEXT,
+    "acquiredAt" DATETIME,
+    "expiresAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "OrderExport" (
+    "draftOrderId" TEXT NOT NULL PRIMARY KEY,
+    "draftOrderName" TEXT NOT NULL,
+    "monitorCustomerId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "createStartedAt" DATETIME,
+    "monitorOrderId" TEXT,
+    "monitorOrderNumber" TEXT,
+    "createdInMonitorAt" DATETIME,
+    "draftRenamedAt" DATETIME,
+    "propertiesSetAt" DATETIME,
+    "addressSetAt" DATETIME,
+    "markedSentAt" DATETIME,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "OrderExport" ADD COLUMN "nextAttemptAt" DATETIME;
+ALTER TABLE "OrderExport" ADD COLUMN "handledAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "OrderExport_status_nextAttemptAt_idx" ON "OrderExport"("status", "nextAttemptAt");
+
+-- Unfinished exports from before the retry schedule are retried by the next order poll
+UPDATE "OrderExport" SET "nextAttemptAt" = CAST(strftime('%s', 'now') AS INTEGER) * 1000 WHERE "status" = 'pending';
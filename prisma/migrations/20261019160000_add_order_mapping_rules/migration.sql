@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "OrderMappingRule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "matchType" TEXT NOT NULL,
+    "matchKey" TEXT,
+    "matchValue" TEXT NOT NULL DEFAULT '',
+    "property" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- The mapping the order export used to hard-code
+INSERT INTO "OrderMappingRule" ("matchType", "matchValue", "property", "value", "position", "updatedAt") VALUES
+    ('shipping_title', 'Kranbil', 'OurReferenceName', '*** Kranbil ***', 10, CAST(strftime('%s', 'now') AS INTEGER) * 1000),
+    ('shipping_title', 'Hämtas', 'DeliveryMethodId', '1001713089519322776', 20, CAST(strftime('%s', 'now') AS INTEGER) * 1000),
+    ('always', '', 'OrderTypeId', '980267526921268926', 100, CAST(strftime('%s', 'now') AS INTEGER) * 1000);
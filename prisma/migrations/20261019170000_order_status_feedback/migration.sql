@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "OrderExport" ADD COLUMN "shopifyOrderId" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "monitorState" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "statusSignature" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "statusSyncedAt" DATETIME;
+ALTER TABLE "OrderExport" ADD COLUMN "fulfilledAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "OrderExport_status_monitorState_idx" ON "OrderExport"("status", "monitorState");
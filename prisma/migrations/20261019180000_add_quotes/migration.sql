@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "Quote" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "customerEmail" TEXT,
+    "monitorCustomerId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'requested',
+    "lines" TEXT NOT NULL,
+    "goodsLabel" TEXT,
+    "orderMark" TEXT,
+    "total" REAL NOT NULL,
+    "validUntil" DATETIME NOT NULL,
+    "monitorQuoteId" TEXT,
+    "monitorQuoteNumber" TEXT,
+    "emailedAt" DATETIME,
+    "draftOrderId" TEXT,
+    "draftOrderName" TEXT,
+    "acceptedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "Quote_customerId_createdAt_idx" ON "Quote"("customerId", "createdAt");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "OrderExport" ADD COLUMN "exportSnapshot" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "amendmentStatus" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "amendmentError" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "pendingAmendment" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "amendedAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "OrderExport_shopifyOrderId_idx" ON "OrderExport"("shopifyOrderId");
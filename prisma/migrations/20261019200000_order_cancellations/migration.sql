@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "OrderExport" ADD COLUMN "cancellationStatus" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "cancellationReason" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "cancellationError" TEXT;
+ALTER TABLE "OrderExport" ADD COLUMN "cancelledAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "OrderExport_cancellationStatus_idx" ON "OrderExport"("cancellationStatus");
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "SyncRetry" (
+    "entity" TEXT NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 1,
+    "lastError" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("entity", "entityId")
+);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "OrderExport" ADD COLUMN "rowUpdateStartedAt" DATETIME;
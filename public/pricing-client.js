@@ -2,33 +2,37 @@
  * Client-side helper for calling the pricing API
  */
 
+// The pricing endpoints are only served through the app proxy, which tells the app which customer is
+// logged in. A customerMonitorId in the request is only honored for sales reps.
+const PRICING_PROXY_PATH = '/apps/monitor';
+
 /**
  * Get dynamic price for a single variant for a logged-in customer
  * @param {string} variantId - Shopify variant ID (gid://shopify/ProductVariant/...)
  * @param {string} customerId - Shopify customer ID (required)
  * @param {string} monitorId - Monitor ID for the specific variant (optional)
- * @returns {Promise<{price: number, metadata?: object}>}
+ * @param {number} quantity - Quantity to price, in the part's standard unit (optional, defaults to 1)
+ * @returns {Promise<{price: number, totalPrice?: number, priceBreaks?: Array<{minimumQuantity: number, price: number}>, metadata?: object}>}
+ *   price is the unit price at the quantity, priceBreaks the quantities from which the unit price is lower
  */
-async function getCustomerPrice(variantId, customerId, monitorId = null) {
+async function getCustomerPrice(variantId, customerId, monitorId = null, quantity = 1) {
   if (!customerId) {
     throw new Error('Customer ID is required - no anonymous pricing allowed');
   }
 
   try {
-    // Use the public pricing endpoint to avoid authentication issues
-    const apiUrl = window.pricingApiUrl ? 
-      `https://${window.pricingApiUrl}/api/pricing-public` : 
-      '/api/pricing-public';
+    const apiUrl = `${PRICING_PROXY_PATH}/pricing-public`;
     
     const requestBody = {
       variantId,
-      customerId,
-      shop: window.Shopify?.shop || window.pricingApiUrl?.replace('.myshopify.com', ''),
       monitorId: monitorId || window.currentVariantMonitorId || null,
       isOutletProduct: window.isOutletProduct || false,
       customerMonitorId: window.customerMonitorId || null,
       customerDiscountCategory: window.customerDiscountCategory || null,
-      customerPriceListId: window.customerPriceListId || null
+      customerPriceListId: window.customerPriceListId || null,
+      quantity,
+      // Only honored for sales reps, who get a breakdown of where the price comes from
+      explain: window.isSalesRep === true
     };
 
     const response = await fetch(apiUrl, {
@@ -139,7 +143,7 @@ async function updatePriceDisplay(variantId, priceSelector, customerId) {
       priceElement.textContent = formattedPrice;
 
       // Add a data attribute to indicate dynamic pricing
-      if (priceData.metadata?.priceSource === 'dynamic') {
+      if (['customer-agreement', 'discount-category'].includes(priceData.metadata?.priceSource)) {
         priceElement.setAttribute('data-dynamic-price', 'true');
         priceElement.setAttribute('title', 'Special customer pricing applied');
       }
@@ -168,6 +172,8 @@ async function updatePriceDisplay(variantId, priceSelector, customerId) {
         if (contactForPrice) contactForPrice.classList.add('hidden');
       });
       
+      renderPriceExplanation(priceData.explanation);
+
       // Enable add to cart button
       enableAddToCartButton();
     } else {
@@ -225,6 +231,39 @@ async function updatePriceDisplay(variantId, priceSelector, customerId) {
   }
 }
 
+/**
+ * Show sales reps where the price comes from, below the product price
+ * @param {object|undefined} explanation - explanation from the pricing API (sales reps only)
+ */
+function renderPriceExplanation(explanation) {
+  let container = document.querySelector('.price-explanation');
+  if (!explanation) {
+    if (container) container.remove();
+    return;
+  }
+
+  if (!container) {
+    const priceContainer = document.querySelector('.f-price');
+    if (!priceContainer) return;
+    container = document.createElement('div');
+    container.className = 'price-explanation';
+    container.style.cssText = 'font-size:12px;color:#555;margin-top:4px;';
+    priceContainer.insertAdjacentElement('afterend', container);
+  }
+
+  const parts = [explanation.label];
+  if (explanation.listPrice !== null && explanation.listPrice !== explanation.unitPrice) {
+    parts.push(`listpris ${formatPrice(explanation.listPrice)}`);
+  }
+  if (explanation.discountPercent > 0) {
+    parts.push(`rabatt ${String(explanation.discountPercent).replace('.', ',')} %`);
+  }
+  if (explanation.validFrom || explanation.validTo) {
+    parts.push(`giltigt ${explanation.validFrom || ''}–${explanation.validTo || ''}`);
+  }
+  container.textContent = parts.join(' · ');
+}
+
 /**
  * Set price loading state - useful for variant changes
  */
@@ -282,9 +321,9 @@ function formatPrice(price) {
 
 /**
  * Get prices for multiple variants in a single batch request
- * @param {Array<{variantId: string, monitorId: string, standardUnitId?: string}>} items - Array of items to get prices for
+ * @param {Array<{variantId: string, monitorId: string, standardUnitId?: string, quantity?: number}>} items - Array of items to get prices for
  * @param {string} customerId - Shopify customer ID (required)
- * @returns {Promise<Array<{variantId: string, monitorId: string, price: number|null, metadata?: object}>>}
+ * @returns {Promise<Array<{variantId: string, monitorId: string, price: number|null, quantity: number, priceBreaks: Array, metadata?: object}>>}
  */
 async function getBatchPrices(items, customerId) {
   if (!customerId) {
@@ -296,15 +335,11 @@ async function getBatchPrices(items, customerId) {
   }
 
   try {
-    const apiUrl = window.pricingApiUrl ?
-      `https://${window.pricingApiUrl}/api/pricing-public-batch` :
-      '/api/pricing-public-batch';
+    const apiUrl = `${PRICING_PROXY_PATH}/pricing-public-batch`;
 
     const requestBody = {
       items,
-      customerId,
-      customerMonitorId: window.customerMonitorId || null,
-      shop: window.Shopify?.shop || window.location.hostname
+      customerMonitorId: window.customerMonitorId || null
     };
 
     console.log(`[Batch Pricing] Fetching prices for ${items.length} items`);
@@ -442,9 +477,7 @@ async function getComparisonPrice(monitorId, customerMonitorId) {
   }
 
   try {
-    const apiUrl = window.pricingApiUrl ?
-      `https://${window.pricingApiUrl}/api/comparison-price-public` :
-      '/api/comparison-price-public';
+    const apiUrl = `${PRICING_PROXY_PATH}/comparison-price-public`;
 
     const response = await fetch(apiUrl, {
       method: 'POST',
@@ -0,0 +1,929 @@
+// scripts/dev/monitor-simulator.js
+//
+// Local stand-in for the Monitor ERP API. It implements the endpoints used by
+// the sync jobs and the public API routes, backed by fixture data, so the app
+// can run end to end without VPN access to the real Monitor server.
+//
+// Start it from the command line:
+//   npm run monitor-simulator -- --port 4100
+//
+// and point the app at it:
+//   MONITOR_URL=http://localhost:4100 MONITOR_COMPANY=001.1 MONITOR_USER=simulator MONITOR_PASS=simulator
+//
+// Or import createMonitorSimulator() to run it inside a script.
+
+import http from "http";
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, "fixtures", "monitor.json");
+
+// Entity type ids used by fetchEntityChangeLogsFromMonitor
+const ENTITY_TYPES = {
+  products: "322cf0ac-10de-45ee-a792-f0944329d198",
+  customers: "6bd51ec8-abd3-4032-ac43-8ddc15ca1fbc",
+};
+
+// Navigation properties are only returned when they are listed in $expand
+const NAVIGATION_PROPERTIES = {
+  "Inventory/Parts": ["ExtraFields", "ProductGroup", "PartCode", "PartLocations", "PartPlanningInformations"],
+  "Sales/Customers": ["ExtraFields", "References", "ActiveDeliveryAddress"],
+  "Common/ExtraFields": ["SelectedOption"],
+  "Sales/CustomerOrders": ["Rows", "DeliveryAddress"],
+  "Sales/CustomerInvoices": ["Rows"],
+  "Sales/DeliveryNotes": ["Rows"],
+  "Sales/Quotes": ["Rows"],
+};
+
+/**
+ * Load fixture data from a JSON file
+ * @param {string} fixturesPath - Path to the fixtures file
+ * @returns {Object} Parsed fixtures
+ */
+export function loadMonitorFixtures(fixturesPath = DEFAULT_FIXTURES_PATH) {
+  return JSON.parse(readFileSync(fixturesPath, "utf8"));
+}
+
+/* ---------------------------------------------------------------------------
+ * OData query support
+ * ------------------------------------------------------------------------- */
+
+function tokenizeFilter(filter) {
+  const tokens = [];
+  let i = 0;
+  while (i < filter.length) {
+    const char = filter[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")" || char === ",") {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === "'") {
+      let value = "";
+      i++;
+      while (i < filter.length) {
+        if (filter[i] === "'" && filter[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (filter[i] === "'") {
+          break;
+        } else {
+          value += filter[i++];
+        }
+      }
+      i++;
+      tokens.push({ type: "literal", value });
+    } else {
+      const match = /^[^\s(),']+/.exec(filter.slice(i));
+      tokens.push({ type: "word", value: match[0] });
+      i += match[0].length;
+    }
+  }
+  return tokens;
+}
+
+const COMPARISON_OPERATORS = ["eq", "ne", "neq", "gt", "ge", "lt", "le"];
+const STRING_FUNCTIONS = ["startswith", "endswith", "contains"];
+
+function getFieldValue(record, fieldPath) {
+  return fieldPath.split("/").reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function parseLiteralWord(word) {
+  if (word === "null") return null;
+  if (word === "true") return true;
+  if (word === "false") return false;
+  return word;
+}
+
+function compareValues(left, operator, right) {
+  if (operator === "eq" || operator === "ne" || operator === "neq") {
+    // Ids are 64-bit numbers, so compare them as strings to keep precision
+    const equal = left == null || right == null ? left == right : String(left) === String(right);
+    return operator === "eq" ? equal : !equal;
+  }
+  if (left == null || right == null) return false;
+
+  let a = left;
+  let b = right;
+  const looksLikeDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value);
+  if (looksLikeDate(a) || looksLikeDate(b)) {
+    a = new Date(a).getTime();
+    b = new Date(b).getTime();
+  } else if (!isNaN(Number(a)) && !isNaN(Number(b))) {
+    a = Number(a);
+    b = Number(b);
+  }
+
+  switch (operator) {
+    case "gt": return a > b;
+    case "ge": return a >= b;
+    case "lt": return a < b;
+    case "le": return a <= b;
+    default: return false;
+  }
+}
+
+/**
+ * Compile an OData $filter expression into a predicate.
+ * Supports and/or/not, parentheses, eq/ne/gt/ge/lt/le (case-insensitive,
+ * including Monitor's "Neq") and startswith/endswith/contains.
+ * @param {string} filter - The $filter expression
+ * @returns {Function} Predicate taking a record
+ */
+export function compileODataFilter(filter) {
+  if (!filter) return () => true;
+  const tokens = tokenizeFilter(filter);
+  let position = 0;
+
+  const peekWord = () => tokens[position]?.type === "word" ? tokens[position].value.toLowerCase() : null;
+  const expect = (type) => {
+    if (tokens[position]?.type !== type) {
+      throw new Error(`Invalid $filter near token ${position}: expected '${type}'`);
+    }
+    return tokens[position++];
+  };
+
+  const parseOperand = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error("Invalid $filter: unexpected end of expression");
+    if (token.type === "literal") return { literal: token.value };
+    if (token.type !== "word") throw new Error(`Invalid $filter: unexpected '${token.type}'`);
+    const value = parseLiteralWord(token.value);
+    // Unquoted numbers and keywords are literals, everything else is a field path
+    if (value === null || typeof value === "boolean" || /^-?\d+(\.\d+)?$/.test(token.value)) {
+      return { literal: value };
+    }
+    return { field: token.value };
+  };
+
+  const resolve = (operand, record) => ("field" in operand ? getFieldValue(record, operand.field) : operand.literal);
+
+  const parsePrimary = () => {
+    if (tokens[position]?.type === "(") {
+      position++;
+      const inner = parseOr();
+      expect(")");
+      return inner;
+    }
+    const functionName = peekWord();
+    if (STRING_FUNCTIONS.includes(functionName) && tokens[position + 1]?.type === "(") {
+      position += 2;
+      const field = parseOperand();
+      expect(",");
+      const argument = parseOperand();
+      expect(")");
+      return (record) => {
+        const haystack = String(resolve(field, record) ?? "").toLowerCase();
+        const needle = String(resolve(argument, record) ?? "").toLowerCase();
+        if (functionName === "startswith") return haystack.startsWith(needle);
+        if (functionName === "endswith") return haystack.endsWith(needle);
+        return haystack.includes(needle);
+      };
+    }
+    const left = parseOperand();
+    const operator = peekWord();
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      throw new Error(`Invalid $filter: unsupported operator '${tokens[position]?.value}'`);
+    }
+    position++;
+    const right = parseOperand();
+    return (record) => compareValues(resolve(left, record), operator, resolve(right, record));
+  };
+
+  const parseUnary = () => {
+    if (peekWord() === "not") {
+      position++;
+      const inner = parseUnary();
+      return (record) => !inner(record);
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    let predicate = parseUnary();
+    while (peekWord() === "and") {
+      position++;
+      const left = predicate;
+      const right = parseUnary();
+      predicate = (record) => left(record) && right(record);
+    }
+    return predicate;
+  };
+
+  function parseOr() {
+    let predicate = parseAnd();
+    while (peekWord() === "or") {
+      position++;
+      const left = predicate;
+      const right = parseAnd();
+      predicate = (record) => left(record) || right(record);
+    }
+    return predicate;
+  }
+
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Invalid $filter: unexpected trailing tokens`);
+  }
+  return predicate;
+}
+
+/**
+ * Apply $filter, $orderby, $skip, $top, $expand and $select to a collection
+ * @param {Array} records - Collection to query
+ * @param {URLSearchParams} params - OData query parameters
+ * @param {Array<string>} navigationProperties - Properties that require $expand
+ * @returns {Array} The query result
+ */
+export function applyODataQuery(records, params, navigationProperties = []) {
+  let result = records.filter(compileODataFilter(params.get("$filter")));
+
+  const orderBy = params.get("$orderby");
+  if (orderBy) {
+    const [field, direction] = orderBy.trim().split(/\s+/);
+    const sign = direction?.toLowerCase() === "desc" ? -1 : 1;
+    result = [...result].sort((a, b) => {
+      if (compareValues(getFieldValue(a, field), "lt", getFieldValue(b, field))) return -sign;
+      if (compareValues(getFieldValue(a, field), "gt", getFieldValue(b, field))) return sign;
+      return 0;
+    });
+  }
+
+  const skip = parseInt(params.get("$skip") || "0", 10);
+  const top = params.has("$top") ? parseInt(params.get("$top"), 10) : undefined;
+  result = result.slice(skip, top !== undefined ? skip + top : undefined);
+
+  const expand = (params.get("$expand") || "").split(",").map(s => s.trim()).filter(Boolean);
+  const select = (params.get("$select") || "").split(",").map(s => s.trim()).filter(Boolean);
+
+  return result.map(record => projectRecord(record, navigationProperties, expand, select));
+}
+
+function projectRecord(record, navigationProperties, expand, select) {
+  const projected = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (navigationProperties.includes(key) && !expand.includes(key)) continue;
+    if (select.length > 0 && !select.includes(key) && !expand.includes(key)) continue;
+    projected[key] = value;
+  }
+  return structuredClone(projected);
+}
+
+/* ---------------------------------------------------------------------------
+ * Simulator
+ * ------------------------------------------------------------------------- */
+
+class MonitorApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+let idCounter = Date.now();
+function nextId() {
+  idCounter += 1;
+  return String(idCounter);
+}
+
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function buildState(fixtures) {
+  const data = structuredClone(fixtures);
+  const now = Date.now();
+
+  const entityChangeLogs = (data.entityChangeLogs || []).map(entry => ({
+    Id: nextId(),
+    EntityTypeId: entry.EntityTypeId,
+    EntityId: entry.EntityId,
+    ModifiedTimestamp: entry.ModifiedTimestamp || new Date(now - (entry.minutesAgo || 0) * 60000).toISOString(),
+  }));
+
+  return {
+    credentials: data.credentials || null,
+    units: data.units || [],
+    parts: data.parts || [],
+    customers: data.customers || [],
+    salesPrices: data.salesPrices || [],
+    customerPartLinks: data.customerPartLinks || [],
+    discountCategoryRows: data.discountCategoryRows || [],
+    stockTransactions: data.stockTransactions || [],
+    entityChangeLogs,
+    // Orders entered in Monitor directly (phone, sales reps); orders created through the API are added here too
+    customerOrders: data.customerOrders || [],
+    customerInvoices: data.customerInvoices || [],
+    deliveryNotes: data.deliveryNotes || [],
+    nextOrderNumber: 500001,
+    quotes: [],
+    nextQuoteNumber: 300001,
+    sessions: new Map(),
+    requests: [],
+  };
+}
+
+/**
+ * Create a Monitor API simulator
+ * @param {Object} options - Simulator options
+ * @param {Object} [options.fixtures] - Fixture data (defaults to scripts/dev/fixtures/monitor.json)
+ * @param {number} [options.latencyMs] - Delay added to every response
+ * @param {number} [options.sessionTtlMs] - Idle time after which a session expires with 401
+ * @param {boolean} [options.verbose] - Log every request
+ * @returns {Object} Simulator handle with server, state and failure controls
+ */
+export function createMonitorSimulator(options = {}) {
+  const fixtures = options.fixtures || loadMonitorFixtures();
+  const verbose = options.verbose ?? false;
+
+  let state = buildState(fixtures);
+  let latencyMs = options.latencyMs || 0;
+  const sessionTtlMs = options.sessionTtlMs || 0;
+  // Queue of injected failures, consumed by matching requests
+  let injectedFailures = [];
+
+  function findPart(partId) {
+    return state.parts.find(part => String(part.Id) === String(partId));
+  }
+
+  function findCustomer(customerId) {
+    return state.customers.find(customer => String(customer.Id) === String(customerId));
+  }
+
+  function extraFieldsCollection() {
+    const owners = [...state.parts, ...state.customers];
+    return owners.flatMap(owner => (owner.ExtraFields || []).map((field, index) => ({
+      Id: field.Id || `${owner.Id}${String(index).padStart(3, "0")}`,
+      ParentId: owner.Id,
+      ...field,
+    })));
+  }
+
+  function calculatePriceInfo(request) {
+    const part = findPart(request.PartId);
+    if (!part) {
+      throw new MonitorApiError(400, `Part ${request.PartId} does not exist`);
+    }
+    const customer = request.CustomerId ? findCustomer(request.CustomerId) : null;
+    if (request.CustomerId && !customer) {
+      throw new MonitorApiError(400, `Customer ${request.CustomerId} does not exist`);
+    }
+
+    const quantity = Number(request.QuantityInUnit ?? 1);
+    let unitPrice = part.StandardPrice || 0;
+    let discountPercent = 0;
+    let priceListId = null;
+    let discountCategoryId = null;
+    let validity = {};
+
+    // Price list rows with a FromQuantity are quantity breaks, the highest one reached applies
+    const salesPrice = customer && state.salesPrices
+      .filter(price => String(price.PriceListId) === String(customer.PriceListId) &&
+        String(price.PartId) === String(part.Id) && (price.FromQuantity || 1) <= quantity)
+      .sort((a, b) => (b.FromQuantity || 1) - (a.FromQuantity || 1))[0];
+    const listPrice = salesPrice ? salesPrice.Price : unitPrice;
+
+    const partLink = customer && state.customerPartLinks.find(link =>
+      String(link.CustomerId) === String(customer.Id) && String(link.PartId) === String(part.Id));
+
+    if (partLink) {
+      unitPrice = partLink.Price;
+      validity = partLink;
+    } else {
+      if (salesPrice) {
+        unitPrice = salesPrice.Price;
+        priceListId = salesPrice.PriceListId;
+        validity = salesPrice;
+      }
+      const discountRow = customer?.DiscountCategoryId && state.discountCategoryRows.find(row =>
+        String(row.DiscountCategoryId) === String(customer.DiscountCategoryId) &&
+        String(row.PartCodeId) === String(part.PartCodeId));
+      if (discountRow) {
+        discountPercent = discountRow.DiscountPercent || 0;
+        discountCategoryId = discountRow.DiscountCategoryId;
+      }
+    }
+
+    const totalPrice = roundPrice(unitPrice * (1 - discountPercent / 100) * quantity);
+    return {
+      PartId: part.Id,
+      CustomerId: customer?.Id || null,
+      UnitId: request.UnitId || part.StandardUnitId,
+      QuantityInUnit: quantity,
+      PriceListId: priceListId,
+      UnitPrice: unitPrice,
+      DiscountPercent: discountPercent,
+      TotalPrice: totalPrice,
+      CalculatedTotalPrice: totalPrice,
+      // Extended result (UseExtendedResult: true)
+      ...(request.UseExtendedResult && {
+        ListPrice: listPrice,
+        CustomerPartLinkId: partLink ? partLink.Id || null : null,
+        DiscountCategoryId: discountCategoryId,
+        ValidFrom: validity.ValidFrom || null,
+        ValidTo: validity.ValidTo || null,
+      }),
+    };
+  }
+
+  function calculateBalanceInfo(request) {
+    const part = findPart(request.PartId);
+    if (!part) {
+      throw new MonitorApiError(400, `Part ${request.PartId} does not exist`);
+    }
+    const balance = (part.PartLocations || [])
+      .filter(location => String(location.WarehouseId) === String(request.WarehouseId))
+      .reduce((sum, location) => sum + (location.Balance || 0), 0);
+    return {
+      PartId: part.Id,
+      WarehouseId: request.WarehouseId,
+      BalanceDate: request.BalanceDate || new Date().toISOString(),
+      PhysicalBalance: balance,
+      AvailableBalance: balance,
+    };
+  }
+
+  function createQuote(body) {
+    if (!body.CustomerId || !findCustomer(body.CustomerId)) {
+      throw new MonitorApiError(400, `Customer ${body.CustomerId} does not exist`);
+    }
+    if (!Array.isArray(body.Rows) || body.Rows.length === 0) {
+      throw new MonitorApiError(400, "A quote must have at least one row");
+    }
+    const rows = body.Rows.map((row, index) => {
+      if (!findPart(row.PartId)) {
+        throw new MonitorApiError(400, `Row ${index + 1}: part ${row.PartId} does not exist`);
+      }
+      return { Id: nextId(), RowNumber: index + 1, ...row };
+    });
+
+    const quote = {
+      Id: nextId(),
+      QuoteNumber: String(state.nextQuoteNumber++),
+      CustomerId: body.CustomerId,
+      BusinessContactOrderNumber: body.BusinessContactOrderNumber || null,
+      ValidToDate: body.ValidToDate || null,
+      QuoteDate: new Date().toISOString(),
+      Rows: rows,
+    };
+    state.quotes.push(quote);
+    console.log(`🧪 [Monitor simulator] Created quote ${quote.QuoteNumber} (${quote.Id}) with ${rows.length} rows`);
+
+    return { RootEntityId: quote.Id, EntityId: quote.Id, QuoteNumber: quote.QuoteNumber };
+  }
+
+  function findOrder(customerOrderId) {
+    const order = state.customerOrders.find(o => String(o.Id) === String(customerOrderId));
+    if (!order) {
+      throw new MonitorApiError(404, `Customer order ${customerOrderId} does not exist`);
+    }
+    return order;
+  }
+
+  function createCustomerOrder(body) {
+    if (!body.CustomerId || !findCustomer(body.CustomerId)) {
+      throw new MonitorApiError(400, `Customer ${body.CustomerId} does not exist`);
+    }
+    if (!Array.isArray(body.Rows) || body.Rows.length === 0) {
+      throw new MonitorApiError(400, "A customer order must have at least one row");
+    }
+    const rows = body.Rows.map((row, index) => {
+      if (!findPart(row.PartId)) {
+        throw new MonitorApiError(400, `Row ${index + 1}: part ${row.PartId} does not exist`);
+      }
+      return { Id: nextId(), RowNumber: index + 1, PickedQuantity: 0, DeliveredQuantity: 0, InvoicedQuantity: 0, ...row };
+    });
+
+    const order = {
+      Id: nextId(),
+      OrderNumber: String(state.nextOrderNumber++),
+      CustomerId: body.CustomerId,
+      OrderTypeId: body.OrderTypeId || null,
+      BusinessContactOrderNumber: body.BusinessContactOrderNumber || null,
+      IsStockOrder: body.IsStockOrder ?? false,
+      Preliminary: false,
+      Cancelled: false,
+      OrderDate: new Date().toISOString(),
+      Rows: rows,
+      DeliveryAddress: null,
+    };
+    state.customerOrders.push(order);
+    console.log(`🧪 [Monitor simulator] Created customer order ${order.OrderNumber} (${order.Id}) with ${rows.length} rows`);
+
+    return {
+      RootEntityId: order.Id,
+      EntityId: order.Id,
+      OrderNumber: order.OrderNumber,
+    };
+  }
+
+  function setOrderProperties(body) {
+    const order = findOrder(body.CustomerOrderId);
+    for (const [key, value] of Object.entries(body)) {
+      if (key === "CustomerOrderId") continue;
+      // Monitor commands wrap each property in { Value: ... }
+      order[key] = value && typeof value === "object" && "Value" in value ? value.Value : value;
+    }
+    return { RootEntityId: order.Id, EntityId: order.Id };
+  }
+
+  function updateDeliveryAddress(body) {
+    const order = findOrder(body.CustomerOrderId);
+    const address = {};
+    for (const [key, value] of Object.entries(body)) {
+      if (key === "CustomerOrderId") continue;
+      address[key] = value && typeof value === "object" && "Value" in value ? value.Value : value;
+    }
+    order.DeliveryAddress = { ...(order.DeliveryAddress || {}), ...address };
+    return { RootEntityId: order.Id, EntityId: order.Id };
+  }
+
+  // Like Monitor, rows that have been picked or delivered can't be changed any more
+  function updateOrderRows(body) {
+    const order = findOrder(body.CustomerOrderId);
+    const findRow = (rowId) => {
+      const row = order.Rows.find(r => String(r.Id) === String(rowId));
+      if (!row) throw new MonitorApiError(400, `Row ${rowId} does not exist on customer order ${order.OrderNumber}`);
+      if (row.PickedQuantity > 0 || row.DeliveredQuantity > 0) {
+        throw new MonitorApiError(400, `Row ${row.RowNumber} of customer order ${order.OrderNumber} has been picked or delivered`);
+      }
+      return row;
+    };
+
+    for (const update of body.UpdateRows || []) {
+      findRow(update.Id).OrderedQuantity = update.OrderedQuantity?.Value ?? update.OrderedQuantity;
+    }
+    for (const rowId of body.DeleteRowIds || []) {
+      const row = findRow(rowId);
+      order.Rows = order.Rows.filter(r => r !== row);
+    }
+    for (const [index, row] of (body.AddRows || []).entries()) {
+      if (!findPart(row.PartId)) {
+        throw new MonitorApiError(400, `Added row ${index + 1}: part ${row.PartId} does not exist`);
+      }
+      const rowNumber = Math.max(0, ...order.Rows.map(r => r.RowNumber)) + 1;
+      order.Rows.push({ Id: nextId(), RowNumber: rowNumber, PickedQuantity: 0, DeliveredQuantity: 0, InvoicedQuantity: 0, ...row });
+    }
+    console.log(`🧪 [Monitor simulator] Updated rows of customer order ${order.OrderNumber}: +${(body.AddRows || []).length} ~${(body.UpdateRows || []).length} -${(body.DeleteRowIds || []).length}`);
+    return { RootEntityId: order.Id, EntityId: order.Id };
+  }
+
+  function cancelOrder(body) {
+    const order = findOrder(body.CustomerOrderId);
+    if (order.Rows.some(row => row.DeliveredQuantity > 0)) {
+      throw new MonitorApiError(400, `Customer order ${order.OrderNumber} has deliveries and can't be cancelled`);
+    }
+    order.Cancelled = true;
+    console.log(`🧪 [Monitor simulator] Cancelled customer order ${order.OrderNumber}`);
+    return { RootEntityId: order.Id, EntityId: order.Id };
+  }
+
+  function queryCollection(resource, collection, params) {
+    return applyODataQuery(collection, params, NAVIGATION_PROPERTIES[resource] || []);
+  }
+
+  // resource path (after /api/v1/) => handler
+  function handleApiRequest(method, resource, params, body) {
+    const key = `${method} ${resource}`;
+    const customerMatch = /^Sales\/Customers\/([^/]+)$/.exec(resource);
+    const orderMatch = /^Sales\/CustomerOrders\/(\d+)$/.exec(resource);
+
+    if (method === "GET" && customerMatch) {
+      const customer = findCustomer(customerMatch[1]);
+      if (!customer) throw new MonitorApiError(404, `Customer ${customerMatch[1]} does not exist`);
+      return projectRecord(customer, NAVIGATION_PROPERTIES["Sales/Customers"], (params.get("$expand") || "").split(","), []);
+    }
+    if (method === "GET" && orderMatch) {
+      return projectRecord(findOrder(orderMatch[1]), [], [], []);
+    }
+
+    switch (key) {
+      case "GET Inventory/Parts":
+        return queryCollection(resource, state.parts, params);
+      case "GET Sales/Customers":
+        return queryCollection(resource, state.customers, params);
+      case "GET Sales/CustomerOrders":
+        return queryCollection(resource, state.customerOrders, params);
+      case "GET Sales/CustomerInvoices":
+        return queryCollection(resource, state.customerInvoices, params);
+      case "GET Sales/DeliveryNotes":
+        return queryCollection(resource, state.deliveryNotes, params);
+      case "GET Common/ExtraFields":
+        return queryCollection(resource, extraFieldsCollection(), params);
+      case "GET Common/EntityChangeLogs":
+        return queryCollection(resource, state.entityChangeLogs, params);
+      case "GET Common/Units":
+        return queryCollection(resource, state.units, params);
+      case "GET Common/DiscountCategoryRows":
+        return queryCollection(resource, state.discountCategoryRows, params);
+      case "GET Sales/SalesPrices":
+        return queryCollection(resource, state.salesPrices, params);
+      case "GET Sales/CustomerPartLinks":
+        return queryCollection(resource, state.customerPartLinks, params);
+      case "GET Inventory/StockTransactions":
+        return queryCollection(resource, state.stockTransactions, params);
+      case "POST Sales/CustomerOrders/GetPriceInfo":
+        return calculatePriceInfo(body || {});
+      case "POST Sales/CustomerOrders/GetPriceInfo/Many":
+        return (Array.isArray(body) ? body : []).map(calculatePriceInfo);
+      case "POST Inventory/Parts/GetPartBalanceInfo":
+        return calculateBalanceInfo(body || {});
+      case "POST Inventory/Parts/GetPartBalanceInfo/Many":
+        return (Array.isArray(body) ? body : []).map(calculateBalanceInfo);
+      case "POST Sales/Quotes/Create":
+        return createQuote(body || {});
+      case "GET Sales/Quotes":
+        return queryCollection(resource, state.quotes, params);
+      case "POST Sales/CustomerOrders/Create":
+        return createCustomerOrder(body || {});
+      case "POST Sales/CustomerOrders/SetProperties":
+        return setOrderProperties(body || {});
+      case "POST Sales/CustomerOrders/UpdateDeliveryAddress":
+        return updateDeliveryAddress(body || {});
+      case "POST Sales/CustomerOrders/UpdateRows":
+        return updateOrderRows(body || {});
+      case "POST Sales/CustomerOrders/Cancel":
+        return cancelOrder(body || {});
+      default:
+        throw new MonitorApiError(404, `The simulator does not implement ${method} ${resource}`);
+    }
+  }
+
+  function handleLogin(body, res) {
+    const credentials = state.credentials;
+    if (credentials && (body?.Username !== credentials.username || body?.Password !== credentials.password)) {
+      return sendJson(res, 401, { Message: "Invalid username or password" });
+    }
+    // ForceRelogin ends every other session for the same user, just like Monitor
+    if (body?.ForceRelogin) {
+      for (const [sessionId, session] of state.sessions) {
+        if (session.username === body?.Username) state.sessions.delete(sessionId);
+      }
+    }
+    const sessionId = `sim-${nextId()}`;
+    state.sessions.set(sessionId, { username: body?.Username, lastUsedAt: Date.now() });
+    return sendJson(res, 200, { SessionSuspended: false, MfaToken: null }, { "X-Monitor-SessionId": sessionId });
+  }
+
+  function isSessionValid(sessionId) {
+    const session = sessionId && state.sessions.get(sessionId);
+    if (!session) return false;
+    if (sessionTtlMs && Date.now() - session.lastUsedAt > sessionTtlMs) {
+      state.sessions.delete(sessionId);
+      return false;
+    }
+    session.lastUsedAt = Date.now();
+    return true;
+  }
+
+  function takeInjectedFailure(method, pathname) {
+    const index = injectedFailures.findIndex(failure =>
+      (!failure.path || pathname.includes(failure.path)) && (!failure.method || failure.method === method));
+    if (index === -1) return null;
+    const failure = injectedFailures[index];
+    failure.remaining -= 1;
+    if (failure.remaining <= 0) injectedFailures.splice(index, 1);
+    return failure;
+  }
+
+  function handleControlRequest(method, action, body, res) {
+    switch (`${method} ${action}`) {
+      case "GET state":
+        return sendJson(res, 200, inspect());
+      case "POST reset":
+        reset();
+        return sendJson(res, 200, { ok: true });
+      case "POST expire-sessions":
+        expireSessions();
+        return sendJson(res, 200, { ok: true });
+      case "POST failures":
+        failNext(body?.count || 1, body || {});
+        return sendJson(res, 200, { ok: true, pending: injectedFailures.length });
+      case "POST latency":
+        latencyMs = Number(body?.ms) || 0;
+        return sendJson(res, 200, { ok: true, latencyMs });
+      case "POST change-log":
+        recordChange(body?.entityType, body?.entityId);
+        return sendJson(res, 200, { ok: true });
+      default:
+        return sendJson(res, 404, { Message: `Unknown simulator control ${method} /__simulator/${action}` });
+    }
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const method = req.method.toUpperCase();
+    const rawBody = await readBody(req);
+    let body = null;
+    if (rawBody) {
+      try {
+        body = JSON.parse(rawBody);
+      } catch (error) {
+        return sendJson(res, 400, { Message: `Invalid JSON body: ${error.message}` });
+      }
+    }
+
+    if (url.pathname.startsWith("/__simulator/")) {
+      return handleControlRequest(method, url.pathname.slice("/__simulator/".length), body, res);
+    }
+
+    state.requests.push({ method, path: url.pathname, query: url.search, at: new Date().toISOString() });
+    if (state.requests.length > 1000) state.requests.shift();
+    if (verbose) console.log(`🧪 [Monitor simulator] ${method} ${url.pathname}${url.search}`);
+
+    if (latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, latencyMs));
+    }
+
+    const failure = takeInjectedFailure(method, url.pathname);
+    if (failure) {
+      if (failure.delayMs) await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+      if (failure.status) {
+        return sendJson(res, failure.status, { Message: failure.message || `Injected ${failure.status} from Monitor simulator` });
+      }
+    }
+
+    // /{company}/login or /{company}/api/v1/{resource}
+    const segments = url.pathname.split("/").filter(Boolean);
+    if (segments.length === 2 && segments[1] === "login" && method === "POST") {
+      return handleLogin(body, res);
+    }
+    if (segments.length < 4 || segments[1] !== "api" || segments[2] !== "v1") {
+      return sendJson(res, 404, { Message: `Unknown path ${url.pathname}` });
+    }
+
+    if (!isSessionValid(req.headers["x-monitor-sessionid"])) {
+      return sendJson(res, 401, { Message: "Session is not valid or has expired" });
+    }
+
+    try {
+      const result = handleApiRequest(method, segments.slice(3).join("/"), url.searchParams, body);
+      return sendJson(res, 200, result);
+    } catch (error) {
+      if (error instanceof MonitorApiError) {
+        return sendJson(res, error.status, { Message: error.message });
+      }
+      return sendJson(res, 400, { Message: error.message });
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error("❌ [Monitor simulator] Unhandled error:", error);
+      sendJson(res, 500, { Message: error.message });
+    });
+  });
+
+  /**
+   * Invalidate all sessions so the next API call returns 401
+   */
+  function expireSessions() {
+    state.sessions.clear();
+  }
+
+  /**
+   * Make the next matching requests fail or respond slowly
+   * @param {number} count - Number of requests to affect
+   * @param {Object} failure - { status, path, method, delayMs, message }
+   */
+  function failNext(count, failure = {}) {
+    injectedFailures.push({ status: 500, ...failure, remaining: count });
+  }
+
+  /**
+   * Set a delay added to every API response
+   * @param {number} ms - Delay in milliseconds
+   */
+  function setLatency(ms) {
+    latencyMs = ms;
+  }
+
+  /**
+   * Add an entity change log entry, as Monitor does when a record is modified
+   * @param {string} entityType - 'products', 'customers' or an EntityTypeId
+   * @param {string} entityId - The changed entity id
+   */
+  function recordChange(entityType, entityId) {
+    state.entityChangeLogs.push({
+      Id: nextId(),
+      EntityTypeId: ENTITY_TYPES[entityType] || entityType,
+      EntityId: entityId,
+      ModifiedTimestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Reset all state back to the fixtures
+   */
+  function reset() {
+    state = buildState(fixtures);
+    injectedFailures = [];
+    latencyMs = options.latencyMs || 0;
+  }
+
+  /**
+   * Snapshot of the simulator state for assertions
+   * @returns {Object} Created orders and quotes, active sessions and request log
+   */
+  function inspect() {
+    return {
+      customerOrders: structuredClone(state.customerOrders),
+      quotes: structuredClone(state.quotes),
+      activeSessions: state.sessions.size,
+      requests: [...state.requests],
+      pendingFailures: injectedFailures.map(f => ({ ...f })),
+      latencyMs,
+    };
+  }
+
+  return {
+    server,
+    get state() {
+      return state;
+    },
+    listen(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, "127.0.0.1", () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+    expireSessions,
+    failNext,
+    setLatency,
+    recordChange,
+    reset,
+    inspect,
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => { data += chunk; });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+// Run from the command line
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes("--help")) {
+    console.log(`
+Monitor API simulator
+
+Usage: node scripts/dev/monitor-simulator.js [options]
+
+Options:
+  --port <port>          Port to listen on (default: 4100)
+  --fixtures <path>      Fixture file (default: scripts/dev/fixtures/monitor.json)
+  --latency <ms>         Delay every response
+  --session-ttl <sec>    Expire sessions after this many idle seconds
+  --verbose              Log every request
+
+Failure modes can be changed while running:
+  curl -X POST localhost:4100/__simulator/expire-sessions
+  curl -X POST localhost:4100/__simulator/failures -d '{"count":3,"status":500,"path":"GetPriceInfo"}'
+  curl -X POST localhost:4100/__simulator/latency -d '{"ms":5000}'
+  curl -X POST localhost:4100/__simulator/change-log -d '{"entityType":"products","entityId":"1100000000000000001"}'
+  curl localhost:4100/__simulator/state
+`);
+    process.exit(0);
+  }
+
+  const port = parseInt(getArg("--port") || process.env.MONITOR_SIMULATOR_PORT || "4100", 10);
+  const fixturesPath = getArg("--fixtures");
+  const simulator = createMonitorSimulator({
+    fixtures: fixturesPath ? loadMonitorFixtures(path.resolve(fixturesPath)) : undefined,
+    latencyMs: parseInt(getArg("--latency") || "0", 10),
+    sessionTtlMs: parseInt(getArg("--session-ttl") || "0", 10) * 1000,
+    verbose: args.includes("--verbose"),
+  });
+
+  simulator.server.listen(port, () => {
+    const credentials = simulator.state.credentials;
+    console.log(`🧪 Monitor simulator listening on http://localhost:${port}`);
+    console.log(`   MONITOR_URL=http://localhost:${port} MONITOR_COMPANY=001.1 MONITOR_USER=${credentials?.username || "any"} MONITOR_PASS=${credentials?.password || "any"}`);
+  });
+
+  const shutdown = () => simulator.server.close(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
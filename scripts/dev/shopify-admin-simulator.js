@@ -0,0 +1,1256 @@
+// scripts/dev/shopify-admin-simulator.js
+//
+// Local stand-in for the Shopify Admin API. It executes the GraphQL queries and
+// mutations used by the sync jobs and the order poller (plus the few REST
+// endpoints the product sync still calls) against in-memory state that can be
+// inspected after a run.
+//
+// Start it from the command line:
+//   npm run shopify-simulator -- --port 4200
+//
+// and point the jobs at it:
+//   SHOPIFY_ADMIN_API_ORIGIN=http://localhost:4200 ADVANCED_STORE_DOMAIN=sonsab-simulator.myshopify.com ADVANCED_STORE_ADMIN_TOKEN=shpat_simulator
+//
+// scripts/dev/sync-harness.js starts it together with the Monitor simulator.
+
+import http from "http";
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+import { parse, Kind } from "graphql";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, "fixtures", "shopify.json");
+
+/**
+ * Load fixture data from a JSON file
+ * @param {string} fixturesPath - Path to the fixtures file
+ * @returns {Object} Parsed fixtures
+ */
+export function loadShopifyFixtures(fixturesPath = DEFAULT_FIXTURES_PATH) {
+  return JSON.parse(readFileSync(fixturesPath, "utf8"));
+}
+
+/* ---------------------------------------------------------------------------
+ * GraphQL execution
+ * ------------------------------------------------------------------------- */
+
+function valueFromAst(node, variables) {
+  switch (node.kind) {
+    case Kind.VARIABLE: return variables?.[node.name.value];
+    case Kind.INT: return parseInt(node.value, 10);
+    case Kind.FLOAT: return parseFloat(node.value);
+    case Kind.STRING:
+    case Kind.ENUM: return node.value;
+    case Kind.BOOLEAN: return node.value;
+    case Kind.NULL: return null;
+    case Kind.LIST: return node.values.map(value => valueFromAst(value, variables));
+    case Kind.OBJECT: return Object.fromEntries(node.fields.map(field => [field.name.value, valueFromAst(field.value, variables)]));
+    default: return undefined;
+  }
+}
+
+function collectFields(selectionSet, value, context, fields = []) {
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      fields.push(selection);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      if (!selection.typeCondition || selection.typeCondition.name.value === value.__typename) {
+        collectFields(selection.selectionSet, value, context, fields);
+      }
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = context.fragments[selection.name.value];
+      if (fragment && fragment.typeCondition.name.value === value.__typename) {
+        collectFields(fragment.selectionSet, value, context, fields);
+      }
+    }
+  }
+  return fields;
+}
+
+function completeValue(value, selectionSet, context) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(item => completeValue(item, selectionSet, context));
+  if (!selectionSet) return value;
+
+  const result = {};
+  for (const field of collectFields(selectionSet, value, context)) {
+    const name = field.name.value;
+    const alias = field.alias?.value || name;
+    if (name === "__typename") {
+      result[alias] = value.__typename;
+      continue;
+    }
+    const args = Object.fromEntries((field.arguments || []).map(arg => [arg.name.value, valueFromAst(arg.value, context.variables)]));
+    const resolver = context.resolvers[value.__typename]?.[name];
+    const resolved = resolver ? resolver(value, args, context) : value[name];
+    result[alias] = completeValue(resolved, field.selectionSet, context);
+  }
+  return result;
+}
+
+function encodeCursor(index) {
+  return Buffer.from(`cursor:${index}`).toString("base64");
+}
+
+function decodeCursor(cursor) {
+  return parseInt(Buffer.from(cursor, "base64").toString().split(":")[1], 10);
+}
+
+/**
+ * Build a Relay connection with first/after pagination
+ * @param {Array} items - All items
+ * @param {Object} args - Connection arguments
+ * @returns {Object} Connection with edges, nodes and pageInfo
+ */
+function connection(items, args = {}) {
+  const list = args.reverse ? [...items].reverse() : items;
+  const start = args.after ? decodeCursor(args.after) + 1 : 0;
+  const limit = args.first ?? args.last ?? list.length;
+  const page = list.slice(start, start + limit);
+  return {
+    edges: page.map((node, index) => ({ cursor: encodeCursor(start + index), node })),
+    nodes: page,
+    pageInfo: {
+      hasNextPage: start + limit < list.length,
+      hasPreviousPage: start > 0,
+      startCursor: page.length > 0 ? encodeCursor(start) : null,
+      endCursor: page.length > 0 ? encodeCursor(start + page.length - 1) : null,
+    },
+  };
+}
+
+/* ---------------------------------------------------------------------------
+ * Search query syntax ("email:foo@bar.se", "created_at:>='...' AND status:completed")
+ * ------------------------------------------------------------------------- */
+
+function parseSearchTerm(term) {
+  const match = /^(-)?([a-z_]+):(>=|<=|>|<)?(.*)$/i.exec(term.trim());
+  if (!match) return { field: null, operator: null, value: term.trim().replace(/^['"]|['"]$/g, "") };
+  return {
+    negate: Boolean(match[1]),
+    field: match[2].toLowerCase(),
+    operator: match[3] || null,
+    value: match[4].trim().replace(/^['"]|['"]$/g, ""),
+  };
+}
+
+function matchesSearchTerm(record, term, searchFields) {
+  const { field, operator, value, negate } = parseSearchTerm(term);
+  const candidates = [].concat(field ? searchFields[field]?.(record) : searchFields.default?.(record)).filter(v => v != null);
+  let matched;
+  if (field && !searchFields[field]) {
+    matched = true;
+  } else if (operator) {
+    matched = candidates.some(candidate => {
+      const a = new Date(candidate).getTime();
+      const b = new Date(value).getTime();
+      const [left, right] = isNaN(a) || isNaN(b) ? [Number(candidate), Number(value)] : [a, b];
+      if (operator === ">=") return left >= right;
+      if (operator === "<=") return left <= right;
+      if (operator === ">") return left > right;
+      return left < right;
+    });
+  } else if (value.endsWith("*")) {
+    matched = candidates.some(candidate => String(candidate).toLowerCase().startsWith(value.slice(0, -1).toLowerCase()));
+  } else if (!field) {
+    matched = candidates.some(candidate => String(candidate).toLowerCase().includes(value.toLowerCase()));
+  } else {
+    matched = candidates.some(candidate => String(candidate).toLowerCase() === value.toLowerCase());
+  }
+  return negate ? !matched : matched;
+}
+
+function matchesSearchQuery(record, query, searchFields) {
+  if (!query || !query.trim()) return true;
+  // OR binds weaker than AND; parentheses are flattened
+  return query.replace(/[()]/g, " ").split(/\s+OR\s+/).some(group =>
+    group.split(/\s+AND\s+|\s+(?=-?[a-z_]+:)/i).filter(Boolean).every(term => matchesSearchTerm(record, term, searchFields)));
+}
+
+/* ---------------------------------------------------------------------------
+ * Simulator
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Create a Shopify Admin API simulator
+ * @param {Object} options - Simulator options
+ * @param {Object} [options.fixtures] - Fixture data (defaults to scripts/dev/fixtures/shopify.json)
+ * @param {boolean} [options.verbose] - Log every operation
+ * @returns {Object} Simulator handle with server, state and inspection helpers
+ */
+export function createShopifyAdminSimulator(options = {}) {
+  const fixtures = options.fixtures || loadShopifyFixtures();
+  const verbose = options.verbose ?? false;
+  const shopDomain = fixtures.shop?.domain || "sonsab-simulator.myshopify.com";
+  const accessToken = fixtures.shop?.accessToken || "shpat_simulator";
+
+  let state;
+  let injectedFailures = [];
+  let idCounter = 1000;
+
+  const gid = (type) => `gid://shopify/${type}/${++idCounter}`;
+  const numericId = (id) => String(id).split("/").pop();
+  const now = () => new Date().toISOString();
+
+  function reset() {
+    idCounter = 1000;
+    injectedFailures = [];
+    state = {
+      shop: { __typename: "Shop", id: "gid://shopify/Shop/1", name: fixtures.shop?.name || "Simulator", myshopifyDomain: shopDomain },
+      products: new Map(),
+      variants: new Map(),
+      inventoryItems: new Map(),
+      locations: new Map(),
+      publications: new Map(),
+      collections: new Map(),
+      customers: new Map(),
+      draftOrders: new Map(),
+      orders: new Map(),
+      metafields: new Map(),
+      operations: [],
+    };
+    seed(fixtures);
+  }
+
+  /* ----------------------------- metafields ----------------------------- */
+
+  function getMetafields(ownerId, namespace) {
+    return (state.metafields.get(ownerId) || []).filter(mf => !namespace || mf.namespace === namespace);
+  }
+
+  function setMetafield(ownerId, { id, namespace, key, value, type }) {
+    const list = state.metafields.get(ownerId) || [];
+    let metafield = id ? list.find(mf => mf.id === id) : list.find(mf => mf.namespace === (namespace || "custom") && mf.key === key);
+    if (!metafield) {
+      metafield = { __typename: "Metafield", id: gid("Metafield"), ownerId, namespace: namespace || "custom", key, createdAt: now() };
+      list.push(metafield);
+    }
+    metafield.value = value == null ? "" : String(value);
+    metafield.type = type || metafield.type || "single_line_text_field";
+    metafield.updatedAt = now();
+    state.metafields.set(ownerId, list);
+    return metafield;
+  }
+
+  function setMetafields(ownerId, metafields = []) {
+    for (const metafield of metafields || []) setMetafield(ownerId, metafield);
+  }
+
+  const metafieldResolvers = {
+    metafields: (owner, args) => connection(getMetafields(owner.id, args.namespace), args),
+    metafield: (owner, args) => {
+      let { namespace, key } = args;
+      if (!namespace && key?.includes(".")) [namespace, key] = key.split(".");
+      return getMetafields(owner.id, namespace || "custom").find(mf => mf.key === key) || null;
+    },
+  };
+
+  /* ------------------------------- lookups ------------------------------ */
+
+  function findNode(id) {
+    if (!id) return null;
+    for (const store of [state.products, state.variants, state.inventoryItems, state.locations, state.collections,
+      state.customers, state.draftOrders, state.orders, state.publications]) {
+      if (store.has(id)) return store.get(id);
+    }
+    return null;
+  }
+
+  function findVariantBySku(sku) {
+    return [...state.variants.values()].find(variant => variant.sku === sku) || null;
+  }
+
+  /* ------------------------------ products ------------------------------ */
+
+  function createInventoryItem(variant, sku) {
+    const item = { __typename: "InventoryItem", id: gid("InventoryItem"), variantId: variant.id, sku: sku || "", tracked: true, levels: new Map() };
+    state.inventoryItems.set(item.id, item);
+    return item;
+  }
+
+  function setInventoryLevel(item, locationId, quantities) {
+    const level = item.levels.get(locationId) || { available: 0, on_hand: 0 };
+    Object.assign(level, quantities);
+    item.levels.set(locationId, level);
+  }
+
+  function createVariant(product, input) {
+    const variant = {
+      __typename: "ProductVariant",
+      id: gid("ProductVariant"),
+      productId: product.id,
+      title: "Default Title",
+      sku: input.sku || input.inventoryItem?.sku || "",
+      price: Number(input.price || 0).toFixed(2),
+      compareAtPrice: input.compareAtPrice || null,
+      barcode: input.barcode || null,
+      taxable: input.taxable ?? true,
+      inventoryPolicy: input.inventoryPolicy || "DENY",
+      weight: null,
+      weightUnit: "KILOGRAMS",
+      inventoryManagement: null,
+      selectedOptions: [],
+      createdAt: now(),
+      updatedAt: now(),
+    };
+
+    const optionValues = input.optionValues || [];
+    if (optionValues.length > 0) {
+      variant.selectedOptions = optionValues.map(optionValue => {
+        const option = product.options.find(o => o.id === optionValue.optionId || o.name === optionValue.optionName) || product.options[0];
+        if (!option.values.includes(optionValue.name)) option.values.push(optionValue.name);
+        return { name: option.name, value: optionValue.name };
+      });
+      variant.title = variant.selectedOptions.map(o => o.value).join(" / ");
+    } else {
+      variant.selectedOptions = [{ name: product.options[0].name, value: input.title || "Default Title" }];
+      variant.title = input.title || "Default Title";
+    }
+
+    const inventoryItem = createInventoryItem(variant, variant.sku);
+    variant.inventoryItemId = inventoryItem.id;
+    for (const quantity of input.inventoryQuantities || []) {
+      setInventoryLevel(inventoryItem, quantity.locationId, { available: quantity.availableQuantity || 0, on_hand: quantity.availableQuantity || 0 });
+    }
+
+    state.variants.set(variant.id, variant);
+    product.variantIds.push(variant.id);
+    setMetafields(variant.id, input.metafields);
+    return variant;
+  }
+
+  function deleteVariant(variantId) {
+    const variant = state.variants.get(variantId);
+    if (!variant) return false;
+    const product = state.products.get(variant.productId);
+    product.variantIds = product.variantIds.filter(id => id !== variantId);
+    state.variants.delete(variantId);
+    state.inventoryItems.delete(variant.inventoryItemId);
+    return true;
+  }
+
+  function createProduct(input) {
+    const product = {
+      __typename: "Product",
+      id: gid("Product"),
+      title: input.title,
+      handle: input.handle || String(input.title).toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+      status: input.status || "ACTIVE",
+      vendor: input.vendor || fixtures.shop?.name || "",
+      productType: input.productType || "",
+      tags: input.tags || [],
+      descriptionHtml: input.descriptionHtml || "",
+      options: [],
+      variantIds: [],
+      publicationIds: new Set(),
+      createdAt: now(),
+      updatedAt: now(),
+    };
+
+    const productOptions = input.productOptions || [{ name: "Title", values: [{ name: "Default Title" }] }];
+    product.options = productOptions.map((option, index) => ({
+      __typename: "ProductOption",
+      id: gid("ProductOption"),
+      name: option.name,
+      position: index + 1,
+      values: (option.values || []).map(value => value.name),
+    }));
+
+    state.products.set(product.id, product);
+    setMetafields(product.id, input.metafields);
+
+    // Shopify always creates a standalone variant from the first option values
+    createVariant(product, {
+      optionValues: product.options.map(option => ({ optionId: option.id, name: option.values[0] || "Default Title" })),
+    });
+    return product;
+  }
+
+  /* ------------------------------ customers ----------------------------- */
+
+  function buildAddresses(addresses = []) {
+    return addresses.map(address => ({ __typename: "MailingAddress", id: gid("MailingAddress"), ...address }));
+  }
+
+  function createCustomer(input) {
+    const customer = {
+      __typename: "Customer",
+      id: gid("Customer"),
+      email: input.email || null,
+      firstName: input.firstName || null,
+      lastName: input.lastName || null,
+      phone: input.phone || null,
+      note: input.note || null,
+      tags: input.tags || [],
+      addresses: buildAddresses(input.addresses),
+      createdAt: now(),
+      updatedAt: now(),
+    };
+    state.customers.set(customer.id, customer);
+    setMetafields(customer.id, input.metafields);
+    return customer;
+  }
+
+  /* ---------------------------- draft orders ---------------------------- */
+
+  function createDraftOrder(input) {
+    const draftOrder = {
+      __typename: "DraftOrder",
+      id: gid("DraftOrder"),
+      name: input.name || `#D${state.draftOrders.size + 1}`,
+      email: input.email || null,
+      status: input.status || "OPEN",
+      createdAt: input.createdAt || now(),
+      updatedAt: input.createdAt || now(),
+      customerId: input.customerId || null,
+      orderId: null,
+      note: input.note || null,
+      tags: input.tags || [],
+      shippingAddress: input.shippingAddress || null,
+      billingAddress: input.billingAddress || input.shippingAddress || null,
+      shippingLine: input.shippingLine || null,
+      lineItems: (input.lineItems || []).map(item => ({
+        __typename: "DraftOrderLineItem",
+        id: gid("DraftOrderLineItem"),
+        title: item.title || "Custom item",
+        quantity: item.quantity || 1,
+        sku: item.sku || null,
+        variantId: item.variantId || null,
+        originalUnitPrice: String(item.originalUnitPrice ?? "0.00"),
+        discountedUnitPrice: item.discountedUnitPrice != null ? String(item.discountedUnitPrice) : null,
+        customAttributes: item.customAttributes || [],
+      })),
+    };
+    draftOrder.totalPrice = draftOrder.lineItems
+      .reduce((sum, item) => sum + Number(item.discountedUnitPrice ?? item.originalUnitPrice) * item.quantity, 0)
+      .toFixed(2);
+    state.draftOrders.set(draftOrder.id, draftOrder);
+    setMetafields(draftOrder.id, input.metafields);
+    if (draftOrder.status === "COMPLETED") completeDraftOrder(draftOrder);
+    return draftOrder;
+  }
+
+  function completeDraftOrder(draftOrder) {
+    const order = {
+      __typename: "Order",
+      id: gid("Order"),
+      name: `#${1000 + state.orders.size + 1}`,
+      draftOrderId: draftOrder.id,
+      customerId: draftOrder.customerId,
+      createdAt: now(),
+      updatedAt: now(),
+      cancelledAt: null,
+      cancelReason: null,
+      tags: [],
+      shippingAddress: draftOrder.shippingAddress,
+      billingAddress: draftOrder.billingAddress,
+      shippingLine: draftOrder.shippingLine,
+      lineItems: draftOrder.lineItems.map(item => ({ ...item, __typename: "LineItem", id: gid("LineItem"), currentQuantity: item.quantity })),
+      fulfillments: [],
+    };
+    order.fulfillmentOrders = [{ __typename: "FulfillmentOrder", id: gid("FulfillmentOrder"), orderId: order.id, status: "OPEN" }];
+    state.orders.set(order.id, order);
+    draftOrder.status = "COMPLETED";
+    draftOrder.orderId = order.id;
+    return order;
+  }
+
+  /* -------------------------------- seed -------------------------------- */
+
+  function toMetafieldInputs(metafields = {}) {
+    return Object.entries(metafields).map(([key, value]) => ({ namespace: "custom", key, value: String(value), type: "single_line_text_field" }));
+  }
+
+  /**
+   * Add products, customers and draft orders using the compact fixture format
+   * @param {Object} data - { locations, publications, products, collections, customers, draftOrders }
+   */
+  function seed(data = {}) {
+    for (const location of data.locations || []) {
+      const id = gid("Location");
+      state.locations.set(id, {
+        __typename: "Location",
+        id,
+        name: location.name,
+        isPrimary: location.isPrimary || false,
+        fulfillsOnlineOrders: location.fulfillsOnlineOrders ?? true,
+        isActive: true,
+      });
+      if (location.monitorId) setMetafield(id, { namespace: "custom", key: "monitor_id", value: location.monitorId });
+    }
+
+    for (const publication of data.publications || []) {
+      const id = gid("Publication");
+      state.publications.set(id, { __typename: "Publication", id, name: publication.name });
+    }
+
+    for (const productData of data.products || []) {
+      const product = createProduct({ title: productData.title, vendor: productData.vendor, metafields: toMetafieldInputs(productData.metafields) });
+      product.options[0].name = "Storlek";
+      product.options[0].values = [];
+      deleteVariant(product.variantIds[0]);
+      for (const variantData of productData.variants || []) {
+        createVariant(product, {
+          sku: variantData.sku,
+          price: variantData.price,
+          optionValues: [{ optionId: product.options[0].id, name: variantData.title || variantData.sku }],
+          metafields: toMetafieldInputs(variantData.metafields),
+        });
+      }
+    }
+
+    for (const collectionData of data.collections || []) {
+      const id = gid("Collection");
+      state.collections.set(id, { __typename: "Collection", id, title: collectionData.title, handle: collectionData.handle || "", productIds: new Set() });
+      setMetafields(id, toMetafieldInputs(collectionData.metafields));
+    }
+
+    for (const customerData of data.customers || []) {
+      createCustomer({ ...customerData, metafields: toMetafieldInputs(customerData.metafields) });
+    }
+
+    for (const orderData of data.draftOrders || []) {
+      const customer = [...state.customers.values()].find(c => c.email === orderData.customerEmail);
+      const createdAt = new Date(Date.now() - (orderData.minutesAgo || 0) * 60000).toISOString();
+      createDraftOrder({
+        ...orderData,
+        createdAt,
+        email: orderData.customerEmail,
+        customerId: customer?.id || null,
+        metafields: toMetafieldInputs(orderData.metafields),
+        lineItems: (orderData.lineItems || []).map(item => {
+          // Draft orders are created with custom line items, so the variant is referenced via _variant_id
+          const variant = item.sku ? findVariantBySku(item.sku) : null;
+          const customAttributes = [...(item.customAttributes || [])];
+          if (variant && !customAttributes.some(attr => attr.key === "_variant_id")) {
+            customAttributes.push({ key: "_variant_id", value: numericId(variant.id) });
+          }
+          return { ...item, title: item.title || variant?.title, customAttributes };
+        }),
+      });
+    }
+  }
+
+  /* ------------------------------ resolvers ----------------------------- */
+
+  const productSearch = {
+    default: p => p.title,
+    title: p => p.title,
+    status: p => p.status,
+    vendor: p => p.vendor,
+    product_type: p => p.productType,
+    sku: p => p.variantIds.map(id => state.variants.get(id)?.sku),
+    id: p => numericId(p.id),
+  };
+  const variantSearch = {
+    default: v => v.sku,
+    sku: v => v.sku,
+    product_id: v => numericId(v.productId),
+    id: v => numericId(v.id),
+  };
+  const customerSearch = {
+    default: c => [c.email, c.firstName, c.lastName],
+    email: c => c.email,
+    first_name: c => c.firstName,
+    last_name: c => c.lastName,
+    id: c => numericId(c.id),
+  };
+  const draftOrderSearch = {
+    default: d => d.name,
+    name: d => d.name,
+    status: d => d.status,
+    created_at: d => d.createdAt,
+    updated_at: d => d.updatedAt,
+    customer_id: d => d.customerId && numericId(d.customerId),
+    id: d => numericId(d.id),
+  };
+  const orderSearch = {
+    default: o => o.name,
+    name: o => o.name,
+    created_at: o => o.createdAt,
+    updated_at: o => o.updatedAt,
+    id: o => numericId(o.id),
+  };
+  const collectionSearch = {
+    default: c => c.title,
+    title: c => c.title,
+    id: c => numericId(c.id),
+  };
+
+  const search = (store, args, searchFields) =>
+    connection([...store.values()].filter(record => matchesSearchQuery(record, args.query, searchFields)), args);
+
+  const userErrors = (errors = []) => errors.map(error => ({ __typename: "UserError", field: error.field || null, message: error.message, code: error.code || null }));
+
+  const resolvers = {
+    Query: {
+      shop: () => state.shop,
+      node: (_, { id }) => findNode(id),
+      nodes: (_, { ids }) => ids.map(findNode),
+      products: (_, args) => search(state.products, args, productSearch),
+      product: (_, { id }) => state.products.get(id) || null,
+      productVariants: (_, args) => search(state.variants, args, variantSearch),
+      productVariant: (_, { id }) => state.variants.get(id) || null,
+      inventoryItem: (_, { id }) => state.inventoryItems.get(id) || null,
+      locations: (_, args) => connection([...state.locations.values()], args),
+      location: (_, { id }) => state.locations.get(id) || null,
+      publications: (_, args) => connection([...state.publications.values()], args),
+      collections: (_, args) => search(state.collections, args, collectionSearch),
+      collection: (_, { id }) => state.collections.get(id) || null,
+      customers: (_, args) => search(state.customers, args, customerSearch),
+      customer: (_, { id }) => state.customers.get(id) || null,
+      draftOrders: (_, args) => search(state.draftOrders, args, draftOrderSearch),
+      draftOrder: (_, { id }) => state.draftOrders.get(id) || null,
+      orders: (_, args) => search(state.orders, args, orderSearch),
+      order: (_, { id }) => state.orders.get(id) || null,
+    },
+
+    Mutation: {
+      productCreate: (_, args) => {
+        const input = args.product || args.input || {};
+        if (!input.title) return { product: null, userErrors: userErrors([{ field: ["title"], message: "Title can't be blank" }]) };
+        return { product: createProduct(input), userErrors: [] };
+      },
+      productUpdate: (_, args) => {
+        const input = args.product || args.input || {};
+        const product = state.products.get(input.id);
+        if (!product) return { product: null, userErrors: userErrors([{ field: ["id"], message: "Product does not exist" }]) };
+        for (const key of ["title", "status", "vendor", "productType", "tags", "descriptionHtml", "handle"]) {
+          if (input[key] !== undefined) product[key] = input[key];
+        }
+        product.updatedAt = now();
+        setMetafields(product.id, input.metafields);
+        return { product, userErrors: [] };
+      },
+      productDelete: (_, args) => {
+        const id = args.input?.id || args.id;
+        const product = state.products.get(id);
+        if (!product) return { deletedProductId: null, userErrors: userErrors([{ field: ["id"], message: "Product does not exist" }]) };
+        [...product.variantIds].forEach(deleteVariant);
+        state.products.delete(id);
+        return { deletedProductId: id, userErrors: [] };
+      },
+      productVariantsBulkCreate: (_, { productId, variants = [], strategy }) => {
+        const product = state.products.get(productId);
+        if (!product) return { product: null, productVariants: [], userErrors: userErrors([{ field: ["productId"], message: "Product does not exist" }]) };
+        const errors = [];
+        const created = [];
+        variants.forEach((input, index) => {
+          const title = (input.optionValues || []).map(o => o.name).join(" / ");
+          const duplicate = product.variantIds.map(id => state.variants.get(id)).find(v => v.title === title);
+          if (duplicate && title) {
+            errors.push({ field: ["variants", String(index)], message: `The variant '${title}' already exists.`, code: "VARIANT_ALREADY_EXISTS" });
+            return;
+          }
+          created.push(createVariant(product, input));
+        });
+        if (strategy === "REMOVE_STANDALONE_VARIANT" && created.length > 0) {
+          product.variantIds.filter(id => state.variants.get(id)?.title === "Default Title").forEach(deleteVariant);
+        }
+        return { product, productVariants: created, userErrors: userErrors(errors) };
+      },
+      productVariantsBulkUpdate: (_, { productId, variants = [] }) => {
+        const product = state.products.get(productId);
+        if (!product) return { product: null, productVariants: [], userErrors: userErrors([{ field: ["productId"], message: "Product does not exist" }]) };
+        const errors = [];
+        const updated = [];
+        variants.forEach((input, index) => {
+          const variant = state.variants.get(input.id);
+          if (!variant || variant.productId !== productId) {
+            errors.push({ field: ["variants", String(index), "id"], message: "Product variant does not exist" });
+            return;
+          }
+          if (input.price !== undefined) variant.price = Number(input.price).toFixed(2);
+          for (const key of ["barcode", "compareAtPrice", "taxable", "inventoryPolicy"]) {
+            if (input[key] !== undefined) variant[key] = input[key];
+          }
+          if (input.inventoryItem?.sku !== undefined) variant.sku = input.inventoryItem.sku;
+          variant.updatedAt = now();
+          setMetafields(variant.id, input.metafields);
+          updated.push(variant);
+        });
+        return { product, productVariants: updated, userErrors: userErrors(errors) };
+      },
+      metafieldsSet: (_, { metafields = [] }) => {
+        const errors = [];
+        const saved = [];
+        metafields.forEach((input, index) => {
+          if (!findNode(input.ownerId) && input.ownerId !== state.shop.id) {
+            errors.push({ field: ["metafields", String(index), "ownerId"], message: "Owner does not exist", code: "INVALID" });
+            return;
+          }
+          if (input.value === undefined || input.value === null) {
+            errors.push({ field: ["metafields", String(index), "value"], message: "Value can't be blank", code: "BLANK" });
+            return;
+          }
+          saved.push(setMetafield(input.ownerId, input));
+        });
+        return { metafields: errors.length > 0 ? [] : saved, userErrors: userErrors(errors) };
+      },
+      inventorySetOnHandQuantities: (_, { input }) => setQuantities(input.setQuantities || [], "on_hand"),
+      inventorySetQuantities: (_, { input }) => setQuantities(input.quantities || [], input.name || "available"),
+      inventoryActivate: (_, { inventoryItemId, locationId, available }) => {
+        const item = state.inventoryItems.get(inventoryItemId);
+        if (!item || !state.locations.has(locationId)) {
+          return { inventoryLevel: null, userErrors: userErrors([{ field: ["inventoryItemId"], message: "Inventory item or location does not exist" }]) };
+        }
+        if (!item.levels.has(locationId)) setInventoryLevel(item, locationId, { available: available || 0, on_hand: available || 0 });
+        return { inventoryLevel: inventoryLevel(item, locationId), userErrors: [] };
+      },
+      customerCreate: (_, { input }) => {
+        if (input.email && [...state.customers.values()].some(c => c.email?.toLowerCase() === input.email.toLowerCase())) {
+          return { customer: null, userErrors: userErrors([{ field: ["email"], message: "Email has already been taken" }]) };
+        }
+        return { customer: createCustomer(input), userErrors: [] };
+      },
+      customerUpdate: (_, { input }) => {
+        const customer = state.customers.get(input.id);
+        if (!customer) return { customer: null, userErrors: userErrors([{ field: ["id"], message: "Customer does not exist" }]) };
+        for (const key of ["email", "firstName", "lastName", "phone", "note", "tags"]) {
+          if (input[key] !== undefined) customer[key] = input[key];
+        }
+        if (input.addresses) customer.addresses = buildAddresses(input.addresses);
+        customer.updatedAt = now();
+        setMetafields(customer.id, input.metafields);
+        return { customer, userErrors: [] };
+      },
+      collectionCreate: (_, { input }) => {
+        const id = gid("Collection");
+        const collection = { __typename: "Collection", id, title: input.title, handle: input.handle || "", productIds: new Set(input.products || []) };
+        state.collections.set(id, collection);
+        setMetafields(id, input.metafields);
+        return { collection, userErrors: [] };
+      },
+      collectionAddProducts: (_, { id, productIds = [] }) => {
+        const collection = state.collections.get(id);
+        if (!collection) return { collection: null, userErrors: userErrors([{ field: ["id"], message: "Collection does not exist" }]) };
+        productIds.forEach(productId => collection.productIds.add(productId));
+        return { collection, userErrors: [] };
+      },
+      collectionRemoveProducts: (_, { id, productIds = [] }) => {
+        const collection = state.collections.get(id);
+        if (!collection) return { job: null, userErrors: userErrors([{ field: ["id"], message: "Collection does not exist" }]) };
+        productIds.forEach(productId => collection.productIds.delete(productId));
+        return { job: { __typename: "Job", id: gid("Job"), done: true }, userErrors: [] };
+      },
+      publishablePublish: (_, { id, input = [] }) => {
+        const product = state.products.get(id);
+        if (!product) return { publishable: null, shop: state.shop, userErrors: userErrors([{ field: ["id"], message: "Publishable does not exist" }]) };
+        input.forEach(publication => product.publicationIds.add(publication.publicationId));
+        return { publishable: product, shop: { ...state.shop, publicationCount: state.publications.size }, userErrors: [] };
+      },
+      draftOrderCreate: (_, { input }) => ({ draftOrder: createDraftOrder(input), userErrors: [] }),
+      draftOrderUpdate: (_, { id, input }) => {
+        const draftOrder = state.draftOrders.get(id);
+        if (!draftOrder) return { draftOrder: null, userErrors: userErrors([{ field: ["id"], message: "Draft order does not exist" }]) };
+        for (const key of ["name", "email", "note", "tags", "shippingAddress", "billingAddress", "shippingLine"]) {
+          if (input[key] !== undefined) draftOrder[key] = input[key];
+        }
+        draftOrder.updatedAt = now();
+        setMetafields(draftOrder.id, input.metafields);
+        return { draftOrder, userErrors: [] };
+      },
+      draftOrderComplete: (_, { id }) => {
+        const draftOrder = state.draftOrders.get(id);
+        if (!draftOrder) return { draftOrder: null, userErrors: userErrors([{ field: ["id"], message: "Draft order does not exist" }]) };
+        if (draftOrder.status !== "COMPLETED") completeDraftOrder(draftOrder);
+        return { draftOrder, userErrors: [] };
+      },
+      tagsAdd: (_, { id, tags = [] }) => {
+        const node = findNode(id);
+        if (!Array.isArray(node?.tags)) return { node: null, userErrors: userErrors([{ field: ["id"], message: "Resource does not exist" }]) };
+        for (const tag of tags) if (!node.tags.includes(tag)) node.tags.push(tag);
+        return { node, userErrors: [] };
+      },
+      tagsRemove: (_, { id, tags = [] }) => {
+        const node = findNode(id);
+        if (!Array.isArray(node?.tags)) return { node: null, userErrors: userErrors([{ field: ["id"], message: "Resource does not exist" }]) };
+        node.tags = node.tags.filter(tag => !tags.includes(tag));
+        return { node, userErrors: [] };
+      },
+      fulfillmentCreate: (_, { fulfillment: input }) => {
+        const requested = (input.lineItemsByFulfillmentOrder || []).map(entry => entry.fulfillmentOrderId);
+        const fulfillmentOrders = [...state.orders.values()].flatMap(order => order.fulfillmentOrders || [])
+          .filter(fulfillmentOrder => requested.includes(fulfillmentOrder.id));
+        if (fulfillmentOrders.length !== requested.length || fulfillmentOrders.some(fo => fo.status === "CLOSED")) {
+          return { fulfillment: null, userErrors: userErrors([{ field: ["fulfillment"], message: "Fulfillment order does not exist or is already fulfilled" }]) };
+        }
+        const order = state.orders.get(fulfillmentOrders[0].orderId);
+        const fulfillment = { __typename: "Fulfillment", id: gid("Fulfillment"), status: "SUCCESS", trackingInfo: input.trackingInfo || null, createdAt: now() };
+        for (const fulfillmentOrder of fulfillmentOrders) fulfillmentOrder.status = "CLOSED";
+        order.fulfillments.push(fulfillment);
+        return { fulfillment, userErrors: [] };
+      },
+    },
+
+    Product: {
+      ...metafieldResolvers,
+      variants: (product, args) => connection(product.variantIds.map(id => state.variants.get(id)), args),
+      variantsCount: (product) => ({ count: product.variantIds.length }),
+      collections: (product, args) => connection([...state.collections.values()].filter(c => c.productIds.has(product.id)), args),
+      publicationCount: (product) => product.publicationIds.size,
+      totalInventory: (product) => product.variantIds
+        .map(id => state.inventoryItems.get(state.variants.get(id).inventoryItemId))
+        .reduce((sum, item) => sum + [...item.levels.values()].reduce((s, l) => s + (l.available || 0), 0), 0),
+    },
+    ProductVariant: {
+      ...metafieldResolvers,
+      product: (variant) => state.products.get(variant.productId),
+      inventoryItem: (variant) => state.inventoryItems.get(variant.inventoryItemId),
+      inventoryQuantity: (variant) => [...state.inventoryItems.get(variant.inventoryItemId).levels.values()]
+        .reduce((sum, level) => sum + (level.available || 0), 0),
+      availableForSale: (variant) => variant.inventoryPolicy === "CONTINUE" ||
+        [...state.inventoryItems.get(variant.inventoryItemId).levels.values()].some(level => (level.available || 0) > 0),
+    },
+    InventoryItem: {
+      variant: (item) => state.variants.get(item.variantId),
+      inventoryLevels: (item, args) => connection([...item.levels.keys()].map(locationId => inventoryLevel(item, locationId)), args),
+      inventoryLevel: (item, { locationId }) => (item.levels.has(locationId) ? inventoryLevel(item, locationId) : null),
+    },
+    InventoryLevel: {
+      quantities: (level, { names = ["available"] }) => names.map(name => ({ name, quantity: level.values[name] ?? 0 })),
+    },
+    Location: { ...metafieldResolvers },
+    Collection: {
+      ...metafieldResolvers,
+      products: (collection, args) => connection([...collection.productIds].map(id => state.products.get(id)).filter(Boolean), args),
+      productsCount: (collection) => ({ count: collection.productIds.size }),
+    },
+    Customer: {
+      ...metafieldResolvers,
+      defaultAddress: (customer) => customer.addresses[0] || null,
+    },
+    DraftOrder: {
+      ...metafieldResolvers,
+      customer: (draftOrder) => state.customers.get(draftOrder.customerId) || null,
+      order: (draftOrder) => state.orders.get(draftOrder.orderId) || null,
+      lineItems: (draftOrder, args) => connection(draftOrder.lineItems, args),
+    },
+    DraftOrderLineItem: {
+      variant: (item) => state.variants.get(item.variantId) || null,
+    },
+    Order: {
+      ...metafieldResolvers,
+      customer: (order) => state.customers.get(order.customerId) || null,
+      lineItems: (order, args) => connection(order.lineItems, args),
+      fulfillmentOrders: (order, args) => connection(order.fulfillmentOrders || [], args),
+    },
+    LineItem: {
+      variant: (item) => state.variants.get(item.variantId) || null,
+      originalUnitPriceSet: (item) => ({ shopMoney: { amount: item.originalUnitPrice, currencyCode: "SEK" } }),
+      discountedUnitPriceSet: (item) => ({ shopMoney: { amount: item.discountedUnitPrice ?? item.originalUnitPrice, currencyCode: "SEK" } }),
+    },
+  };
+
+  function inventoryLevel(item, locationId) {
+    const values = item.levels.get(locationId);
+    return {
+      __typename: "InventoryLevel",
+      id: `gid://shopify/InventoryLevel/${numericId(item.id)}?inventory_item_id=${numericId(item.id)}&location_id=${numericId(locationId)}`,
+      location: state.locations.get(locationId),
+      item,
+      values,
+    };
+  }
+
+  function setQuantities(quantities, name) {
+    const errors = [];
+    quantities.forEach((quantity, index) => {
+      const item = state.inventoryItems.get(quantity.inventoryItemId);
+      if (!item) {
+        errors.push({ field: ["input", "quantities", String(index), "inventoryItemId"], message: "The specified inventory item could not be found." });
+        return;
+      }
+      if (!item.levels.has(quantity.locationId)) {
+        errors.push({ field: ["input", "quantities", String(index), "locationId"], message: "The specified inventory item is not stocked at the location." });
+        return;
+      }
+      const value = quantity.quantity;
+      setInventoryLevel(item, quantity.locationId, name === "on_hand" ? { on_hand: value, available: value } : { [name]: value });
+    });
+    return {
+      inventoryAdjustmentGroup: errors.length > 0 ? null : { __typename: "InventoryAdjustmentGroup", id: gid("InventoryAdjustmentGroup") },
+      userErrors: userErrors(errors),
+    };
+  }
+
+  /**
+   * Execute a GraphQL request against the in-memory store
+   * @param {string} query - GraphQL document
+   * @param {Object} variables - Variables
+   * @returns {Object} GraphQL response body
+   */
+  function execute(query, variables = {}) {
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return { errors: [{ message: error.message, extensions: { code: "PARSE_ERROR" } }] };
+    }
+    const operation = document.definitions.find(def => def.kind === Kind.OPERATION_DEFINITION);
+    const fragments = Object.fromEntries(document.definitions
+      .filter(def => def.kind === Kind.FRAGMENT_DEFINITION)
+      .map(def => [def.name.value, def]));
+    const rootType = operation.operation === "mutation" ? "Mutation" : "Query";
+    const context = { variables, fragments, resolvers };
+
+    const errors = [];
+    const data = {};
+    for (const field of operation.selectionSet.selections.filter(s => s.kind === Kind.FIELD)) {
+      const name = field.name.value;
+      const alias = field.alias?.value || name;
+      const resolver = resolvers[rootType][name];
+      if (!resolver) {
+        errors.push({ message: `Field '${name}' doesn't exist on type '${rootType === "Query" ? "QueryRoot" : rootType}' (not implemented by the simulator)`, path: [alias] });
+        data[alias] = null;
+        continue;
+      }
+      const args = Object.fromEntries((field.arguments || []).map(arg => [arg.name.value, valueFromAst(arg.value, variables)]));
+      if (rootType === "Mutation") state.operations.push({ mutation: name, args: structuredClone(args), at: now() });
+      data[alias] = completeValue(resolver(null, args, context), field.selectionSet, context);
+    }
+
+    const response = {
+      data,
+      extensions: {
+        cost: {
+          requestedQueryCost: 10,
+          actualQueryCost: 10,
+          throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1990, restoreRate: 100 },
+        },
+      },
+    };
+    if (errors.length > 0) response.errors = errors;
+    return response;
+  }
+
+  /* --------------------------------- REST -------------------------------- */
+
+  function restVariant(variant) {
+    return {
+      id: Number(numericId(variant.id)),
+      product_id: Number(numericId(variant.productId)),
+      title: variant.title,
+      sku: variant.sku,
+      price: variant.price,
+      barcode: variant.barcode,
+      weight: variant.weight,
+      weight_unit: variant.weightUnit === "KILOGRAMS" ? "kg" : variant.weightUnit,
+      inventory_management: variant.inventoryManagement,
+      inventory_item_id: Number(numericId(variant.inventoryItemId)),
+    };
+  }
+
+  function restProduct(product) {
+    return {
+      id: Number(numericId(product.id)),
+      title: product.title,
+      vendor: product.vendor,
+      status: product.status.toLowerCase(),
+      options: product.options.map(option => ({
+        id: Number(numericId(option.id)),
+        product_id: Number(numericId(product.id)),
+        name: option.name,
+        position: option.position,
+        values: option.values,
+      })),
+      variants: product.variantIds.map(id => restVariant(state.variants.get(id))),
+    };
+  }
+
+  function handleRest(method, resourcePath, body) {
+    const productMatch = /^\/products\/(\d+)\.json$/.exec(resourcePath);
+    const variantMatch = /^\/variants\/(\d+)\.json$/.exec(resourcePath);
+
+    if (productMatch) {
+      const product = state.products.get(`gid://shopify/Product/${productMatch[1]}`);
+      if (!product) return [404, { errors: "Not Found" }];
+      if (method === "PUT") {
+        const input = body?.product || {};
+        if (input.title !== undefined) product.title = input.title;
+        for (const optionInput of input.options || []) {
+          const option = product.options.find(o => numericId(o.id) === String(optionInput.id));
+          if (option && optionInput.name) option.name = optionInput.name;
+        }
+        state.operations.push({ rest: `PUT /products/${productMatch[1]}.json`, args: structuredClone(body), at: now() });
+      }
+      return [200, { product: restProduct(product) }];
+    }
+
+    if (variantMatch) {
+      const variantId = `gid://shopify/ProductVariant/${variantMatch[1]}`;
+      const variant = state.variants.get(variantId);
+      if (!variant) return [404, { errors: "Not Found" }];
+      if (method === "DELETE") {
+        const product = state.products.get(variant.productId);
+        if (product.variantIds.length === 1) {
+          return [422, { errors: { base: ["Cannot delete the last variant of a product"] } }];
+        }
+        deleteVariant(variantId);
+        state.operations.push({ rest: `DELETE /variants/${variantMatch[1]}.json`, at: now() });
+        return [200, {}];
+      }
+      if (method === "PUT") {
+        const input = body?.variant || {};
+        if (input.sku !== undefined) variant.sku = input.sku;
+        if (input.price !== undefined) variant.price = Number(input.price).toFixed(2);
+        if (input.weight !== undefined) variant.weight = input.weight;
+        if (input.weight_unit !== undefined) variant.weightUnit = input.weight_unit === "kg" ? "KILOGRAMS" : input.weight_unit;
+        if (input.inventory_management !== undefined) variant.inventoryManagement = input.inventory_management;
+        if (input.barcode !== undefined) variant.barcode = input.barcode;
+        state.operations.push({ rest: `PUT /variants/${variantMatch[1]}.json`, args: structuredClone(body), at: now() });
+      }
+      return [200, { variant: restVariant(variant) }];
+    }
+
+    if (resourcePath === "/draft_orders.json" && method === "POST") {
+      const input = body?.draft_order || {};
+      if (!Array.isArray(input.line_items) || input.line_items.length === 0) {
+        return [422, { errors: { line_items: ["must have at least one line item"] } }];
+      }
+      const draftOrder = createDraftOrder({
+        customerId: input.customer?.id ? `gid://shopify/Customer/${input.customer.id}` : null,
+        note: input.note || null,
+        lineItems: input.line_items.map(item => ({
+          title: item.title,
+          quantity: item.quantity,
+          sku: item.sku,
+          originalUnitPrice: item.price,
+          customAttributes: (item.properties || []).map(property => ({ key: property.name, value: property.value })),
+        })),
+      });
+      state.operations.push({ rest: "POST /draft_orders.json", args: structuredClone(body), at: now() });
+      return [201, {
+        draft_order: {
+          id: Number(numericId(draftOrder.id)),
+          name: draftOrder.name,
+          invoice_url: `https://${shopDomain}/invoices/${numericId(draftOrder.id)}`,
+          total_price: draftOrder.totalPrice,
+          line_items: input.line_items,
+        },
+      }];
+    }
+
+    return [404, { errors: `The simulator does not implement ${method} ${resourcePath}` }];
+  }
+
+  /* -------------------------------- server ------------------------------- */
+
+  function takeInjectedFailure() {
+    const failure = injectedFailures[0];
+    if (!failure) return null;
+    failure.remaining -= 1;
+    if (failure.remaining <= 0) injectedFailures.shift();
+    return failure;
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const method = req.method.toUpperCase();
+    const rawBody = await readBody(req);
+    const body = rawBody ? JSON.parse(rawBody) : null;
+
+    if (url.pathname === "/__simulator/state" && method === "GET") {
+      return sendJson(res, 200, inspect());
+    }
+    if (url.pathname === "/__simulator/reset" && method === "POST") {
+      reset();
+      return sendJson(res, 200, { ok: true });
+    }
+    if (url.pathname === "/__simulator/seed" && method === "POST") {
+      seed(body || {});
+      return sendJson(res, 200, { ok: true });
+    }
+    if (url.pathname === "/__simulator/failures" && method === "POST") {
+      failNext(body?.count || 1, body || {});
+      return sendJson(res, 200, { ok: true });
+    }
+
+    const match = /^\/admin\/api\/[^/]+(\/.*)$/.exec(url.pathname);
+    if (!match) return sendJson(res, 404, { errors: "Not Found" });
+
+    if (req.headers["x-shopify-access-token"] !== accessToken) {
+      return sendJson(res, 401, { errors: "[API] Invalid API key or access token (unrecognized login or wrong password)" });
+    }
+
+    const failure = takeInjectedFailure();
+    if (failure?.throttle) {
+      return sendJson(res, 200, { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }] });
+    }
+    if (failure) {
+      return sendJson(res, failure.status || 500, { errors: failure.message || "Injected failure from Shopify simulator" });
+    }
+
+    if (match[1] === "/graphql.json" && method === "POST") {
+      if (verbose) console.log(`🧪 [Shopify simulator] ${body?.query?.trim().split("\n")[0]}`);
+      return sendJson(res, 200, execute(body?.query || "", body?.variables || {}));
+    }
+
+    const [status, payload] = handleRest(method, match[1], body);
+    return sendJson(res, status, payload);
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error("❌ [Shopify simulator] Unhandled error:", error);
+      sendJson(res, 500, { errors: error.message });
+    });
+  });
+
+  /**
+   * Make the next Admin API requests fail
+   * @param {number} count - Number of requests to affect
+   * @param {Object} failure - { status, message } or { throttle: true } for a GraphQL THROTTLED error
+   */
+  function failNext(count, failure = {}) {
+    injectedFailures.push({ ...failure, remaining: count });
+  }
+
+  /**
+   * Plain snapshot of the store for assertions
+   * @returns {Object} Products, customers, collections, draft orders, orders and the mutation log
+   */
+  function inspect() {
+    const metafieldMap = (ownerId) => Object.fromEntries(getMetafields(ownerId).map(mf => [`${mf.namespace}.${mf.key}`, mf.value]));
+    const locationName = (id) => state.locations.get(id)?.name || id;
+    return {
+      products: [...state.products.values()].map(product => ({
+        id: product.id,
+        title: product.title,
+        status: product.status,
+        vendor: product.vendor,
+        options: product.options.map(option => ({ name: option.name, values: option.values })),
+        published: product.publicationIds.size > 0,
+        collections: [...state.collections.values()].filter(c => c.productIds.has(product.id)).map(c => c.title),
+        metafields: metafieldMap(product.id),
+        variants: product.variantIds.map(id => state.variants.get(id)).map(variant => ({
+          id: variant.id,
+          title: variant.title,
+          sku: variant.sku,
+          price: variant.price,
+          metafields: metafieldMap(variant.id),
+          inventory: Object.fromEntries([...state.inventoryItems.get(variant.inventoryItemId).levels.entries()]
+            .map(([locationId, level]) => [locationName(locationId), level.available])),
+        })),
+      })),
+      collections: [...state.collections.values()].map(collection => ({
+        id: collection.id,
+        title: collection.title,
+        productCount: collection.productIds.size,
+        metafields: metafieldMap(collection.id),
+      })),
+      customers: [...state.customers.values()].map(customer => ({
+        id: customer.id,
+        email: customer.email,
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        phone: customer.phone,
+        note: customer.note,
+        addresses: customer.addresses.map(({ __typename, ...address }) => address),
+        metafields: metafieldMap(customer.id),
+      })),
+      draftOrders: [...state.draftOrders.values()].map(draftOrder => ({
+        id: draftOrder.id,
+        name: draftOrder.name,
+        status: draftOrder.status,
+        orderId: draftOrder.orderId,
+        metafields: metafieldMap(draftOrder.id),
+      })),
+      orders: [...state.orders.values()].map(order => ({
+        id: order.id,
+        name: order.name,
+        cancelledAt: order.cancelledAt,
+        tags: order.tags,
+        fulfillments: order.fulfillments.length,
+        metafields: metafieldMap(order.id),
+      })),
+      operations: [...state.operations],
+    };
+  }
+
+  reset();
+
+  return {
+    server,
+    shopDomain,
+    accessToken,
+    get state() {
+      return state;
+    },
+    listen(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, "127.0.0.1", () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+    execute,
+    seed,
+    reset,
+    failNext,
+    inspect,
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => { data += chunk; });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+// Run from the command line
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes("--help")) {
+    console.log(`
+Shopify Admin API simulator
+
+Usage: node scripts/dev/shopify-admin-simulator.js [options]
+
+Options:
+  --port <port>          Port to listen on (default: 4200)
+  --fixtures <path>      Fixture file (default: scripts/dev/fixtures/shopify.json)
+  --verbose              Log every GraphQL operation
+
+While running:
+  curl localhost:4200/__simulator/state
+  curl -X POST localhost:4200/__simulator/reset
+  curl -X POST localhost:4200/__simulator/seed -d @scripts/dev/fixtures/shopify-orders.json
+  curl -X POST localhost:4200/__simulator/failures -d '{"count":2,"throttle":true}'
+`);
+    process.exit(0);
+  }
+
+  const port = parseInt(getArg("--port") || process.env.SHOPIFY_SIMULATOR_PORT || "4200", 10);
+  const fixturesPath = getArg("--fixtures");
+  const simulator = createShopifyAdminSimulator({
+    fixtures: fixturesPath ? loadShopifyFixtures(path.resolve(fixturesPath)) : undefined,
+    verbose: args.includes("--verbose"),
+  });
+
+  simulator.server.listen(port, () => {
+    console.log(`🧪 Shopify Admin simulator listening on http://localhost:${port}`);
+    console.log(`   SHOPIFY_ADMIN_API_ORIGIN=http://localhost:${port} ADVANCED_STORE_DOMAIN=${simulator.shopDomain} ADVANCED_STORE_ADMIN_TOKEN=${simulator.accessToken}`);
+  });
+
+  const shutdown = () => simulator.server.close(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
@@ -0,0 +1,120 @@
+// scripts/dev/sync-harness.js
+//
+// Runs the real sync jobs against the Monitor simulator and the Shopify Admin
+// simulator so a full sync can be exercised without touching production data.
+//
+//   npm run sync-harness -- products customers inventory orders order-status
+//
+// The jobs still use Prisma for the Monitor session, so the local dev database
+// has to exist (npm run setup).
+
+import { createMonitorSimulator } from "./monitor-simulator.js";
+import { createShopifyAdminSimulator, loadShopifyFixtures } from "./shopify-admin-simulator.js";
+
+const JOBS = {
+  products: async (options) => (await import("../../app/syncProductsJob.js")).syncProducts(options.incremental ?? false),
+  customers: async (options) => (await import("../../app/syncCustomersJob.js")).syncCustomers(options.incremental ?? false),
+  inventory: async () => (await import("../../app/syncInventoryJob.js")).syncInventory(),
+  orders: async () => (await import("../../app/orderPollJob.js")).pollForNewOrders(),
+  "order-status": async () => (await import("../../app/orderStatusJob.js")).syncOrderStatuses(),
+};
+
+/**
+ * Start both simulators and point the job environment at them.
+ * Must be called before any job module is imported, since the jobs and
+ * app/utils/monitor.js read their configuration at import time.
+ * @param {Object} options - Harness options
+ * @param {Object} [options.monitorFixtures] - Fixtures for the Monitor simulator
+ * @param {Object} [options.shopifyFixtures] - Fixtures for the Shopify simulator
+ * @param {boolean} [options.verbose] - Log simulator traffic
+ * @returns {Promise<Object>} { monitor, shopify, runJob, close }
+ */
+export async function startSyncHarness(options = {}) {
+  const monitor = createMonitorSimulator({ fixtures: options.monitorFixtures, verbose: options.verbose });
+  const shopify = createShopifyAdminSimulator({ fixtures: options.shopifyFixtures, verbose: options.verbose });
+
+  const monitorUrl = await monitor.listen();
+  const shopifyUrl = await shopify.listen();
+  const credentials = monitor.state.credentials || { username: "simulator", password: "simulator" };
+
+  Object.assign(process.env, {
+    MONITOR_URL: monitorUrl,
+    MONITOR_USER: credentials.username,
+    MONITOR_PASS: credentials.password,
+    MONITOR_COMPANY: "001.1",
+    SHOPIFY_ADMIN_API_ORIGIN: shopifyUrl,
+    ADVANCED_STORE_DOMAIN: shopify.shopDomain,
+    ADVANCED_STORE_ADMIN_TOKEN: shopify.accessToken,
+  });
+  process.env.SHOPIFY_APP_URL ||= "http://localhost:3000";
+  global.useAdvancedStore = true;
+
+  console.log(`🧪 Monitor simulator: ${monitorUrl}`);
+  console.log(`🧪 Shopify simulator: ${shopifyUrl}`);
+
+  return {
+    monitor,
+    shopify,
+    /**
+     * Run one of the sync jobs against the simulators
+     * @param {string} name - products, customers, inventory, orders or order-status
+     * @param {Object} [jobOptions] - { incremental }
+     */
+    async runJob(name, jobOptions = {}) {
+      if (!JOBS[name]) throw new Error(`Unknown job "${name}" (expected one of ${Object.keys(JOBS).join(", ")})`);
+      console.log(`\n▶️  Running ${name} job against the simulators`);
+      return JOBS[name](jobOptions);
+    },
+    async close() {
+      await Promise.all([monitor.close(), shopify.close()]);
+    },
+  };
+}
+
+// Run from the command line
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const jobs = args.filter(arg => !arg.startsWith("--"));
+
+  if (args.includes("--help") || jobs.length === 0) {
+    console.log(`
+Sync harness - runs sync jobs against the Monitor and Shopify simulators
+
+Usage: node scripts/dev/sync-harness.js <job...> [options]
+
+Jobs: ${Object.keys(JOBS).join(", ")}
+
+Options:
+  --incremental     Run products/customers as incremental syncs
+  --with-orders     Seed the Shopify simulator with scripts/dev/fixtures/shopify-orders.json
+  --verbose         Log simulator traffic
+
+The final Shopify and Monitor state is printed as JSON when all jobs are done.
+`);
+    process.exit(0);
+  }
+
+  const harness = await startSyncHarness({ verbose: args.includes("--verbose") });
+  if (args.includes("--with-orders")) {
+    const path = new URL("./fixtures/shopify-orders.json", import.meta.url);
+    harness.shopify.seed(loadShopifyFixtures(path));
+  }
+
+  let exitCode = 0;
+  try {
+    for (const job of jobs) {
+      await harness.runJob(job, { incremental: args.includes("--incremental") });
+    }
+  } catch (error) {
+    console.error("❌ Harness run failed:", error);
+    exitCode = 1;
+  }
+
+  console.log("\n📋 Shopify simulator state:");
+  console.log(JSON.stringify(harness.shopify.inspect(), null, 2));
+  console.log("\n📋 Monitor simulator state:");
+  console.log(JSON.stringify(harness.monitor.inspect(), null, 2));
+
+  await harness.close();
+  process.exit(exitCode);
+}
@@ -0,0 +1,60 @@
+/**
+ * Inspect the background job queue and retry dead jobs.
+ *
+ * Usage:
+ *   node scripts/job-queue.js                             # last 20 jobs
+ *   node scripts/job-queue.js --status dead --payload     # dead jobs with their arguments
+ *   node scripts/job-queue.js --retry 42                  # queue dead job #42 again
+ *
+ * Options:
+ *   --type <type>    pricelist or sync
+ *   --status <s>     queued, running, succeeded or dead
+ *   --limit <n>      Number of jobs to show (default 20)
+ *   --payload        Print the arguments of each job
+ *   --retry <id>     Put a dead job back in the queue with a fresh set of attempts
+ */
+
+import "dotenv/config";
+import { getJobs, retryJob } from "../app/utils/job-queue.js";
+
+const args = process.argv.slice(2);
+const argValue = (flag) => {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const STATUS_ICONS = { queued: "📥", running: "⏳", succeeded: "✅", dead: "💀" };
+
+const retryId = argValue("--retry");
+if (retryId) {
+  const retried = await retryJob(parseInt(retryId, 10));
+  console.log(retried ? `📥 Job #${retryId} queued again` : `❌ Job #${retryId} not found or not dead`);
+  process.exit(retried ? 0 : 1);
+}
+
+const status = argValue("--status");
+const jobs = await getJobs({
+  type: argValue("--type"),
+  statuses: status ? [status] : undefined,
+  take: parseInt(argValue("--limit") || "20", 10),
+});
+
+if (jobs.length === 0) {
+  console.log("No jobs found");
+}
+
+for (const job of jobs) {
+  const next = job.status === "queued" ? `, next attempt ${job.runAt.toISOString()}` : "";
+  console.log(
+    `${STATUS_ICONS[job.status] || "•"} #${job.id} ${job.type} ${job.status} ${job.createdAt.toISOString()} - ` +
+    `attempt ${job.attempts}/${job.maxAttempts}${next}`
+  );
+  if (job.lastError) {
+    console.log(`   ${job.lastError.split("\n").join("\n   ")}`);
+  }
+  if (args.includes("--payload")) {
+    console.log(`   ${job.payload}`);
+  }
+}
+
+process.exit(0);
@@ -0,0 +1,52 @@
+/**
+ * Show the latest sync job runs recorded in the SyncRun table.
+ *
+ * Usage:
+ *   node scripts/sync-history.js                          # last 20 runs of all jobs
+ *   node scripts/sync-history.js --job INVENTORY-SYNC     # only one job
+ *   node scripts/sync-history.js --limit 5 --failures     # include failed entities
+ *
+ * Options:
+ *   --job <name>     PRODUCT-SYNC, CUSTOMER-SYNC, INVENTORY-SYNC, ORDER-POLL or ORDER-STATUS-SYNC
+ *   --limit <n>      Number of runs to show (default 20)
+ *   --failures       List the failed entities of each run
+ */
+
+import "dotenv/config";
+import { getRecentSyncRuns } from "../app/utils/sync-runs.js";
+
+const args = process.argv.slice(2);
+const argValue = (flag) => {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const jobName = argValue("--job");
+const take = parseInt(argValue("--limit") || "20", 10);
+const showFailures = args.includes("--failures");
+
+const STATUS_ICONS = { running: "⏳", succeeded: "✅", partial: "⚠️", failed: "❌" };
+
+const runs = await getRecentSyncRuns({ jobName, take });
+
+if (runs.length === 0) {
+  console.log(jobName ? `No runs recorded for ${jobName}` : "No sync runs recorded yet");
+}
+
+for (const run of runs) {
+  const duration = run.finishedAt ? `${Math.round((run.finishedAt - run.startedAt) / 1000)}s` : "not finished";
+  console.log(
+    `${STATUS_ICONS[run.status] || "•"} #${run.id} ${run.jobName} (${run.trigger}) ${run.startedAt.toISOString()} ${duration} - ` +
+    `created ${run.createdCount}, updated ${run.updatedCount}, skipped ${run.skippedCount}, failed ${run.failedCount}`
+  );
+  if (run.errorSummary) {
+    console.log(`   ${run.errorSummary.split("\n").join("\n   ")}`);
+  }
+  if (showFailures) {
+    for (const failure of run.failures) {
+      console.log(`   - ${failure.entityId ?? "(unknown)"}: ${failure.message}`);
+    }
+  }
+}
+
+process.exit(0);